@@ -1,9 +1,16 @@
 const sqlite3 = require('sqlite3').verbose();
 const path = require('path');
 
-const dbPath = path.join(__dirname, '../database/mensa.db');
+// MENSA_DB_PATH lets tests run against ':memory:' or a throwaway file
+const dbPath = process.env.MENSA_DB_PATH || path.join(__dirname, '../database/mensa.db');
 const db = new sqlite3.Database(dbPath);
 
+// Resolves once the startup migrations are done; server.js waits for it before serving or scheduling
+let resolveReady;
+db.ready = new Promise((resolve) => {
+  resolveReady = resolve;
+});
+
 // Initialize database tables
 db.serialize(() => {
   // Meals table - stores meal information
@@ -19,7 +26,11 @@ db.serialize(() => {
       price_employee TEXT,
       price_other TEXT,
       notes TEXT,
-      created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      dish_id INTEGER REFERENCES dishes(id),
+      allergens TEXT,
+      additives TEXT,
+      removed_at DATETIME
     )
   `);
 
@@ -37,6 +48,22 @@ db.serialize(() => {
     )
   `);
 
+  // Meal ratings - optional 1-5 scores next to the quick up/down vote
+  db.run(`
+    CREATE TABLE IF NOT EXISTS meal_ratings (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      meal_id INTEGER NOT NULL,
+      ip_address TEXT NOT NULL,
+      user_id TEXT,
+      taste INTEGER CHECK(taste BETWEEN 1 AND 5),
+      value INTEGER CHECK(value BETWEEN 1 AND 5),
+      temperature INTEGER CHECK(temperature BETWEEN 1 AND 5),
+      timestamp DATETIME DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (meal_id) REFERENCES meals(id) ON DELETE CASCADE,
+      UNIQUE(meal_id, ip_address)
+    )
+  `);
+
   // Portion votes table - tracks portion size feedback
   db.run(`
     CREATE TABLE IF NOT EXISTS portion_votes (
@@ -51,22 +78,44 @@ db.serialize(() => {
     )
   `);
 
-  // Comments table - stores user comments (text only)
+  // Served weights - grams reported for per-100g meals; kept per dish so the median outlives the meal row
   db.run(`
-    CREATE TABLE IF NOT EXISTS comments (
+    CREATE TABLE IF NOT EXISTS served_weights (
       id INTEGER PRIMARY KEY AUTOINCREMENT,
       meal_id INTEGER NOT NULL,
+      dish_id INTEGER,
+      grams INTEGER NOT NULL CHECK(grams BETWEEN 50 AND 2000),
+      ip_address TEXT NOT NULL,
+      user_id TEXT,
+      timestamp DATETIME DEFAULT CURRENT_TIMESTAMP,
+      UNIQUE(meal_id, ip_address)
+    )
+  `);
+
+  db.run('CREATE INDEX IF NOT EXISTS idx_served_weights_dish ON served_weights(dish_id)');
+
+  // Comment entries - text comments on meals and photos, threaded via parent_id (see utils/commentService.js)
+  db.run(`
+    CREATE TABLE IF NOT EXISTS comment_entries (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      target_type TEXT NOT NULL CHECK(target_type IN ('meal', 'photo')),
+      target_id INTEGER NOT NULL,
+      parent_id INTEGER DEFAULT NULL REFERENCES comment_entries(id) ON DELETE CASCADE,
       author_name TEXT NOT NULL,
       comment_text TEXT NOT NULL,
       ip_address TEXT NOT NULL,
       owner_token_hash TEXT,
-      timestamp DATETIME DEFAULT CURRENT_TIMESTAMP,
       user_id TEXT,
       is_admin INTEGER DEFAULT 0,
-      FOREIGN KEY (meal_id) REFERENCES meals(id) ON DELETE CASCADE
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      edited_at DATETIME,
+      legacy_id INTEGER
     )
   `);
 
+  db.run('CREATE INDEX IF NOT EXISTS idx_comment_entries_target ON comment_entries(target_type, target_id)');
+  db.run('CREATE INDEX IF NOT EXISTS idx_comment_entries_parent ON comment_entries(parent_id)');
+
   // Food photos table - stores user-uploaded photos of meals
   db.run(`
     CREATE TABLE IF NOT EXISTS food_photos (
@@ -98,22 +147,6 @@ db.serialize(() => {
     )
   `);
 
-  // Photo comments table - stores comments on photos (text only)
-  db.run(`
-    CREATE TABLE IF NOT EXISTS photo_comments (
-      id INTEGER PRIMARY KEY AUTOINCREMENT,
-      photo_id INTEGER NOT NULL,
-      author_name TEXT NOT NULL,
-      comment_text TEXT NOT NULL,
-      ip_address TEXT NOT NULL,
-      owner_token_hash TEXT,
-      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-      user_id TEXT,
-      is_admin INTEGER DEFAULT 0,
-      FOREIGN KEY (photo_id) REFERENCES food_photos(id) ON DELETE CASCADE
-    )
-  `);
-
   // User streaks table - tracks daily photo upload streaks
   db.run(`
     CREATE TABLE IF NOT EXISTS user_streaks (
@@ -126,25 +159,282 @@ db.serialize(() => {
     )
   `);
 
+  // Dishes table - canonical identity for meals that recur across days
+  db.run(`
+    CREATE TABLE IF NOT EXISTS dishes (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      name_key TEXT UNIQUE NOT NULL,
+      display_name TEXT NOT NULL,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    )
+  `);
+
+  // Meal archive table - per-date snapshot of meals and their totals (survives daily cleanup)
+  db.run(`
+    CREATE TABLE IF NOT EXISTS meal_archive (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      meal_id INTEGER,
+      external_id TEXT UNIQUE,
+      name TEXT NOT NULL,
+      category TEXT,
+      date TEXT NOT NULL,
+      mensa_location TEXT NOT NULL,
+      price_student TEXT,
+      price_employee TEXT,
+      price_other TEXT,
+      notes TEXT,
+      upvotes INTEGER NOT NULL DEFAULT 0,
+      downvotes INTEGER NOT NULL DEFAULT 0,
+      big_portions INTEGER NOT NULL DEFAULT 0,
+      small_portions INTEGER NOT NULL DEFAULT 0,
+      comment_count INTEGER NOT NULL DEFAULT 0,
+      photo_count INTEGER NOT NULL DEFAULT 0,
+      dish_id INTEGER,
+      allergens TEXT,
+      additives TEXT,
+      top_photo_id INTEGER,
+      top_photo_path TEXT,
+      top_photo_author TEXT,
+      top_photo_caption TEXT,
+      top_photo_likes INTEGER,
+      top_photo_user_id TEXT,
+      archived_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    )
+  `);
+
+  db.run('CREATE INDEX IF NOT EXISTS idx_meal_archive_date_location ON meal_archive(date, mensa_location)');
+
+  // Dietary profiles - per-user include/exclude filters applied to meal lists by default
+  db.run(`
+    CREATE TABLE IF NOT EXISTS dietary_profiles (
+      user_id TEXT PRIMARY KEY,
+      include_tags TEXT NOT NULL DEFAULT '',
+      exclude_tags TEXT NOT NULL DEFAULT '',
+      updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    )
+  `);
+
+  // Menu changes - meals the kitchen added, removed or re-priced after the menu was first stored
+  db.run(`
+    CREATE TABLE IF NOT EXISTS menu_changes (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      mensa_location TEXT NOT NULL,
+      date TEXT NOT NULL,
+      change_type TEXT NOT NULL CHECK(change_type IN ('added', 'removed', 'price_changed')),
+      external_id TEXT NOT NULL,
+      meal_id INTEGER,
+      dish_id INTEGER,
+      name TEXT NOT NULL,
+      category TEXT,
+      old_price_student TEXT,
+      old_price_employee TEXT,
+      old_price_other TEXT,
+      new_price_student TEXT,
+      new_price_employee TEXT,
+      new_price_other TEXT,
+      upvotes INTEGER NOT NULL DEFAULT 0,
+      downvotes INTEGER NOT NULL DEFAULT 0,
+      detected_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    )
+  `);
+
+  db.run('CREATE INDEX IF NOT EXISTS idx_menu_changes_date_location ON menu_changes(date, mensa_location)');
+
+  // Favourite dishes - starred by a user across days and locations
+  db.run(`
+    CREATE TABLE IF NOT EXISTS favorite_dishes (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      user_id TEXT NOT NULL,
+      dish_id INTEGER NOT NULL,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (dish_id) REFERENCES dishes(id) ON DELETE CASCADE,
+      UNIQUE(user_id, dish_id)
+    )
+  `);
+
+  db.run('CREATE INDEX IF NOT EXISTS idx_favorite_dishes_dish ON favorite_dishes(dish_id)');
+
+  // In-app notifications; dedupe_key keeps the same alert from being created twice
+  db.run(`
+    CREATE TABLE IF NOT EXISTS notifications (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      user_id TEXT NOT NULL,
+      type TEXT NOT NULL,
+      title TEXT NOT NULL,
+      body TEXT,
+      url TEXT,
+      dedupe_key TEXT NOT NULL,
+      read_at DATETIME,
+      push_pending INTEGER NOT NULL DEFAULT 0,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      UNIQUE(user_id, dedupe_key)
+    )
+  `);
+
+  db.run('CREATE INDEX IF NOT EXISTS idx_notifications_user ON notifications(user_id, read_at)');
+
+  // Web Push subscriptions - one row per browser; topics is a comma separated opt-in list
+  db.run(`
+    CREATE TABLE IF NOT EXISTS push_subscriptions (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      user_id TEXT NOT NULL,
+      endpoint TEXT UNIQUE NOT NULL,
+      p256dh TEXT NOT NULL,
+      auth TEXT NOT NULL,
+      topics TEXT NOT NULL DEFAULT 'favorites,streaks,replies',
+      user_agent TEXT,
+      failure_count INTEGER NOT NULL DEFAULT 0,
+      last_success_at DATETIME,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    )
+  `);
+
+  db.run('CREATE INDEX IF NOT EXISTS idx_push_subscriptions_user ON push_subscriptions(user_id)');
+
+  // Daily menu email digest - locations is a comma separated list of location IDs
+  db.run(`
+    CREATE TABLE IF NOT EXISTS digest_subscriptions (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      user_id TEXT UNIQUE NOT NULL,
+      email TEXT NOT NULL,
+      locations TEXT NOT NULL,
+      unsubscribe_token TEXT UNIQUE NOT NULL,
+      last_sent_date TEXT,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    )
+  `);
+
+  // Outgoing webhooks - events is a comma separated list of event types
+  db.run(`
+    CREATE TABLE IF NOT EXISTS webhooks (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      url TEXT NOT NULL,
+      secret TEXT NOT NULL,
+      events TEXT NOT NULL,
+      description TEXT,
+      active INTEGER DEFAULT 1,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    )
+  `);
+
+  // Delivery log - one row per event sent to a webhook, pending rows are retried with backoff
+  db.run(`
+    CREATE TABLE IF NOT EXISTS webhook_deliveries (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      webhook_id INTEGER NOT NULL,
+      event TEXT NOT NULL,
+      payload TEXT NOT NULL,
+      status TEXT NOT NULL DEFAULT 'pending' CHECK(status IN ('pending', 'delivered', 'failed')),
+      attempts INTEGER DEFAULT 0,
+      response_status INTEGER,
+      error TEXT,
+      next_attempt_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      delivered_at DATETIME,
+      FOREIGN KEY (webhook_id) REFERENCES webhooks(id) ON DELETE CASCADE
+    )
+  `);
+
+  db.run('CREATE INDEX IF NOT EXISTS idx_webhook_deliveries_due ON webhook_deliveries(status, next_attempt_at)');
+
+  // Chat bot daily posts - one row per chat and location, post_time is HH:MM Europe/Berlin
+  db.run(`
+    CREATE TABLE IF NOT EXISTS bot_subscriptions (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      transport TEXT NOT NULL,
+      chat_id TEXT NOT NULL,
+      location TEXT NOT NULL,
+      post_time TEXT NOT NULL,
+      last_sent_date TEXT,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      UNIQUE(transport, chat_id, location)
+    )
+  `);
+
+  // Comment revisions - the previous text of a comment entry each time its owner edits it
+  // (comment_type repeats the entry's target_type)
+  db.run(`
+    CREATE TABLE IF NOT EXISTS comment_revisions (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      comment_type TEXT NOT NULL CHECK(comment_type IN ('meal', 'photo')),
+      comment_id INTEGER NOT NULL,
+      comment_text TEXT NOT NULL,
+      edited_by_user_id TEXT,
+      edited_by_ip TEXT,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    )
+  `);
+
+  db.run('CREATE INDEX IF NOT EXISTS idx_comment_revisions_comment ON comment_revisions(comment_type, comment_id)');
+
+  // comment_entries points at two tables, so triggers stand in for the foreign key on target_id
+  db.run(`
+    CREATE TRIGGER IF NOT EXISTS comment_entries_target_insert
+    BEFORE INSERT ON comment_entries
+    WHEN (NEW.target_type = 'meal' AND NOT EXISTS (SELECT 1 FROM meals WHERE id = NEW.target_id))
+      OR (NEW.target_type = 'photo' AND NOT EXISTS (SELECT 1 FROM food_photos WHERE id = NEW.target_id))
+    BEGIN
+      SELECT RAISE(ABORT, 'Comment target does not exist');
+    END
+  `);
+
+  db.run(`
+    CREATE TRIGGER IF NOT EXISTS comment_entries_target_update
+    BEFORE UPDATE OF target_type, target_id ON comment_entries
+    WHEN (NEW.target_type = 'meal' AND NOT EXISTS (SELECT 1 FROM meals WHERE id = NEW.target_id))
+      OR (NEW.target_type = 'photo' AND NOT EXISTS (SELECT 1 FROM food_photos WHERE id = NEW.target_id))
+    BEGIN
+      SELECT RAISE(ABORT, 'Comment target does not exist');
+    END
+  `);
+
+  [
+    { table: 'meals', targetType: 'meal' },
+    { table: 'food_photos', targetType: 'photo' }
+  ].forEach(({ table, targetType }) => {
+    db.run(`
+      CREATE TRIGGER IF NOT EXISTS ${table}_delete_comments
+      AFTER DELETE ON ${table}
+      BEGIN
+        DELETE FROM comment_revisions
+        WHERE comment_type = '${targetType}'
+          AND comment_id IN (SELECT id FROM comment_entries WHERE target_type = '${targetType}' AND target_id = OLD.id);
+        DELETE FROM comment_entries WHERE target_type = '${targetType}' AND target_id = OLD.id;
+      END
+    `);
+  });
+
   console.log('Database tables initialized');
 
   // Ensure ownership columns exist (for pre-existing databases).
   const migrations = [
-    { table: 'comments', column: 'owner_token_hash', definition: 'ALTER TABLE comments ADD COLUMN owner_token_hash TEXT' },
-    { table: 'photo_comments', column: 'owner_token_hash', definition: 'ALTER TABLE photo_comments ADD COLUMN owner_token_hash TEXT' },
     { table: 'food_photos', column: 'owner_token_hash', definition: 'ALTER TABLE food_photos ADD COLUMN owner_token_hash TEXT' },
-    { table: 'comments', column: 'parent_comment_id', definition: 'ALTER TABLE comments ADD COLUMN parent_comment_id INTEGER DEFAULT NULL REFERENCES comments(id) ON DELETE CASCADE' },
-    { table: 'photo_comments', column: 'parent_comment_id', definition: 'ALTER TABLE photo_comments ADD COLUMN parent_comment_id INTEGER DEFAULT NULL REFERENCES photo_comments(id) ON DELETE CASCADE' },
     // User ID migrations
     { table: 'votes', column: 'user_id', definition: 'ALTER TABLE votes ADD COLUMN user_id TEXT' },
     { table: 'portion_votes', column: 'user_id', definition: 'ALTER TABLE portion_votes ADD COLUMN user_id TEXT' },
-    { table: 'comments', column: 'user_id', definition: 'ALTER TABLE comments ADD COLUMN user_id TEXT' },
     { table: 'food_photos', column: 'user_id', definition: 'ALTER TABLE food_photos ADD COLUMN user_id TEXT' },
     { table: 'photo_votes', column: 'user_id', definition: 'ALTER TABLE photo_votes ADD COLUMN user_id TEXT' },
-    { table: 'photo_comments', column: 'user_id', definition: 'ALTER TABLE photo_comments ADD COLUMN user_id TEXT' },
-    { table: 'comments', column: 'is_admin', definition: 'ALTER TABLE comments ADD COLUMN is_admin INTEGER DEFAULT 0' },
-    { table: 'photo_comments', column: 'is_admin', definition: 'ALTER TABLE photo_comments ADD COLUMN is_admin INTEGER DEFAULT 0' },
     { table: 'food_photos', column: 'is_admin', definition: 'ALTER TABLE food_photos ADD COLUMN is_admin INTEGER DEFAULT 0' },
+    { table: 'meals', column: 'dish_id', definition: 'ALTER TABLE meals ADD COLUMN dish_id INTEGER REFERENCES dishes(id)' },
+    { table: 'meal_archive', column: 'dish_id', definition: 'ALTER TABLE meal_archive ADD COLUMN dish_id INTEGER' },
+    // Comma separated allergen/additive codes, decoded by utils/allergenCodes.js
+    { table: 'meals', column: 'allergens', definition: 'ALTER TABLE meals ADD COLUMN allergens TEXT' },
+    { table: 'meals', column: 'additives', definition: 'ALTER TABLE meals ADD COLUMN additives TEXT' },
+    { table: 'meal_archive', column: 'allergens', definition: 'ALTER TABLE meal_archive ADD COLUMN allergens TEXT' },
+    { table: 'meal_archive', column: 'additives', definition: 'ALTER TABLE meal_archive ADD COLUMN additives TEXT' },
+    // Set when a meal drops off the feed; votes, ratings and photos keep pointing at the row
+    { table: 'meals', column: 'removed_at', definition: 'ALTER TABLE meals ADD COLUMN removed_at DATETIME' },
+    // Most liked photo of each archived serving; the daily cleanup keeps its file
+    { table: 'meal_archive', column: 'top_photo_id', definition: 'ALTER TABLE meal_archive ADD COLUMN top_photo_id INTEGER' },
+    { table: 'meal_archive', column: 'top_photo_path', definition: 'ALTER TABLE meal_archive ADD COLUMN top_photo_path TEXT' },
+    { table: 'meal_archive', column: 'top_photo_author', definition: 'ALTER TABLE meal_archive ADD COLUMN top_photo_author TEXT' },
+    { table: 'meal_archive', column: 'top_photo_caption', definition: 'ALTER TABLE meal_archive ADD COLUMN top_photo_caption TEXT' },
+    { table: 'meal_archive', column: 'top_photo_likes', definition: 'ALTER TABLE meal_archive ADD COLUMN top_photo_likes INTEGER' },
+    { table: 'meal_archive', column: 'top_photo_user_id', definition: 'ALTER TABLE meal_archive ADD COLUMN top_photo_user_id TEXT' },
+    // Notifications created at night wait here for their Web Push until daytime
+    { table: 'notifications', column: 'push_pending', definition: 'ALTER TABLE notifications ADD COLUMN push_pending INTEGER NOT NULL DEFAULT 0' },
     { table: 'user_streaks', column: 'user_id', definition: 'CREATE TABLE user_streaks (user_id TEXT PRIMARY KEY, current_streak INTEGER NOT NULL DEFAULT 0, longest_streak INTEGER NOT NULL DEFAULT 0, last_post_date TEXT, display_name TEXT, updated_at DATETIME DEFAULT CURRENT_TIMESTAMP)' }
   ];
 
@@ -168,6 +458,83 @@ db.serialize(() => {
     });
   });
 
+  // Move comments from the old per-target tables into comment_entries, one table after the other.
+  // Columns that older databases never got are copied as NULL, comments whose meal or photo is gone
+  // are dropped, and each old table is dropped once moved.
+  const legacyCommentTables = [
+    { table: 'comments', targetType: 'meal', targetTable: 'meals', targetColumn: 'meal_id', createdColumn: 'timestamp' },
+    { table: 'photo_comments', targetType: 'photo', targetTable: 'food_photos', targetColumn: 'photo_id', createdColumn: 'created_at' }
+  ];
+
+  const migrateLegacyComments = (index = 0) => {
+    if (index >= legacyCommentTables.length) {
+      resolveReady();
+      return;
+    }
+
+    const { table, targetType, targetTable, targetColumn, createdColumn } = legacyCommentTables[index];
+
+    db.all(`PRAGMA table_info(${table})`, (infoErr, rows) => {
+      if (infoErr) {
+        console.error(`Failed to inspect ${table} table:`, infoErr);
+        resolveReady();
+        return;
+      }
+
+      // Already moved, or a database that never had the old table
+      if (!Array.isArray(rows) || rows.length === 0) {
+        migrateLegacyComments(index + 1);
+        return;
+      }
+
+      const columns = new Set(rows.map((schemaRow) => schemaRow.name));
+      const column = (name, fallback = 'NULL') => (columns.has(name) ? name : fallback);
+      const steps = [
+        `INSERT INTO comment_entries (target_type, target_id, author_name, comment_text, ip_address, owner_token_hash, user_id, is_admin, created_at, edited_at, legacy_id)
+         SELECT '${targetType}', ${targetColumn}, author_name, comment_text, ip_address, ${column('owner_token_hash')}, ${column('user_id')}, ${column('is_admin', '0')}, ${createdColumn}, ${column('edited_at')}, id
+         FROM ${table}
+         WHERE ${targetColumn} IN (SELECT id FROM ${targetTable})
+         ORDER BY id`,
+        // Revisions pointed at the old table's ids
+        `DELETE FROM comment_revisions
+         WHERE comment_type = '${targetType}'
+           AND comment_id NOT IN (SELECT legacy_id FROM comment_entries WHERE target_type = '${targetType}' AND legacy_id IS NOT NULL)`,
+        `UPDATE comment_revisions
+         SET comment_id = (SELECT e.id FROM comment_entries e WHERE e.target_type = '${targetType}' AND e.legacy_id = comment_revisions.comment_id)
+         WHERE comment_type = '${targetType}'`
+      ];
+
+      if (columns.has('parent_comment_id')) {
+        steps.push(
+          `UPDATE comment_entries
+           SET parent_id = (
+             SELECT parent.id
+             FROM ${table} legacy
+             JOIN comment_entries parent ON parent.target_type = '${targetType}' AND parent.legacy_id = legacy.parent_comment_id
+             WHERE legacy.id = comment_entries.legacy_id
+           )
+           WHERE target_type = '${targetType}' AND legacy_id IS NOT NULL`
+        );
+      }
+
+      steps.push(`DROP TABLE ${table}`);
+
+      // A single exec is one job on the shared connection, so nothing else can run inside the transaction
+      db.exec(['BEGIN TRANSACTION', ...steps, 'COMMIT'].join(';\n'), (execErr) => {
+        if (execErr) {
+          console.error(`Failed to move ${table} into comment_entries:`, execErr);
+          db.run('ROLLBACK', () => resolveReady());
+          return;
+        }
+
+        console.log(`Moved ${table} table into comment_entries`);
+        migrateLegacyComments(index + 1);
+      });
+    });
+  };
+
+  migrateLegacyComments();
+
   // Persist a last-known display name for streaks so leaderboard survives photo cleanup
   db.all(`PRAGMA table_info(user_streaks)`, (infoErr, columns) => {
     if (infoErr) {
@@ -0,0 +1,63 @@
+const db = require('./database');
+
+// Promise wrappers around the sqlite3 callbacks, shared by the utils
+
+/**
+ * Run a statement
+ * @param {string} sql
+ * @param {Array} [params]
+ * @returns {Promise<Object>} The statement, with `lastID` and `changes`
+ */
+function runAsync(sql, params = []) {
+  return new Promise((resolve, reject) => {
+    db.run(sql, params, function callback(err) {
+      if (err) {
+        reject(err);
+      } else {
+        resolve(this);
+      }
+    });
+  });
+}
+
+/**
+ * Fetch the first row
+ * @param {string} sql
+ * @param {Array} [params]
+ * @returns {Promise<Object|null>}
+ */
+function getAsync(sql, params = []) {
+  return new Promise((resolve, reject) => {
+    db.get(sql, params, (err, row) => {
+      if (err) {
+        reject(err);
+      } else {
+        resolve(row || null);
+      }
+    });
+  });
+}
+
+/**
+ * Fetch all rows
+ * @param {string} sql
+ * @param {Array} [params]
+ * @returns {Promise<Object[]>}
+ */
+function allAsync(sql, params = []) {
+  return new Promise((resolve, reject) => {
+    db.all(sql, params, (err, rows) => {
+      if (err) {
+        reject(err);
+      } else {
+        resolve(rows || []);
+      }
+    });
+  });
+}
+
+module.exports = {
+  runAsync,
+  getAsync,
+  allAsync
+};
@@ -0,0 +1,48 @@
+const {
+  parseDietaryFilters,
+  hasActiveFilters,
+  getDietaryProfile
+} = require('../utils/dietaryFilter');
+
+/**
+ * Resolve the dietary filters for a request into `req.dietaryFilters`:
+ * explicit `include`/`exclude` query params win, otherwise a logged-in user's
+ * saved profile applies unless `profile=off` is passed.
+ * Responds 400 when the query contains unknown tokens.
+ */
+async function dietaryFiltersMiddleware(req, res, next) {
+  const { include, exclude, profile } = req.query;
+  req.dietaryFilters = { include: [], exclude: [], source: null };
+
+  if (include !== undefined || exclude !== undefined) {
+    const parsed = parseDietaryFilters(include, exclude);
+
+    if (parsed.unknown.length > 0) {
+      return res.status(400).json({
+        error: `Unknown dietary filter: ${parsed.unknown.join(', ')}`,
+        options: '/api/meals/dietary-options'
+      });
+    }
+
+    req.dietaryFilters = { include: parsed.include, exclude: parsed.exclude, source: 'query' };
+    return next();
+  }
+
+  if (profile === 'off' || !req.user) {
+    return next();
+  }
+
+  try {
+    const saved = await getDietaryProfile(req.user.id);
+    if (hasActiveFilters(saved)) {
+      req.dietaryFilters = { include: saved.include, exclude: saved.exclude, source: 'profile' };
+    }
+  } catch (error) {
+    // A broken profile lookup should not hide the menu
+    console.error('Failed to load dietary profile:', error);
+  }
+
+  next();
+}
+
+module.exports = { dietaryFiltersMiddleware };
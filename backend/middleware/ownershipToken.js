@@ -78,8 +78,25 @@ function ownershipTokenMiddleware(req, res, next) {
   next();
 }
 
+/**
+ * Whether the requester created a row (photo or comment): same ownership token,
+ * same logged-in user, or - for rows from before ownership tokens - the same IP hash.
+ * @param {Object} row - Row with owner_token_hash, user_id and ip_address
+ * @param {Object} req
+ * @param {string} requesterIpHash - hashIP() of the requester's IP
+ * @returns {boolean}
+ */
+function computeIsOwner(row, req, requesterIpHash) {
+  return !!(
+    (row.owner_token_hash && req.ownerTokenHash && row.owner_token_hash === req.ownerTokenHash) ||
+    (row.user_id && req.user?.id && row.user_id === req.user.id) ||
+    (!row.owner_token_hash && row.ip_address && requesterIpHash && row.ip_address === requesterIpHash)
+  );
+}
+
 module.exports = {
   OWNER_COOKIE_NAME,
   ownershipTokenMiddleware,
-  hashToken
+  hashToken,
+  computeIsOwner
 };
@@ -3,6 +3,20 @@ const router = express.Router();
 const db = require('../database');
 const fs = require('fs');
 const path = require('path');
+const {
+  WEBHOOK_EVENTS,
+  parseWebhookEvents,
+  validateWebhookUrl,
+  listWebhooks,
+  getWebhook,
+  createWebhook,
+  updateWebhook,
+  deleteWebhook,
+  getDeliveries,
+  sendTestEvent,
+  redeliver
+} = require('../utils/webhooks');
+const { listRecentComments, getCommentRevisions, deleteComment, sendCommentError } = require('../utils/commentService');
 
 // Middleware to verify admin access (Supabase only)
 function verifyAdmin(req, res, next) {
@@ -46,13 +60,13 @@ router.get('/stats', verifyAdmin, (req, res) => {
       });
     }),
     new Promise((resolve) => {
-      db.get('SELECT COUNT(*) as count FROM comments', (err, row) => {
+      db.get("SELECT COUNT(*) as count FROM comment_entries WHERE target_type = 'meal'", (err, row) => {
         stats.total_meal_comments = row?.count || 0;
         resolve();
       });
     }),
     new Promise((resolve) => {
-      db.get('SELECT COUNT(*) as count FROM photo_comments', (err, row) => {
+      db.get("SELECT COUNT(*) as count FROM comment_entries WHERE target_type = 'photo'", (err, row) => {
         stats.total_photo_comments = row?.count || 0;
         resolve();
       });
@@ -114,7 +128,7 @@ router.get('/photos', verifyAdmin, (req, res) => {
     FROM food_photos fp
     LEFT JOIN meals m ON fp.meal_id = m.id
     LEFT JOIN photo_votes pv ON fp.id = pv.photo_id
-    LEFT JOIN photo_comments pc ON fp.id = pc.photo_id
+    LEFT JOIN comment_entries pc ON pc.target_type = 'photo' AND fp.id = pc.target_id
     GROUP BY fp.id
     ORDER BY fp.created_at DESC
     LIMIT 100
@@ -182,102 +196,232 @@ router.delete('/photos/:photoId', verifyAdmin, (req, res) => {
 
 /**
  * GET /api/admin/comments
- * Get all comments (meal + photo comments)
+ * Get the newest comments on meals and photos
  */
-router.get('/comments', verifyAdmin, (req, res) => {
-  const queries = [
-    new Promise((resolve) => {
-      db.all(
-        `SELECT
-          c.id,
-          c.meal_id as ref_id,
-          'meal' as type,
-          c.author_name,
-          c.comment_text,
-          c.timestamp as created_at,
-          m.name as ref_name
-         FROM comments c
-         LEFT JOIN meals m ON c.meal_id = m.id
-         ORDER BY c.timestamp DESC
-         LIMIT 50`,
-        [],
-        (err, rows) => {
-          resolve(rows || []);
-        }
-      );
-    }),
-    new Promise((resolve) => {
-      db.all(
-        `SELECT
-          pc.id,
-          pc.photo_id as ref_id,
-          'photo' as type,
-          pc.author_name,
-          pc.comment_text,
-          pc.created_at,
-          m.name as ref_name
-         FROM photo_comments pc
-         LEFT JOIN food_photos fp ON pc.photo_id = fp.id
-         LEFT JOIN meals m ON fp.meal_id = m.id
-         ORDER BY pc.created_at DESC
-         LIMIT 50`,
-        [],
-        (err, rows) => {
-          resolve(rows || []);
-        }
-      );
-    })
-  ];
+router.get('/comments', verifyAdmin, async (req, res) => {
+  try {
+    const comments = await listRecentComments(100);
+    res.json({ comments });
+  } catch (error) {
+    console.error('Get comments error:', error);
+    res.status(500).json({ error: 'Failed to fetch comments' });
+  }
+});
+
+/**
+ * GET /api/admin/comments/:commentId/revisions
+ * Current text of a comment and the texts it replaced, oldest first
+ */
+router.get('/comments/:commentId/revisions', verifyAdmin, async (req, res) => {
+  try {
+    const history = await getCommentRevisions(req.params.commentId);
 
-  Promise.all(queries).then(([mealComments, photoComments]) => {
-    const allComments = [...mealComments, ...photoComments]
-      .sort((a, b) => new Date(b.created_at) - new Date(a.created_at))
-      .slice(0, 100);
+    if (!history) {
+      return res.status(404).json({ error: 'Comment not found' });
+    }
 
-    res.json({ comments: allComments });
-  });
+    res.json(history);
+  } catch (error) {
+    console.error('Get comment revisions error:', error);
+    res.status(500).json({ error: 'Failed to fetch revisions' });
+  }
 });
 
 /**
- * DELETE /api/admin/comments/meal/:commentId
- * Delete any meal comment (admin privilege)
+ * DELETE /api/admin/comments/:commentId
+ * Delete any comment and its replies (admin privilege)
  */
-router.delete('/comments/meal/:commentId', verifyAdmin, (req, res) => {
-  const { commentId } = req.params;
+router.delete('/comments/:commentId', verifyAdmin, async (req, res) => {
+  try {
+    const deleted = await deleteComment(req.params.commentId, req);
+    res.json({ success: true, deleted });
+  } catch (error) {
+    sendCommentError(res, error, 'Failed to delete comment');
+  }
+});
 
-  db.run('DELETE FROM comments WHERE id = ?', [commentId], function(err) {
-    if (err) {
-      console.error('Delete comment error:', err);
-      return res.status(500).json({ error: 'Failed to delete comment' });
+/**
+ * Validate webhook fields from a request body
+ * @param {Object} body
+ * @param {boolean} partial - PATCH only validates the fields that are present
+ * @returns {{error: string|null, values: Object}}
+ */
+function readWebhookInput(body = {}, partial) {
+  const values = {};
+
+  if (!partial || body.url !== undefined) {
+    const urlError = validateWebhookUrl(body.url);
+    if (urlError) {
+      return { error: urlError, values };
     }
+    values.url = body.url;
+  }
 
-    if (this.changes === 0) {
-      return res.status(404).json({ error: 'Comment not found' });
+  if (!partial || body.events !== undefined) {
+    const parsed = parseWebhookEvents(body.events);
+    if (parsed.unknown.length > 0) {
+      return { error: `Unknown events: ${parsed.unknown.join(', ')}. Use: ${WEBHOOK_EVENTS.join(', ')}`, values };
     }
+    if (parsed.events.length === 0) {
+      return { error: 'Subscribe to at least one event', values };
+    }
+    values.events = parsed.events;
+  }
 
-    res.json({ success: true });
-  });
+  if (body.description !== undefined) {
+    if (typeof body.description !== 'string' || body.description.length > 200) {
+      return { error: 'Description too long (max 200 characters)', values };
+    }
+    values.description = body.description.trim();
+  }
+
+  if (body.active !== undefined) {
+    values.active = !!body.active;
+  }
+
+  return { error: null, values };
+}
+
+/**
+ * GET /api/admin/webhooks
+ * List registered webhooks (without their secrets)
+ */
+router.get('/webhooks', verifyAdmin, async (req, res) => {
+  try {
+    res.json({ webhooks: await listWebhooks(), events: WEBHOOK_EVENTS });
+  } catch (err) {
+    console.error('List webhooks error:', err);
+    res.status(500).json({ error: 'Failed to fetch webhooks' });
+  }
 });
 
 /**
- * DELETE /api/admin/comments/photo/:commentId
- * Delete any photo comment (admin privilege)
+ * POST /api/admin/webhooks
+ * Register a webhook
+ * Body: { url, events?: ['menu.published', ...], description?, secret? }
+ * The response is the only time the secret is shown
  */
-router.delete('/comments/photo/:commentId', verifyAdmin, (req, res) => {
-  const { commentId } = req.params;
+router.post('/webhooks', verifyAdmin, async (req, res) => {
+  const { error, values } = readWebhookInput(req.body, false);
 
-  db.run('DELETE FROM photo_comments WHERE id = ?', [commentId], function(err) {
-    if (err) {
-      console.error('Delete photo comment error:', err);
-      return res.status(500).json({ error: 'Failed to delete comment' });
+  if (error) {
+    return res.status(400).json({ error });
+  }
+
+  const { secret } = req.body;
+  if (secret !== undefined && (typeof secret !== 'string' || secret.length < 16)) {
+    return res.status(400).json({ error: 'Secret must be at least 16 characters' });
+  }
+
+  try {
+    const webhook = await createWebhook({ ...values, secret });
+    res.status(201).json({ success: true, webhook });
+  } catch (err) {
+    console.error('Create webhook error:', err);
+    res.status(500).json({ error: 'Failed to create webhook' });
+  }
+});
+
+/**
+ * PATCH /api/admin/webhooks/:webhookId
+ * Change url, events, description or active; { rotate_secret: true } issues a new secret
+ */
+router.patch('/webhooks/:webhookId', verifyAdmin, async (req, res) => {
+  const { error, values } = readWebhookInput(req.body, true);
+
+  if (error) {
+    return res.status(400).json({ error });
+  }
+
+  try {
+    const webhook = await updateWebhook(req.params.webhookId, { ...values, rotateSecret: !!req.body?.rotate_secret });
+
+    if (!webhook) {
+      return res.status(404).json({ error: 'Webhook not found' });
     }
 
-    if (this.changes === 0) {
-      return res.status(404).json({ error: 'Comment not found' });
+    res.json({ success: true, webhook });
+  } catch (err) {
+    console.error('Update webhook error:', err);
+    res.status(500).json({ error: 'Failed to update webhook' });
+  }
+});
+
+/**
+ * DELETE /api/admin/webhooks/:webhookId
+ * Remove a webhook and its delivery log
+ */
+router.delete('/webhooks/:webhookId', verifyAdmin, async (req, res) => {
+  try {
+    if (!await deleteWebhook(req.params.webhookId)) {
+      return res.status(404).json({ error: 'Webhook not found' });
     }
 
     res.json({ success: true });
-  });
+  } catch (err) {
+    console.error('Delete webhook error:', err);
+    res.status(500).json({ error: 'Failed to delete webhook' });
+  }
+});
+
+/**
+ * POST /api/admin/webhooks/:webhookId/test
+ * Send a signed `ping` event and return the logged delivery
+ */
+router.post('/webhooks/:webhookId/test', verifyAdmin, async (req, res) => {
+  try {
+    const delivery = await sendTestEvent(req.params.webhookId);
+
+    if (!delivery) {
+      return res.status(404).json({ error: 'Webhook not found' });
+    }
+
+    res.json({ success: delivery.status === 'delivered', delivery });
+  } catch (err) {
+    console.error('Test webhook error:', err);
+    res.status(500).json({ error: 'Failed to send test event' });
+  }
+});
+
+/**
+ * GET /api/admin/webhooks/:webhookId/deliveries
+ * Delivery log of a webhook, newest first
+ * Optional query param: ?limit=50 (max 200)
+ */
+router.get('/webhooks/:webhookId/deliveries', verifyAdmin, async (req, res) => {
+  const limit = Math.min(Math.max(Number.parseInt(req.query.limit, 10) || 50, 1), 200);
+
+  try {
+    const webhook = await getWebhook(req.params.webhookId);
+
+    if (!webhook) {
+      return res.status(404).json({ error: 'Webhook not found' });
+    }
+
+    res.json({ webhook, deliveries: await getDeliveries(webhook.id, limit) });
+  } catch (err) {
+    console.error('Webhook deliveries error:', err);
+    res.status(500).json({ error: 'Failed to fetch deliveries' });
+  }
+});
+
+/**
+ * POST /api/admin/webhooks/deliveries/:deliveryId/redeliver
+ * Send a logged delivery again (as a new delivery with the same payload)
+ */
+router.post('/webhooks/deliveries/:deliveryId/redeliver', verifyAdmin, async (req, res) => {
+  try {
+    const delivery = await redeliver(req.params.deliveryId);
+
+    if (!delivery) {
+      return res.status(404).json({ error: 'Delivery not found' });
+    }
+
+    res.json({ success: delivery.status === 'delivered', delivery });
+  } catch (err) {
+    console.error('Redeliver webhook error:', err);
+    res.status(500).json({ error: 'Failed to redeliver' });
+  }
 });
 
 module.exports = router;
@@ -0,0 +1,100 @@
+const express = require('express');
+const router = express.Router();
+const { handleBotMessage } = require('../utils/chatBot');
+const { getBotTransport, getEnabledTransports, getMockOutbox, clearMockOutbox } = require('../utils/botTransports');
+
+/**
+ * GET /api/bot
+ * Which chat transports are configured
+ */
+router.get('/', (req, res) => {
+  res.json({ transports: getEnabledTransports() });
+});
+
+/**
+ * POST /api/bot/telegram
+ * Telegram webhook (register with setWebhook and secret_token = TELEGRAM_WEBHOOK_SECRET)
+ * Body: Telegram Update
+ */
+router.post('/telegram', async (req, res) => {
+  const transport = getBotTransport('telegram');
+
+  if (!transport.isEnabled() || !process.env.TELEGRAM_WEBHOOK_SECRET) {
+    return res.status(503).json({ error: 'Telegram bot is not configured' });
+  }
+
+  if (req.get('X-Telegram-Bot-Api-Secret-Token') !== process.env.TELEGRAM_WEBHOOK_SECRET) {
+    return res.status(403).json({ error: 'Invalid secret token' });
+  }
+
+  const message = transport.parseUpdate(req.body);
+
+  // Always acknowledge, otherwise Telegram keeps re-sending the update
+  if (!message) {
+    return res.json({ ok: true });
+  }
+
+  try {
+    const reply = await handleBotMessage({ transport: 'telegram', ...message });
+
+    if (reply) {
+      await transport.send(message.chatId, reply);
+    }
+  } catch (error) {
+    console.error('Telegram bot error:', error);
+  }
+
+  res.json({ ok: true });
+});
+
+/**
+ * POST /api/bot/mock
+ * Talk to the bot without a chat service (only with BOT_MOCK_TRANSPORT=true)
+ * Body: { chat_id, text }
+ */
+router.post('/mock', async (req, res) => {
+  const transport = getBotTransport('mock');
+
+  if (!transport.isEnabled()) {
+    return res.status(404).json({ error: 'Mock transport is disabled' });
+  }
+
+  const { chat_id: chatId = 'local', text } = req.body || {};
+
+  if (typeof text !== 'string' || text.trim() === '') {
+    return res.status(400).json({ error: 'text is required' });
+  }
+
+  try {
+    const reply = await handleBotMessage({ transport: 'mock', chatId: String(chatId), text });
+
+    if (reply) {
+      await transport.send(chatId, reply);
+    }
+
+    res.json({ reply });
+  } catch (error) {
+    console.error('Mock bot error:', error);
+    res.status(500).json({ error: 'Failed to handle message' });
+  }
+});
+
+/**
+ * GET /api/bot/mock/outbox
+ * Messages the mock transport sent, including scheduled posts; ?clear=1 empties it afterwards
+ */
+router.get('/mock/outbox', (req, res) => {
+  if (!getBotTransport('mock').isEnabled()) {
+    return res.status(404).json({ error: 'Mock transport is disabled' });
+  }
+
+  const messages = getMockOutbox();
+
+  if (req.query.clear === '1') {
+    clearMockOutbox();
+  }
+
+  res.json({ messages });
+});
+
+module.exports = router;
@@ -0,0 +1,192 @@
+const express = require('express');
+const router = express.Router();
+const { isMailEnabled } = require('../utils/mailer');
+const {
+  parseDigestLocations,
+  getDigestSubscription,
+  saveDigestSubscription,
+  removeDigestSubscription,
+  isSubscribedToken,
+  unsubscribeByToken,
+  previewDigest
+} = require('../utils/emailDigest');
+const { getBerlinDate } = require('../utils/mensaParser');
+
+function renderPage(title, body) {
+  return `<!DOCTYPE html>
+<html>
+  <head><meta charset="utf-8"><meta name="robots" content="noindex"><title>${title} - Pottkieker</title></head>
+  <body style="background:#1e1e1e;color:#e6e6e6;font-family:Menlo,Consolas,monospace;padding:32px;">
+${body}
+    <p><a href="/" style="color:#8be9fd;">[ BACK TO POTTKIEKER ]</a></p>
+  </body>
+</html>`;
+}
+
+function renderUnsubscribePage(removed) {
+  const message = removed
+    ? 'You will no longer receive the daily menu email.'
+    : 'This link is no longer valid. You may already be unsubscribed.';
+
+  return renderPage('Unsubscribed', `    <h1 style="color:#8be9fd;font-size:18px;">[ ${removed ? 'UNSUBSCRIBED' : 'NOTHING TO DO'} ]</h1>
+    <p>${message}</p>`);
+}
+
+// Mail scanners and link prefetchers open every link, so the link itself only asks
+function renderConfirmPage(token) {
+  return renderPage('Unsubscribe', `    <h1 style="color:#8be9fd;font-size:18px;">[ UNSUBSCRIBE ]</h1>
+    <p>Stop the daily menu email?</p>
+    <form method="post" action="/api/digest/unsubscribe?token=${encodeURIComponent(token)}">
+      <input type="hidden" name="confirm" value="page">
+      <button type="submit" style="background:#1e1e1e;color:#ff5555;border:1px solid #ff5555;padding:6px 12px;font-family:inherit;cursor:pointer;">[ UNSUBSCRIBE ]</button>
+    </form>`);
+}
+
+/**
+ * GET /api/digest
+ * The logged-in user's daily menu email subscription
+ * Requires authentication
+ */
+router.get('/', async (req, res) => {
+  if (!req.user) {
+    return res.status(401).json({ error: 'Authentication required' });
+  }
+
+  try {
+    const subscription = await getDigestSubscription(req.user.id);
+    res.json({ enabled: isMailEnabled(), subscribed: subscription !== null, subscription });
+  } catch (error) {
+    console.error('Digest fetch error:', error);
+    res.status(500).json({ error: 'Failed to load digest subscription' });
+  }
+});
+
+/**
+ * PUT /api/digest
+ * Subscribe to the daily menu email (sent at 10:30) at the account's email address
+ * Body: { locations?: ['studierendenhaus', ...] }
+ * Requires authentication
+ */
+router.put('/', async (req, res) => {
+  if (!req.user) {
+    return res.status(401).json({ error: 'Authentication required' });
+  }
+
+  if (!isMailEnabled()) {
+    return res.status(503).json({ error: 'Email is not configured' });
+  }
+
+  if (!req.user.email) {
+    return res.status(400).json({ error: 'Your account has no email address' });
+  }
+
+  const parsed = parseDigestLocations((req.body || {}).locations);
+
+  if (parsed.unknown.length > 0) {
+    return res.status(400).json({ error: `Unknown locations: ${parsed.unknown.join(', ')}` });
+  }
+
+  if (parsed.locations.length === 0) {
+    return res.status(400).json({ error: 'Pick at least one location' });
+  }
+
+  try {
+    const subscription = await saveDigestSubscription(req.user.id, req.user.email, parsed.locations);
+    res.json({ success: true, subscription });
+  } catch (error) {
+    console.error('Digest subscribe error:', error);
+    res.status(500).json({ error: 'Failed to save digest subscription' });
+  }
+});
+
+/**
+ * DELETE /api/digest
+ * Stop the daily menu email
+ * Requires authentication
+ */
+router.delete('/', async (req, res) => {
+  if (!req.user) {
+    return res.status(401).json({ error: 'Authentication required' });
+  }
+
+  try {
+    const removed = await removeDigestSubscription(req.user.id);
+    res.json({ success: true, removed });
+  } catch (error) {
+    console.error('Digest unsubscribe error:', error);
+    res.status(500).json({ error: 'Failed to remove digest subscription' });
+  }
+});
+
+/**
+ * GET /api/digest/preview?format=html|text
+ * Today's email as the logged-in subscriber would receive it
+ * Requires authentication
+ */
+router.get('/preview', async (req, res) => {
+  if (!req.user) {
+    return res.status(401).json({ error: 'Authentication required' });
+  }
+
+  const format = req.query.format || 'html';
+  if (format !== 'html' && format !== 'text') {
+    return res.status(400).json({ error: 'format must be html or text' });
+  }
+
+  try {
+    const digest = await previewDigest(req.user.id, getBerlinDate());
+
+    if (!digest) {
+      return res.status(404).json({ error: 'Not subscribed, or nothing on the menu today' });
+    }
+
+    res.type(format === 'html' ? 'html' : 'text').send(digest[format]);
+  } catch (error) {
+    console.error('Digest preview error:', error);
+    res.status(500).json({ error: 'Failed to render digest' });
+  }
+});
+
+/**
+ * GET /api/digest/unsubscribe?token=...
+ * Unsubscribe link from the email footer; only shows a confirmation form that POSTs below
+ */
+router.get('/unsubscribe', async (req, res) => {
+  try {
+    const valid = typeof req.query.token === 'string' && await isSubscribedToken(req.query.token);
+    res.set('Cache-Control', 'no-store');
+    res.type('html').send(valid ? renderConfirmPage(req.query.token) : renderUnsubscribePage(false));
+  } catch (error) {
+    console.error('Digest token unsubscribe error:', error);
+    res.status(500).type('html').send(renderUnsubscribePage(false));
+  }
+});
+
+/**
+ * POST /api/digest/unsubscribe?token=...
+ * RFC 8058 one-click unsubscribe used by mail clients (List-Unsubscribe-Post),
+ * and the confirmation form of GET /api/digest/unsubscribe (body: confirm=page)
+ */
+router.post('/unsubscribe', async (req, res) => {
+  const fromPage = (req.body || {}).confirm === 'page';
+
+  if (typeof req.query.token !== 'string') {
+    return fromPage
+      ? res.status(400).type('html').send(renderUnsubscribePage(false))
+      : res.status(400).json({ error: 'token is required' });
+  }
+
+  try {
+    const removed = await unsubscribeByToken(req.query.token);
+    return fromPage
+      ? res.type('html').send(renderUnsubscribePage(removed))
+      : res.json({ success: true, removed });
+  } catch (error) {
+    console.error('Digest token unsubscribe error:', error);
+    return fromPage
+      ? res.status(500).type('html').send(renderUnsubscribePage(false))
+      : res.status(500).json({ error: 'Failed to unsubscribe' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,130 @@
+const express = require('express');
+const router = express.Router();
+const { allAsync } = require('../dbAsync');
+const { getDishServings } = require('../utils/mealArchive');
+
+const BEST_PHOTOS_LIMIT = 6;
+
+function getDish(dishId) {
+  return allAsync('SELECT id, name_key, display_name, created_at FROM dishes WHERE id = ?', [dishId])
+    .then(rows => rows[0] || null);
+}
+
+// Live photos of servings that are still stored, plus the top photo kept for each archived serving
+function getBestPhotos(dishId) {
+  return allAsync(
+    `SELECT id, photo_path, author_name, caption, upload_date, mensa_location, vote_count
+     FROM (
+       SELECT
+         fp.id,
+         fp.photo_path,
+         fp.author_name,
+         fp.caption,
+         fp.upload_date,
+         m.mensa_location,
+         COUNT(pv.id) as vote_count,
+         fp.created_at as sort_date
+       FROM food_photos fp
+       JOIN meals m ON m.id = fp.meal_id
+       LEFT JOIN photo_votes pv ON pv.photo_id = fp.id
+       WHERE m.dish_id = ?
+       GROUP BY fp.id
+       UNION ALL
+       SELECT
+         a.top_photo_id,
+         a.top_photo_path,
+         a.top_photo_author,
+         a.top_photo_caption,
+         a.date,
+         a.mensa_location,
+         a.top_photo_likes,
+         a.date
+       FROM meal_archive a
+       WHERE a.dish_id = ?
+         AND a.top_photo_path IS NOT NULL
+         AND a.top_photo_path NOT IN (SELECT photo_path FROM food_photos)
+     )
+     ORDER BY vote_count DESC, sort_date DESC
+     LIMIT ?`,
+    [dishId, dishId, BEST_PHOTOS_LIMIT]
+  ).then(rows => rows.map(row => ({
+    id: row.id,
+    photo_url: `/uploads/${row.photo_path}`,
+    author_name: row.author_name,
+    caption: row.caption,
+    upload_date: row.upload_date,
+    mensa_location: row.mensa_location,
+    vote_count: Number(row.vote_count || 0)
+  })));
+}
+
+function summarizeServings(servings) {
+  const totals = servings.reduce((sum, serving) => ({
+    upvotes: sum.upvotes + serving.upvotes,
+    downvotes: sum.downvotes + serving.downvotes,
+    big_portions: sum.big_portions + serving.big_portions,
+    small_portions: sum.small_portions + serving.small_portions
+  }), { upvotes: 0, downvotes: 0, big_portions: 0, small_portions: 0 });
+
+  const portionVotes = totals.big_portions + totals.small_portions;
+
+  return {
+    ...totals,
+    times_served: servings.length,
+    locations: [...new Set(servings.map(serving => serving.mensa_location))],
+    first_served: servings.length > 0 ? servings[0].date : null,
+    last_served: servings.length > 0 ? servings[servings.length - 1].date : null,
+    big_portion_ratio: portionVotes > 0 ? totals.big_portions / portionVotes : null
+  };
+}
+
+/**
+ * GET /api/dishes/:id
+ * Lifetime history of one canonical dish: every serving with its price and
+ * vote/portion totals, overall summary and the best-voted photos
+ */
+router.get('/:id', async (req, res) => {
+  const dishId = Number.parseInt(req.params.id, 10);
+
+  if (!Number.isInteger(dishId) || dishId <= 0) {
+    return res.status(400).json({ error: 'Invalid dish ID' });
+  }
+
+  try {
+    const dish = await getDish(dishId);
+    if (!dish) {
+      return res.status(404).json({ error: 'Dish not found' });
+    }
+
+    const [servings, photos] = await Promise.all([
+      getDishServings(dishId),
+      getBestPhotos(dishId)
+    ]);
+
+    res.json({
+      dish,
+      summary: summarizeServings(servings),
+      servings: servings.map(serving => ({
+        meal_id: serving.id,
+        date: serving.date,
+        mensa_location: serving.mensa_location,
+        name: serving.name,
+        category: serving.category,
+        price_student: serving.price_student,
+        price_employee: serving.price_employee,
+        upvotes: serving.upvotes,
+        downvotes: serving.downvotes,
+        big_portions: serving.big_portions,
+        small_portions: serving.small_portions,
+        comment_count: serving.comment_count,
+        photo_count: serving.photos.count
+      })),
+      photos
+    });
+  } catch (error) {
+    console.error('Error fetching dish:', error);
+    res.status(500).json({ error: 'Failed to fetch dish' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,179 @@
+const express = require('express');
+const path = require('path');
+const router = express.Router();
+const { getBerlinDate, getFeedStatus, formatPrice } = require('../utils/mensaParser');
+const { loadMealsForDate, getClosedMessage } = require('../utils/menuLoader');
+const { filterMeals } = require('../utils/dietaryFilter');
+const { dietaryFiltersMiddleware } = require('../middleware/dietaryFilters');
+const { getLocation, isKnownLocation, getDefaultLocationId } = require('../utils/locationRegistry');
+const { escapeHtml } = require('../utils/escapeHtml');
+
+const FRONTEND_DIR = path.join(__dirname, '../../frontend');
+const EMBED_THEMES = ['dark', 'light', 'auto'];
+// The menu rarely changes within minutes; embeds on busy faculty pages should mostly hit caches
+const MENU_CACHE_CONTROL = 'public, max-age=300, stale-while-revalidate=600';
+const ASSET_CACHE_CONTROL = 'public, max-age=86400';
+const EMBED_CSP = [
+  "default-src 'none'",
+  "style-src 'self'",
+  "script-src 'self'",
+  "base-uri 'none'",
+  "form-action 'none'",
+  'frame-ancestors *'
+].join('; ');
+const WEEKDAYS = ['So', 'Mo', 'Di', 'Mi', 'Do', 'Fr', 'Sa'];
+
+// Files the widget needs, served here so they can carry cross-origin headers
+const EMBED_ASSETS = {
+  'widget.js': 'widget.js',
+  'frame.js': 'embed-frame.js',
+  'embed.css': 'embed.css'
+};
+
+// Any site may frame or load the embed; it never needs the ownership cookie
+router.use((req, res, next) => {
+  res.removeHeader('X-Frame-Options');
+  res.removeHeader('Set-Cookie');
+  res.set('Cross-Origin-Resource-Policy', 'cross-origin');
+  next();
+});
+
+function formatDate(date) {
+  const [year, month, day] = date.split('-').map(Number);
+  const weekday = WEEKDAYS[new Date(Date.UTC(year, month - 1, day)).getUTCDay()];
+  return `${weekday} ${String(day).padStart(2, '0')}.${String(month).padStart(2, '0')}.`;
+}
+
+function renderVotes(meal) {
+  const net = meal.upvotes - meal.downvotes;
+
+  if (meal.upvotes + meal.downvotes === 0) {
+    return '';
+  }
+
+  const className = net > 0 ? 'pk-votes pk-votes-up' : net < 0 ? 'pk-votes pk-votes-down' : 'pk-votes';
+  const label = net > 0 ? `+${net}` : net < 0 ? `−${Math.abs(net)}` : '±0';
+  return `<span class="${className}" title="${meal.upvotes} up, ${meal.downvotes} down">${label}</span>`;
+}
+
+function renderMeal(meal) {
+  const price = formatPrice(meal.price_student);
+  const tags = meal.notes ? meal.notes.split(',').map(tag => tag.trim()).filter(Boolean) : [];
+  const votes = renderVotes(meal);
+
+  return `
+      <li class="pk-meal">
+        <div class="pk-meal-main"><span class="pk-name">${escapeHtml(meal.name)}</span>${price ? `<span class="pk-price">${escapeHtml(price)}</span>` : ''}</div>
+        ${tags.length > 0 || votes ? `<div class="pk-meta">${tags.map(tag => `<span class="pk-tag">${escapeHtml(tag)}</span>`).join('')}${votes}</div>` : ''}
+      </li>`;
+}
+
+function renderMeals(meals) {
+  const categories = [...new Set(meals.map(meal => meal.category || 'Sonstiges'))];
+
+  return categories.map(category => `
+    <h2 class="pk-category">${escapeHtml(category)}</h2>
+    <ul class="pk-meals">${meals.filter(meal => (meal.category || 'Sonstiges') === category).map(renderMeal).join('')}
+    </ul>`).join('');
+}
+
+/**
+ * @param {Object} view
+ * @param {string} view.location - Location ID
+ * @param {string} view.theme - One of EMBED_THEMES
+ * @param {string} view.date - Date in YYYY-MM-DD format
+ * @param {Array} view.meals - Meals as returned by GET /api/meals/today
+ * @param {string|null} view.notice - Closed message or other note shown instead of / above the meals
+ * @returns {string} HTML document
+ */
+function renderEmbed({ location, theme, date, meals, notice }) {
+  const name = getLocation(location)?.name || location;
+  // Relative URLs resolve against the iframe's own origin. The request's Host header is
+  // client-controlled and this page is publicly cacheable, so it must never end up here.
+  const siteUrl = `/?location=${encodeURIComponent(location)}&date=${date}`;
+
+  return `<!DOCTYPE html>
+<html lang="de" class="theme-${theme}">
+<head>
+  <meta charset="utf-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1">
+  <meta name="robots" content="noindex">
+  <title>${escapeHtml(name)} – today at the Mensa</title>
+  <link rel="stylesheet" href="/embed/embed.css">
+</head>
+<body>
+  <main class="pk-menu">
+    <header class="pk-header">
+      <a href="${escapeHtml(siteUrl)}" target="_blank" rel="noopener">${escapeHtml(name)}</a>
+      <span class="pk-date">${formatDate(date)}</span>
+    </header>
+    ${notice ? `<p class="pk-notice">${escapeHtml(notice)}</p>` : ''}
+    ${renderMeals(meals)}
+    <footer class="pk-footer"><a href="${escapeHtml(siteUrl)}" target="_blank" rel="noopener">rate it on pottkieker.life</a></footer>
+  </main>
+  <script src="/embed/frame.js"></script>
+</body>
+</html>
+`;
+}
+
+/**
+ * GET /embed/menu
+ * Today's menu as a standalone HTML page for iframes (see /embed/widget.js)
+ * Optional query params: ?location=philturm&theme=dark|light|auto&include=Vegan&exclude=gluten
+ */
+router.get('/menu', dietaryFiltersMiddleware, async (req, res) => {
+  const location = req.query.location || getDefaultLocationId();
+  const theme = req.query.theme || 'dark';
+
+  if (!isKnownLocation(location)) {
+    return res.status(400).type('text/plain').send('Unknown location');
+  }
+
+  if (!EMBED_THEMES.includes(theme)) {
+    return res.status(400).type('text/plain').send(`Invalid theme. Use one of: ${EMBED_THEMES.join(', ')}`);
+  }
+
+  const today = getBerlinDate();
+
+  try {
+    const closed = await getClosedMessage([location], today, today);
+    let date = today;
+    let meals = [];
+    let notice = closed ? closed.message : null;
+
+    if (!closed) {
+      const loaded = await loadMealsForDate([location], location, today);
+      date = loaded.date;
+      meals = filterMeals(loaded.meals, req.dietaryFilters);
+
+      if (meals.length === 0) {
+        notice = loaded.meals.length > 0 ? 'No meals match the selected filters today.' : 'No menu published yet.';
+      } else if (getFeedStatus(location).stale) {
+        notice = 'The Mensa feed is unreachable, this menu may be outdated.';
+      }
+    }
+
+    res.set('Content-Security-Policy', EMBED_CSP);
+    res.set('Cache-Control', MENU_CACHE_CONTROL);
+    res.type('html').send(renderEmbed({ location, theme, date, meals, notice }));
+  } catch (error) {
+    console.error('Embed menu error:', error);
+    res.status(500).type('text/plain').send('Failed to load the menu');
+  }
+});
+
+/**
+ * GET /embed/widget.js, /embed/frame.js, /embed/embed.css
+ * Loader script and the iframe's own assets
+ */
+router.get('/:asset', (req, res, next) => {
+  if (!Object.prototype.hasOwnProperty.call(EMBED_ASSETS, req.params.asset)) {
+    return next();
+  }
+
+  res.set('Cache-Control', ASSET_CACHE_CONTROL);
+  res.sendFile(path.join(FRONTEND_DIR, EMBED_ASSETS[req.params.asset]));
+});
+
+module.exports = router;
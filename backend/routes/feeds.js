@@ -0,0 +1,182 @@
+const express = require('express');
+const router = express.Router();
+const db = require('../database');
+const { getBerlinDate, addDays, formatPrice } = require('../utils/mensaParser');
+const { queryMealsWithStats, getStoredDatesFrom } = require('../utils/mealQueries');
+const { filterMeals, mealPassesFilters } = require('../utils/dietaryFilter');
+const { decodeAllergens } = require('../utils/allergenCodes');
+const { dietaryFiltersMiddleware } = require('../middleware/dietaryFilters');
+const { getLocation, isKnownLocation, getLocationIds } = require('../utils/locationRegistry');
+const { escapeXml, toAtomDate, buildAtomFeed } = require('../utils/atomFeed');
+const { getPublicUrl } = require('../utils/publicUrl');
+
+// Past days kept in the menu feed, on top of the upcoming days already published
+const MENU_FEED_PAST_DAYS = 14;
+const PHOTO_FEED_LIMIT = 50;
+const FEED_ID_PREFIX = 'tag:pottkieker.life,2025';
+
+/**
+ * Read ?location= (or the photo API's ?mensa=) the way the API does: a location ID or "all"
+ * @returns {string|null} Null for an unknown location
+ */
+function readLocation(req) {
+  const location = req.query.location || req.query.mensa || 'all';
+  return location === 'all' || isKnownLocation(location) ? location : null;
+}
+
+function getLocationName(location) {
+  return location === 'all' ? 'all Mensas' : (getLocation(location)?.name || location);
+}
+
+function sendAtom(res, xml) {
+  res.set('Content-Type', 'application/atom+xml; charset=utf-8');
+  res.send(xml);
+}
+
+function renderMealsHtml(meals) {
+  return `<ul>${meals.map((meal) => {
+    const price = formatPrice(meal.price_student);
+    const tags = meal.notes ? meal.notes.split(',').map(tag => tag.trim()).filter(Boolean) : [];
+    return `<li>${escapeXml(meal.name)}${price ? ` (${escapeXml(price)})` : ''}${tags.length > 0 ? ` [${escapeXml(tags.join(', '))}]` : ''}</li>`;
+  }).join('')}</ul>`;
+}
+
+/**
+ * GET /feeds/menu.atom
+ * One entry per day's menu: the last two weeks and every upcoming day already published
+ * Optional query params: ?location=philturm|all&include=Vegan&exclude=gluten
+ */
+router.get('/menu.atom', dietaryFiltersMiddleware, async (req, res) => {
+  const location = readLocation(req);
+
+  if (!location) {
+    return res.status(400).json({ error: 'Unknown location' });
+  }
+
+  try {
+    const today = getBerlinDate();
+    const dates = await getStoredDatesFrom(addDays(today, -MENU_FEED_PAST_DAYS), location);
+    const meals = filterMeals(await queryMealsWithStats({ dates, location }), req.dietaryFilters);
+    const locationKeys = location === 'all' ? getLocationIds() : [location];
+    const baseUrl = getPublicUrl();
+
+    const entries = dates.slice().reverse().map((date) => {
+      const dayMeals = meals.filter(meal => meal.date === date);
+
+      if (dayMeals.length === 0) {
+        return null;
+      }
+
+      const sections = locationKeys
+        .map(key => ({ key, meals: dayMeals.filter(meal => meal.mensa_location === key) }))
+        .filter(section => section.meals.length > 0);
+      const contentHtml = location === 'all'
+        ? sections.map(section => `<h3>${escapeXml(getLocationName(section.key))}</h3>${renderMealsHtml(section.meals)}`).join('')
+        : renderMealsHtml(dayMeals);
+      const firstStored = dayMeals.reduce((earliest, meal) => (meal.created_at < earliest ? meal.created_at : earliest), dayMeals[0].created_at);
+      const lastStored = dayMeals.reduce((latest, meal) => (meal.created_at > latest ? meal.created_at : latest), dayMeals[0].created_at);
+
+      return {
+        id: `${FEED_ID_PREFIX}:menu/${location}/${date}`,
+        title: `Menu for ${date} (${getLocationName(location)})`,
+        updated: toAtomDate(lastStored),
+        published: toAtomDate(firstStored),
+        link: `${baseUrl}/?location=${encodeURIComponent(location)}&date=${date}`,
+        summary: dayMeals.map(meal => meal.name).join(', '),
+        contentHtml
+      };
+    }).filter(Boolean);
+
+    sendAtom(res, buildAtomFeed({
+      id: `${FEED_ID_PREFIX}:menu/${location}`,
+      title: `Pottkieker menu - ${getLocationName(location)}`,
+      subtitle: 'Daily Mensa menus at Universität Hamburg',
+      selfUrl: `${baseUrl}${req.originalUrl}`,
+      siteUrl: `${baseUrl}/?location=${encodeURIComponent(location)}`,
+      entries
+    }));
+  } catch (error) {
+    console.error('Menu feed error:', error);
+    res.status(500).json({ error: 'Failed to build menu feed' });
+  }
+});
+
+/**
+ * GET /feeds/photos.atom
+ * The newest photo uploads with meal name, author and caption
+ * Optional query params: ?location=philturm|all (or ?mensa= like /api/photos)&include=...&exclude=...
+ */
+router.get('/photos.atom', dietaryFiltersMiddleware, (req, res) => {
+  const location = readLocation(req);
+
+  if (!location) {
+    return res.status(400).json({ error: 'Unknown location' });
+  }
+
+  const params = [];
+  let locationFilter = '';
+
+  if (location !== 'all') {
+    locationFilter = 'WHERE m.mensa_location = ?';
+    params.push(location);
+  }
+
+  // Fetch extra rows so dietary filtering still leaves a full page
+  params.push(PHOTO_FEED_LIMIT * 4);
+
+  db.all(
+    `SELECT fp.id, fp.photo_path, fp.author_name, fp.caption, fp.created_at,
+            m.name AS meal_name, m.mensa_location, m.date, m.notes AS meal_notes, m.allergens AS meal_allergens
+       FROM food_photos fp
+       INNER JOIN meals m ON fp.meal_id = m.id
+       ${locationFilter}
+      ORDER BY fp.created_at DESC, fp.id DESC
+      LIMIT ?`,
+    params,
+    (err, rows) => {
+      if (err) {
+        console.error('Photo feed error:', err);
+        return res.status(500).json({ error: 'Failed to build photo feed' });
+      }
+
+      const baseUrl = getPublicUrl();
+      const photos = (rows || [])
+        .filter(row => mealPassesFilters(
+          { notes: row.meal_notes, allergens: decodeAllergens(row.meal_allergens) },
+          req.dietaryFilters
+        ))
+        .slice(0, PHOTO_FEED_LIMIT);
+
+      const entries = photos.map((photo) => {
+        const photoUrl = `${baseUrl}/uploads/${photo.photo_path}`;
+        const where = `${getLocationName(photo.mensa_location)}, ${photo.date}`;
+
+        return {
+          id: `${FEED_ID_PREFIX}:photo/${photo.id}`,
+          title: `${photo.meal_name} by ${photo.author_name}`,
+          updated: toAtomDate(photo.created_at),
+          published: toAtomDate(photo.created_at),
+          link: `${baseUrl}/feed.html`,
+          author: photo.author_name,
+          summary: photo.caption || where,
+          contentHtml: [
+            `<p><img src="${escapeXml(photoUrl)}" alt="${escapeXml(photo.meal_name)}"/></p>`,
+            photo.caption ? `<p>${escapeXml(photo.caption)}</p>` : '',
+            `<p>${escapeXml(photo.meal_name)} · ${escapeXml(where)}</p>`
+          ].join('')
+        };
+      });
+
+      sendAtom(res, buildAtomFeed({
+        id: `${FEED_ID_PREFIX}:photos/${location}`,
+        title: `Pottkieker photos - ${getLocationName(location)}`,
+        subtitle: 'Lunch photos shared on pottkieker.life',
+        selfUrl: `${baseUrl}${req.originalUrl}`,
+        siteUrl: `${baseUrl}/feed.html`,
+        entries
+      }));
+    }
+  );
+});
+
+module.exports = router;
@@ -1,191 +1,452 @@
 const express = require('express');
 const router = express.Router();
-const db = require('../database');
 const {
-  getTodaysMeals,
-  MENSA_LOCATIONS,
-  simplifyNotes,
-  fetchOpeningTimes,
   getBerlinDate,
-  isBerlinWeekend
+  getFeedStatus,
+  isValidDateString,
+  addDays,
+  formatPrice
 } = require('../utils/mensaParser');
-const { upsertMeals } = require('../utils/mealStorage');
+const {
+  getLocationKeys,
+  loadMealsForDate,
+  loadUpcomingMeals,
+  getClosedMessage
+} = require('../utils/menuLoader');
+const { getMealHistory } = require('../utils/mealArchive');
+const { getMenuChanges } = require('../utils/menuChanges');
+const { sortByScore } = require('../utils/ranking');
+const { sortByValue } = require('../utils/valueScore');
+const { recommendMeals } = require('../utils/recommendations');
+const { getPublicUrl } = require('../utils/publicUrl');
+const { buildCalendar } = require('../utils/icalendar');
+const {
+  getLocationSchedule,
+  getDayStatus,
+  getOpeningHours,
+  fetchOpeningTimes
+} = require('../utils/openingHours');
+const { ALLERGENS, ADDITIVES } = require('../utils/allergenCodes');
+const { filterMeals, describeFilters, getDietaryOptions } = require('../utils/dietaryFilter');
+const { dietaryFiltersMiddleware } = require('../middleware/dietaryFilters');
+const {
+  getLocation,
+  isKnownLocation,
+  getDefaultLocationId,
+  getPublicLocations
+} = require('../utils/locationRegistry');
+
+const HISTORY_DEFAULT_DAYS = 7;
+const HISTORY_MAX_DAYS = 92;
+
+// Server-side orderings for ?sort=; without it meals keep the feed order
+const MEAL_SORTS = {
+  score: sortByScore,
+  value: sortByValue
+};
+
+function resolveLocation(location) {
+  if (location === 'all') {
+    return 'all';
+  }
+
+  return location && isKnownLocation(location) ? location : getDefaultLocationId();
+}
+
+function isValidSort(sort) {
+  return sort === undefined || Object.prototype.hasOwnProperty.call(MEAL_SORTS, sort);
+}
+
+function sortMealList(meals, sort) {
+  return sort ? MEAL_SORTS[sort](meals) : meals;
+}
+
+function applyDietaryFilters(meals, filters) {
+  const visible = filterMeals(meals, filters);
+  return { meals: visible, hidden: meals.length - visible.length };
+}
+
+function isAnyFeedStale(locationKeys) {
+  return locationKeys.some(location => getFeedStatus(location).stale);
+}
 
 /**
  * GET /api/meals/today
  * Get today's meals with vote counts
- * Optional query param: ?location=studierendenhaus
+ * Optional query params: ?location=studierendenhaus&date=YYYY-MM-DD&sort=score|value
  */
-router.get('/today', async (req, res) => {
-  const { location } = req.query;
-  const locationKeys = Object.keys(MENSA_LOCATIONS);
-  const isAllLocations = location === 'all';
+router.get('/today', dietaryFiltersMiddleware, async (req, res) => {
+  const { location, date, sort } = req.query;
   const today = getBerlinDate();
-  const resolvedLocation = isAllLocations
-    ? 'all'
-    : (location && MENSA_LOCATIONS[location] ? location : 'studierendenhaus');
+  const resolvedLocation = resolveLocation(location);
+
+  if (date !== undefined && !isValidDateString(date)) {
+    return res.status(400).json({ error: 'Invalid date. Use YYYY-MM-DD' });
+  }
+
+  if (!isValidSort(sort)) {
+    return res.status(400).json({ error: `Invalid sort. Use one of: ${Object.keys(MEAL_SORTS).join(', ')}` });
+  }
+
+  const targetDate = date || today;
 
-  if (isBerlinWeekend()) {
-    return res.json({
-      meals: [],
+  try {
+    const locationKeys = getLocationKeys(resolvedLocation);
+    const closed = await getClosedMessage(locationKeys, targetDate, today);
+
+    if (closed) {
+      return res.json({
+        meals: [],
+        location: resolvedLocation,
+        date: targetDate,
+        message: closed.message,
+        closed: true,
+        closures: closed.closures
+      });
+    }
+
+    const loaded = await loadMealsForDate(locationKeys, resolvedLocation, targetDate);
+    const filtered = applyDietaryFilters(loaded.meals, req.dietaryFilters);
+
+    res.json({
+      meals: sortMealList(filtered.meals, sort),
       location: resolvedLocation,
-      date: today,
-      message: 'Enjoy your weekend :)'
+      date: loaded.date,
+      stale: isAnyFeedStale(locationKeys),
+      filters: describeFilters(req.dietaryFilters, filtered.hidden)
     });
+  } catch (error) {
+    console.error('Error fetching meals:', error);
+    res.status(500).json({ error: 'Failed to fetch meals from Mensa' });
+  }
+});
+
+/**
+ * GET /api/meals/recommended
+ * Today's meals ranked for the logged-in user from their voting history
+ * Optional query params: ?location=studierendenhaus&date=YYYY-MM-DD&limit=3
+ */
+router.get('/recommended', dietaryFiltersMiddleware, async (req, res) => {
+  if (!req.user) {
+    return res.status(401).json({ error: 'Authentication required' });
+  }
+
+  const { location, date, limit } = req.query;
+  const today = getBerlinDate();
+  const resolvedLocation = resolveLocation(location);
+  const maxResults = limit === undefined ? null : Number(limit);
+
+  if (date !== undefined && !isValidDateString(date)) {
+    return res.status(400).json({ error: 'Invalid date. Use YYYY-MM-DD' });
   }
 
+  if (maxResults !== null && (!Number.isInteger(maxResults) || maxResults < 1)) {
+    return res.status(400).json({ error: 'Invalid limit. Use a positive whole number' });
+  }
+
+  const targetDate = date || today;
+
   try {
-    // Fetch fresh meal data from Mensa source
-    let meals;
-    if (isAllLocations) {
-      meals = [];
-      for (const loc of locationKeys) {
-        const locationMeals = await getTodaysMeals(loc);
-        meals.push(...locationMeals);
-      }
-    } else {
-      meals = await getTodaysMeals(resolvedLocation);
-    }
+    const locationKeys = getLocationKeys(resolvedLocation);
+    const closed = await getClosedMessage(locationKeys, targetDate, today);
 
-    if (meals.length > 0) {
-      await upsertMeals(meals);
+    if (closed) {
+      return res.json({ meals: [], location: resolvedLocation, date: targetDate, based_on: 0, closed: true });
     }
 
-    // Get meals with vote counts from database (use actual meal date, not today)
-    const distinctDates = [...new Set(meals.map(meal => meal.date))].filter(Boolean);
-    const fallbackDates = distinctDates.length > 0 ? distinctDates : [today];
-    const datePlaceholders = fallbackDates
-      .map(() => '?')
-      .join(', ');
+    const loaded = await loadMealsForDate(locationKeys, resolvedLocation, targetDate);
+    const filtered = applyDietaryFilters(loaded.meals, req.dietaryFilters);
+    const recommended = await recommendMeals(req.user.id, filtered.meals);
 
-    const params = [...fallbackDates];
+    res.json({
+      meals: maxResults ? recommended.meals.slice(0, maxResults) : recommended.meals,
+      location: resolvedLocation,
+      date: loaded.date,
+      based_on: recommended.based_on,
+      filters: describeFilters(req.dietaryFilters, filtered.hidden)
+    });
+  } catch (error) {
+    console.error('Error recommending meals:', error);
+    res.status(500).json({ error: 'Failed to recommend meals' });
+  }
+});
 
-    let locationFilter = '';
-    if (!isAllLocations && resolvedLocation !== 'all') {
-      locationFilter = 'AND mensa_location = ?';
-      params.push(resolvedLocation);
-    }
+/**
+ * GET /api/meals/week
+ * Get every upcoming day in the feed (today onwards) with vote counts
+ * Optional query params: ?location=studierendenhaus&sort=score|value
+ */
+router.get('/week', dietaryFiltersMiddleware, async (req, res) => {
+  const { sort } = req.query;
+  const resolvedLocation = resolveLocation(req.query.location);
+  const today = getBerlinDate();
+
+  if (!isValidSort(sort)) {
+    return res.status(400).json({ error: `Invalid sort. Use one of: ${Object.keys(MEAL_SORTS).join(', ')}` });
+  }
+
+  try {
+    const locationKeys = getLocationKeys(resolvedLocation);
+    const { dates, meals: storedMeals } = await loadUpcomingMeals(locationKeys, resolvedLocation, today);
+    const filtered = applyDietaryFilters(storedMeals, req.dietaryFilters);
 
-    const query = `
-      SELECT
-        m.*,
-        COALESCE(v.upvotes, 0) as upvotes,
-        COALESCE(v.downvotes, 0) as downvotes,
-        COALESCE(p.big_portions, 0) as big_portions,
-        COALESCE(p.small_portions, 0) as small_portions,
-        COALESCE(c.comment_count, 0) as comment_count,
-        COALESCE(ph.photo_count, 0) as photo_count,
-        ph.photo_thumbnails
-      FROM meals m
-      LEFT JOIN (
-        SELECT
-          meal_id,
-          SUM(CASE WHEN vote_type = 'up' THEN 1 ELSE 0 END) as upvotes,
-          SUM(CASE WHEN vote_type = 'down' THEN 1 ELSE 0 END) as downvotes
-        FROM votes
-        GROUP BY meal_id
-      ) v ON m.id = v.meal_id
-      LEFT JOIN (
-        SELECT
-          meal_id,
-          SUM(CASE WHEN portion_size = 'big' THEN 1 ELSE 0 END) as big_portions,
-          SUM(CASE WHEN portion_size = 'small' THEN 1 ELSE 0 END) as small_portions
-        FROM portion_votes
-        GROUP BY meal_id
-      ) p ON m.id = p.meal_id
-      LEFT JOIN (
-        SELECT
-          meal_id,
-          COUNT(*) as comment_count
-        FROM comments
-        GROUP BY meal_id
-      ) c ON m.id = c.meal_id
-      LEFT JOIN (
-        SELECT
-          meal_id,
-          COUNT(*) as photo_count,
-          GROUP_CONCAT(photo_path, '||') as photo_thumbnails
-        FROM (
-          SELECT
-            fp.meal_id,
-            fp.photo_path,
-            ROW_NUMBER() OVER (PARTITION BY fp.meal_id ORDER BY fp.created_at DESC) as rn
-          FROM food_photos fp
-          WHERE DATE(fp.upload_date) = DATE('now')
-        ) ranked
-        WHERE rn <= 3
-        GROUP BY meal_id
-      ) ph ON m.id = ph.meal_id
-      WHERE m.date IN (${datePlaceholders}) ${locationFilter}
-      ORDER BY m.mensa_location, m.category, m.name
-    `;
-
-    db.all(
-      query,
-      params,
-      (err, rows) => {
-        if (err) {
-          console.error('Database error:', err);
-          return res.status(500).json({ error: 'Failed to fetch meals' });
-        }
-
-        const normalizedMeals = (rows || []).map(row => {
-          const normalizedString = row.notes ? String(row.notes).replace(/[|·]/g, ',') : '';
-          const rawNotes = normalizedString
-            ? normalizedString.split(/\s*,\s*/).map(part => part.trim()).filter(Boolean)
-            : [];
-          const filteredNotes = simplifyNotes(rawNotes);
-
-          // Parse photo thumbnails
-          const photoCount = Number(row.photo_count || 0);
-          const photoThumbnails = row.photo_thumbnails
-            ? row.photo_thumbnails.split('||').map(path => `/uploads/${path}`)
-            : [];
-
-          return {
-            ...row,
-            notes: filteredNotes.length > 0 ? filteredNotes.join(', ') : '',
-            upvotes: Number(row.upvotes || 0),
-            downvotes: Number(row.downvotes || 0),
-            big_portions: Number(row.big_portions || 0),
-            small_portions: Number(row.small_portions || 0),
-            comment_count: Number(row.comment_count || 0),
-            photos: {
-              count: photoCount,
-              thumbnails: photoThumbnails
-            }
-          };
-        });
-
-        res.json({
-          meals: normalizedMeals,
-          location: resolvedLocation,
-          date: fallbackDates[0] || today
-        });
-      }
-    );
+    const days = dates.map(date => ({
+      date,
+      meals: sortMealList(filtered.meals.filter(meal => meal.date === date), sort)
+    }));
+
+    res.json({
+      days,
+      location: resolvedLocation,
+      from: today,
+      stale: isAnyFeedStale(locationKeys),
+      filters: describeFilters(req.dietaryFilters, filtered.hidden)
+    });
   } catch (error) {
-    console.error('Error fetching meals:', error);
+    console.error('Error fetching weekly meals:', error);
     res.status(500).json({ error: 'Failed to fetch meals from Mensa' });
   }
 });
 
+// Calendar apps only keep the URL, so `tags` is a shorter spelling of `include`
+function tagsAsInclude(req, res, next) {
+  if (req.query.tags !== undefined && req.query.include === undefined) {
+    req.query.include = req.query.tags;
+  }
+  next();
+}
+
+function describeCalendarMeal(meal) {
+  const price = formatPrice(meal.price_student);
+  const tags = meal.notes ? meal.notes.split(',').map(tag => tag.trim()).filter(Boolean) : [];
+
+  return [
+    `- ${meal.name}`,
+    price ? ` (${price})` : '',
+    tags.length > 0 ? ` [${tags.join(', ')}]` : ''
+  ].join('');
+}
+
+/**
+ * One event per open day and location: timed over the opening hours when the
+ * meta document lists them, all-day otherwise
+ */
+function buildMenuEvents({ dates, meals, schedules, openingTimes }) {
+  return dates.flatMap(date => schedules.map((schedule, index) => {
+    const location = schedule.location;
+    const dayMeals = meals.filter(meal => meal.date === date && meal.mensa_location === location);
+    const status = getDayStatus(schedule, date);
+
+    if (dayMeals.length === 0 || !status.open) {
+      return null;
+    }
+
+    const name = getLocation(location)?.name || location;
+    const url = `${getPublicUrl()}/?location=${encodeURIComponent(location)}&date=${date}`;
+    const ranges = status.ranges;
+
+    return {
+      uid: `${date}-${location}@pottkieker.life`,
+      date,
+      start: ranges.length > 0 ? ranges[0].open : undefined,
+      end: ranges.length > 0 ? ranges[ranges.length - 1].close : undefined,
+      summary: `Mensa ${name}`,
+      description: [
+        ...dayMeals.map(describeCalendarMeal),
+        '',
+        ...(openingTimes[index] ? [openingTimes[index]] : []),
+        url
+      ].join('\n'),
+      location: name,
+      url
+    };
+  })).filter(Boolean);
+}
+
+/**
+ * GET /api/meals/calendar.ics
+ * The stored week's menu as an iCalendar feed to subscribe to
+ * Optional query params: ?location=philturm|all&tags=Vegan (or include/exclude like /week)
+ */
+router.get('/calendar.ics', tagsAsInclude, dietaryFiltersMiddleware, async (req, res) => {
+  const resolvedLocation = resolveLocation(req.query.location);
+  const today = getBerlinDate();
+
+  try {
+    const locationKeys = getLocationKeys(resolvedLocation);
+    const [{ dates, meals }, schedules, openingTimes] = await Promise.all([
+      loadUpcomingMeals(locationKeys, resolvedLocation, today),
+      Promise.all(locationKeys.map(getLocationSchedule)),
+      Promise.all(locationKeys.map(location => fetchOpeningTimes(location).catch(() => '')))
+    ]);
+
+    const visibleMeals = filterMeals(meals, req.dietaryFilters);
+    const filterLabel = req.dietaryFilters.include.length > 0 ? ` (${req.dietaryFilters.include.join(', ')})` : '';
+    const calendarName = resolvedLocation === 'all'
+      ? 'Pottkieker - all Mensas'
+      : `Pottkieker - ${getLocation(resolvedLocation)?.name || resolvedLocation}`;
+
+    const calendar = buildCalendar({
+      name: `${calendarName}${filterLabel}`,
+      description: openingTimes.filter(Boolean).join('\n'),
+      events: buildMenuEvents({
+        dates,
+        meals: visibleMeals,
+        schedules,
+        openingTimes
+      })
+    });
+
+    res.set('Content-Type', 'text/calendar; charset=utf-8');
+    res.set('Content-Disposition', `inline; filename="mensa-${resolvedLocation}.ics"`);
+    res.send(calendar);
+  } catch (error) {
+    console.error('Error building menu calendar:', error);
+    res.status(500).json({ error: 'Failed to build menu calendar' });
+  }
+});
+
+/**
+ * GET /api/meals/history
+ * Get archived meals with their vote, portion, comment and photo totals
+ * Optional query params: ?location=philturm&from=YYYY-MM-DD&to=YYYY-MM-DD&sort=score|value
+ * Defaults to the last 7 days up to today
+ */
+router.get('/history', dietaryFiltersMiddleware, async (req, res) => {
+  const { from, to, sort } = req.query;
+  const today = getBerlinDate();
+  const resolvedLocation = resolveLocation(req.query.location || 'all');
+
+  if ((from !== undefined && !isValidDateString(from)) || (to !== undefined && !isValidDateString(to))) {
+    return res.status(400).json({ error: 'Invalid date. Use YYYY-MM-DD' });
+  }
+
+  const rangeEnd = to || today;
+  const rangeStart = from || addDays(rangeEnd, -(HISTORY_DEFAULT_DAYS - 1));
+
+  if (!isValidSort(sort)) {
+    return res.status(400).json({ error: `Invalid sort. Use one of: ${Object.keys(MEAL_SORTS).join(', ')}` });
+  }
+
+  if (rangeStart > rangeEnd) {
+    return res.status(400).json({ error: '"from" must not be after "to"' });
+  }
+
+  if (addDays(rangeStart, HISTORY_MAX_DAYS) <= rangeEnd) {
+    return res.status(400).json({ error: `Date range too long (max ${HISTORY_MAX_DAYS} days)` });
+  }
+
+  try {
+    const days = await getMealHistory({
+      from: rangeStart,
+      to: rangeEnd,
+      today,
+      location: resolvedLocation
+    });
+
+    let hidden = 0;
+    const filteredDays = days.map(day => {
+      const filtered = applyDietaryFilters(day.meals, req.dietaryFilters);
+      hidden += filtered.hidden;
+      return { ...day, meals: sortMealList(filtered.meals, sort) };
+    });
+
+    res.json({
+      days: filteredDays,
+      location: resolvedLocation,
+      from: rangeStart,
+      to: rangeEnd,
+      filters: describeFilters(req.dietaryFilters, hidden)
+    });
+  } catch (error) {
+    console.error('Error fetching meal history:', error);
+    res.status(500).json({ error: 'Failed to fetch meal history' });
+  }
+});
+
+/**
+ * GET /api/meals/changes
+ * Meals added, removed or re-priced after the day's menu was first stored
+ * Optional query params: ?location=philturm&date=YYYY-MM-DD (defaults to all locations, today)
+ */
+router.get('/changes', async (req, res) => {
+  const { date } = req.query;
+  const resolvedLocation = resolveLocation(req.query.location || 'all');
+
+  if (date !== undefined && !isValidDateString(date)) {
+    return res.status(400).json({ error: 'Invalid date. Use YYYY-MM-DD' });
+  }
+
+  const targetDate = date || getBerlinDate();
+
+  try {
+    const changes = await getMenuChanges({
+      date: targetDate,
+      location: resolvedLocation === 'all' ? null : resolvedLocation
+    });
+
+    res.json({ changes, location: resolvedLocation, date: targetDate });
+  } catch (error) {
+    console.error('Error fetching menu changes:', error);
+    res.status(500).json({ error: 'Failed to fetch menu changes' });
+  }
+});
+
 /**
  * GET /api/meals/locations
- * Get available Mensa locations
+ * Get available Mensa locations. `locations` keeps the legacy id -> name map,
+ * `details` lists registry entries in display order for building selects.
  */
 router.get('/locations', (req, res) => {
-  res.json({ locations: MENSA_LOCATIONS });
+  const details = getPublicLocations();
+
+  res.json({
+    locations: Object.fromEntries(details.map(location => [location.id, location.name])),
+    details
+  });
+});
+
+/**
+ * GET /api/meals/allergens
+ * Code table used to decode the `allergens` and `additives` arrays on meals
+ */
+router.get('/allergens', (req, res) => {
+  res.json({ allergens: ALLERGENS, additives: ADDITIVES });
+});
+
+/**
+ * GET /api/meals/dietary-options
+ * Tokens accepted by the `include`/`exclude` filters and the dietary profile
+ */
+router.get('/dietary-options', (req, res) => {
+  res.json({ options: getDietaryOptions() });
+});
+
+/**
+ * GET /api/meals/opening-hours
+ * Per-weekday opening hours, upcoming closures and the current open/closed status
+ * Optional query param: ?location=philturm (defaults to all locations)
+ */
+router.get('/opening-hours', async (req, res) => {
+  const resolvedLocation = resolveLocation(req.query.location || 'all');
+
+  try {
+    const locations = await Promise.all(getLocationKeys(resolvedLocation).map(location => getOpeningHours(location)));
+    res.json({ locations, location: resolvedLocation });
+  } catch (error) {
+    console.error('Error fetching opening hours:', error);
+    res.status(500).json({ error: 'Failed to fetch opening hours' });
+  }
 });
 
 /**
  * GET /api/meals/opening-times/:location
- * Get opening times for a specific location
+ * Get the opening times summary for a specific location
  */
 router.get('/opening-times/:location', async (req, res) => {
   const { location } = req.params;
 
-  if (!MENSA_LOCATIONS[location]) {
+  if (!isKnownLocation(location)) {
     return res.status(404).json({ error: 'Location not found' });
   }
 
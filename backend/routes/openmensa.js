@@ -0,0 +1,50 @@
+const express = require('express');
+const router = express.Router();
+const { isKnownLocation } = require('../utils/locationRegistry');
+const { buildOpenMensaFeed, buildOpenMensaMeta } = require('../utils/openMensaExport');
+const { getPublicUrl } = require('../utils/publicUrl');
+
+function sendXml(res, xml) {
+  res.set('Content-Type', 'application/xml; charset=utf-8');
+  res.send(xml);
+}
+
+/**
+ * GET /openmensa/:location.xml
+ * Stored meals (last week and upcoming) as an OpenMensa v2 feed with community ratings as notes
+ */
+router.get('/:location.xml', async (req, res) => {
+  const { location } = req.params;
+
+  if (!isKnownLocation(location)) {
+    return res.status(404).json({ error: 'Location not found' });
+  }
+
+  try {
+    sendXml(res, await buildOpenMensaFeed(location, getPublicUrl()));
+  } catch (error) {
+    console.error(`OpenMensa export error for ${location}:`, error);
+    res.status(500).json({ error: 'Failed to build OpenMensa feed' });
+  }
+});
+
+/**
+ * GET /openmensa/:location/meta.xml
+ * OpenMensa v2 meta document pointing at the feed above
+ */
+router.get('/:location/meta.xml', async (req, res) => {
+  const { location } = req.params;
+
+  if (!isKnownLocation(location)) {
+    return res.status(404).json({ error: 'Location not found' });
+  }
+
+  try {
+    sendXml(res, await buildOpenMensaMeta(location, getPublicUrl()));
+  } catch (error) {
+    console.error(`OpenMensa meta error for ${location}:`, error);
+    res.status(500).json({ error: 'Failed to build OpenMensa meta document' });
+  }
+});
+
+module.exports = router;
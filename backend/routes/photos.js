@@ -8,6 +8,21 @@ const router = express.Router();
 const db = require('../database');
 const { hashIP } = require('../utils/hashIP');
 const { getBerlinDate } = require('../utils/mensaParser');
+const { decodeAllergens } = require('../utils/allergenCodes');
+const { mealPassesFilters, describeFilters } = require('../utils/dietaryFilter');
+const { dietaryFiltersMiddleware } = require('../middleware/dietaryFilters');
+const { computeIsOwner } = require('../middleware/ownershipToken');
+const { hotScore, sortByScore } = require('../utils/ranking');
+const { emitWebhookEvent } = require('../utils/webhooks');
+const { getPublicUrl } = require('../utils/publicUrl');
+const {
+  toLegacyComment,
+  listComments,
+  createComment,
+  editComment,
+  deleteComment,
+  sendCommentError
+} = require('../utils/commentService');
 
 // Setup upload directory
 const UPLOAD_ROOT = path.join(__dirname, '../uploads');
@@ -91,14 +106,6 @@ function previousValidPostDate(dateObj) {
   return formatDate(d);
 }
 
-function computeIsOwner(row, req, requesterIpHash) {
-  return !!(
-    (row.owner_token_hash && req.ownerTokenHash && row.owner_token_hash === req.ownerTokenHash) ||
-    (row.user_id && req.user?.id && row.user_id === req.user.id) ||
-    (!row.owner_token_hash && row.ip_address && requesterIpHash && row.ip_address === requesterIpHash)
-  );
-}
-
 async function updateUserStreak(db, user_id, display_name) {
   if (!user_id) return null;
   return new Promise((resolve, reject) => {
@@ -209,10 +216,11 @@ async function stripExifMetadata(filePath) {
  * GET /api/photos
  * Get today's photos with optional filtering and sorting
  * Query params:
- *   mensa: location filter (studierendenhaus, blattwerk, philturm, or all)
- *   sort: sorting option (new or top)
+ *   mensa: location filter (any registered location ID, or all)
+ *   sort: sorting option (new, top = most votes, score = votes decayed by age)
+ *   include / exclude / profile: dietary filters applied to the photographed meal
  */
-router.get('/', (req, res) => {
+router.get('/', dietaryFiltersMiddleware, (req, res) => {
   const { mensa = 'all', sort = 'new' } = req.query;
   const today = getTodayDate();
   const requesterIpHash = hashIP(req.ip || req.connection?.remoteAddress || '');
@@ -232,12 +240,14 @@ router.get('/', (req, res) => {
       fp.is_admin,
       m.name as meal_name,
       m.mensa_location,
+      m.notes as meal_notes,
+      m.allergens as meal_allergens,
       COUNT(DISTINCT pv.id) as vote_count,
       COUNT(DISTINCT pc.id) as comment_count
     FROM food_photos fp
     INNER JOIN meals m ON fp.meal_id = m.id
     LEFT JOIN photo_votes pv ON fp.id = pv.photo_id
-    LEFT JOIN photo_comments pc ON fp.id = pc.photo_id
+    LEFT JOIN comment_entries pc ON pc.target_type = 'photo' AND fp.id = pc.target_id
     WHERE fp.upload_date = ?
   `;
 
@@ -264,7 +274,14 @@ router.get('/', (req, res) => {
       return res.status(500).json({ error: 'Failed to fetch photos' });
     }
 
-    const photos = (rows || []).map((row) => ({
+    const allRows = rows || [];
+    const visibleRows = allRows.filter(row => mealPassesFilters(
+      { notes: row.meal_notes, allergens: decodeAllergens(row.meal_allergens) },
+      req.dietaryFilters
+    ));
+
+    const now = new Date();
+    const scoredPhotos = visibleRows.map((row) => ({
       id: row.id,
       meal_id: row.meal_id,
       meal_name: row.meal_name,
@@ -275,11 +292,16 @@ router.get('/', (req, res) => {
       vote_count: row.vote_count,
       comment_count: row.comment_count,
       created_at: row.created_at,
+      score: hotScore(row.vote_count, row.created_at, now),
       is_owner: computeIsOwner(row, req, requesterIpHash),
       is_admin: !!row.is_admin
     }));
+    const photos = sort === 'score' ? sortByScore(scoredPhotos) : scoredPhotos;
 
-    res.json({ photos });
+    res.json({
+      photos,
+      filters: describeFilters(req.dietaryFilters, allRows.length - visibleRows.length)
+    });
   });
 });
 
@@ -350,7 +372,7 @@ router.post('/', (req, res, next) => {
   const sanitizedCaption = caption.replace(/<[^>]*>/g, '');
 
   // Check if meal exists and is from today
-  db.get('SELECT id, name, mensa_location FROM meals WHERE id = ?', [meal_id], (err, meal) => {
+  db.get('SELECT id, name, date, mensa_location FROM meals WHERE id = ? AND removed_at IS NULL', [meal_id], (err, meal) => {
     if (err) {
       console.error('Database error:', err);
       cleanupUploadedFile(uploadedPhoto);
@@ -394,6 +416,22 @@ router.post('/', (req, res, next) => {
               return res.status(500).json({ error: 'Failed to upload photo' });
             }
 
+            emitWebhookEvent('photo.created', {
+              photo: {
+                id: this.lastID,
+                url: `${getPublicUrl()}${photoPathToUrl(photoPath)}`,
+                author_name: sanitizedName,
+                caption: sanitizedCaption,
+                created_at: new Date().toISOString()
+              },
+              meal: {
+                id: meal.id,
+                name: meal.name,
+                mensa_location: meal.mensa_location,
+                date: meal.date
+              }
+            }).catch(webhookErr => console.error('Photo webhook error:', webhookErr));
+
             updateUserStreak(db, user_id, sanitizedName).then((streak) => {
               res.status(201).json({
                 success: true,
@@ -533,6 +571,7 @@ router.delete('/:photoId', (req, res) => {
 router.post('/:photoId/vote', (req, res) => {
   const { photoId } = req.params;
   const ip_address = hashIP(req.ip || req.connection.remoteAddress);
+  const userId = req.user ? req.user.id : null;
 
   // Check if photo exists and if user has already voted
   db.get('SELECT id FROM food_photos WHERE id = ?', [photoId], (err, photo) => {
@@ -597,8 +636,8 @@ router.post('/:photoId/vote', (req, res) => {
         } else {
           // Toggle on: insert new like
           db.run(
-            `INSERT INTO photo_votes (photo_id, ip_address) VALUES (?, ?)`,
-            [photoId, ip_address],
+            `INSERT INTO photo_votes (photo_id, ip_address, user_id) VALUES (?, ?, ?)`,
+            [photoId, ip_address, userId],
             function (insErr) {
               if (insErr) {
                 console.error('Insert vote error:', insErr);
@@ -613,216 +652,61 @@ router.post('/:photoId/vote', (req, res) => {
   });
 });
 
+// The photo comment routes below are deprecated aliases of /api/comments, kept for older clients
+
 /**
  * GET /api/photos/:photoId/comments
- * Get all comments for a photo
+ * Deprecated alias of GET /api/comments/photo/:photoId with the old field names
  */
-router.get('/:photoId/comments', (req, res) => {
-  const { photoId } = req.params;
-
-  db.all(
-    `SELECT id, author_name, comment_text, created_at, owner_token_hash, parent_comment_id, is_admin, user_id
-     FROM photo_comments
-     WHERE photo_id = ?
-     ORDER BY created_at ASC`,
-    [photoId],
-    (err, rows) => {
-      if (err) {
-        console.error('Get photo comments error:', err);
-        return res.status(500).json({ error: 'Failed to fetch comments' });
-      }
-
-      const comments = (rows || []).map((row) => ({
-        id: row.id,
-        author_name: row.author_name,
-        comment_text: row.comment_text,
-        created_at: row.created_at,
-        parent_comment_id: row.parent_comment_id,
-        is_owner: !!(row.owner_token_hash && row.ownerTokenHash && row.owner_token_hash === req.ownerTokenHash),
-        is_admin: !!row.is_admin,
-        is_guest: !row.user_id
-      }));
-
-      res.json({ comments });
-    }
-  );
+router.get('/:photoId/comments', async (req, res) => {
+  try {
+    const comments = await listComments('photo', req.params.photoId, req);
+    res.json({ comments: comments.map(toLegacyComment) });
+  } catch (error) {
+    sendCommentError(res, error, 'Failed to fetch comments');
+  }
 });
 
 /**
  * POST /api/photos/:photoId/comments
- * Add a comment to a photo
- * Body: JSON with fields:
- *   author_name: string
- *   comment_text: string
- *   parent_comment_id: number (optional, for replies)
+ * Deprecated alias of POST /api/comments/photo/:photoId
+ * Body: JSON with fields author_name, comment_text, parent_comment_id (optional)
  */
-router.post('/:photoId/comments', express.json(), (req, res) => {
-  const { photoId } = req.params;
-  const { comment_text, parent_comment_id = null } = req.body;
-  const ip_address = hashIP(req.ip || req.connection.remoteAddress);
-  const author_name = getAuthorFromRequest(req) || (req.body?.author_name || '').trim();
-  const user_id = req.user?.id || null;
-  const is_admin = req.isAdmin ? 1 : 0;
+router.post('/:photoId/comments', express.json(), async (req, res) => {
+  const { parent_comment_id: parentId = null, ...body } = req.body || {};
 
-  if (!author_name) {
-    return res.status(400).json({ error: 'Author name is required' });
-  }
-
-  // Validate input
-  if (!comment_text) {
-    return res.status(400).json({ error: 'Comment text is required' });
+  try {
+    const comment = await createComment('photo', req.params.photoId, { ...body, parent_id: parentId }, req);
+    res.status(201).json({ success: true, comment: toLegacyComment(comment) });
+  } catch (error) {
+    sendCommentError(res, error, 'Failed to add comment');
   }
+});
 
-  if (comment_text.length > 500) {
-    return res.status(400).json({ error: 'Comment too long (max 500 characters)' });
+/**
+ * PATCH /api/photos/comments/:commentId
+ * Deprecated alias of PATCH /api/comments/:commentId
+ */
+router.patch('/comments/:commentId', express.json(), async (req, res) => {
+  try {
+    const comment = await editComment(req.params.commentId, req.body?.comment_text, req);
+    res.json({ success: true, comment: toLegacyComment(comment) });
+  } catch (error) {
+    sendCommentError(res, error, 'Failed to edit comment');
   }
-
-  // Basic XSS prevention
-  const sanitizedName = author_name.replace(/<[^>]*>/g, '');
-  const sanitizedComment = comment_text.replace(/<[^>]*>/g, '');
-
-  // Check if photo exists
-  db.get('SELECT id FROM food_photos WHERE id = ?', [photoId], (err, photo) => {
-    if (err) {
-      console.error('Database error:', err);
-      return res.status(500).json({ error: 'Database error' });
-    }
-
-    if (!photo) {
-      return res.status(404).json({ error: 'Photo not found' });
-    }
-
-    // If parent_comment_id is provided, validate it exists and belongs to same photo
-    if (parent_comment_id) {
-      db.get(
-        'SELECT id FROM photo_comments WHERE id = ? AND photo_id = ?',
-        [parent_comment_id, photoId],
-        (err, parentComment) => {
-          if (err) {
-            console.error('Parent comment check error:', err);
-            return res.status(500).json({ error: 'Database error' });
-          }
-
-          if (!parentComment) {
-            return res.status(404).json({ error: 'Parent comment not found' });
-          }
-
-          proceedWithCommentCreation();
-        }
-      );
-    } else {
-      proceedWithCommentCreation();
-    }
-
-    function proceedWithCommentCreation() {
-      // Rate limiting: check if IP has posted more than 10 comments in last 5 minutes
-      const fiveMinutesAgo = new Date(Date.now() - 5 * 60 * 1000).toISOString();
-
-      db.get(
-        `SELECT COUNT(*) as count
-         FROM photo_comments
-         WHERE ip_address = ? AND created_at > ?`,
-        [ip_address, fiveMinutesAgo],
-        (err, result) => {
-          if (err) {
-            console.error('Rate limit check error:', err);
-            return res.status(500).json({ error: 'Database error' });
-          }
-
-          if (result.count >= 10) {
-            return res.status(429).json({ error: 'Too many comments. Please wait a few minutes.' });
-          }
-
-          // Insert comment
-          db.run(
-            `INSERT INTO photo_comments (photo_id, author_name, comment_text, ip_address, owner_token_hash, parent_comment_id, user_id, is_admin)
-             VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
-            [photoId, sanitizedName, sanitizedComment, ip_address, req.ownerTokenHash, parent_comment_id, user_id, is_admin],
-            function (err) {
-              if (err) {
-                console.error('Insert comment error:', err);
-                return res.status(500).json({ error: 'Failed to add comment' });
-              }
-
-              res.status(201).json({
-                success: true,
-                comment: {
-                  id: this.lastID,
-                  author_name: sanitizedName,
-                  comment_text: sanitizedComment,
-                  created_at: new Date().toISOString(),
-                  parent_comment_id: parent_comment_id,
-                  is_owner: true,
-                  is_admin: !!is_admin,
-                  is_guest: !user_id
-                }
-              });
-            }
-          );
-        }
-      );
-    }
-  });
 });
 
 /**
  * DELETE /api/photos/comments/:commentId
- * Delete a photo comment (IP-based authorization)
+ * Deprecated alias of DELETE /api/comments/:commentId
  */
-router.delete('/comments/:commentId', (req, res) => {
-  const { commentId } = req.params;
-  const ip_address = hashIP(req.ip || req.connection.remoteAddress);
-
-  if (req.isAdmin) {
-    db.run('DELETE FROM photo_comments WHERE id = ?', [commentId], function (err) {
-      if (err) {
-        console.error('Delete comment error:', err);
-        return res.status(500).json({ error: 'Failed to delete comment' });
-      }
-
-      if (this.changes === 0) {
-        return res.status(404).json({ error: 'Comment not found' });
-      }
-
-      return res.json({ success: true });
-    });
-    return;
+router.delete('/comments/:commentId', async (req, res) => {
+  try {
+    const deleted = await deleteComment(req.params.commentId, req);
+    res.json({ success: true, deleted });
+  } catch (error) {
+    sendCommentError(res, error, 'Failed to delete comment');
   }
-
-  db.get('SELECT owner_token_hash, ip_address FROM photo_comments WHERE id = ?', [commentId], (err, comment) => {
-    if (err) {
-      console.error('Delete comment lookup error:', err);
-      return res.status(500).json({ error: 'Failed to delete comment' });
-    }
-
-    if (!comment) {
-      return res.status(404).json({ error: 'Comment not found' });
-    }
-
-    const ownerMatches = comment.owner_token_hash && comment.owner_token_hash === req.ownerTokenHash;
-    const legacyMatch = !comment.owner_token_hash && comment.ip_address === ip_address;
-
-    if (!ownerMatches && !legacyMatch) {
-      return res.status(403).json({ error: 'Cannot delete this comment' });
-    }
-
-    db.run(
-      'DELETE FROM photo_comments WHERE id = ?',
-      [commentId],
-      function (deleteErr) {
-        if (deleteErr) {
-          console.error('Delete comment error:', deleteErr);
-          return res.status(500).json({ error: 'Failed to delete comment' });
-        }
-
-        if (this.changes === 0) {
-          return res.status(403).json({ error: 'Cannot delete this comment' });
-        }
-
-        res.json({ success: true });
-      }
-    );
-  });
 });
 
 /**
@@ -859,9 +743,10 @@ router.get('/by-meal/:mealId', (req, res) => {
       GROUP BY photo_id
     ) pv ON fp.id = pv.photo_id
     LEFT JOIN (
-      SELECT photo_id, COUNT(*) as comment_count
-      FROM photo_comments
-      GROUP BY photo_id
+      SELECT target_id as photo_id, COUNT(*) as comment_count
+      FROM comment_entries
+      WHERE target_type = 'photo'
+      GROUP BY target_id
     ) pc ON fp.id = pc.photo_id
     LEFT JOIN photo_votes pv_ip ON pv_ip.photo_id = fp.id AND pv_ip.ip_address = ?
     WHERE fp.meal_id = ?
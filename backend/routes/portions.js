@@ -2,6 +2,12 @@ const express = require('express');
 const router = express.Router();
 const db = require('../database');
 const { hashIP } = require('../utils/hashIP');
+const {
+  validateServedWeight,
+  saveServedWeight,
+  deleteServedWeight,
+  getTypicalWeights
+} = require('../utils/valueScore');
 
 function sendPortionCounts(res, mealId) {
   db.get(
@@ -86,4 +92,87 @@ router.get('/:mealId', (req, res) => {
   sendPortionCounts(res, mealId);
 });
 
+function getWeightIdentity(req) {
+  if (req.user) {
+    return { identifier: `user:${req.user.id}`, userId: req.user.id };
+  }
+
+  return { identifier: hashIP(req.ip || req.connection.remoteAddress), userId: null };
+}
+
+function sendServedWeight(res, meal) {
+  getTypicalWeights([meal])
+    .then(weights => {
+      res.json({ success: true, served_weight: weights.get(meal.id) || null });
+    })
+    .catch(err => {
+      console.error('Served weight lookup error:', err);
+      res.status(500).json({ error: 'Failed to get served weight' });
+    });
+}
+
+function withMeal(req, res, handler) {
+  db.get('SELECT id, dish_id FROM meals WHERE id = ?', [req.params.mealId], (err, meal) => {
+    if (err) {
+      console.error('Database error:', err);
+      return res.status(500).json({ error: 'Database error' });
+    }
+
+    if (!meal) {
+      return res.status(404).json({ error: 'Meal not found' });
+    }
+
+    handler(meal);
+  });
+}
+
+/**
+ * POST /api/portions/:mealId/weight
+ * Report how many grams you were served of a per-100g meal
+ * Body: { grams: 50-2000 }
+ * Returns the typical (median) weight across servings of the dish
+ */
+router.post('/:mealId/weight', (req, res) => {
+  const validation = validateServedWeight(req.body.grams);
+  if (validation.error) {
+    return res.status(400).json({ error: validation.error });
+  }
+
+  const { identifier, userId } = getWeightIdentity(req);
+
+  withMeal(req, res, (meal) => {
+    saveServedWeight(meal, identifier, userId, validation.grams)
+      .then(() => sendServedWeight(res, meal))
+      .catch(err => {
+        console.error('Served weight error:', err);
+        res.status(500).json({ error: 'Failed to record served weight' });
+      });
+  });
+});
+
+/**
+ * DELETE /api/portions/:mealId/weight
+ * Remove your served weight report
+ */
+router.delete('/:mealId/weight', (req, res) => {
+  const { identifier } = getWeightIdentity(req);
+
+  withMeal(req, res, (meal) => {
+    deleteServedWeight(meal.id, identifier)
+      .then(() => sendServedWeight(res, meal))
+      .catch(err => {
+        console.error('Delete served weight error:', err);
+        res.status(500).json({ error: 'Failed to delete served weight' });
+      });
+  });
+});
+
+/**
+ * GET /api/portions/:mealId/weight
+ * Typical served weight for a meal
+ */
+router.get('/:mealId/weight', (req, res) => {
+  withMeal(req, res, (meal) => sendServedWeight(res, meal));
+});
+
 module.exports = router;
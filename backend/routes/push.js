@@ -0,0 +1,90 @@
+const express = require('express');
+const router = express.Router();
+const {
+  PUSH_TOPICS,
+  isPushEnabled,
+  getPublicKey,
+  parseTopics,
+  validateSubscription,
+  saveSubscription,
+  removeSubscription
+} = require('../utils/pushService');
+
+/**
+ * GET /api/push/public-key
+ * VAPID public key the browser needs to subscribe
+ */
+router.get('/public-key', (req, res) => {
+  res.json({
+    enabled: isPushEnabled(),
+    publicKey: getPublicKey(),
+    topics: PUSH_TOPICS
+  });
+});
+
+/**
+ * POST /api/push/subscribe
+ * Store this browser's push subscription for the logged-in user
+ * Body: { subscription: PushSubscription JSON, topics?: ['favorites', 'streaks', 'replies'] }
+ * Requires authentication
+ */
+router.post('/subscribe', async (req, res) => {
+  if (!req.user) {
+    return res.status(401).json({ error: 'Authentication required' });
+  }
+
+  if (!isPushEnabled()) {
+    return res.status(503).json({ error: 'Push notifications are not configured' });
+  }
+
+  const { subscription, topics } = req.body || {};
+  const subscriptionError = validateSubscription(subscription);
+
+  if (subscriptionError) {
+    return res.status(400).json({ error: subscriptionError });
+  }
+
+  const parsed = parseTopics(topics);
+  if (parsed.unknown.length > 0) {
+    return res.status(400).json({ error: `Unknown topics: ${parsed.unknown.join(', ')}. Use: ${PUSH_TOPICS.join(', ')}` });
+  }
+
+  try {
+    await saveSubscription(req.user.id, subscription, parsed.topics, req.get('user-agent') || null);
+    res.status(201).json({ success: true, topics: parsed.topics });
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ error: error.message });
+    }
+
+    console.error('Push subscribe error:', error);
+    res.status(500).json({ error: 'Failed to save subscription' });
+  }
+});
+
+/**
+ * POST /api/push/unsubscribe
+ * Forget a push subscription
+ * Body: { endpoint }
+ * Requires authentication
+ */
+router.post('/unsubscribe', async (req, res) => {
+  if (!req.user) {
+    return res.status(401).json({ error: 'Authentication required' });
+  }
+
+  const { endpoint } = req.body || {};
+  if (typeof endpoint !== 'string' || endpoint.length === 0) {
+    return res.status(400).json({ error: 'endpoint is required' });
+  }
+
+  try {
+    const removed = await removeSubscription(req.user.id, endpoint);
+    res.json({ success: true, removed });
+  } catch (error) {
+    console.error('Push unsubscribe error:', error);
+    res.status(500).json({ error: 'Failed to remove subscription' });
+  }
+});
+
+module.exports = router;
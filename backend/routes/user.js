@@ -3,6 +3,65 @@ const router = express.Router();
 const db = require('../database');
 const fs = require('fs').promises;
 const path = require('path');
+const {
+    parseDietaryFilters,
+    getDietaryProfile,
+    saveDietaryProfile
+} = require('../utils/dietaryFilter');
+const {
+    listFavorites,
+    addFavorite,
+    removeFavorite,
+    notifyFavoriteDishes
+} = require('../utils/favorites');
+const { listNotifications, markNotificationsRead } = require('../utils/notifications');
+const { getBerlinDate } = require('../utils/mensaParser');
+
+const UPLOAD_ROOT = path.join(__dirname, '../uploads');
+
+// Tables keyed by user_id whose rows are simply removed with the account
+const USER_OWNED_TABLES = ['dietary_profiles', 'meal_ratings', 'served_weights', 'favorite_dishes', 'notifications', 'push_subscriptions', 'digest_subscriptions'];
+
+function deleteUserOwnedRows(userId, callback, index = 0) {
+    if (index >= USER_OWNED_TABLES.length) {
+        return callback(null);
+    }
+
+    db.run(`DELETE FROM ${USER_OWNED_TABLES[index]} WHERE user_id = ?`, [userId], (err) => {
+        if (err) {
+            return callback(err);
+        }
+        deleteUserOwnedRows(userId, callback, index + 1);
+    });
+}
+
+// Top photos the meal archive kept after the daily cleanup (see utils/mealArchive.js)
+function clearArchivedTopPhotos(userId, callback) {
+    db.all('SELECT DISTINCT top_photo_path FROM meal_archive WHERE top_photo_user_id = ?', [userId], async (err, rows) => {
+        if (err) {
+            return callback(err);
+        }
+
+        for (const row of rows) {
+            try {
+                await fs.unlink(path.join(UPLOAD_ROOT, row.top_photo_path));
+            } catch (fileErr) {
+                if (fileErr.code !== 'ENOENT') {
+                    console.error('Failed to delete archived photo file:', fileErr);
+                }
+            }
+        }
+
+        db.run(
+            `UPDATE meal_archive
+             SET top_photo_id = NULL, top_photo_path = NULL, top_photo_author = NULL,
+                 top_photo_caption = NULL, top_photo_likes = NULL, top_photo_user_id = NULL
+             WHERE top_photo_user_id = ?`,
+            [userId],
+            callback
+        );
+    });
+}
 
 /**
  * DELETE /api/user/delete
@@ -37,7 +96,7 @@ router.delete('/delete', async (req, res) => {
                         // Delete physical photo files
                         for (const photo of photos) {
                             try {
-                                const filePath = path.join(__dirname, '..', photo.photo_path);
+                                const filePath = path.join(UPLOAD_ROOT, photo.photo_path);
                                 await fs.unlink(filePath);
                             } catch (fileErr) {
                                 console.error('Failed to delete photo file:', fileErr);
@@ -46,14 +105,14 @@ router.delete('/delete', async (req, res) => {
                         }
 
                         // Delete all user's photo comments (on any photo)
-                        db.run('DELETE FROM photo_comments WHERE user_id = ?', [userId], (err) => {
+                        db.run("DELETE FROM comment_entries WHERE target_type = 'photo' AND user_id = ?", [userId], (err) => {
                             if (err) {
                                 db.run('ROLLBACK');
                                 return reject(err);
                             }
 
                             // Delete all comments on user's photos
-                            db.run('DELETE FROM photo_comments WHERE photo_id IN (SELECT id FROM food_photos WHERE user_id = ?)', [userId], (err) => {
+                            db.run("DELETE FROM comment_entries WHERE target_type = 'photo' AND target_id IN (SELECT id FROM food_photos WHERE user_id = ?)", [userId], (err) => {
                                 if (err) {
                                     db.run('ROLLBACK');
                                     return reject(err);
@@ -67,7 +126,7 @@ router.delete('/delete', async (req, res) => {
                                     }
 
                                     // Delete all user's meal comments
-                                    db.run('DELETE FROM comments WHERE user_id = ?', [userId], (err) => {
+                                    db.run("DELETE FROM comment_entries WHERE target_type = 'meal' AND user_id = ?", [userId], (err) => {
                                         if (err) {
                                             db.run('ROLLBACK');
                                             return reject(err);
@@ -94,13 +153,28 @@ router.delete('/delete', async (req, res) => {
                                                         return reject(err);
                                                     }
 
-                                                    // Commit the transaction
-                                                    db.run('COMMIT', (err) => {
+                                                    // Delete remaining per-user rows (dietary profile, ratings, ...)
+                                                    deleteUserOwnedRows(userId, (err) => {
                                                         if (err) {
                                                             db.run('ROLLBACK');
                                                             return reject(err);
                                                         }
-                                                        resolve();
+
+                                                        clearArchivedTopPhotos(userId, (err) => {
+                                                            if (err) {
+                                                                db.run('ROLLBACK');
+                                                                return reject(err);
+                                                            }
+
+                                                            // Commit the transaction
+                                                            db.run('COMMIT', (err) => {
+                                                                if (err) {
+                                                                    db.run('ROLLBACK');
+                                                                    return reject(err);
+                                                                }
+                                                                resolve();
+                                                            });
+                                                        });
                                                     });
                                                 });
                                             });
@@ -125,4 +199,166 @@ router.delete('/delete', async (req, res) => {
     }
 });
 
+/**
+ * GET /api/user/dietary-profile
+ * Get the logged-in user's saved include/exclude filters
+ * Requires authentication
+ */
+router.get('/dietary-profile', async (req, res) => {
+    if (!req.user) {
+        return res.status(401).json({ error: 'Authentication required' });
+    }
+
+    try {
+        const profile = await getDietaryProfile(req.user.id);
+        res.json({
+            include: profile ? profile.include : [],
+            exclude: profile ? profile.exclude : [],
+            updated_at: profile ? profile.updated_at : null
+        });
+    } catch (error) {
+        console.error('Error loading dietary profile:', error);
+        res.status(500).json({ error: 'Failed to load dietary profile' });
+    }
+});
+
+/**
+ * PUT /api/user/dietary-profile
+ * Save include/exclude filters applied to meal lists by default
+ * Body: { include: string[] | "Vegan,Glutenfrei", exclude: string[] | "nuts,Alkohol" }
+ * Requires authentication
+ */
+router.put('/dietary-profile', async (req, res) => {
+    if (!req.user) {
+        return res.status(401).json({ error: 'Authentication required' });
+    }
+
+    const { include = [], exclude = [] } = req.body || {};
+    const parsed = parseDietaryFilters(include, exclude);
+
+    if (parsed.unknown.length > 0) {
+        return res.status(400).json({ error: `Unknown dietary filter: ${parsed.unknown.join(', ')}` });
+    }
+
+    try {
+        await saveDietaryProfile(req.user.id, parsed);
+        res.json({ success: true, include: parsed.include, exclude: parsed.exclude });
+    } catch (error) {
+        console.error('Error saving dietary profile:', error);
+        res.status(500).json({ error: 'Failed to save dietary profile' });
+    }
+});
+
+/**
+ * GET /api/user/favorites
+ * List starred dishes with their upcoming servings
+ * Requires authentication
+ */
+router.get('/favorites', async (req, res) => {
+    if (!req.user) {
+        return res.status(401).json({ error: 'Authentication required' });
+    }
+
+    try {
+        const favorites = await listFavorites(req.user.id, getBerlinDate());
+        res.json({ favorites });
+    } catch (error) {
+        console.error('Error loading favorites:', error);
+        res.status(500).json({ error: 'Failed to load favorites' });
+    }
+});
+
+/**
+ * PUT /api/user/favorites/:dishId
+ * Star a dish; alerts for upcoming servings are created right away
+ * Requires authentication
+ */
+router.put('/favorites/:dishId', async (req, res) => {
+    if (!req.user) {
+        return res.status(401).json({ error: 'Authentication required' });
+    }
+
+    const dishId = Number(req.params.dishId);
+    if (!Number.isInteger(dishId) || dishId < 1) {
+        return res.status(400).json({ error: 'Invalid dish id' });
+    }
+
+    try {
+        const added = await addFavorite(req.user.id, dishId);
+        if (!added) {
+            return res.status(404).json({ error: 'Dish not found' });
+        }
+
+        await notifyFavoriteDishes(getBerlinDate(), req.user.id);
+        res.json({ success: true, dish_id: dishId, favorite: true });
+    } catch (error) {
+        console.error('Error saving favorite:', error);
+        res.status(500).json({ error: 'Failed to save favorite' });
+    }
+});
+
+/**
+ * DELETE /api/user/favorites/:dishId
+ * Unstar a dish
+ * Requires authentication
+ */
+router.delete('/favorites/:dishId', async (req, res) => {
+    if (!req.user) {
+        return res.status(401).json({ error: 'Authentication required' });
+    }
+
+    try {
+        const removed = await removeFavorite(req.user.id, Number(req.params.dishId));
+        res.json({ success: true, dish_id: Number(req.params.dishId), favorite: false, removed });
+    } catch (error) {
+        console.error('Error removing favorite:', error);
+        res.status(500).json({ error: 'Failed to remove favorite' });
+    }
+});
+
+/**
+ * GET /api/user/notifications
+ * Newest in-app notifications and the unread count
+ * Optional query params: ?unread=1
+ * Requires authentication
+ */
+router.get('/notifications', async (req, res) => {
+    if (!req.user) {
+        return res.status(401).json({ error: 'Authentication required' });
+    }
+
+    try {
+        const result = await listNotifications(req.user.id, { unreadOnly: req.query.unread === '1' });
+        res.json(result);
+    } catch (error) {
+        console.error('Error loading notifications:', error);
+        res.status(500).json({ error: 'Failed to load notifications' });
+    }
+});
+
+/**
+ * POST /api/user/notifications/read
+ * Mark notifications as read
+ * Body: { ids?: number[] } - all notifications when ids is omitted
+ * Requires authentication
+ */
+router.post('/notifications/read', async (req, res) => {
+    if (!req.user) {
+        return res.status(401).json({ error: 'Authentication required' });
+    }
+
+    const { ids } = req.body || {};
+    if (ids !== undefined && (!Array.isArray(ids) || !ids.every(Number.isInteger))) {
+        return res.status(400).json({ error: 'ids must be an array of notification ids' });
+    }
+
+    try {
+        const updated = await markNotificationsRead(req.user.id, ids === undefined ? null : ids);
+        res.json({ success: true, updated });
+    } catch (error) {
+        console.error('Error marking notifications read:', error);
+        res.status(500).json({ error: 'Failed to update notifications' });
+    }
+});
+
 module.exports = router;
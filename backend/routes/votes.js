@@ -2,15 +2,25 @@ const express = require('express');
 const router = express.Router();
 const db = require('../database');
 const { hashIP } = require('../utils/hashIP');
+const {
+  validateRating,
+  saveRating,
+  deleteRating,
+  getUserRating,
+  getRatingSummary
+} = require('../utils/mealRatings');
+const { wilsonLowerBound } = require('../utils/ranking');
 
 /**
  * POST /api/votes/:mealId
- * Cast a vote for a meal (upvote or downvote)
- * Body: { vote_type: 'up' | 'down' }
+ * Cast a vote for a meal (upvote or downvote) and/or rate it in detail
+ * Body: { vote_type?: 'up' | 'down', rating?: { taste?: 1-5, value?: 1-5, temperature?: 1-5 } | null }
+ * At least one of vote_type and rating is required; `rating: null` removes your rating
+ * Criteria left out of `rating` keep your earlier score; a criterion set to null clears it
  */
 router.post('/:mealId', (req, res) => {
   const { mealId } = req.params;
-  const { vote_type } = req.body;
+  const { vote_type, rating } = req.body;
 
   // Determine identity
   let identifier;
@@ -23,11 +33,24 @@ router.post('/:mealId', (req, res) => {
     identifier = hashIP(req.ip || req.connection.remoteAddress);
   }
 
+  if (vote_type === undefined && rating === undefined) {
+    return res.status(400).json({ error: 'Provide a vote_type ("up" or "down") and/or a rating' });
+  }
+
   // Validate vote type
-  if (!vote_type || (vote_type !== 'up' && vote_type !== 'down')) {
+  if (vote_type !== undefined && vote_type !== 'up' && vote_type !== 'down') {
     return res.status(400).json({ error: 'Invalid vote type. Must be "up" or "down"' });
   }
 
+  let validRating = null;
+  if (rating !== undefined && rating !== null) {
+    const validation = validateRating(rating);
+    if (validation.error) {
+      return res.status(400).json({ error: validation.error });
+    }
+    validRating = validation.rating;
+  }
+
   // Check if meal exists
   db.get('SELECT id FROM meals WHERE id = ?', [mealId], (err, meal) => {
     if (err) {
@@ -39,92 +62,125 @@ router.post('/:mealId', (req, res) => {
       return res.status(404).json({ error: 'Meal not found' });
     }
 
-    // Toggle or change vote
-    db.get(
-      'SELECT id, vote_type FROM votes WHERE meal_id = ? AND ip_address = ?',
-      [mealId, identifier],
-      (lookupErr, existing) => {
-        if (lookupErr) {
-          console.error('Vote lookup error:', lookupErr);
-          return res.status(500).json({ error: 'Database error' });
-        }
+    const finalize = () => {
+      db.get(
+        `SELECT
+          SUM(CASE WHEN vote_type = 'up' THEN 1 ELSE 0 END) as upvotes,
+          SUM(CASE WHEN vote_type = 'down' THEN 1 ELSE 0 END) as downvotes
+         FROM votes
+         WHERE meal_id = ?`,
+        [mealId],
+        (countErr, counts) => {
+          if (countErr) {
+            console.error('Count error:', countErr);
+            return res.status(500).json({ error: 'Failed to get vote counts' });
+          }
 
-        const finalize = () => {
+          // Determine user's current vote after operation
           db.get(
-            `SELECT
-              SUM(CASE WHEN vote_type = 'up' THEN 1 ELSE 0 END) as upvotes,
-              SUM(CASE WHEN vote_type = 'down' THEN 1 ELSE 0 END) as downvotes
-             FROM votes
-             WHERE meal_id = ?`,
-            [mealId],
-            (countErr, counts) => {
-              if (countErr) {
-                console.error('Count error:', countErr);
-                return res.status(500).json({ error: 'Failed to get vote counts' });
+            'SELECT vote_type FROM votes WHERE meal_id = ? AND ip_address = ?',
+            [mealId, identifier],
+            (stateErr, stateRow) => {
+              if (stateErr) {
+                console.error('State check error:', stateErr);
+                return res.status(500).json({ error: 'Failed to get vote state' });
               }
 
-              // Determine user's current vote after operation
-              db.get(
-                'SELECT vote_type FROM votes WHERE meal_id = ? AND ip_address = ?',
-                [mealId, identifier],
-                (stateErr, stateRow) => {
-                  if (stateErr) {
-                    console.error('State check error:', stateErr);
-                    return res.status(500).json({ error: 'Failed to get vote state' });
-                  }
-
+              Promise.all([getRatingSummary(mealId), getUserRating(mealId, identifier)])
+                .then(([ratings, userRating]) => {
                   res.json({
                     success: true,
                     upvotes: counts?.upvotes || 0,
                     downvotes: counts?.downvotes || 0,
-                    user_vote: stateRow ? stateRow.vote_type : null
+                    score: wilsonLowerBound(counts?.upvotes, counts?.downvotes),
+                    user_vote: stateRow ? stateRow.vote_type : null,
+                    ratings,
+                    user_rating: userRating
                   });
+                })
+                .catch(ratingErr => {
+                  console.error('Rating summary error:', ratingErr);
+                  res.status(500).json({ error: 'Failed to get ratings' });
+                });
+            }
+          );
+        }
+      );
+    };
+
+    // Toggle or change vote
+    const applyVote = () => {
+      db.get(
+        'SELECT id, vote_type FROM votes WHERE meal_id = ? AND ip_address = ?',
+        [mealId, identifier],
+        (lookupErr, existing) => {
+          if (lookupErr) {
+            console.error('Vote lookup error:', lookupErr);
+            return res.status(500).json({ error: 'Database error' });
+          }
+
+          if (existing) {
+            if (existing.vote_type === vote_type) {
+              // Toggle off
+              db.run('DELETE FROM votes WHERE id = ?', [existing.id], function (delErr) {
+                if (delErr) {
+                  console.error('Vote delete error:', delErr);
+                  return res.status(500).json({ error: 'Failed to remove vote' });
+                }
+                finalize();
+              });
+            } else {
+              // Change vote type
+              db.run(
+                'UPDATE votes SET vote_type = ?, timestamp = CURRENT_TIMESTAMP WHERE id = ?',
+                [vote_type, existing.id],
+                function (updateErr) {
+                  if (updateErr) {
+                    console.error('Vote update error:', updateErr);
+                    return res.status(500).json({ error: 'Failed to update vote' });
+                  }
+                  finalize();
                 }
               );
             }
-          );
-        };
-
-        if (existing) {
-          if (existing.vote_type === vote_type) {
-            // Toggle off
-            db.run('DELETE FROM votes WHERE id = ?', [existing.id], function (delErr) {
-              if (delErr) {
-                console.error('Vote delete error:', delErr);
-                return res.status(500).json({ error: 'Failed to remove vote' });
-              }
-              finalize();
-            });
           } else {
-            // Change vote type
+            // Insert new vote
             db.run(
-              'UPDATE votes SET vote_type = ?, timestamp = CURRENT_TIMESTAMP WHERE id = ?',
-              [vote_type, existing.id],
-              function (updateErr) {
-                if (updateErr) {
-                  console.error('Vote update error:', updateErr);
-                  return res.status(500).json({ error: 'Failed to update vote' });
+              `INSERT INTO votes (meal_id, vote_type, ip_address, user_id) VALUES (?, ?, ?, ?)`,
+              [mealId, vote_type, identifier, userId],
+              function (insertErr) {
+                if (insertErr) {
+                  console.error('Vote insert error:', insertErr);
+                  return res.status(500).json({ error: 'Failed to record vote' });
                 }
                 finalize();
               }
             );
           }
+        }
+      );
+    };
+
+    // Store or clear the detailed rating first, then the quick vote if one was sent
+    let ratingUpdate = Promise.resolve();
+    if (validRating) {
+      ratingUpdate = saveRating(mealId, identifier, userId, validRating);
+    } else if (rating === null) {
+      ratingUpdate = deleteRating(mealId, identifier);
+    }
+
+    ratingUpdate
+      .then(() => {
+        if (vote_type) {
+          applyVote();
         } else {
-          // Insert new vote
-          db.run(
-            `INSERT INTO votes (meal_id, vote_type, ip_address, user_id) VALUES (?, ?, ?, ?)`,
-            [mealId, vote_type, identifier, userId],
-            function (insertErr) {
-              if (insertErr) {
-                console.error('Vote insert error:', insertErr);
-                return res.status(500).json({ error: 'Failed to record vote' });
-              }
-              finalize();
-            }
-          );
+          finalize();
         }
-      }
-    );
+      })
+      .catch(ratingErr => {
+        console.error('Rating save error:', ratingErr);
+        res.status(500).json({ error: 'Failed to save rating' });
+      });
   });
 });
 
@@ -157,7 +213,7 @@ router.delete('/:mealId', (req, res) => {
 });
 /**
  * GET /api/votes/:mealId
- * Get vote counts for a specific meal
+ * Get vote counts and the rating summary for a specific meal
  */
 router.get('/:mealId', (req, res) => {
   const { mealId } = req.params;
@@ -175,10 +231,19 @@ router.get('/:mealId', (req, res) => {
         return res.status(500).json({ error: 'Failed to get votes' });
       }
 
-      res.json({
-        upvotes: counts?.upvotes || 0,
-        downvotes: counts?.downvotes || 0
-      });
+      getRatingSummary(mealId)
+        .then(ratings => {
+          res.json({
+            upvotes: counts?.upvotes || 0,
+            downvotes: counts?.downvotes || 0,
+            score: wilsonLowerBound(counts?.upvotes, counts?.downvotes),
+            ratings
+          });
+        })
+        .catch(ratingErr => {
+          console.error('Get ratings error:', ratingErr);
+          res.status(500).json({ error: 'Failed to get ratings' });
+        });
     }
   );
 });
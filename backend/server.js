@@ -14,11 +14,18 @@ const photosRouter = require('./routes/photos');
 const adminRouter = require('./routes/admin');
 const streaksRouter = require('./routes/streaks');
 const userRouter = require('./routes/user');
+const dishesRouter = require('./routes/dishes');
+const pushRouter = require('./routes/push');
+const digestRouter = require('./routes/digest');
+const feedsRouter = require('./routes/feeds');
+const openMensaRouter = require('./routes/openmensa');
+const embedRouter = require('./routes/embed');
+const botRouter = require('./routes/bot');
 const { ownershipTokenMiddleware } = require('./middleware/ownershipToken');
 const { createAuthMiddleware } = require('./middleware/authMiddleware');
 
 // Initialize database
-require('./database');
+const db = require('./database');
 
 // Initialize Supabase client
 const supabaseUrl = process.env.SUPABASE_URL;
@@ -37,8 +44,10 @@ const authMiddleware = createAuthMiddleware(supabase);
 // Initialize photo cleanup scheduler
 const { initPhotoCleanupScheduler } = require('./utils/photoCleanup');
 const { initMealScheduler } = require('./utils/mealScheduler');
-initPhotoCleanupScheduler();
-initMealScheduler();
+const { initStreakReminderScheduler } = require('./utils/streakReminders');
+const { initDigestScheduler } = require('./utils/emailDigest');
+const { initWebhookScheduler } = require('./utils/webhooks');
+const { initBotScheduler } = require('./utils/chatBot');
 
 const app = express();
 app.set('trust proxy', true); // ✅ This line fixes IP detection through Nginx
@@ -77,6 +86,19 @@ app.use('/api/photos', photosRouter);
 app.use('/api/admin', adminRouter);
 app.use('/api/streaks', streaksRouter);
 app.use('/api/user', userRouter);
+app.use('/api/dishes', dishesRouter);
+app.use('/api/push', pushRouter);
+app.use('/api/digest', digestRouter);
+app.use('/api/bot', botRouter);
+
+// Atom feeds for feed readers
+app.use('/feeds', feedsRouter);
+
+// OpenMensa v2 re-export for other OpenMensa clients
+app.use('/openmensa', openMensaRouter);
+
+// Embeddable menu widget for other sites
+app.use('/embed', embedRouter);
 
 // Health check endpoint
 app.get('/api/health', (req, res) => {
@@ -99,29 +121,90 @@ app.get('/api', (req, res) => {
     endpoints: {
       health: 'GET /api/health',
       meals: {
-        today: 'GET /api/meals/today?location={location}',
-        locations: 'GET /api/meals/locations'
+        today: 'GET /api/meals/today?location={location}&date={YYYY-MM-DD}&sort={score|value}',
+        recommended: 'GET /api/meals/recommended?location={location}&date={YYYY-MM-DD}&limit={n} (login required)',
+        week: 'GET /api/meals/week?location={location}&sort={score|value}',
+        calendar: 'GET /api/meals/calendar.ics?location={location}&tags={tags}',
+        history: 'GET /api/meals/history?location={location}&from={YYYY-MM-DD}&to={YYYY-MM-DD}&sort={score|value}',
+        locations: 'GET /api/meals/locations',
+        allergens: 'GET /api/meals/allergens',
+        dietaryOptions: 'GET /api/meals/dietary-options',
+        changes: 'GET /api/meals/changes?location={location}&date={YYYY-MM-DD}',
+        openingHours: 'GET /api/meals/opening-hours?location={location}'
+      },
+      dishes: {
+        detail: 'GET /api/dishes/:id'
+      },
+      user: {
+        favorites: 'GET /api/user/favorites (login required)',
+        addFavorite: 'PUT /api/user/favorites/:dishId',
+        removeFavorite: 'DELETE /api/user/favorites/:dishId',
+        notifications: 'GET /api/user/notifications?unread={1}',
+        markRead: 'POST /api/user/notifications/read (body: {ids?})'
       },
       votes: {
         vote: 'POST /api/votes/:mealId (body: {vote_type: "up"|"down"})',
         get: 'GET /api/votes/:mealId',
         delete: 'DELETE /api/votes/:mealId'
       },
+      portions: {
+        vote: 'POST /api/portions/:mealId (body: {portion_size: "big"|"small"})',
+        get: 'GET /api/portions/:mealId',
+        weight: 'POST /api/portions/:mealId/weight (body: {grams})',
+        typicalWeight: 'GET /api/portions/:mealId/weight'
+      },
+      push: {
+        publicKey: 'GET /api/push/public-key',
+        subscribe: 'POST /api/push/subscribe (body: {subscription, topics?}, login required)',
+        unsubscribe: 'POST /api/push/unsubscribe (body: {endpoint})'
+      },
+      digest: {
+        get: 'GET /api/digest (login required)',
+        subscribe: 'PUT /api/digest (body: {locations?})',
+        unsubscribe: 'DELETE /api/digest',
+        preview: 'GET /api/digest/preview?format={html|text}',
+        oneClickUnsubscribe: 'POST /api/digest/unsubscribe?token={token} (GET shows a confirmation form)'
+      },
+      bot: {
+        transports: 'GET /api/bot',
+        telegram: 'POST /api/bot/telegram (Telegram webhook, X-Telegram-Bot-Api-Secret-Token)',
+        mock: 'POST /api/bot/mock (body: {chat_id, text}, BOT_MOCK_TRANSPORT=true)',
+        mockOutbox: 'GET /api/bot/mock/outbox?clear={1}'
+      },
+      feeds: {
+        menu: 'GET /feeds/menu.atom?location={location}',
+        photos: 'GET /feeds/photos.atom?location={location}'
+      },
+      openmensa: {
+        feed: 'GET /openmensa/:location.xml',
+        meta: 'GET /openmensa/:location/meta.xml'
+      },
+      embed: {
+        menu: 'GET /embed/menu?location={location}&theme={dark|light|auto}&include={tags}&exclude={tags}',
+        widget: 'GET /embed/widget.js'
+      },
       comments: {
-        list: 'GET /api/comments/:mealId',
-        add: 'POST /api/comments/:mealId (body: {author_name, comment_text})',
-        delete: 'DELETE /api/comments/:commentId'
+        list: 'GET /api/comments/{meal|photo}/:targetId',
+        add: 'POST /api/comments/{meal|photo}/:targetId (body: {author_name, comment_text, parent_id?})',
+        edit: 'PATCH /api/comments/:commentId (body: {comment_text}, owner only, 15 minutes)',
+        delete: 'DELETE /api/comments/:commentId (removes replies too)',
+        revisions: 'GET /api/admin/comments/:commentId/revisions (admin only)',
+        deprecatedAliases: 'GET|POST /api/comments/:mealId, GET|POST /api/photos/:photoId/comments, PATCH|DELETE /api/photos/comments/:commentId (old field names, parent_comment_id)'
       },
       photos: {
-        list: 'GET /api/photos?mensa={location}&sort={new|top}',
+        list: 'GET /api/photos?mensa={location}&sort={new|top|score}',
         upload: 'POST /api/photos (multipart: photo, meal_id, author_name, caption)',
         delete: 'DELETE /api/photos/:photoId',
-        vote: 'POST /api/photos/:photoId/vote',
-        comments: {
-          list: 'GET /api/photos/:photoId/comments',
-          add: 'POST /api/photos/:photoId/comments (body: {author_name, comment_text})',
-          delete: 'DELETE /api/photos/comments/:commentId'
-        }
+        vote: 'POST /api/photos/:photoId/vote'
+      },
+      webhooks: {
+        list: 'GET /api/admin/webhooks (admin only)',
+        create: 'POST /api/admin/webhooks (body: {url, events?, description?, secret?})',
+        update: 'PATCH /api/admin/webhooks/:webhookId (body: {url?, events?, description?, active?, rotate_secret?})',
+        delete: 'DELETE /api/admin/webhooks/:webhookId',
+        test: 'POST /api/admin/webhooks/:webhookId/test',
+        deliveries: 'GET /api/admin/webhooks/:webhookId/deliveries?limit={n}',
+        redeliver: 'POST /api/admin/webhooks/deliveries/:deliveryId/redeliver'
       }
     }
   });
@@ -132,8 +215,17 @@ app.get('/', (req, res) => {
   res.sendFile(path.join(__dirname, '../frontend/index.html'));
 });
 
-// Start server
-app.listen(PORT, () => {
-  console.log(`Server running on http://localhost:${PORT}`);
-  console.log(`API available at http://localhost:${PORT}/api`);
+// Start schedulers and server once the database migrations are done
+db.ready.then(() => {
+  initPhotoCleanupScheduler();
+  initMealScheduler();
+  initStreakReminderScheduler();
+  initDigestScheduler();
+  initWebhookScheduler();
+  initBotScheduler();
+
+  app.listen(PORT, () => {
+    console.log(`Server running on http://localhost:${PORT}`);
+    console.log(`API available at http://localhost:${PORT}/api`);
+  });
 });
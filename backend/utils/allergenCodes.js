@@ -0,0 +1,148 @@
+/**
+ * Studierendenwerk Hamburg allergen and additive codes, as they appear in
+ * parentheses behind meal names, e.g. "Currywurst (GlW, Sf, 2, 3)".
+ * Letter codes are allergens (EU regulation 1169/2011), numbers are additives.
+ * `group` collects related codes so filters can exclude e.g. all nuts at once.
+ */
+const ALLERGENS = [
+  { code: 'GlW', label: 'Weizen', group: 'gluten' },
+  { code: 'GlR', label: 'Roggen', group: 'gluten' },
+  { code: 'GlG', label: 'Gerste', group: 'gluten' },
+  { code: 'GlH', label: 'Hafer', group: 'gluten' },
+  { code: 'GlD', label: 'Dinkel', group: 'gluten' },
+  { code: 'GlK', label: 'Kamut', group: 'gluten' },
+  { code: 'Kr', label: 'Krebstiere', group: 'crustaceans' },
+  { code: 'Ei', label: 'Eier', group: 'eggs' },
+  { code: 'Fi', label: 'Fisch', group: 'fish' },
+  { code: 'En', label: 'Erdnüsse', group: 'peanuts' },
+  { code: 'So', label: 'Soja', group: 'soy' },
+  { code: 'La', label: 'Milch/Laktose', group: 'milk' },
+  { code: 'NuM', label: 'Mandeln', group: 'nuts' },
+  { code: 'NuH', label: 'Haselnüsse', group: 'nuts' },
+  { code: 'NuW', label: 'Walnüsse', group: 'nuts' },
+  { code: 'NuC', label: 'Cashewnüsse', group: 'nuts' },
+  { code: 'NuPe', label: 'Pekannüsse', group: 'nuts' },
+  { code: 'NuPa', label: 'Paranüsse', group: 'nuts' },
+  { code: 'NuPi', label: 'Pistazien', group: 'nuts' },
+  { code: 'NuMa', label: 'Macadamianüsse', group: 'nuts' },
+  { code: 'Sl', label: 'Sellerie', group: 'celery' },
+  { code: 'Sf', label: 'Senf', group: 'mustard' },
+  { code: 'Se', label: 'Sesam', group: 'sesame' },
+  { code: 'Sw', label: 'Schwefeldioxid/Sulfite', group: 'sulphites' },
+  { code: 'Lu', label: 'Lupinen', group: 'lupin' },
+  { code: 'Wt', label: 'Weichtiere', group: 'molluscs' }
+];
+
+const ADDITIVES = [
+  { code: '1', label: 'mit Farbstoff' },
+  { code: '2', label: 'mit Konservierungsstoff' },
+  { code: '3', label: 'mit Antioxidationsmittel' },
+  { code: '4', label: 'mit Geschmacksverstärker' },
+  { code: '5', label: 'geschwefelt' },
+  { code: '6', label: 'geschwärzt' },
+  { code: '7', label: 'gewachst' },
+  { code: '8', label: 'mit Phosphat' },
+  { code: '9', label: 'mit Süßungsmittel' },
+  { code: '10', label: 'enthält eine Phenylalaninquelle' }
+];
+
+// Lookup is case-insensitive; the feed also spells GlW as "GIW" (capital i)
+const ALLERGENS_BY_KEY = new Map(ALLERGENS.map(entry => [entry.code.toLowerCase(), entry]));
+const ADDITIVES_BY_CODE = new Map(ADDITIVES.map(entry => [entry.code, entry]));
+const ALLERGEN_ALIASES = { giw: 'glw', gir: 'glr', gig: 'glg', gih: 'glh', gid: 'gld', gik: 'glk' };
+
+// Same shape cleanMealName strips: "(GlW, Sf, 2, 3)" - short alphanumeric parts only
+const CODE_GROUP_REGEX = /\(([0-9A-Za-zÄÖÜäöüß.,\s-]+)\)/g;
+const CODE_PART_REGEX = /^[0-9A-Za-zÄÖÜäöüß]{1,4}$/;
+
+function findAllergen(code) {
+  const key = code.toLowerCase();
+  return ALLERGENS_BY_KEY.get(ALLERGEN_ALIASES[key] || key) || null;
+}
+
+/**
+ * Pull allergen and additive codes out of a raw meal name
+ * @param {string} name - Meal name as delivered by the feed
+ * @returns {{allergens: string[], additives: string[]}} Canonical codes, in table order
+ */
+function extractCodes(name = '') {
+  const allergens = new Set();
+  const additives = new Set();
+
+  if (typeof name !== 'string') {
+    return { allergens: [], additives: [] };
+  }
+
+  for (const [, content] of name.matchAll(CODE_GROUP_REGEX)) {
+    const parts = content.split(/\s*,\s*/).map(part => part.trim()).filter(Boolean);
+
+    if (parts.length === 0 || !parts.every(part => CODE_PART_REGEX.test(part))) {
+      continue;
+    }
+
+    parts.forEach(part => {
+      if (/^\d+$/.test(part)) {
+        additives.add(String(Number(part)));
+        return;
+      }
+
+      const allergen = findAllergen(part);
+      allergens.add(allergen ? allergen.code : part);
+    });
+  }
+
+  return {
+    allergens: sortCodes([...allergens], ALLERGENS.map(entry => entry.code)),
+    additives: [...additives].sort((a, b) => Number(a) - Number(b))
+  };
+}
+
+function sortCodes(codes, order) {
+  return codes.sort((a, b) => {
+    const indexA = order.indexOf(a);
+    const indexB = order.indexOf(b);
+    return (indexA === -1 ? order.length : indexA) - (indexB === -1 ? order.length : indexB);
+  });
+}
+
+function splitCodes(value) {
+  if (Array.isArray(value)) {
+    return value;
+  }
+
+  return value ? String(value).split(',').map(code => code.trim()).filter(Boolean) : [];
+}
+
+/**
+ * Turn stored allergen codes into API objects
+ * @param {string|string[]} value - Comma separated codes as stored on the meal
+ * @returns {Array<{code: string, label: string, group: string|null}>}
+ */
+function decodeAllergens(value) {
+  return splitCodes(value).map(code => {
+    const allergen = findAllergen(code);
+    return allergen
+      ? { code: allergen.code, label: allergen.label, group: allergen.group }
+      : { code, label: code, group: null };
+  });
+}
+
+/**
+ * Turn stored additive codes into API objects
+ * @param {string|string[]} value - Comma separated codes as stored on the meal
+ * @returns {Array<{code: string, label: string}>}
+ */
+function decodeAdditives(value) {
+  return splitCodes(value).map(code => {
+    const additive = ADDITIVES_BY_CODE.get(code);
+    return { code, label: additive ? additive.label : `Zusatzstoff ${code}` };
+  });
+}
+
+module.exports = {
+  ALLERGENS,
+  ADDITIVES,
+  extractCodes,
+  decodeAllergens,
+  decodeAdditives
+};
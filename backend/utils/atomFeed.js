@@ -0,0 +1,83 @@
+/**
+ * Minimal Atom (RFC 4287) writer for the menu and photo feeds
+ */
+
+function escapeXml(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;');
+}
+
+/**
+ * SQLite CURRENT_TIMESTAMP values are UTC without a zone; Atom needs RFC 3339
+ * @param {string|null} timestamp - "YYYY-MM-DD HH:MM:SS"
+ * @returns {string|null}
+ */
+function toAtomDate(timestamp) {
+  if (!timestamp) {
+    return null;
+  }
+
+  return `${String(timestamp).replace(' ', 'T')}Z`;
+}
+
+function buildEntry(entry) {
+  return [
+    '  <entry>',
+    `    <id>${escapeXml(entry.id)}</id>`,
+    `    <title>${escapeXml(entry.title)}</title>`,
+    `    <updated>${entry.updated}</updated>`,
+    entry.published ? `    <published>${entry.published}</published>` : null,
+    `    <link rel="alternate" type="text/html" href="${escapeXml(entry.link)}"/>`,
+    entry.author ? `    <author><name>${escapeXml(entry.author)}</name></author>` : null,
+    entry.summary ? `    <summary>${escapeXml(entry.summary)}</summary>` : null,
+    `    <content type="html">${escapeXml(entry.contentHtml)}</content>`,
+    '  </entry>'
+  ].filter(line => line !== null).join('\n');
+}
+
+/**
+ * Serialize an Atom feed
+ * @param {Object} feed
+ * @param {string} feed.id - Permanent feed IRI
+ * @param {string} feed.title
+ * @param {string} [feed.subtitle]
+ * @param {string} feed.selfUrl - URL the feed was requested from
+ * @param {string} feed.siteUrl - Page the feed belongs to
+ * @param {Array<{id: string, title: string, updated: string, published?: string, link: string, author?: string, summary?: string, contentHtml: string}>} feed.entries -
+ *   Newest first; dates in RFC 3339
+ * @param {Date} [now] - Feed `updated` when there are no entries
+ * @returns {string} Atom XML
+ */
+function buildAtomFeed({ id, title, subtitle = '', selfUrl, siteUrl, entries }, now = new Date()) {
+  // The feed changes whenever its newest entry does
+  const updated = entries.reduce(
+    (latest, entry) => (entry.updated > latest ? entry.updated : latest),
+    ''
+  ) || now.toISOString().replace(/\.\d{3}Z$/, 'Z');
+
+  return [
+    '<?xml version="1.0" encoding="utf-8"?>',
+    '<feed xmlns="http://www.w3.org/2005/Atom">',
+    `  <id>${escapeXml(id)}</id>`,
+    `  <title>${escapeXml(title)}</title>`,
+    subtitle ? `  <subtitle>${escapeXml(subtitle)}</subtitle>` : null,
+    `  <updated>${updated}</updated>`,
+    `  <link rel="self" type="application/atom+xml" href="${escapeXml(selfUrl)}"/>`,
+    `  <link rel="alternate" type="text/html" href="${escapeXml(siteUrl)}"/>`,
+    '  <author><name>Pottkieker</name></author>',
+    '  <generator>pottkieker.life</generator>',
+    ...entries.map(buildEntry),
+    '</feed>',
+    ''
+  ].filter(line => line !== null).join('\n');
+}
+
+module.exports = {
+  escapeXml,
+  toAtomDate,
+  buildAtomFeed
+};
@@ -0,0 +1,154 @@
+const http = require('http');
+const https = require('https');
+
+const BOT_TIMEOUT_MS = 10000;
+const DEFAULT_TELEGRAM_API_URL = 'https://api.telegram.org';
+// Discord webhooks have no chats; every post goes to the configured channel
+const DISCORD_CHAT_ID = 'webhook';
+
+// Messages the mock transport "sent", for tests and local development; only the newest are kept
+const MOCK_OUTBOX_LIMIT = 100;
+const mockOutbox = [];
+
+function postJson(url, payload) {
+  const target = new URL(url);
+  const client = target.protocol === 'http:' ? http : https;
+  const body = JSON.stringify(payload);
+
+  return new Promise((resolve, reject) => {
+    const request = client.request(target, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'Content-Length': Buffer.byteLength(body)
+      },
+      timeout: BOT_TIMEOUT_MS
+    }, (response) => {
+      let text = '';
+      response.setEncoding('utf8');
+      response.on('data', (chunk) => {
+        text += chunk;
+      });
+      response.on('end', () => {
+        if (response.statusCode >= 200 && response.statusCode < 300) {
+          resolve({ statusCode: response.statusCode, body: text });
+        } else {
+          const error = new Error(`Bot API responded with ${response.statusCode}: ${text.slice(0, 200)}`);
+          error.statusCode = response.statusCode;
+          reject(error);
+        }
+      });
+    });
+
+    request.on('timeout', () => request.destroy(new Error('Bot request timed out')));
+    request.on('error', reject);
+    request.end(body);
+  });
+}
+
+function truncateMessage(text, maxLength) {
+  return text.length > maxLength ? `${text.slice(0, maxLength - 1)}…` : text;
+}
+
+const telegramTransport = {
+  name: 'telegram',
+  maxLength: 4096,
+  isEnabled() {
+    return Boolean(process.env.TELEGRAM_BOT_TOKEN);
+  },
+  send(chatId, text) {
+    const apiUrl = (process.env.TELEGRAM_API_URL || DEFAULT_TELEGRAM_API_URL).replace(/\/+$/, '');
+    return postJson(`${apiUrl}/bot${process.env.TELEGRAM_BOT_TOKEN}/sendMessage`, {
+      chat_id: chatId,
+      text: truncateMessage(text, this.maxLength),
+      disable_web_page_preview: true
+    });
+  },
+  /**
+   * Pull the chat and command text out of a Telegram Update
+   * @returns {{chatId: string, text: string}|null} Null for updates that are not text messages
+   */
+  parseUpdate(update) {
+    const message = update?.message || update?.channel_post;
+
+    if (!message || typeof message.text !== 'string' || !message.chat) {
+      return null;
+    }
+
+    return { chatId: String(message.chat.id), text: message.text };
+  }
+};
+
+const discordTransport = {
+  name: 'discord',
+  maxLength: 2000,
+  isEnabled() {
+    return Boolean(process.env.DISCORD_WEBHOOK_URL);
+  },
+  send(chatId, text) {
+    return postJson(process.env.DISCORD_WEBHOOK_URL, {
+      content: truncateMessage(text, this.maxLength),
+      allowed_mentions: { parse: [] }
+    });
+  }
+};
+
+const mockTransport = {
+  name: 'mock',
+  maxLength: 4096,
+  isEnabled() {
+    return process.env.BOT_MOCK_TRANSPORT === 'true';
+  },
+  send(chatId, text) {
+    mockOutbox.push({ chatId: String(chatId), text: truncateMessage(text, this.maxLength), sentAt: new Date().toISOString() });
+    if (mockOutbox.length > MOCK_OUTBOX_LIMIT) {
+      mockOutbox.splice(0, mockOutbox.length - MOCK_OUTBOX_LIMIT);
+    }
+    return Promise.resolve({ statusCode: 200 });
+  }
+};
+
+const transports = {
+  telegram: telegramTransport,
+  discord: discordTransport,
+  mock: mockTransport
+};
+
+/**
+ * @param {string} name - 'telegram', 'discord', 'mock' or a registered transport
+ * @returns {Object|null}
+ */
+function getBotTransport(name) {
+  return Object.prototype.hasOwnProperty.call(transports, name) ? transports[name] : null;
+}
+
+/**
+ * Add or replace a transport
+ * @param {string} name
+ * @param {{maxLength: number, isEnabled: Function, send: Function}} transport -
+ *   send(chatId, text) => Promise
+ */
+function registerBotTransport(name, transport) {
+  transports[name] = { name, ...transport };
+}
+
+function getEnabledTransports() {
+  return Object.values(transports).filter(transport => transport.isEnabled()).map(transport => transport.name);
+}
+
+function getMockOutbox() {
+  return [...mockOutbox];
+}
+
+function clearMockOutbox() {
+  mockOutbox.length = 0;
+}
+
+module.exports = {
+  DISCORD_CHAT_ID,
+  getBotTransport,
+  registerBotTransport,
+  getEnabledTransports,
+  getMockOutbox,
+  clearMockOutbox
+};
@@ -0,0 +1,441 @@
+const cron = require('node-cron');
+const { runAsync, allAsync } = require('../dbAsync');
+const { getBerlinDate, formatPrice } = require('./mensaParser');
+const { getLocations, getLocation, getDefaultLocationId } = require('./locationRegistry');
+const { isWeekendDate } = require('./openingHours');
+const { loadMealsForDate, getClosedMessage } = require('./menuLoader');
+const { filterMeals } = require('./dietaryFilter');
+const { sortByScore } = require('./ranking');
+const { DISCORD_CHAT_ID, getBotTransport } = require('./botTransports');
+const { getPublicUrl } = require('./publicUrl');
+
+const TIMEZONE = 'Europe/Berlin';
+const POST_CHECK_SCHEDULE = '* * * * *';
+// A post missed by a restart is still sent if the server is back within this window
+const CATCH_UP_MINUTES = 30;
+const TOP_MEALS = 3;
+const DEFAULT_DISCORD_POST_TIME = '10:30';
+const WEEKDAYS = ['So', 'Mo', 'Di', 'Mi', 'Do', 'Fr', 'Sa'];
+
+// One run at a time, so a slow feed or chat API can't make the next minute's run post twice
+let posting = false;
+
+function getBerlinTime(now = new Date()) {
+  return new Intl.DateTimeFormat('en-GB', {
+    timeZone: TIMEZONE,
+    hour: '2-digit',
+    minute: '2-digit',
+    hourCycle: 'h23'
+  }).format(now);
+}
+
+function toMinutes(time) {
+  const [hours, minutes] = time.split(':').map(Number);
+  return hours * 60 + minutes;
+}
+
+/**
+ * Parse "11:00", "9:30" or "11" into HH:MM
+ * @returns {string|null}
+ */
+function parsePostTime(value) {
+  const match = /^(\d{1,2})(?::(\d{2}))?$/.exec(String(value || '').trim());
+
+  if (!match) {
+    return null;
+  }
+
+  const hours = Number(match[1]);
+  const minutes = Number(match[2] || 0);
+
+  if (hours > 23 || minutes > 59) {
+    return null;
+  }
+
+  return `${String(hours).padStart(2, '0')}:${String(minutes).padStart(2, '0')}`;
+}
+
+/**
+ * Match a location by ID, name or short name, case-insensitively
+ * @returns {string|null} Location ID
+ */
+function findLocation(value) {
+  const key = String(value || '').trim().toLowerCase();
+  const match = getLocations().find(location => [location.id, location.name, location.shortName]
+    .filter(Boolean)
+    .some(name => name.toLowerCase() === key));
+
+  return match ? match.id : null;
+}
+
+function getLocationName(location) {
+  const entry = getLocation(location);
+  return entry ? (entry.shortName || entry.name) : location;
+}
+
+function listLocationIds() {
+  return getLocations().map(location => location.id).join(', ');
+}
+
+function formatDate(date) {
+  const [year, month, day] = date.split('-').map(Number);
+  const weekday = WEEKDAYS[new Date(Date.UTC(year, month - 1, day)).getUTCDay()];
+  return `${weekday} ${String(day).padStart(2, '0')}.${String(month).padStart(2, '0')}.`;
+}
+
+function getTags(meal) {
+  return meal.notes ? meal.notes.split(',').map(tag => tag.trim()).filter(Boolean) : [];
+}
+
+function formatMealLine(meal) {
+  const price = formatPrice(meal.price_student);
+  const tags = getTags(meal);
+  return [
+    `• ${meal.name}`,
+    price ? ` – ${price}` : '',
+    tags.length > 0 ? ` [${tags.join(', ')}]` : ''
+  ].join('');
+}
+
+function formatMenuLink(location, date) {
+  return `${getPublicUrl()}/?location=${encodeURIComponent(location)}&date=${date}`;
+}
+
+/**
+ * Plain-text menu grouped by category, the format every transport can show
+ * @param {string} location - Location ID
+ * @param {string} date - Date in YYYY-MM-DD format
+ * @param {Array} meals
+ * @param {string} [title] - Defaults to "<Mensa> · <weekday date>"
+ * @returns {string}
+ */
+function formatMenu(location, date, meals, title = `${getLocationName(location)} · ${formatDate(date)}`) {
+  const lines = [title];
+  const categories = [...new Set(meals.map(meal => meal.category || 'Sonstiges'))];
+
+  categories.forEach((category) => {
+    lines.push('', category);
+    meals
+      .filter(meal => (meal.category || 'Sonstiges') === category)
+      .forEach(meal => lines.push(formatMealLine(meal)));
+  });
+
+  lines.push('', formatMenuLink(location, date));
+  return lines.join('\n');
+}
+
+function formatTopMeals(location, date, meals) {
+  const voted = sortByScore(meals.filter(meal => meal.upvotes + meal.downvotes > 0)).slice(0, TOP_MEALS);
+
+  if (voted.length === 0) {
+    return `No votes at ${getLocationName(location)} yet today. Be the first: ${formatMenuLink(location, date)}`;
+  }
+
+  return [
+    `Top rated at ${getLocationName(location)} · ${formatDate(date)}`,
+    '',
+    ...voted.map((meal, index) => `${index + 1}. ${meal.name} – ${meal.upvotes} up, ${meal.downvotes} down`),
+    '',
+    formatMenuLink(location, date)
+  ].join('\n');
+}
+
+/**
+ * Today's meals for a location, or the closed message
+ * @returns {Promise<{date: string, meals: Array, closed: string|null}>}
+ */
+async function loadToday(location, today = getBerlinDate()) {
+  const closed = await getClosedMessage([location], today, today);
+
+  if (closed) {
+    return { date: today, meals: [], closed: closed.message };
+  }
+
+  const loaded = await loadMealsForDate([location], location, today);
+  return { date: loaded.date, meals: loaded.meals, closed: null };
+}
+
+// Shared by the commands that take an optional location argument
+function resolveLocationArg(args) {
+  if (args.length === 0) {
+    return { location: getDefaultLocationId() };
+  }
+
+  const location = findLocation(args.join(' '));
+  return location
+    ? { location }
+    : { error: `Unknown Mensa "${args.join(' ')}". Try one of: ${listLocationIds()}` };
+}
+
+async function menuCommand(args) {
+  const { location, error } = resolveLocationArg(args);
+  if (error) {
+    return error;
+  }
+
+  const { date, meals, closed } = await loadToday(location);
+  if (closed) {
+    return closed;
+  }
+
+  return meals.length > 0 ? formatMenu(location, date, meals) : `No menu for ${getLocationName(location)} yet.`;
+}
+
+async function topCommand(args) {
+  const { location, error } = resolveLocationArg(args);
+  if (error) {
+    return error;
+  }
+
+  const { date, meals, closed } = await loadToday(location);
+  return closed || formatTopMeals(location, date, meals);
+}
+
+async function veganCommand(args) {
+  const { location, error } = resolveLocationArg(args);
+  if (error) {
+    return error;
+  }
+
+  const { date, meals, closed } = await loadToday(location);
+  if (closed) {
+    return closed;
+  }
+
+  const vegan = filterMeals(meals, { include: ['Vegan'], exclude: [] });
+  return vegan.length > 0
+    ? formatMenu(location, date, vegan, `Vegan at ${getLocationName(location)} · ${formatDate(date)}`)
+    : `Nothing vegan at ${getLocationName(location)} today.`;
+}
+
+async function subscribeCommand(args, { transport, chatId }) {
+  const timeArg = args.find(arg => parsePostTime(arg));
+  const locationArgs = args.filter(arg => arg !== timeArg);
+
+  if (!timeArg) {
+    return 'Usage: /subscribe 11:00 [mensa]';
+  }
+
+  const { location, error } = resolveLocationArg(locationArgs);
+  if (error) {
+    return error;
+  }
+
+  const postTime = parsePostTime(timeArg);
+  await saveBotSubscription({ transport, chatId, location, postTime });
+  return `Subscribed: the ${getLocationName(location)} menu will be posted here at ${postTime} on every open day. /unsubscribe to stop.`;
+}
+
+async function unsubscribeCommand(args, { transport, chatId }) {
+  let location = null;
+
+  if (args.length > 0) {
+    location = findLocation(args.join(' '));
+    if (!location) {
+      return `Unknown Mensa "${args.join(' ')}". Try one of: ${listLocationIds()}`;
+    }
+  }
+
+  const removed = await removeBotSubscription({ transport, chatId, location });
+  return removed > 0 ? 'Unsubscribed. No more daily posts here.' : 'This chat has no daily posts to stop.';
+}
+
+function helpCommand() {
+  return [
+    'Pottkieker – Mensa menus at Universität Hamburg',
+    '',
+    ...Object.entries(COMMANDS)
+      .filter(([, command]) => command.description)
+      .map(([name, command]) => `/${name}${command.usage ? ` ${command.usage}` : ''} – ${command.description}`),
+    '',
+    `Mensas: ${listLocationIds()}`
+  ].join('\n');
+}
+
+const COMMANDS = {
+  menu: { usage: '[mensa]', description: "today's menu", run: menuCommand },
+  top: { usage: '[mensa]', description: "today's best rated meals", run: topCommand },
+  vegan: { usage: '[mensa]', description: "today's vegan meals", run: veganCommand },
+  subscribe: { usage: 'HH:MM [mensa]', description: 'post the menu here every open day', run: subscribeCommand },
+  unsubscribe: { usage: '[mensa]', description: 'stop the daily posts', run: unsubscribeCommand },
+  help: { usage: '', description: 'this list', run: helpCommand },
+  start: { run: helpCommand }
+};
+
+/**
+ * Answer a chat message. Only /commands get a reply so the bot stays quiet in group chats.
+ * @param {Object} message
+ * @param {string} message.transport - Transport the message came in on
+ * @param {string} message.chatId
+ * @param {string} message.text - e.g. "/menu philturm" or "/menu@PottkiekerBot"
+ * @returns {Promise<string|null>} Reply text, or null when there is nothing to answer
+ */
+async function handleBotMessage({ transport, chatId, text }) {
+  const [head, ...args] = String(text || '').trim().split(/\s+/);
+  const match = /^\/([a-z]+)(?:@\S+)?$/i.exec(head || '');
+
+  if (!match) {
+    return null;
+  }
+
+  const command = COMMANDS[match[1].toLowerCase()];
+  if (!command) {
+    return `Unknown command /${match[1]}. Send /help for the list.`;
+  }
+
+  return command.run(args, { transport, chatId: String(chatId) });
+}
+
+async function saveBotSubscription({ transport, chatId, location, postTime }) {
+  await runAsync(
+    `INSERT INTO bot_subscriptions (transport, chat_id, location, post_time)
+     VALUES (?, ?, ?, ?)
+     ON CONFLICT(transport, chat_id, location) DO UPDATE SET
+       post_time = excluded.post_time`,
+    [transport, String(chatId), location, postTime]
+  );
+}
+
+/**
+ * @param {Object} subscription
+ * @param {string|null} subscription.location - Null removes every location of the chat
+ * @returns {Promise<number>} Number of subscriptions removed
+ */
+async function removeBotSubscription({ transport, chatId, location = null }) {
+  const params = [transport, String(chatId)];
+  let locationFilter = '';
+
+  if (location) {
+    locationFilter = 'AND location = ?';
+    params.push(location);
+  }
+
+  const result = await runAsync(
+    `DELETE FROM bot_subscriptions WHERE transport = ? AND chat_id = ? ${locationFilter}`,
+    params
+  );
+  return result.changes;
+}
+
+/**
+ * Mirror DISCORD_WEBHOOK_URL / DISCORD_POST_TIME / DISCORD_LOCATIONS into
+ * subscriptions, since a Discord webhook cannot receive /subscribe
+ * @returns {Promise<number>} Number of Discord subscriptions
+ */
+async function syncDiscordSubscriptions() {
+  const transport = getBotTransport('discord');
+  const postTime = parsePostTime(process.env.DISCORD_POST_TIME || DEFAULT_DISCORD_POST_TIME);
+  const locations = transport.isEnabled()
+    ? String(process.env.DISCORD_LOCATIONS || getDefaultLocationId()).split(',').map(findLocation).filter(Boolean)
+    : [];
+
+  if (transport.isEnabled() && !postTime) {
+    console.error('[Chat Bot] Invalid DISCORD_POST_TIME, expected HH:MM.');
+    return 0;
+  }
+
+  await runAsync(
+    `DELETE FROM bot_subscriptions WHERE transport = 'discord' AND location NOT IN (${locations.map(() => '?').join(', ') || "''"})`,
+    locations
+  );
+
+  for (const location of locations) {
+    await saveBotSubscription({ transport: 'discord', chatId: DISCORD_CHAT_ID, location, postTime });
+  }
+
+  return locations.length;
+}
+
+/**
+ * Post today's menu to every subscription whose time has come. A subscription
+ * only counts as done for the day once its menu or a closed notice went out,
+ * so a menu published late is still posted within the catch-up window.
+ * @param {Date} [now]
+ * @returns {Promise<number>} Number of posts sent
+ */
+async function sendScheduledPosts(now = new Date()) {
+  if (posting) {
+    return 0;
+  }
+
+  posting = true;
+
+  try {
+    return await postDueMenus(now);
+  } finally {
+    posting = false;
+  }
+}
+
+async function postDueMenus(now) {
+  const today = getBerlinDate(now);
+  const minutesNow = toMinutes(getBerlinTime(now));
+  const rows = await allAsync(
+    'SELECT * FROM bot_subscriptions WHERE last_sent_date IS NULL OR last_sent_date != ?',
+    [today]
+  );
+  const due = rows.filter((row) => {
+    const minutesLate = minutesNow - toMinutes(row.post_time);
+    return minutesLate >= 0 && minutesLate < CATCH_UP_MINUTES;
+  });
+  let sent = 0;
+
+  for (const row of due) {
+    const transport = getBotTransport(row.transport);
+
+    if (!transport || !transport.isEnabled()) {
+      continue;
+    }
+
+    try {
+      const { date, meals, closed } = await loadToday(row.location, today);
+
+      // Nobody needs to hear that the Mensa is closed on a weekend
+      if ((closed && isWeekendDate(today)) || (!closed && meals.length === 0)) {
+        continue;
+      }
+
+      await transport.send(row.chat_id, closed || formatMenu(row.location, date, meals));
+      await runAsync('UPDATE bot_subscriptions SET last_sent_date = ? WHERE id = ?', [today, row.id]);
+      sent += 1;
+    } catch (error) {
+      console.error(`[Chat Bot] Failed to post to ${row.transport} chat ${row.chat_id}:`, error.message);
+    }
+  }
+
+  return sent;
+}
+
+function initBotScheduler() {
+  syncDiscordSubscriptions().catch(err => {
+    console.error('[Chat Bot] Failed to sync Discord subscriptions:', err);
+  });
+
+  cron.schedule(POST_CHECK_SCHEDULE, () => {
+    sendScheduledPosts()
+      .then(count => {
+        if (count > 0) {
+          console.log(`[Chat Bot] Posted ${count} daily menus.`);
+        }
+      })
+      .catch(err => {
+        console.error('[Chat Bot] Failed to send daily posts:', err);
+      });
+  }, {
+    scheduled: true,
+    timezone: TIMEZONE
+  });
+
+  console.log('[Chat Bot] Checking for daily menu posts every minute.');
+}
+
+module.exports = {
+  handleBotMessage,
+  formatMenu,
+  parsePostTime,
+  saveBotSubscription,
+  removeBotSubscription,
+  syncDiscordSubscriptions,
+  sendScheduledPosts,
+  initBotScheduler
+};
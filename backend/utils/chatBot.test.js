@@ -0,0 +1,142 @@
+const { test, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const http = require('http');
+
+// 10:30 in Berlin on Monday 2026-10-19 and Saturday 2026-10-24
+const MONDAY_POST_TIME = new Date('2026-10-19T08:30:00Z');
+const SATURDAY_POST_TIME = new Date('2026-10-24T08:30:00Z');
+
+function feed(days) {
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<openmensa version="2.1" xmlns="http://openmensa.org/open-mensa-v2">
+  <version>1</version>
+  <canteen>${days}</canteen>
+</openmensa>`;
+}
+
+const MONDAY_MENU = '<day date="2026-10-19"><category name="Hauptgericht"><meal><name>Linsen-Dal</name><note>vegan</note><price role="student">2.50</price></meal></category></day>';
+const TUESDAY_MENU = '<day date="2026-10-20"><category name="Hauptgericht"><meal><name>Pasta</name><price role="student">2.80</price></meal></category></day>';
+
+// Upstream feed per location; tests swap them to publish a menu or close a day
+const feeds = {};
+const server = http.createServer((req, res) => {
+  const body = feeds[req.url.slice(1)];
+  res.writeHead(body ? 200 : 404, { 'Content-Type': 'application/xml' });
+  res.end(body || '');
+});
+
+const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'chat-bot-test-'));
+let db;
+let chatBot;
+let botTransports;
+
+before(async () => {
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  const baseUrl = `http://127.0.0.1:${server.address().port}`;
+  const locationsFile = path.join(tmpDir, 'locations.json');
+
+  fs.writeFileSync(locationsFile, JSON.stringify(['late', 'closed', 'busy'].map((id, index) => ({
+    id,
+    name: `Mensa ${id}`,
+    feedUrl: `${baseUrl}/${id}`,
+    default: index === 0
+  }))));
+
+  process.env.MENSA_DB_PATH = ':memory:';
+  process.env.MENSA_LOCATIONS_FILE = locationsFile;
+  process.env.FEED_CACHE_DIR = path.join(tmpDir, 'feed-cache');
+  process.env.FEED_CACHE_FRESH_MS = '0';
+  process.env.BOT_MOCK_TRANSPORT = 'true';
+
+  db = require('../database');
+  chatBot = require('./chatBot');
+  botTransports = require('./botTransports');
+  await db.ready;
+});
+
+after(async () => {
+  await new Promise(resolve => server.close(resolve));
+  await new Promise(resolve => db.close(resolve));
+  fs.rmSync(tmpDir, { recursive: true, force: true });
+});
+
+beforeEach(async () => {
+  botTransports.clearMockOutbox();
+  await query('DELETE FROM bot_subscriptions');
+});
+
+function query(sql, params = []) {
+  return new Promise((resolve, reject) => {
+    db.all(sql, params, (err, rows) => (err ? reject(err) : resolve(rows)));
+  });
+}
+
+function subscribe(chatId, location) {
+  return chatBot.saveBotSubscription({ transport: 'mock', chatId, location, postTime: '10:30' });
+}
+
+async function lastSentDate(chatId) {
+  const [row] = await query('SELECT last_sent_date FROM bot_subscriptions WHERE chat_id = ?', [chatId]);
+  return row.last_sent_date;
+}
+
+test('keeps trying until the menu is published, then posts it once', async () => {
+  feeds.late = feed(TUESDAY_MENU);
+  await subscribe('chat-late', 'late');
+
+  assert.equal(await chatBot.sendScheduledPosts(MONDAY_POST_TIME), 0);
+  assert.equal(await lastSentDate('chat-late'), null);
+
+  feeds.late = feed(MONDAY_MENU + TUESDAY_MENU);
+  const tenMinutesLater = new Date(MONDAY_POST_TIME.getTime() + 10 * 60 * 1000);
+
+  assert.equal(await chatBot.sendScheduledPosts(tenMinutesLater), 1);
+  assert.equal(await chatBot.sendScheduledPosts(tenMinutesLater), 0);
+  assert.equal(await lastSentDate('chat-late'), '2026-10-19');
+
+  const outbox = botTransports.getMockOutbox();
+  assert.equal(outbox.length, 1);
+  assert.equal(outbox[0].chatId, 'chat-late');
+  assert.match(outbox[0].text, /Linsen-Dal/);
+});
+
+test('posts a closed notice on weekdays but stays quiet on weekends', async () => {
+  feeds.closed = feed('<day date="2026-10-19"><closed/></day>');
+  await subscribe('chat-closed', 'closed');
+
+  assert.equal(await chatBot.sendScheduledPosts(SATURDAY_POST_TIME), 0);
+  assert.equal(await lastSentDate('chat-closed'), null);
+
+  assert.equal(await chatBot.sendScheduledPosts(MONDAY_POST_TIME), 1);
+  assert.equal(await lastSentDate('chat-closed'), '2026-10-19');
+  assert.match(botTransports.getMockOutbox()[0].text, /Mensa closed is closed today/);
+});
+
+test('overlapping runs do not post the same menu twice', async () => {
+  feeds.busy = feed(MONDAY_MENU);
+  await subscribe('chat-busy', 'busy');
+
+  const counts = await Promise.all([
+    chatBot.sendScheduledPosts(MONDAY_POST_TIME),
+    chatBot.sendScheduledPosts(MONDAY_POST_TIME)
+  ]);
+
+  assert.deepEqual(counts, [1, 0]);
+  assert.equal(botTransports.getMockOutbox().length, 1);
+});
+
+test('the mock outbox keeps only the newest 100 messages', async () => {
+  const mock = botTransports.getBotTransport('mock');
+
+  for (let index = 0; index < 105; index += 1) {
+    await mock.send('chat-spam', `message ${index}`);
+  }
+
+  const outbox = botTransports.getMockOutbox();
+  assert.equal(outbox.length, 100);
+  assert.equal(outbox[0].text, 'message 5');
+  assert.equal(outbox[99].text, 'message 104');
+});
@@ -0,0 +1,469 @@
+const { runAsync, getAsync, allAsync } = require('../dbAsync');
+const { hashIP } = require('./hashIP');
+const { parseSqliteTimestamp } = require('./ranking');
+const { computeIsOwner } = require('../middleware/ownershipToken');
+const { notifyCommentReply } = require('./notifications');
+const { emitWebhookEvent } = require('./webhooks');
+const { getPublicUrl } = require('./publicUrl');
+
+// Owners can fix a comment for this long after posting it; later edits would rewrite a conversation
+const COMMENT_EDIT_WINDOW_MINUTES = 15;
+const MAX_AUTHOR_LENGTH = 50;
+const MAX_COMMENT_LENGTH = 500;
+const RATE_LIMIT_MINUTES = 5;
+
+function getMealUrl(meal) {
+  return `/?location=${encodeURIComponent(meal.mensa_location)}&date=${meal.date}`;
+}
+
+/**
+ * Everything that can be commented on. Each target knows how to load the
+ * commented row, where reply notifications link to and what webhooks receive.
+ */
+const COMMENT_TARGETS = {
+  meal: {
+    maxPerWindow: 5,
+    notFound: 'Meal not found',
+    load: id => getAsync('SELECT id, name, date, mensa_location FROM meals WHERE id = ?', [id]),
+    getReplyUrl: getMealUrl,
+    describe: meal => ({
+      meal: {
+        id: meal.id,
+        name: meal.name,
+        mensa_location: meal.mensa_location,
+        date: meal.date,
+        url: `${getPublicUrl()}${getMealUrl(meal)}`
+      }
+    })
+  },
+  photo: {
+    maxPerWindow: 10,
+    notFound: 'Photo not found',
+    load: id => getAsync('SELECT id, meal_id, photo_path FROM food_photos WHERE id = ?', [id]),
+    getReplyUrl: () => '/feed.html',
+    describe: photo => ({
+      photo: {
+        id: photo.id,
+        meal_id: photo.meal_id,
+        url: `${getPublicUrl()}/uploads/${photo.photo_path}`
+      }
+    })
+  }
+};
+
+// Errors the routes pass on to the client as-is
+function commentError(statusCode, message) {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+}
+
+/**
+ * Answer a failed comment operation: its own status and message for a commentError, 500 otherwise
+ * @param {Object} res - Express response
+ * @param {Error} error
+ * @param {string} fallback - Message logged and sent for unexpected errors
+ */
+function sendCommentError(res, error, fallback) {
+  if (error.statusCode) {
+    return res.status(error.statusCode).json({ error: error.message });
+  }
+
+  console.error(`${fallback}:`, error);
+  res.status(500).json({ error: fallback });
+}
+
+function getRequesterIpHash(req) {
+  return hashIP(req.ip || req.connection?.remoteAddress || '');
+}
+
+function getAuthorFromRequest(req) {
+  const user = req.user;
+  const username = user?.user_metadata?.username;
+  if (username && username.trim()) return username.trim();
+  const email = user?.email;
+  if (email) return email.split('@')[0];
+  return null;
+}
+
+// Basic XSS prevention: strip HTML tags
+function stripTags(text) {
+  return text.replace(/<[^>]*>/g, '');
+}
+
+function isCommentTarget(targetType) {
+  return Object.prototype.hasOwnProperty.call(COMMENT_TARGETS, targetType);
+}
+
+/**
+ * When the owner's edit window for a comment closes
+ * @param {string} createdAt - SQLite timestamp of the comment
+ * @returns {string|null} ISO timestamp, null if the creation time is unreadable
+ */
+function getEditableUntil(createdAt) {
+  const created = parseSqliteTimestamp(createdAt);
+
+  if (Number.isNaN(created.getTime())) {
+    return null;
+  }
+
+  return new Date(created.getTime() + COMMENT_EDIT_WINDOW_MINUTES * 60 * 1000).toISOString();
+}
+
+function isWithinEditWindow(createdAt, now = new Date()) {
+  const editableUntil = getEditableUntil(createdAt);
+  return !!editableUntil && now.getTime() <= new Date(editableUntil).getTime();
+}
+
+/**
+ * Shape a comment_entries row for the API
+ * @param {Object} row
+ * @param {Object} req
+ * @param {string} requesterIpHash
+ * @returns {Object}
+ */
+function formatComment(row, req, requesterIpHash) {
+  return {
+    id: row.id,
+    target_type: row.target_type,
+    target_id: row.target_id,
+    parent_id: row.parent_id,
+    author_name: row.author_name,
+    comment_text: row.comment_text,
+    created_at: row.created_at,
+    edited_at: row.edited_at,
+    editable_until: getEditableUntil(row.created_at),
+    is_owner: computeIsOwner(row, req, requesterIpHash),
+    is_admin: !!row.is_admin,
+    is_guest: !row.user_id
+  };
+}
+
+/**
+ * Add the field names of the per-target endpoints from before comments were unified
+ * (meal comments had `timestamp`, both had `parent_comment_id`)
+ * @param {Object} comment - As returned by listComments
+ * @returns {Object}
+ */
+function toLegacyComment(comment) {
+  return {
+    ...comment,
+    ...(comment.target_type === 'meal' ? { timestamp: comment.created_at } : {}),
+    parent_comment_id: comment.parent_id
+  };
+}
+
+/**
+ * All comments on a meal or photo, oldest first (threads are built by the client from parent_id)
+ * @param {string} targetType - Key of COMMENT_TARGETS
+ * @param {number|string} targetId
+ * @param {Object} req - Request, for is_owner
+ * @returns {Promise<Array>}
+ */
+async function listComments(targetType, targetId, req) {
+  const requesterIpHash = getRequesterIpHash(req);
+  const rows = await allAsync(
+    `SELECT *
+     FROM comment_entries
+     WHERE target_type = ? AND target_id = ?
+     ORDER BY created_at ASC, id ASC`,
+    [targetType, targetId]
+  );
+
+  return rows.map(row => formatComment(row, req, requesterIpHash));
+}
+
+/**
+ * Post a comment or reply, then notify the parent's author and webhook receivers
+ * @param {string} targetType - Key of COMMENT_TARGETS
+ * @param {number|string} targetId
+ * @param {Object} input - Request body: { author_name, comment_text, parent_id? }
+ * @param {Object} req
+ * @returns {Promise<Object>} The new comment as returned by listComments
+ */
+async function createComment(targetType, targetId, input, req) {
+  const target = COMMENT_TARGETS[targetType];
+  const { comment_text: commentText, parent_id: parentId = null } = input || {};
+  const authorName = getAuthorFromRequest(req) || String(input?.author_name || '').trim();
+  const userId = req.user?.id || null;
+  const ipHash = getRequesterIpHash(req);
+
+  if (typeof commentText !== 'string' || !commentText.trim()) {
+    throw commentError(400, 'Comment text is required');
+  }
+
+  if (!authorName) {
+    throw commentError(400, 'Author name is required');
+  }
+
+  if (authorName.length > MAX_AUTHOR_LENGTH) {
+    throw commentError(400, `Author name too long (max ${MAX_AUTHOR_LENGTH} characters)`);
+  }
+
+  if (commentText.length > MAX_COMMENT_LENGTH) {
+    throw commentError(400, `Comment too long (max ${MAX_COMMENT_LENGTH} characters)`);
+  }
+
+  const subject = await target.load(targetId);
+
+  if (!subject) {
+    throw commentError(404, target.notFound);
+  }
+
+  let parent = null;
+
+  // Replies must stay on the same meal or photo
+  if (parentId) {
+    parent = await getAsync(
+      'SELECT id, user_id FROM comment_entries WHERE id = ? AND target_type = ? AND target_id = ?',
+      [parentId, targetType, subject.id]
+    );
+
+    if (!parent) {
+      throw commentError(404, 'Parent comment not found');
+    }
+  }
+
+  const recent = await getAsync(
+    `SELECT COUNT(*) as count
+     FROM comment_entries
+     WHERE target_type = ? AND ip_address = ? AND created_at > datetime('now', ?)`,
+    [targetType, ipHash, `-${RATE_LIMIT_MINUTES} minutes`]
+  );
+
+  if (recent.count >= target.maxPerWindow) {
+    throw commentError(429, 'Too many comments. Please wait a few minutes.');
+  }
+
+  const sanitizedName = stripTags(authorName);
+  const sanitizedComment = stripTags(commentText);
+
+  const result = await runAsync(
+    `INSERT INTO comment_entries (target_type, target_id, parent_id, author_name, comment_text, ip_address, owner_token_hash, user_id, is_admin)
+     VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+    [targetType, subject.id, parent ? parent.id : null, sanitizedName, sanitizedComment, ipHash, req.ownerTokenHash, userId, req.isAdmin ? 1 : 0]
+  );
+
+  const row = await getAsync('SELECT * FROM comment_entries WHERE id = ?', [result.lastID]);
+  const comment = formatComment(row, req, ipHash);
+
+  if (parent) {
+    notifyCommentReply({
+      recipientId: parent.user_id,
+      authorId: userId,
+      authorName: sanitizedName,
+      text: sanitizedComment,
+      url: target.getReplyUrl(subject),
+      dedupeKey: `reply:comment:${comment.id}`
+    }).catch(notifyErr => console.error('Reply notification error:', notifyErr));
+  }
+
+  emitWebhookEvent('comment.created', {
+    comment: {
+      id: comment.id,
+      target: targetType,
+      author_name: comment.author_name,
+      comment_text: comment.comment_text,
+      parent_comment_id: comment.parent_id,
+      created_at: new Date().toISOString()
+    },
+    ...target.describe(subject)
+  }).catch(webhookErr => console.error('Comment webhook error:', webhookErr));
+
+  return comment;
+}
+
+/**
+ * Replace the text of your own comment within the edit window, keeping the old text as a revision
+ * @param {number|string} commentId
+ * @param {string} commentText
+ * @param {Object} req
+ * @returns {Promise<Object>} The updated comment
+ */
+async function editComment(commentId, commentText, req) {
+  const ipHash = getRequesterIpHash(req);
+
+  if (typeof commentText !== 'string' || !commentText.trim()) {
+    throw commentError(400, 'Comment text is required');
+  }
+
+  if (commentText.length > MAX_COMMENT_LENGTH) {
+    throw commentError(400, `Comment too long (max ${MAX_COMMENT_LENGTH} characters)`);
+  }
+
+  const comment = await getAsync('SELECT * FROM comment_entries WHERE id = ?', [commentId]);
+
+  if (!comment) {
+    throw commentError(404, 'Comment not found');
+  }
+
+  if (!computeIsOwner(comment, req, ipHash)) {
+    throw commentError(403, 'Cannot edit this comment');
+  }
+
+  if (!isWithinEditWindow(comment.created_at)) {
+    throw commentError(403, `Comments can only be edited within ${COMMENT_EDIT_WINDOW_MINUTES} minutes of posting`);
+  }
+
+  const sanitizedComment = stripTags(commentText);
+
+  if (sanitizedComment === comment.comment_text) {
+    return formatComment(comment, req, ipHash);
+  }
+
+  // Only overwrite the text this edit was based on, so two quick edits can't lose a revision
+  const result = await runAsync(
+    'UPDATE comment_entries SET comment_text = ?, edited_at = CURRENT_TIMESTAMP WHERE id = ? AND comment_text = ?',
+    [sanitizedComment, comment.id, comment.comment_text]
+  );
+
+  if (result.changes === 0) {
+    throw commentError(409, 'Comment was changed meanwhile, please reload');
+  }
+
+  await runAsync(
+    `INSERT INTO comment_revisions (comment_type, comment_id, comment_text, edited_by_user_id, edited_by_ip)
+     VALUES (?, ?, ?, ?, ?)`,
+    [comment.target_type, comment.id, comment.comment_text, req.user?.id || null, ipHash]
+  );
+
+  const updated = await getAsync('SELECT * FROM comment_entries WHERE id = ?', [comment.id]);
+  return formatComment(updated, req, ipHash);
+}
+
+/**
+ * Delete a comment with all replies below it, and their revisions
+ * @param {number|string} commentId
+ * @returns {Promise<number>} Number of deleted comments
+ */
+async function deleteCommentThread(commentId) {
+  const thread = `
+    WITH RECURSIVE thread(id) AS (
+      SELECT id FROM comment_entries WHERE id = ?
+      UNION ALL
+      SELECT e.id FROM comment_entries e JOIN thread t ON e.parent_id = t.id
+    )`;
+
+  await runAsync(`${thread} DELETE FROM comment_revisions WHERE comment_id IN (SELECT id FROM thread)`, [commentId]);
+  const result = await runAsync(`${thread} DELETE FROM comment_entries WHERE id IN (SELECT id FROM thread)`, [commentId]);
+  return result.changes;
+}
+
+/**
+ * Delete your own comment (admins may delete any) together with its replies
+ * @param {number|string} commentId
+ * @param {Object} req
+ * @returns {Promise<number>} Number of deleted comments
+ */
+async function deleteComment(commentId, req) {
+  const comment = await getAsync('SELECT * FROM comment_entries WHERE id = ?', [commentId]);
+
+  if (!comment) {
+    throw commentError(404, 'Comment not found');
+  }
+
+  if (!req.isAdmin && !computeIsOwner(comment, req, getRequesterIpHash(req))) {
+    throw commentError(403, 'Cannot delete this comment');
+  }
+
+  return deleteCommentThread(comment.id);
+}
+
+/**
+ * Newest comments on meals and photos for moderation
+ * @param {number} [limit]
+ * @returns {Promise<Array>} [{ id, type, ref_id, ref_name, author_name, comment_text, created_at, edited_at, revision_count }]
+ */
+function listRecentComments(limit = 100) {
+  return allAsync(
+    `SELECT
+       c.id,
+       c.target_type as type,
+       c.target_id as ref_id,
+       c.author_name,
+       c.comment_text,
+       c.created_at,
+       c.edited_at,
+       (SELECT COUNT(*) FROM comment_revisions r WHERE r.comment_id = c.id) as revision_count,
+       COALESCE(m.name, pm.name) as ref_name
+     FROM comment_entries c
+     LEFT JOIN meals m ON c.target_type = 'meal' AND m.id = c.target_id
+     LEFT JOIN food_photos fp ON c.target_type = 'photo' AND fp.id = c.target_id
+     LEFT JOIN meals pm ON pm.id = fp.meal_id
+     ORDER BY c.created_at DESC, c.id DESC
+     LIMIT ?`,
+    [limit]
+  );
+}
+
+/**
+ * A comment's current text and every earlier version, oldest first
+ * @param {number|string} commentId
+ * @returns {Promise<{comment: Object, revisions: Array}|null>} Null if the comment doesn't exist
+ */
+async function getCommentRevisions(commentId) {
+  const comment = await getAsync(
+    `SELECT id, target_type as type, target_id, author_name, comment_text, created_at, edited_at, user_id
+     FROM comment_entries
+     WHERE id = ?`,
+    [commentId]
+  );
+
+  if (!comment) {
+    return null;
+  }
+
+  const revisions = await allAsync(
+    `SELECT id, comment_text, edited_by_user_id, edited_by_ip, created_at AS replaced_at
+     FROM comment_revisions
+     WHERE comment_id = ?
+     ORDER BY id ASC`,
+    [commentId]
+  );
+
+  return { comment, revisions };
+}
+
+/**
+ * Remove comments whose meal, photo or parent comment is gone, and revisions of removed comments
+ * (the database doesn't enforce foreign keys, so daily cleanup and account deletion rely on this)
+ * @returns {Promise<number>} Number of deleted comments
+ */
+async function pruneOrphanedComments() {
+  let removed = 0;
+
+  removed += (await runAsync(
+    "DELETE FROM comment_entries WHERE target_type = 'meal' AND target_id NOT IN (SELECT id FROM meals)"
+  )).changes;
+  removed += (await runAsync(
+    "DELETE FROM comment_entries WHERE target_type = 'photo' AND target_id NOT IN (SELECT id FROM food_photos)"
+  )).changes;
+
+  // Replies of replies need one pass per level
+  let orphans;
+  do {
+    orphans = (await runAsync(
+      'DELETE FROM comment_entries WHERE parent_id IS NOT NULL AND parent_id NOT IN (SELECT id FROM comment_entries)'
+    )).changes;
+    removed += orphans;
+  } while (orphans > 0);
+
+  await runAsync('DELETE FROM comment_revisions WHERE comment_id NOT IN (SELECT id FROM comment_entries)');
+  return removed;
+}
+
+module.exports = {
+  COMMENT_EDIT_WINDOW_MINUTES,
+  COMMENT_TARGETS,
+  isCommentTarget,
+  getEditableUntil,
+  sendCommentError,
+  toLegacyComment,
+  listComments,
+  createComment,
+  editComment,
+  deleteComment,
+  listRecentComments,
+  getCommentRevisions,
+  pruneOrphanedComments
+};
@@ -0,0 +1,215 @@
+const db = require('../database');
+const { getNoteLabels } = require('./mensaParser');
+const { ALLERGENS } = require('./allergenCodes');
+
+const MAX_FILTER_TOKENS = 40;
+
+/**
+ * Every token a filter may contain: dietary tags from the notes ("Vegan"),
+ * allergen codes ("Sl") and allergen groups ("nuts")
+ * @returns {Array<{token: string, type: string, label: string}>}
+ */
+function getDietaryOptions() {
+  const groups = [...new Set(ALLERGENS.map(allergen => allergen.group))];
+
+  return [
+    ...getNoteLabels().map(label => ({ token: label, type: 'tag', label })),
+    ...groups.map(group => ({
+      token: group,
+      type: 'allergen_group',
+      label: ALLERGENS.filter(allergen => allergen.group === group).map(allergen => allergen.label).join(', ')
+    })),
+    ...ALLERGENS.map(allergen => ({ token: allergen.code, type: 'allergen', label: allergen.label }))
+  ];
+}
+
+function findOption(token) {
+  const key = String(token).trim().toLowerCase();
+  return getDietaryOptions().find(option => option.token.toLowerCase() === key) || null;
+}
+
+/**
+ * Split a comma separated filter list into canonical tokens
+ * @param {string|string[]|undefined} value - Query value or array of tokens
+ * @returns {{tokens: string[], unknown: string[]}}
+ */
+function parseFilterList(value) {
+  const raw = Array.isArray(value) ? value : String(value || '').split(',');
+  const tokens = [];
+  const unknown = [];
+
+  raw
+    .map(part => String(part).trim())
+    .filter(Boolean)
+    .slice(0, MAX_FILTER_TOKENS)
+    .forEach(part => {
+      const option = findOption(part);
+      if (!option) {
+        unknown.push(part);
+      } else if (!tokens.includes(option.token)) {
+        tokens.push(option.token);
+      }
+    });
+
+  return { tokens, unknown };
+}
+
+/**
+ * Validate include/exclude lists
+ * @param {string|string[]} include - Tokens every meal must match
+ * @param {string|string[]} exclude - Tokens no meal may match
+ * @returns {{include: string[], exclude: string[], unknown: string[]}}
+ */
+function parseDietaryFilters(include, exclude) {
+  const parsedInclude = parseFilterList(include);
+  const parsedExclude = parseFilterList(exclude);
+
+  return {
+    include: parsedInclude.tokens,
+    exclude: parsedExclude.tokens,
+    unknown: [...parsedInclude.unknown, ...parsedExclude.unknown]
+  };
+}
+
+function getMealTags(meal) {
+  if (Array.isArray(meal.notes)) {
+    return meal.notes;
+  }
+
+  return meal.notes ? String(meal.notes).split(',').map(tag => tag.trim()).filter(Boolean) : [];
+}
+
+function mealMatchesToken(meal, token) {
+  const option = findOption(token);
+  const allergens = Array.isArray(meal.allergens) ? meal.allergens : [];
+
+  if (!option) {
+    return false;
+  }
+
+  switch (option.type) {
+    case 'tag':
+      return getMealTags(meal).includes(option.token);
+    case 'allergen_group':
+      return allergens.some(allergen => allergen.group === option.token);
+    case 'allergen':
+      return allergens.some(allergen => allergen.code === option.token);
+    default:
+      return false;
+  }
+}
+
+/**
+ * Whether a meal passes the filters. Every include token must match (so
+ * "Vegan,Glutenfrei" means both) and no exclude token may match.
+ * @param {Object} meal - Meal with `notes` and decoded `allergens`
+ * @param {{include: string[], exclude: string[]}} filters
+ * @returns {boolean}
+ */
+function mealPassesFilters(meal, filters) {
+  if (!filters) {
+    return true;
+  }
+
+  const { include = [], exclude = [] } = filters;
+  return include.every(token => mealMatchesToken(meal, token)) &&
+    !exclude.some(token => mealMatchesToken(meal, token));
+}
+
+function hasActiveFilters(filters) {
+  return !!filters && (filters.include.length > 0 || filters.exclude.length > 0);
+}
+
+/**
+ * Apply dietary filters to a list of meals
+ * @param {Array} meals
+ * @param {{include: string[], exclude: string[]}} filters
+ * @returns {Array}
+ */
+function filterMeals(meals, filters) {
+  if (!hasActiveFilters(filters)) {
+    return meals;
+  }
+
+  return meals.filter(meal => mealPassesFilters(meal, filters));
+}
+
+/**
+ * Filter summary included in API responses so clients can tell why meals are missing
+ * @param {{include: string[], exclude: string[], source: string|null}} filters
+ * @param {number} hidden - Number of items removed by the filters
+ * @returns {Object}
+ */
+function describeFilters(filters, hidden = 0) {
+  return {
+    include: filters?.include || [],
+    exclude: filters?.exclude || [],
+    source: filters?.source || null,
+    hidden
+  };
+}
+
+/**
+ * Load a user's saved dietary profile
+ * @param {string} userId
+ * @returns {Promise<{include: string[], exclude: string[], updated_at: string}|null>}
+ */
+function getDietaryProfile(userId) {
+  return new Promise((resolve, reject) => {
+    db.get(
+      'SELECT include_tags, exclude_tags, updated_at FROM dietary_profiles WHERE user_id = ?',
+      [userId],
+      (err, row) => {
+        if (err) {
+          return reject(err);
+        }
+
+        if (!row) {
+          return resolve(null);
+        }
+
+        // Drop tokens that are no longer known (e.g. renamed tags)
+        const parsed = parseDietaryFilters(row.include_tags, row.exclude_tags);
+        resolve({ include: parsed.include, exclude: parsed.exclude, updated_at: row.updated_at });
+      }
+    );
+  });
+}
+
+/**
+ * Save a user's dietary profile
+ * @param {string} userId
+ * @param {{include: string[], exclude: string[]}} profile - Canonical tokens
+ * @returns {Promise<void>}
+ */
+function saveDietaryProfile(userId, { include, exclude }) {
+  return new Promise((resolve, reject) => {
+    db.run(
+      `INSERT INTO dietary_profiles (user_id, include_tags, exclude_tags, updated_at)
+       VALUES (?, ?, ?, CURRENT_TIMESTAMP)
+       ON CONFLICT(user_id) DO UPDATE SET
+         include_tags = excluded.include_tags,
+         exclude_tags = excluded.exclude_tags,
+         updated_at = CURRENT_TIMESTAMP`,
+      [userId, include.join(','), exclude.join(',')],
+      (err) => {
+        if (err) {
+          reject(err);
+        } else {
+          resolve();
+        }
+      }
+    );
+  });
+}
+
+module.exports = {
+  getDietaryOptions,
+  parseDietaryFilters,
+  mealPassesFilters,
+  hasActiveFilters,
+  filterMeals,
+  describeFilters,
+  getDietaryProfile,
+  saveDietaryProfile
+};
@@ -0,0 +1,181 @@
+const { runAsync, getAsync, allAsync } = require('../dbAsync');
+const { cleanMealName } = require('./mensaParser');
+
+const UMLAUT_REPLACEMENTS = {
+  ä: 'ae',
+  ö: 'oe',
+  ü: 'ue',
+  ß: 'ss'
+};
+
+// Tokens shorter than this never fuzzy-match ("Reis" vs "Eis" are different dishes)
+const FUZZY_MIN_TOKEN_LENGTH = 5;
+// Long tokens may differ by two edits, shorter ones by a single edit
+const FUZZY_LONG_TOKEN_LENGTH = 8;
+
+let dishCache = null;
+
+/**
+ * Fold a meal name into a comparison key: allergen codes removed, lower case,
+ * umlauts transliterated, punctuation dropped and whitespace collapsed
+ * @param {string} name
+ * @returns {string}
+ */
+function normalizeDishName(name = '') {
+  const cleaned = cleanMealName(typeof name === 'string' ? name : '') || '';
+
+  return cleaned
+    .toLowerCase()
+    .replace(/[äöüß]/g, char => UMLAUT_REPLACEMENTS[char])
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .replace(/[^a-z0-9]+/g, ' ')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+function levenshtein(a, b) {
+  if (a === b) return 0;
+  if (a.length === 0) return b.length;
+  if (b.length === 0) return a.length;
+
+  let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      current[j] = Math.min(
+        previous[j] + 1,
+        current[j - 1] + 1,
+        previous[j - 1] + cost
+      );
+    }
+    previous = current;
+  }
+
+  return previous[b.length];
+}
+
+/**
+ * Decide whether two normalized keys describe the same dish with a small spelling change.
+ * Keys match when they only differ in spacing ("curry wurst" / "currywurst"), or when
+ * exactly one word differs by a typo-sized edit.
+ * @param {string} keyA
+ * @param {string} keyB
+ * @returns {boolean}
+ */
+function isFuzzyDishMatch(keyA, keyB) {
+  if (!keyA || !keyB) {
+    return false;
+  }
+
+  if (keyA.replace(/ /g, '') === keyB.replace(/ /g, '')) {
+    return true;
+  }
+
+  const tokensA = keyA.split(' ');
+  const tokensB = keyB.split(' ');
+
+  if (tokensA.length !== tokensB.length) {
+    return false;
+  }
+
+  const differing = tokensA
+    .map((token, index) => [token, tokensB[index]])
+    .filter(([a, b]) => a !== b);
+
+  if (differing.length !== 1) {
+    return false;
+  }
+
+  const [a, b] = differing[0];
+  if (Math.min(a.length, b.length) < FUZZY_MIN_TOKEN_LENGTH) {
+    return false;
+  }
+
+  const allowedEdits = Math.min(a.length, b.length) >= FUZZY_LONG_TOKEN_LENGTH ? 2 : 1;
+  return levenshtein(a, b) <= allowedEdits;
+}
+
+async function loadDishCache() {
+  if (!dishCache) {
+    const rows = await allAsync('SELECT id, name_key FROM dishes');
+    dishCache = new Map(rows.map(row => [row.name_key, row.id]));
+  }
+
+  return dishCache;
+}
+
+/**
+ * Find or create the canonical dish for a meal name
+ * @param {string} name - Meal name as stored on the meal
+ * @returns {Promise<number|null>} Dish ID, or null for empty names
+ */
+async function resolveDishId(name) {
+  const key = normalizeDishName(name);
+  if (!key) {
+    return null;
+  }
+
+  const cache = await loadDishCache();
+
+  if (cache.has(key)) {
+    return cache.get(key);
+  }
+
+  for (const [existingKey, dishId] of cache) {
+    if (isFuzzyDishMatch(key, existingKey)) {
+      cache.set(key, dishId);
+      return dishId;
+    }
+  }
+
+  await runAsync(
+    'INSERT INTO dishes (name_key, display_name) VALUES (?, ?) ON CONFLICT(name_key) DO NOTHING',
+    [key, cleanMealName(name)]
+  );
+
+  const row = await getAsync('SELECT id FROM dishes WHERE name_key = ?', [key]);
+  if (row) {
+    cache.set(key, row.id);
+    return row.id;
+  }
+
+  return null;
+}
+
+/**
+ * Link stored meals to their canonical dish
+ * @param {Array} meals - Meals with `external_id` and `name`
+ */
+async function assignDishesToMeals(meals = []) {
+  for (const meal of meals) {
+    if (!meal || !meal.external_id) {
+      continue;
+    }
+
+    const dishId = await resolveDishId(meal.name);
+    if (dishId) {
+      await runAsync('UPDATE meals SET dish_id = ? WHERE external_id = ?', [dishId, meal.external_id]);
+    }
+  }
+}
+
+/**
+ * Link every stored meal that has no dish yet (e.g. rows created before dishes existed)
+ * @returns {Promise<number>} Number of meals linked
+ */
+async function backfillMealDishes() {
+  const meals = await allAsync('SELECT external_id, name FROM meals WHERE dish_id IS NULL');
+  await assignDishesToMeals(meals);
+  return meals.length;
+}
+
+module.exports = {
+  normalizeDishName,
+  isFuzzyDishMatch,
+  resolveDishId,
+  assignDishesToMeals,
+  backfillMealDishes
+};
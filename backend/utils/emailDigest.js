@@ -0,0 +1,394 @@
+const crypto = require('crypto');
+const cron = require('node-cron');
+const { runAsync, allAsync } = require('../dbAsync');
+const { getMealsForDate, getBerlinDate, addDays, formatPrice } = require('./mensaParser');
+const { getLocation, isKnownLocation, getDefaultLocationId } = require('./locationRegistry');
+const { getLocationSchedule, getDayStatus } = require('./openingHours');
+const { upsertMeals } = require('./mealStorage');
+const { queryMealsWithStats } = require('./mealQueries');
+const { getDietaryProfile, filterMeals } = require('./dietaryFilter');
+const { isMailEnabled, sendMail } = require('./mailer');
+const { getPublicUrl } = require('./publicUrl');
+const { escapeHtml } = require('./escapeHtml');
+
+// 10:30, after the 10:00 menu re-check, then every 15 minutes until 11:30 for mails that failed or menus published late
+const DIGEST_SCHEDULES = ['30,45 10 * * *', '0,15,30 11 * * *'];
+// How far back to look for the last serving day with a photo (covers weekends and holidays)
+const TOP_PHOTO_LOOKBACK_DAYS = 7;
+
+// One run at a time, so a slow SMTP server can't make the next retry mail someone twice
+let sending = false;
+
+function getUnsubscribeUrl(token) {
+  return `${getPublicUrl()}/api/digest/unsubscribe?token=${encodeURIComponent(token)}`;
+}
+
+function getTags(meal) {
+  return meal.notes ? meal.notes.split(',').map(tag => tag.trim()).filter(Boolean) : [];
+}
+
+/**
+ * Parse the locations a subscriber picks
+ * @param {string[]|string|undefined} locations - Defaults to the default location
+ * @returns {{locations: string[], unknown: string[]}}
+ */
+function parseDigestLocations(locations) {
+  if (locations === undefined || locations === null) {
+    return { locations: [getDefaultLocationId()], unknown: [] };
+  }
+
+  const list = (Array.isArray(locations) ? locations : String(locations).split(','))
+    .map(location => String(location).trim())
+    .filter(Boolean);
+  const unique = [...new Set(list)];
+
+  return {
+    locations: unique.filter(isKnownLocation),
+    unknown: unique.filter(location => !isKnownLocation(location))
+  };
+}
+
+function toSubscription(row) {
+  if (!row) {
+    return null;
+  }
+
+  return {
+    email: row.email,
+    locations: row.locations.split(',').filter(Boolean),
+    last_sent_date: row.last_sent_date,
+    created_at: row.created_at
+  };
+}
+
+/**
+ * A user's digest subscription
+ * @param {string} userId
+ * @returns {Promise<{email: string, locations: string[], last_sent_date: string|null, created_at: string}|null>}
+ */
+async function getDigestSubscription(userId) {
+  const rows = await allAsync('SELECT * FROM digest_subscriptions WHERE user_id = ?', [userId]);
+  return toSubscription(rows[0]);
+}
+
+/**
+ * Subscribe a user (or change their address and locations); the unsubscribe token is kept
+ * @param {string} userId
+ * @param {string} email
+ * @param {string[]} locations - Location IDs
+ * @returns {Promise<Object>} The stored subscription
+ */
+async function saveDigestSubscription(userId, email, locations) {
+  await runAsync(
+    `INSERT INTO digest_subscriptions (user_id, email, locations, unsubscribe_token)
+     VALUES (?, ?, ?, ?)
+     ON CONFLICT(user_id) DO UPDATE SET
+       email = excluded.email,
+       locations = excluded.locations,
+       updated_at = CURRENT_TIMESTAMP`,
+    [userId, email, locations.join(','), crypto.randomBytes(24).toString('hex')]
+  );
+
+  return getDigestSubscription(userId);
+}
+
+async function removeDigestSubscription(userId) {
+  const result = await runAsync('DELETE FROM digest_subscriptions WHERE user_id = ?', [userId]);
+  return result.changes > 0;
+}
+
+/**
+ * Whether an unsubscribe token still belongs to a subscription
+ * @param {string} token
+ * @returns {Promise<boolean>}
+ */
+async function isSubscribedToken(token) {
+  const rows = await allAsync('SELECT id FROM digest_subscriptions WHERE unsubscribe_token = ?', [token]);
+  return rows.length > 0;
+}
+
+/**
+ * One-click unsubscribe from an email link
+ * @param {string} token
+ * @returns {Promise<boolean>} True if a subscription was removed
+ */
+async function unsubscribeByToken(token) {
+  const result = await runAsync('DELETE FROM digest_subscriptions WHERE unsubscribe_token = ?', [token]);
+  return result.changes > 0;
+}
+
+// Most liked photo of the last serving day before `date`. Past photos are gone by
+// the time the digest goes out, so this reads the top photo the nightly archive kept.
+async function getTopPhoto(location, date) {
+  const rows = await allAsync(
+    `SELECT top_photo_id AS id, top_photo_path AS photo_path, top_photo_caption AS caption,
+            top_photo_author AS author_name, top_photo_likes AS likes, name AS meal_name, date
+       FROM meal_archive
+      WHERE mensa_location = ?
+        AND top_photo_path IS NOT NULL
+        AND date = (
+          SELECT MAX(date)
+            FROM meal_archive
+           WHERE mensa_location = ? AND top_photo_path IS NOT NULL AND date < ? AND date >= ?
+        )
+      ORDER BY top_photo_likes DESC, top_photo_id ASC
+      LIMIT 1`,
+    [location, location, date, addDays(date, -TOP_PHOTO_LOOKBACK_DAYS)]
+  );
+
+  if (!rows[0]) {
+    return null;
+  }
+
+  const photo = rows[0];
+  return {
+    ...photo,
+    likes: Number(photo.likes || 0),
+    photo_url: `${getPublicUrl()}/uploads/${photo.photo_path}`
+  };
+}
+
+/**
+ * Today's meals and the last top photo for one location
+ * @param {string} location - Location ID
+ * @param {string} date - Date in YYYY-MM-DD format
+ * @returns {Promise<{location: string, name: string, meals: Array, topPhoto: Object|null}|null>} Null if closed
+ */
+async function loadLocationDigest(location, date) {
+  const status = getDayStatus(await getLocationSchedule(location), date);
+
+  if (!status.open) {
+    return null;
+  }
+
+  const fetched = await getMealsForDate(location, date);
+  if (fetched.length > 0) {
+    await upsertMeals(fetched);
+  }
+
+  const [meals, topPhoto] = await Promise.all([
+    queryMealsWithStats({ dates: [date], location }),
+    getTopPhoto(location, date)
+  ]);
+
+  const entry = getLocation(location);
+  return { location, name: entry ? entry.name : location, meals, topPhoto };
+}
+
+function renderMealText(meal) {
+  const price = formatPrice(meal.price_student);
+  const tags = getTags(meal);
+  return [
+    `- ${meal.name}`,
+    price ? ` (${price})` : '',
+    tags.length > 0 ? ` [${tags.join(', ')}]` : ''
+  ].join('');
+}
+
+function renderMealHtml(meal) {
+  const price = formatPrice(meal.price_student);
+  const tags = getTags(meal);
+  return `
+        <tr>
+          <td style="padding:6px 0;border-bottom:1px solid #333;">
+            <div style="color:#e6e6e6;">${escapeHtml(meal.name)}</div>
+            ${tags.length > 0 ? `<div style="color:#8be9fd;font-size:12px;text-transform:uppercase;">${tags.map(tag => `[ ${escapeHtml(tag)} ]`).join(' ')}</div>` : ''}
+          </td>
+          <td style="padding:6px 0 6px 12px;border-bottom:1px solid #333;color:#f1fa8c;white-space:nowrap;text-align:right;vertical-align:top;">${price ? escapeHtml(price) : ''}</td>
+        </tr>`;
+}
+
+function renderTopPhotoHtml(photo) {
+  return `
+      <div style="margin:12px 0 0;">
+        <div style="color:#999;font-size:12px;text-transform:uppercase;">[ TOP PHOTO ${escapeHtml(photo.date)} ]</div>
+        <img src="${escapeHtml(photo.photo_url)}" alt="${escapeHtml(photo.meal_name)}" width="280" style="display:block;max-width:100%;margin:6px 0;border:1px solid #333;">
+        <div style="color:#999;font-size:12px;">${escapeHtml(photo.meal_name)} by ${escapeHtml(photo.author_name)} · ${photo.likes} likes</div>
+      </div>`;
+}
+
+/**
+ * Render the digest as HTML and plain text
+ * @param {Object} digest
+ * @param {string} digest.date - Date in YYYY-MM-DD format
+ * @param {Array} digest.sections - Results of loadLocationDigest with meals already filtered
+ * @param {string} digest.unsubscribeUrl
+ * @returns {{subject: string, html: string, text: string}}
+ */
+function renderDigest({ date, sections, unsubscribeUrl }) {
+  const siteUrl = getPublicUrl();
+  const subject = `Today at the Mensa (${date})`;
+
+  const text = [
+    `Today at the Mensa - ${date}`,
+    '',
+    ...sections.flatMap(section => [
+      section.name.toUpperCase(),
+      ...(section.meals.length > 0 ? section.meals.map(renderMealText) : ['(no meals match your dietary profile)']),
+      ...(section.topPhoto
+        ? [`Top photo ${section.topPhoto.date}: ${section.topPhoto.meal_name} by ${section.topPhoto.author_name} (${section.topPhoto.likes} likes) ${section.topPhoto.photo_url}`]
+        : []),
+      ''
+    ]),
+    `Rate today's meals: ${siteUrl}/`,
+    '',
+    `Unsubscribe: ${unsubscribeUrl}`
+  ].join('\n');
+
+  const html = `<!DOCTYPE html>
+<html>
+  <body style="margin:0;padding:16px;background:#1e1e1e;font-family:Menlo,Consolas,monospace;font-size:14px;">
+    <div style="max-width:560px;margin:0 auto;">
+      <h1 style="color:#8be9fd;font-size:18px;letter-spacing:1px;">[ TODAY AT THE MENSA // ${escapeHtml(date)} ]</h1>
+${sections.map(section => `
+      <h2 style="color:#c678dd;font-size:15px;margin:20px 0 6px;text-transform:uppercase;">[ ${escapeHtml(section.name)} ]</h2>
+      <table role="presentation" width="100%" cellspacing="0" cellpadding="0">
+        ${section.meals.length > 0
+          ? section.meals.map(renderMealHtml).join('')
+          : '<tr><td style="color:#999;padding:6px 0;">No meals match your dietary profile.</td></tr>'}
+      </table>${section.topPhoto ? renderTopPhotoHtml(section.topPhoto) : ''}`).join('\n')}
+      <p style="margin:24px 0 8px;"><a href="${escapeHtml(siteUrl)}/" style="color:#8be9fd;">[ RATE TODAY'S MEALS ]</a></p>
+      <p style="color:#777;font-size:12px;">You get this because you subscribed on pottkieker.life. <a href="${escapeHtml(unsubscribeUrl)}" style="color:#777;">Unsubscribe</a></p>
+    </div>
+  </body>
+</html>`;
+
+  return { subject, html, text };
+}
+
+/**
+ * Build one subscriber's digest
+ * @param {Object} subscription - digest_subscriptions row
+ * @param {string} date - Date in YYYY-MM-DD format
+ * @param {Function} [loadSection] - Loads a location's section, e.g. a cached loadLocationDigest
+ * @returns {Promise<{subject: string, html: string, text: string, unsubscribeUrl: string}|null>} Null when no location has meals
+ */
+async function composeDigest(subscription, date, loadSection = location => loadLocationDigest(location, date)) {
+  const locations = subscription.locations.split(',').filter(isKnownLocation);
+  const loaded = (await Promise.all(locations.map(loadSection)))
+    .filter(section => section && section.meals.length > 0);
+
+  if (loaded.length === 0) {
+    return null;
+  }
+
+  const profile = await getDietaryProfile(subscription.user_id);
+  const sections = loaded.map(section => ({
+    ...section,
+    meals: profile ? filterMeals(section.meals, profile) : section.meals
+  }));
+
+  const unsubscribeUrl = getUnsubscribeUrl(subscription.unsubscribe_token);
+  return { ...renderDigest({ date, sections, unsubscribeUrl }), unsubscribeUrl };
+}
+
+/**
+ * Today's digest for a subscribed user, as it would be emailed
+ * @param {string} userId
+ * @param {string} date - Date in YYYY-MM-DD format
+ * @returns {Promise<Object|null>} Null if not subscribed or nothing is on the menu
+ */
+async function previewDigest(userId, date) {
+  const rows = await allAsync('SELECT * FROM digest_subscriptions WHERE user_id = ?', [userId]);
+  return rows[0] ? composeDigest(rows[0], date) : null;
+}
+
+/**
+ * Send today's digest to every subscriber who has not had it yet. A failed mail
+ * leaves `last_sent_date` alone, so the next scheduled run tries it again.
+ * @param {string} [today] - Date in YYYY-MM-DD format
+ * @returns {Promise<number>} Number of emails sent, 0 while another run is busy
+ */
+async function sendDailyDigests(today = getBerlinDate()) {
+  if (!isMailEnabled() || sending) {
+    return 0;
+  }
+
+  sending = true;
+  try {
+    return await sendPendingDigests(today);
+  } finally {
+    sending = false;
+  }
+}
+
+async function sendPendingDigests(today) {
+  const subscriptions = await allAsync(
+    'SELECT * FROM digest_subscriptions WHERE last_sent_date IS NULL OR last_sent_date < ?',
+    [today]
+  );
+
+  // Each location is loaded once, however many subscribers pick it
+  const locationDigests = new Map();
+  const loadOnce = (location) => {
+    if (!locationDigests.has(location)) {
+      locationDigests.set(location, loadLocationDigest(location, today));
+    }
+    return locationDigests.get(location);
+  };
+
+  let sent = 0;
+
+  for (const row of subscriptions) {
+    try {
+      const digest = await composeDigest(row, today, loadOnce);
+
+      // Nothing on the menu (closed days, feed not published): no email
+      if (!digest) {
+        continue;
+      }
+
+      const { subject, html, text, unsubscribeUrl } = digest;
+
+      await sendMail({
+        to: row.email,
+        subject,
+        html,
+        text,
+        headers: {
+          'List-Unsubscribe': `<${unsubscribeUrl}>`,
+          'List-Unsubscribe-Post': 'List-Unsubscribe=One-Click'
+        }
+      });
+
+      await runAsync('UPDATE digest_subscriptions SET last_sent_date = ? WHERE id = ?', [today, row.id]);
+      sent += 1;
+    } catch (error) {
+      console.error(`[Email Digest] Failed to send digest to subscription ${row.id}:`, error);
+    }
+  }
+
+  return sent;
+}
+
+function initDigestScheduler() {
+  DIGEST_SCHEDULES.forEach((schedule) => {
+    cron.schedule(schedule, () => {
+      sendDailyDigests()
+        .then(count => {
+          console.log(`[Email Digest] Sent ${count} menu digests.`);
+        })
+        .catch(err => {
+          console.error('[Email Digest] Failed to send digests:', err);
+        });
+    }, {
+      scheduled: true,
+      timezone: 'Europe/Berlin'
+    });
+  });
+
+  console.log('[Email Digest] Scheduled for 10:30 daily, with retries until 11:30 (Europe/Berlin).');
+}
+
+module.exports = {
+  initDigestScheduler,
+  parseDigestLocations,
+  getDigestSubscription,
+  previewDigest,
+  saveDigestSubscription,
+  removeDigestSubscription,
+  isSubscribedToken,
+  unsubscribeByToken,
+  renderDigest,
+  sendDailyDigests
+};
@@ -0,0 +1,168 @@
+const { test, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const http = require('http');
+const nodemailer = require('nodemailer');
+
+const TODAY = '2026-10-19';
+
+const OPEN_FEED = `<?xml version="1.0" encoding="UTF-8"?>
+<openmensa version="2.1" xmlns="http://openmensa.org/open-mensa-v2">
+  <version>1</version>
+  <canteen>
+    <day date="${TODAY}">
+      <category name="Hauptgericht">
+        <meal><name>Currywurst mit Pommes</name><note>Schwein</note><price role="student">3.20</price></meal>
+        <meal><name>Gemüsecurry mit Reis</name><note>vegan</note><price role="student">2.90</price></meal>
+      </category>
+    </day>
+  </canteen>
+</openmensa>`;
+
+const CLOSED_FEED = `<?xml version="1.0" encoding="UTF-8"?>
+<openmensa version="2.1" xmlns="http://openmensa.org/open-mensa-v2">
+  <version>1</version>
+  <canteen>
+    <day date="${TODAY}"><closed/></day>
+  </canteen>
+</openmensa>`;
+
+// Stand-in for the upstream OpenMensa feeds
+const server = http.createServer((req, res) => {
+  const feeds = { '/open.xml': OPEN_FEED, '/closed.xml': CLOSED_FEED };
+  if (!feeds[req.url]) {
+    res.writeHead(404);
+    return res.end();
+  }
+  res.writeHead(200, { 'Content-Type': 'application/xml' });
+  res.end(feeds[req.url]);
+});
+
+const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'digest-test-'));
+let db;
+let digest;
+let sent = [];
+// Recipients whose next mail the SMTP stand-in rejects
+let rejectOnce = new Set();
+
+before(async () => {
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  const baseUrl = `http://127.0.0.1:${server.address().port}`;
+  const locationsFile = path.join(tmpDir, 'locations.json');
+
+  fs.writeFileSync(locationsFile, JSON.stringify([
+    { id: 'open', name: 'Open Mensa', feedUrl: `${baseUrl}/open.xml`, default: true },
+    { id: 'closed', name: 'Closed Mensa', feedUrl: `${baseUrl}/closed.xml` }
+  ]));
+
+  process.env.MENSA_DB_PATH = ':memory:';
+  process.env.MENSA_LOCATIONS_FILE = locationsFile;
+  process.env.FEED_CACHE_DIR = path.join(tmpDir, 'feed-cache');
+  process.env.PUBLIC_URL = 'https://mensa.example';
+
+  db = require('../database');
+  digest = require('./emailDigest');
+  await db.ready;
+
+  // Every message goes through nodemailer's JSON transport so it is rendered like a real one
+  const transport = nodemailer.createTransport({ jsonTransport: true });
+  const sendMail = transport.sendMail.bind(transport);
+  transport.sendMail = async (message) => {
+    if (rejectOnce.delete(message.to)) {
+      throw new Error('421 Service not available');
+    }
+    const info = await sendMail(message);
+    sent.push(JSON.parse(info.message));
+    return info;
+  };
+  require('./mailer').setMailTransport(transport);
+});
+
+after(async () => {
+  await new Promise(resolve => server.close(resolve));
+  await new Promise(resolve => db.close(resolve));
+  fs.rmSync(tmpDir, { recursive: true, force: true });
+});
+
+beforeEach(async () => {
+  sent = [];
+  rejectOnce = new Set();
+  await query('DELETE FROM digest_subscriptions');
+  await query('DELETE FROM dietary_profiles');
+});
+
+function query(sql, params = []) {
+  return new Promise((resolve, reject) => {
+    db.all(sql, params, (err, rows) => (err ? reject(err) : resolve(rows)));
+  });
+}
+
+function subscribe(userId, email, locations) {
+  return digest.saveDigestSubscription(userId, email, locations);
+}
+
+test('sends each subscriber the menu filtered by their dietary profile, once per day', async () => {
+  await subscribe('vegan-user', 'vegan@example.com', ['open']);
+  await subscribe('omnivore', 'all@example.com', ['open']);
+  await require('./dietaryFilter').saveDietaryProfile('vegan-user', { include: ['Vegan'], exclude: [] });
+
+  assert.equal(await digest.sendDailyDigests(TODAY), 2);
+
+  const byRecipient = new Map(sent.map(message => [message.to[0].address, message]));
+  const vegan = byRecipient.get('vegan@example.com');
+  const omnivore = byRecipient.get('all@example.com');
+
+  assert.match(vegan.text, /Gemüsecurry mit Reis/);
+  assert.doesNotMatch(vegan.text, /Currywurst/);
+  assert.match(omnivore.text, /Gemüsecurry mit Reis/);
+  assert.match(omnivore.text, /Currywurst/);
+  assert.match(vegan.headers['List-Unsubscribe'], /^<https:\/\/mensa\.example\/api\/digest\/unsubscribe\?token=[0-9a-f]+>$/);
+  assert.equal(vegan.headers['List-Unsubscribe-Post'], 'List-Unsubscribe=One-Click');
+
+  const rows = await query('SELECT last_sent_date FROM digest_subscriptions');
+  assert.deepEqual(rows.map(row => row.last_sent_date), [TODAY, TODAY]);
+
+  sent = [];
+  assert.equal(await digest.sendDailyDigests(TODAY), 0);
+  assert.equal(sent.length, 0);
+});
+
+test('skips locations that are closed today', async () => {
+  await subscribe('closed-only', 'closed@example.com', ['closed']);
+  await subscribe('both', 'both@example.com', ['open', 'closed']);
+
+  assert.equal(await digest.sendDailyDigests(TODAY), 1);
+  assert.deepEqual(sent.map(message => message.to[0].address), ['both@example.com']);
+  assert.match(sent[0].text, /OPEN MENSA/);
+  assert.doesNotMatch(sent[0].text, /CLOSED MENSA/);
+
+  const [closedOnly] = await query("SELECT last_sent_date FROM digest_subscriptions WHERE user_id = 'closed-only'");
+  assert.equal(closedOnly.last_sent_date, null);
+});
+
+test('a later run retries a digest whose mail failed', async () => {
+  await subscribe('flaky', 'flaky@example.com', ['open']);
+  await subscribe('fine', 'fine@example.com', ['open']);
+  rejectOnce.add('flaky@example.com');
+
+  assert.equal(await digest.sendDailyDigests(TODAY), 1);
+  assert.deepEqual(sent.map(message => message.to[0].address), ['fine@example.com']);
+
+  const [flaky] = await query("SELECT last_sent_date FROM digest_subscriptions WHERE user_id = 'flaky'");
+  assert.equal(flaky.last_sent_date, null);
+
+  sent = [];
+  assert.equal(await digest.sendDailyDigests(TODAY), 1);
+  assert.deepEqual(sent.map(message => message.to[0].address), ['flaky@example.com']);
+});
+
+test('overlapping runs do not mail anyone twice', async () => {
+  await subscribe('once', 'once@example.com', ['open']);
+
+  const counts = await Promise.all([digest.sendDailyDigests(TODAY), digest.sendDailyDigests(TODAY)]);
+
+  assert.deepEqual(counts, [1, 0]);
+  assert.equal(sent.length, 1);
+});
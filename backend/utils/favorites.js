@@ -0,0 +1,112 @@
+const { runAsync, allAsync } = require('../dbAsync');
+const { getPublicLocations } = require('./locationRegistry');
+const { createNotification } = require('./notifications');
+
+function getLocationName(locationId) {
+  const entry = getPublicLocations().find(location => location.id === locationId);
+  return entry ? entry.name : locationId;
+}
+
+/**
+ * A user's starred dishes with their upcoming servings
+ * @param {string} userId
+ * @param {string} fromDate - First date to list servings for (YYYY-MM-DD)
+ * @returns {Promise<Array>} [{ dish_id, name, created_at, upcoming: [{ meal_id, date, mensa_location }] }]
+ */
+async function listFavorites(userId, fromDate) {
+  const favorites = await allAsync(
+    `SELECT f.dish_id, d.display_name AS name, f.created_at
+       FROM favorite_dishes f
+       JOIN dishes d ON d.id = f.dish_id
+      WHERE f.user_id = ?
+      ORDER BY d.display_name`,
+    [userId]
+  );
+
+  if (favorites.length === 0) {
+    return [];
+  }
+
+  const servings = await allAsync(
+    `SELECT id AS meal_id, dish_id, date, mensa_location
+       FROM meals
+      WHERE dish_id IN (${favorites.map(() => '?').join(', ')}) AND date >= ? AND removed_at IS NULL
+      ORDER BY date, mensa_location`,
+    [...favorites.map(favorite => favorite.dish_id), fromDate]
+  );
+
+  return favorites.map(favorite => ({
+    ...favorite,
+    upcoming: servings
+      .filter(serving => serving.dish_id === favorite.dish_id)
+      .map(({ meal_id, date, mensa_location }) => ({ meal_id, date, mensa_location }))
+  }));
+}
+
+/**
+ * Star a dish
+ * @returns {Promise<boolean>} False if the dish does not exist
+ */
+async function addFavorite(userId, dishId) {
+  const dishes = await allAsync('SELECT id FROM dishes WHERE id = ?', [dishId]);
+
+  if (dishes.length === 0) {
+    return false;
+  }
+
+  await runAsync('INSERT OR IGNORE INTO favorite_dishes (user_id, dish_id) VALUES (?, ?)', [userId, dishId]);
+  return true;
+}
+
+async function removeFavorite(userId, dishId) {
+  const result = await runAsync('DELETE FROM favorite_dishes WHERE user_id = ? AND dish_id = ?', [userId, dishId]);
+  return result.changes > 0;
+}
+
+/**
+ * Alert users whose favourite dishes are on an upcoming menu. Each
+ * dish/date/location is announced once per user, however often this runs.
+ * @param {string} fromDate - First menu date to check (YYYY-MM-DD)
+ * @param {string|null} [userId] - Only check this user's favourites
+ * @param {Object} [options]
+ * @param {boolean} [options.deferPush] - Create the in-app alerts only; sendDeferredPushes pushes them later
+ * @returns {Promise<number>} Number of notifications created
+ */
+async function notifyFavoriteDishes(fromDate, userId = null, { deferPush = false } = {}) {
+  const rows = await allAsync(
+    `SELECT f.user_id, m.id AS meal_id, m.dish_id, m.date, m.mensa_location, d.display_name AS dish_name
+       FROM favorite_dishes f
+       JOIN meals m ON m.dish_id = f.dish_id
+       JOIN dishes d ON d.id = f.dish_id
+      WHERE m.date >= ? AND m.removed_at IS NULL ${userId ? 'AND f.user_id = ?' : ''}
+      ORDER BY m.date, m.mensa_location`,
+    userId ? [fromDate, userId] : [fromDate]
+  );
+
+  let created = 0;
+
+  for (const row of rows) {
+    const isNew = await createNotification({
+      userId: row.user_id,
+      type: 'favorite_on_menu',
+      title: `${row.dish_name} is on the menu`,
+      body: `${getLocationName(row.mensa_location)} on ${row.date}`,
+      url: `/?location=${encodeURIComponent(row.mensa_location)}&date=${row.date}`,
+      dedupeKey: `favorite:${row.dish_id}:${row.mensa_location}:${row.date}`,
+      deferPush
+    });
+
+    if (isNew) {
+      created += 1;
+    }
+  }
+
+  return created;
+}
+
+module.exports = {
+  listFavorites,
+  addFavorite,
+  removeFavorite,
+  notifyFavoriteDishes
+};
@@ -0,0 +1,197 @@
+const fs = require('fs');
+const path = require('path');
+const http = require('http');
+const https = require('https');
+
+// Last good upstream response per feed, kept next to the database
+const CACHE_DIR = process.env.FEED_CACHE_DIR || path.join(__dirname, '../../database/feed-cache');
+const REQUEST_TIMEOUT_MS = Number(process.env.FEED_TIMEOUT_MS) || 8000;
+// Within this window the cached copy is used without asking upstream at all
+const FRESH_FOR_MS = Number(process.env.FEED_CACHE_FRESH_MS ?? 5 * 60 * 1000);
+const CACHE_KEY_REGEX = /^[A-Za-z0-9_-]+$/;
+
+const inFlight = new Map();
+const feedStates = new Map();
+
+function getCachePaths(key) {
+  if (!CACHE_KEY_REGEX.test(key)) {
+    throw new Error(`Invalid feed cache key: ${key}`);
+  }
+
+  return {
+    body: path.join(CACHE_DIR, `${key}.xml`),
+    meta: path.join(CACHE_DIR, `${key}.json`)
+  };
+}
+
+async function readCacheEntry(key) {
+  const paths = getCachePaths(key);
+
+  try {
+    const [body, meta] = await Promise.all([
+      fs.promises.readFile(paths.body, 'utf8'),
+      fs.promises.readFile(paths.meta, 'utf8')
+    ]);
+    return { body, meta: JSON.parse(meta) };
+  } catch (error) {
+    if (error.code !== 'ENOENT') {
+      console.error(`[Feed Cache] Failed to read ${key}:`, error.message);
+    }
+    return null;
+  }
+}
+
+async function writeFileAtomic(filePath, contents) {
+  const tmpPath = `${filePath}.${process.pid}.tmp`;
+  await fs.promises.writeFile(tmpPath, contents);
+  await fs.promises.rename(tmpPath, filePath);
+}
+
+async function writeCacheEntry(key, body, meta) {
+  const paths = getCachePaths(key);
+
+  try {
+    await fs.promises.mkdir(CACHE_DIR, { recursive: true });
+    if (body !== null) {
+      await writeFileAtomic(paths.body, body);
+    }
+    await writeFileAtomic(paths.meta, JSON.stringify(meta));
+  } catch (error) {
+    console.error(`[Feed Cache] Failed to write ${key}:`, error.message);
+  }
+}
+
+function requestUrl(url, headers = {}) {
+  return new Promise((resolve, reject) => {
+    const client = url.startsWith('http:') ? http : https;
+
+    const fail = (error) => {
+      clearTimeout(deadline);
+      reject(error);
+    };
+
+    const req = client.get(url, { headers }, (res) => {
+      let data = '';
+      res.setEncoding('utf8');
+
+      res.on('data', (chunk) => {
+        data += chunk;
+      });
+
+      res.on('end', () => {
+        clearTimeout(deadline);
+        resolve({ statusCode: res.statusCode, headers: res.headers, body: data });
+      });
+
+      res.on('error', fail);
+    });
+
+    // req.setTimeout only notices an idle socket; this bounds the whole request, slow trickles included
+    const deadline = setTimeout(() => {
+      const error = new Error(`Request to ${url} timed out after ${REQUEST_TIMEOUT_MS}ms`);
+      fail(error);
+      req.destroy(error);
+    }, REQUEST_TIMEOUT_MS);
+
+    req.on('error', fail);
+  });
+}
+
+function rememberState(key, state) {
+  feedStates.set(key, state);
+  return state;
+}
+
+async function loadFeed(url, key, parse) {
+  const cached = await readCacheEntry(key);
+  const usableCache = cached && cached.meta.url === url ? cached : null;
+
+  if (usableCache && Date.now() - usableCache.meta.fetchedAt < FRESH_FOR_MS) {
+    const data = await parse(usableCache.body);
+    rememberState(key, { stale: false, fetchedAt: usableCache.meta.fetchedAt });
+    return { data, stale: false, fetchedAt: usableCache.meta.fetchedAt };
+  }
+
+  const headers = {};
+  if (usableCache?.meta.etag) {
+    headers['If-None-Match'] = usableCache.meta.etag;
+  }
+  if (usableCache?.meta.lastModified) {
+    headers['If-Modified-Since'] = usableCache.meta.lastModified;
+  }
+
+  try {
+    const response = await requestUrl(url, headers);
+    const fetchedAt = Date.now();
+
+    if (response.statusCode === 304 && usableCache) {
+      const data = await parse(usableCache.body);
+      await writeCacheEntry(key, null, { ...usableCache.meta, fetchedAt });
+      rememberState(key, { stale: false, fetchedAt });
+      return { data, stale: false, fetchedAt };
+    }
+
+    if (response.statusCode < 200 || response.statusCode >= 300) {
+      throw new Error(`Upstream responded with HTTP ${response.statusCode}`);
+    }
+
+    // Parse before caching so a broken upstream body never replaces the last good copy
+    const data = await parse(response.body);
+    await writeCacheEntry(key, response.body, {
+      url,
+      etag: response.headers.etag || null,
+      lastModified: response.headers['last-modified'] || null,
+      fetchedAt
+    });
+
+    rememberState(key, { stale: false, fetchedAt });
+    return { data, stale: false, fetchedAt };
+  } catch (error) {
+    if (!usableCache) {
+      rememberState(key, { stale: true, fetchedAt: null, error: error.message });
+      throw error;
+    }
+
+    console.warn(`[Feed Cache] ${url} unavailable (${error.message}), serving copy from ${new Date(usableCache.meta.fetchedAt).toISOString()}`);
+    const data = await parse(usableCache.body);
+    rememberState(key, { stale: true, fetchedAt: usableCache.meta.fetchedAt, error: error.message });
+    return { data, stale: true, fetchedAt: usableCache.meta.fetchedAt };
+  }
+}
+
+/**
+ * Fetch an upstream XML document through the disk cache. Uses conditional
+ * requests (ETag / If-Modified-Since) and falls back to the last good copy,
+ * flagged as stale, when upstream fails or times out.
+ * @param {string} url - Upstream URL (http or https)
+ * @param {string} key - Cache file name, e.g. 'feed_philturm'
+ * @param {function(string): Promise<*>} parse - Turns the body into data; throwing marks the body as bad
+ * @returns {Promise<{data: *, stale: boolean, fetchedAt: number}>}
+ */
+function fetchWithCache(url, key, parse) {
+  // Concurrent requests for the same feed share one upstream call
+  if (inFlight.has(key)) {
+    return inFlight.get(key);
+  }
+
+  const promise = loadFeed(url, key, parse).finally(() => {
+    inFlight.delete(key);
+  });
+
+  inFlight.set(key, promise);
+  return promise;
+}
+
+/**
+ * Result of the most recent fetch for a cache key
+ * @param {string} key
+ * @returns {{stale: boolean, fetchedAt: number|null, error?: string}|null}
+ */
+function getFeedState(key) {
+  return feedStates.get(key) || null;
+}
+
+module.exports = {
+  fetchWithCache,
+  getFeedState
+};
@@ -0,0 +1,135 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const http = require('http');
+
+const cacheDir = fs.mkdtempSync(path.join(os.tmpdir(), 'feed-cache-test-'));
+process.env.FEED_CACHE_DIR = cacheDir;
+process.env.FEED_CACHE_FRESH_MS = '0';
+process.env.FEED_TIMEOUT_MS = '300';
+
+const { fetchWithCache, getFeedState } = require('./feedCache');
+
+const parse = async body => body;
+
+// Each test swaps in its own handler; every request is recorded
+let handler = null;
+let requests = [];
+let server;
+let baseUrl;
+
+before(async () => {
+  server = http.createServer((req, res) => {
+    requests.push({ url: req.url, headers: req.headers });
+    handler(req, res);
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(async () => {
+  server.closeAllConnections();
+  await new Promise(resolve => server.close(resolve));
+  fs.rmSync(cacheDir, { recursive: true, force: true });
+});
+
+function serve(fn) {
+  handler = fn;
+  requests = [];
+}
+
+test('revalidates with the stored ETag and reuses the cached body on 304', async () => {
+  serve((req, res) => {
+    if (req.headers['if-none-match'] === '"v1"') {
+      res.writeHead(304);
+      return res.end();
+    }
+    res.writeHead(200, { ETag: '"v1"', 'Last-Modified': 'Mon, 19 Oct 2026 06:00:00 GMT' });
+    res.end('<menu>v1</menu>');
+  });
+
+  const url = `${baseUrl}/etag.xml`;
+  const first = await fetchWithCache(url, 'etag', parse);
+  const second = await fetchWithCache(url, 'etag', parse);
+
+  assert.equal(first.data, '<menu>v1</menu>');
+  assert.equal(second.data, '<menu>v1</menu>');
+  assert.equal(second.stale, false);
+  assert.equal(requests.length, 2);
+  assert.equal(requests[0].headers['if-none-match'], undefined);
+  assert.equal(requests[1].headers['if-none-match'], '"v1"');
+  assert.equal(requests[1].headers['if-modified-since'], 'Mon, 19 Oct 2026 06:00:00 GMT');
+});
+
+test('serves the last good copy as stale when upstream fails', async () => {
+  const url = `${baseUrl}/flaky.xml`;
+
+  serve((req, res) => res.end('<menu>good</menu>'));
+  await fetchWithCache(url, 'flaky', parse);
+
+  serve((req, res) => {
+    res.writeHead(500);
+    res.end();
+  });
+  const result = await fetchWithCache(url, 'flaky', parse);
+
+  assert.equal(result.data, '<menu>good</menu>');
+  assert.equal(result.stale, true);
+  assert.equal(getFeedState('flaky').stale, true);
+  assert.match(getFeedState('flaky').error, /HTTP 500/);
+});
+
+test('keeps the cached copy when the new body does not parse', async () => {
+  const url = `${baseUrl}/broken.xml`;
+  const strictParse = async (body) => {
+    if (!body.startsWith('<menu>')) throw new Error('not a menu');
+    return body;
+  };
+
+  serve((req, res) => res.end('<menu>good</menu>'));
+  await fetchWithCache(url, 'broken', strictParse);
+
+  serve((req, res) => res.end('<html>maintenance</html>'));
+  const result = await fetchWithCache(url, 'broken', strictParse);
+
+  assert.equal(result.data, '<menu>good</menu>');
+  assert.equal(result.stale, true);
+});
+
+test('fails without a cached copy', async () => {
+  serve((req, res) => {
+    res.writeHead(503);
+    res.end();
+  });
+
+  await assert.rejects(fetchWithCache(`${baseUrl}/missing.xml`, 'missing', parse), /HTTP 503/);
+  assert.equal(getFeedState('missing').stale, true);
+});
+
+test('concurrent fetches of one feed share a single upstream request', async () => {
+  serve((req, res) => setTimeout(() => res.end('<menu>shared</menu>'), 50));
+
+  const url = `${baseUrl}/shared.xml`;
+  const results = await Promise.all([
+    fetchWithCache(url, 'shared', parse),
+    fetchWithCache(url, 'shared', parse),
+    fetchWithCache(url, 'shared', parse)
+  ]);
+
+  assert.equal(requests.length, 1);
+  results.forEach(result => assert.equal(result.data, '<menu>shared</menu>'));
+});
+
+test('gives up on a response that keeps trickling past the deadline', async () => {
+  serve((req, res) => {
+    res.writeHead(200);
+    const timer = setInterval(() => res.write('<'), 50);
+    res.on('close', () => clearInterval(timer));
+  });
+
+  const startedAt = Date.now();
+  await assert.rejects(fetchWithCache(`${baseUrl}/slow.xml`, 'slow', parse), /timed out after 300ms/);
+  assert.ok(Date.now() - startedAt < 2000);
+});
@@ -0,0 +1,151 @@
+/**
+ * Minimal iCalendar (RFC 5545) writer for the menu calendar feed
+ */
+
+const TIMEZONE = 'Europe/Berlin';
+const MAX_LINE_OCTETS = 75;
+const PRODUCT_ID = '-//Pottkieker//Mensa Menu//EN';
+// Calendar apps poll subscribed feeds; the menu rarely changes more often than this
+const REFRESH_INTERVAL = 'PT6H';
+
+// Central European time with the EU daylight saving rules
+const BERLIN_VTIMEZONE = [
+  'BEGIN:VTIMEZONE',
+  `TZID:${TIMEZONE}`,
+  'BEGIN:DAYLIGHT',
+  'TZOFFSETFROM:+0100',
+  'TZOFFSETTO:+0200',
+  'TZNAME:CEST',
+  'DTSTART:19700329T020000',
+  'RRULE:FREQ=YEARLY;BYMONTH=3;BYDAY=-1SU',
+  'END:DAYLIGHT',
+  'BEGIN:STANDARD',
+  'TZOFFSETFROM:+0200',
+  'TZOFFSETTO:+0100',
+  'TZNAME:CET',
+  'DTSTART:19701025T030000',
+  'RRULE:FREQ=YEARLY;BYMONTH=10;BYDAY=-1SU',
+  'END:STANDARD',
+  'END:VTIMEZONE'
+];
+
+function escapeText(value) {
+  return String(value)
+    .replace(/\\/g, '\\\\')
+    .replace(/;/g, '\\;')
+    .replace(/,/g, '\\,')
+    .replace(/\r?\n/g, '\\n');
+}
+
+// Lines longer than 75 octets continue on the next line after a space, without splitting UTF-8 characters
+function foldLine(line) {
+  const parts = [];
+  let current = '';
+  let currentOctets = 0;
+
+  for (const char of line) {
+    const octets = Buffer.byteLength(char);
+    const limit = parts.length === 0 ? MAX_LINE_OCTETS : MAX_LINE_OCTETS - 1;
+
+    if (currentOctets + octets > limit) {
+      parts.push(current);
+      current = '';
+      currentOctets = 0;
+    }
+
+    current += char;
+    currentOctets += octets;
+  }
+
+  parts.push(current);
+  return parts.join('\r\n ');
+}
+
+function formatDate(date) {
+  return date.replace(/-/g, '');
+}
+
+function formatLocalDateTime(date, time) {
+  return `${formatDate(date)}T${time.replace(':', '')}00`;
+}
+
+function formatUtcTimestamp(now) {
+  return now.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+}
+
+function nextDate(date) {
+  const next = new Date(`${date}T00:00:00Z`);
+  next.setUTCDate(next.getUTCDate() + 1);
+  return next.toISOString().slice(0, 10);
+}
+
+function buildEvent(event, stamp) {
+  const lines = [
+    'BEGIN:VEVENT',
+    `UID:${event.uid}`,
+    `DTSTAMP:${stamp}`
+  ];
+
+  if (event.start && event.end) {
+    lines.push(`DTSTART;TZID=${TIMEZONE}:${formatLocalDateTime(event.date, event.start)}`);
+    lines.push(`DTEND;TZID=${TIMEZONE}:${formatLocalDateTime(event.date, event.end)}`);
+  } else {
+    lines.push(`DTSTART;VALUE=DATE:${formatDate(event.date)}`);
+    lines.push(`DTEND;VALUE=DATE:${formatDate(nextDate(event.date))}`);
+  }
+
+  lines.push(`SUMMARY:${escapeText(event.summary)}`);
+
+  if (event.description) {
+    lines.push(`DESCRIPTION:${escapeText(event.description)}`);
+  }
+  if (event.location) {
+    lines.push(`LOCATION:${escapeText(event.location)}`);
+  }
+  if (event.url) {
+    lines.push(`URL:${event.url}`);
+  }
+
+  lines.push('TRANSP:TRANSPARENT');
+  lines.push('END:VEVENT');
+  return lines;
+}
+
+/**
+ * Serialize a calendar
+ * @param {Object} calendar
+ * @param {string} calendar.name - Shown as the subscribed calendar's name
+ * @param {string} [calendar.description]
+ * @param {Array<{uid: string, date: string, start?: string, end?: string, summary: string, description?: string, location?: string, url?: string}>} calendar.events -
+ *   Events with `start`/`end` ("HH:MM", Europe/Berlin) are timed, the others all-day
+ * @param {Date} [now] - DTSTAMP of every event
+ * @returns {string} iCalendar text with CRLF line endings
+ */
+function buildCalendar({ name, description = '', events }, now = new Date()) {
+  const stamp = formatUtcTimestamp(now);
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    `PRODID:${PRODUCT_ID}`,
+    'CALSCALE:GREGORIAN',
+    'METHOD:PUBLISH',
+    `X-WR-CALNAME:${escapeText(name)}`,
+    `X-WR-TIMEZONE:${TIMEZONE}`,
+    `REFRESH-INTERVAL;VALUE=DURATION:${REFRESH_INTERVAL}`,
+    `X-PUBLISHED-TTL:${REFRESH_INTERVAL}`
+  ];
+
+  if (description) {
+    lines.push(`X-WR-CALDESC:${escapeText(description)}`);
+  }
+
+  lines.push(...BERLIN_VTIMEZONE);
+  events.forEach(event => lines.push(...buildEvent(event, stamp)));
+  lines.push('END:VCALENDAR');
+
+  return `${lines.map(foldLine).join('\r\n')}\r\n`;
+}
+
+module.exports = {
+  buildCalendar
+};
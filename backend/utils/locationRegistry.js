@@ -0,0 +1,131 @@
+const fs = require('fs');
+const path = require('path');
+
+// Override with MENSA_LOCATIONS_FILE to point at a different registry
+const DEFAULT_REGISTRY_PATH = path.join(__dirname, '../config/locations.json');
+const LOCATION_ID_REGEX = /^[a-z0-9_-]+$/;
+
+let locations = null;
+
+const UMLAUT_REPLACEMENTS = { ä: 'ae', ö: 'oe', ü: 'ue', Ä: 'Ae', Ö: 'Oe', Ü: 'Ue', ß: 'ss' };
+
+// "Gemüsebar" -> "Gemuesebar", matching the external IDs stored before the registry existed
+function toIdSuffix(name) {
+  return name
+    .replace(/[äöüÄÖÜß]/g, char => UMLAUT_REPLACEMENTS[char])
+    .replace(/[^A-Za-z0-9]+/g, '_');
+}
+
+function normalizeCollapseRule(rule, locationId) {
+  if (!rule || typeof rule.match !== 'string' || !rule.match.trim()) {
+    throw new Error(`Location "${locationId}" has a collapse rule without "match"`);
+  }
+
+  const name = rule.name || rule.match;
+
+  return {
+    match: rule.match.trim(),
+    name,
+    idSuffix: rule.idSuffix || toIdSuffix(name),
+    price: rule.price ?? null,
+    notes: rule.notes || ''
+  };
+}
+
+function normalizeLocation(entry) {
+  if (!entry || typeof entry.id !== 'string' || !LOCATION_ID_REGEX.test(entry.id)) {
+    throw new Error(`Invalid location id: ${JSON.stringify(entry && entry.id)}`);
+  }
+
+  if (entry.id === 'all') {
+    throw new Error('Location id "all" is reserved');
+  }
+
+  if (typeof entry.feedUrl !== 'string' || !/^https?:\/\//.test(entry.feedUrl)) {
+    throw new Error(`Location "${entry.id}" needs an http(s) feedUrl`);
+  }
+
+  const name = entry.name || entry.id;
+
+  return {
+    id: entry.id,
+    name,
+    shortName: entry.shortName || name,
+    feedUrl: entry.feedUrl,
+    metaUrl: entry.metaUrl || null,
+    default: entry.default === true,
+    collapseCategories: (entry.collapseCategories || []).map(rule => normalizeCollapseRule(rule, entry.id))
+  };
+}
+
+/**
+ * Read and validate the location registry file
+ * @param {string} [filePath] - Defaults to MENSA_LOCATIONS_FILE or config/locations.json
+ * @returns {Array} Normalized location entries
+ */
+function loadLocations(filePath = process.env.MENSA_LOCATIONS_FILE || DEFAULT_REGISTRY_PATH) {
+  const entries = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+
+  if (!Array.isArray(entries) || entries.length === 0) {
+    throw new Error(`Location registry ${filePath} must be a non-empty array`);
+  }
+
+  const normalized = entries.map(normalizeLocation);
+  const ids = new Set();
+
+  normalized.forEach(location => {
+    if (ids.has(location.id)) {
+      throw new Error(`Duplicate location id "${location.id}" in ${filePath}`);
+    }
+    ids.add(location.id);
+  });
+
+  locations = normalized;
+  return locations;
+}
+
+function getLocations() {
+  return locations || loadLocations();
+}
+
+function getLocation(id) {
+  return getLocations().find(location => location.id === id) || null;
+}
+
+function isKnownLocation(id) {
+  return !!getLocation(id);
+}
+
+function getLocationIds() {
+  return getLocations().map(location => location.id);
+}
+
+function getDefaultLocationId() {
+  const all = getLocations();
+  return (all.find(location => location.default) || all[0]).id;
+}
+
+/**
+ * Public view of the registry for the frontend (no feed URLs)
+ * @returns {Array} Array of { id, name, shortName, default }
+ */
+function getPublicLocations() {
+  const defaultId = getDefaultLocationId();
+
+  return getLocations().map(location => ({
+    id: location.id,
+    name: location.name,
+    shortName: location.shortName,
+    default: location.id === defaultId
+  }));
+}
+
+module.exports = {
+  loadLocations,
+  getLocations,
+  getLocation,
+  isKnownLocation,
+  getLocationIds,
+  getDefaultLocationId,
+  getPublicLocations
+};
@@ -0,0 +1,68 @@
+const nodemailer = require('nodemailer');
+
+const DEFAULT_SMTP_PORT = 587;
+const DEFAULT_FROM = 'Pottkieker <digest@pottkieker.life>';
+
+/**
+ * Build the SMTP transport from the environment.
+ * SMTP_URL (e.g. smtp://localhost:1025 for a local mail catcher) wins over
+ * SMTP_HOST/SMTP_PORT/SMTP_SECURE/SMTP_USER/SMTP_PASS.
+ * @returns {Object|null} Nodemailer transporter, or null when mail is not configured
+ */
+function createTransportFromEnv() {
+  if (process.env.SMTP_URL) {
+    return nodemailer.createTransport(process.env.SMTP_URL);
+  }
+
+  if (!process.env.SMTP_HOST) {
+    return null;
+  }
+
+  const auth = process.env.SMTP_USER
+    ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS || '' }
+    : undefined;
+
+  return nodemailer.createTransport({
+    host: process.env.SMTP_HOST,
+    port: Number.parseInt(process.env.SMTP_PORT, 10) || DEFAULT_SMTP_PORT,
+    secure: process.env.SMTP_SECURE === 'true',
+    auth
+  });
+}
+
+let transporter = createTransportFromEnv();
+
+if (!transporter) {
+  console.warn('SMTP settings not found in .env. Email digests will be disabled.');
+}
+
+/**
+ * Replace the transport, e.g. with nodemailer's jsonTransport in scripts
+ * @param {Object|null} next - Nodemailer transporter
+ */
+function setMailTransport(next) {
+  transporter = next;
+}
+
+function isMailEnabled() {
+  return transporter !== null;
+}
+
+/**
+ * Send one email
+ * @param {Object} message - Nodemailer message ({ to, subject, html, text, headers, ... })
+ * @returns {Promise<Object>} Nodemailer send info
+ */
+async function sendMail(message) {
+  if (!transporter) {
+    throw new Error('Mail transport is not configured');
+  }
+
+  return transporter.sendMail({ from: process.env.MAIL_FROM || DEFAULT_FROM, ...message });
+}
+
+module.exports = {
+  isMailEnabled,
+  setMailTransport,
+  sendMail
+};
@@ -0,0 +1,206 @@
+const { runAsync, allAsync } = require('../dbAsync');
+const { queryMealsWithStats } = require('./mealQueries');
+const { decodeAllergens, decodeAdditives } = require('./allergenCodes');
+const { wilsonLowerBound } = require('./ranking');
+
+// Columns copied from a serving's most liked photo
+const TOP_PHOTO_COLUMNS = ['top_photo_id', 'top_photo_path', 'top_photo_author', 'top_photo_caption', 'top_photo_likes', 'top_photo_user_id'];
+
+/**
+ * Snapshot every meal served before the given date, including its vote,
+ * portion, comment and photo totals and its most liked photo. Must run
+ * before the daily cleanup, because comments and photos cannot be recovered
+ * afterwards; the cleanup keeps the files of archived top photos.
+ * @param {string} date - Date in YYYY-MM-DD format (exclusive upper bound)
+ * @returns {Promise<number>} Number of archived rows written
+ */
+async function archiveMealsBefore(date) {
+  const result = await runAsync(
+    `WITH liked_photos AS (
+       SELECT
+         fp.id, fp.meal_id, fp.photo_path, fp.author_name, fp.caption, fp.user_id, fp.created_at,
+         (SELECT COUNT(*) FROM photo_votes pv WHERE pv.photo_id = fp.id) AS likes
+       FROM food_photos fp
+     ),
+     ranked_photos AS (
+       SELECT *, ROW_NUMBER() OVER (PARTITION BY meal_id ORDER BY likes DESC, created_at ASC, id ASC) AS position
+       FROM liked_photos
+     )
+     INSERT INTO meal_archive (
+       meal_id, external_id, name, category, date, mensa_location,
+       price_student, price_employee, price_other, notes,
+       upvotes, downvotes, big_portions, small_portions, comment_count, photo_count, dish_id,
+       allergens, additives,
+       ${TOP_PHOTO_COLUMNS.join(', ')}
+     )
+     SELECT
+       m.id, m.external_id, m.name, m.category, m.date, m.mensa_location,
+       m.price_student, m.price_employee, m.price_other, m.notes,
+       (SELECT COUNT(*) FROM votes v WHERE v.meal_id = m.id AND v.vote_type = 'up'),
+       (SELECT COUNT(*) FROM votes v WHERE v.meal_id = m.id AND v.vote_type = 'down'),
+       (SELECT COUNT(*) FROM portion_votes p WHERE p.meal_id = m.id AND p.portion_size = 'big'),
+       (SELECT COUNT(*) FROM portion_votes p WHERE p.meal_id = m.id AND p.portion_size = 'small'),
+       (SELECT COUNT(*) FROM comment_entries c WHERE c.target_type = 'meal' AND c.target_id = m.id),
+       (SELECT COUNT(*) FROM food_photos fp WHERE fp.meal_id = m.id),
+       m.dish_id,
+       m.allergens,
+       m.additives,
+       tp.id, tp.photo_path, tp.author_name, tp.caption, tp.likes, tp.user_id
+     FROM meals m
+     LEFT JOIN ranked_photos tp ON tp.meal_id = m.id AND tp.position = 1
+     WHERE m.date < ? AND m.removed_at IS NULL
+     ON CONFLICT(external_id) DO UPDATE SET
+       meal_id = excluded.meal_id,
+       name = excluded.name,
+       category = excluded.category,
+       price_student = excluded.price_student,
+       price_employee = excluded.price_employee,
+       price_other = excluded.price_other,
+       notes = excluded.notes,
+       upvotes = excluded.upvotes,
+       downvotes = excluded.downvotes,
+       big_portions = excluded.big_portions,
+       small_portions = excluded.small_portions,
+       comment_count = MAX(meal_archive.comment_count, excluded.comment_count),
+       photo_count = MAX(meal_archive.photo_count, excluded.photo_count),
+       dish_id = COALESCE(excluded.dish_id, meal_archive.dish_id),
+       allergens = excluded.allergens,
+       additives = excluded.additives,
+       ${TOP_PHOTO_COLUMNS.map(column => `${column} = CASE WHEN excluded.top_photo_path IS NULL THEN meal_archive.${column} ELSE excluded.${column} END`).join(',\n       ')},
+       archived_at = CURRENT_TIMESTAMP`,
+    [date]
+  );
+
+  return result.changes || 0;
+}
+
+/**
+ * Load archived meals for a date range
+ * @param {Object} options
+ * @param {string} options.from - First date (inclusive)
+ * @param {string} options.to - Last date (inclusive)
+ * @param {string|null} [options.location] - Mensa location ID, or null for all locations
+ * @returns {Promise<Array>} Archived rows
+ */
+async function queryArchivedMeals({ from, to, location = null }) {
+  const params = [from, to];
+  let locationFilter = '';
+
+  if (location && location !== 'all') {
+    locationFilter = 'AND mensa_location = ?';
+    params.push(location);
+  }
+
+  return allAsync(
+    `SELECT *
+     FROM meal_archive
+     WHERE date BETWEEN ? AND ? ${locationFilter}
+     ORDER BY date, mensa_location, category, name`,
+    params
+  );
+}
+
+/**
+ * Merge live meals with archived snapshots. Live rows win for vote totals;
+ * archived rows fill in comment/photo counts that the daily cleanup removed,
+ * and stand in for meals that no longer exist.
+ * @param {Array} liveMeals - Normalized meals from queryMealsWithStats
+ * @param {Array} archivedRows - Rows from meal_archive
+ * @returns {Array} Merged meals
+ */
+function mergeArchivedMeals(liveMeals, archivedRows) {
+  const archivedByExternalId = new Map(archivedRows.map(row => [row.external_id, row]));
+  const merged = liveMeals.map(meal => {
+    const archived = archivedByExternalId.get(meal.external_id);
+    archivedByExternalId.delete(meal.external_id);
+
+    if (!archived) {
+      return meal;
+    }
+
+    return {
+      ...meal,
+      comment_count: Math.max(meal.comment_count, archived.comment_count || 0),
+      photos: {
+        ...meal.photos,
+        count: Math.max(meal.photos.count, archived.photo_count || 0)
+      }
+    };
+  });
+
+  archivedByExternalId.forEach(row => {
+    merged.push({
+      ...row,
+      id: row.meal_id,
+      upvotes: Number(row.upvotes || 0),
+      downvotes: Number(row.downvotes || 0),
+      score: wilsonLowerBound(row.upvotes, row.downvotes),
+      big_portions: Number(row.big_portions || 0),
+      small_portions: Number(row.small_portions || 0),
+      comment_count: Number(row.comment_count || 0),
+      allergens: decodeAllergens(row.allergens),
+      additives: decodeAdditives(row.additives),
+      photos: {
+        count: Number(row.photo_count || 0),
+        thumbnails: []
+      }
+    });
+  });
+
+  return merged;
+}
+
+/**
+ * Combine live meals with archived snapshots for a date range
+ * @param {Object} options
+ * @param {string} options.from - First date (inclusive)
+ * @param {string} options.to - Last date (inclusive)
+ * @param {string} options.today - Today's date, used to flag archived days
+ * @param {string|null} [options.location] - Mensa location ID, or null for all locations
+ * @returns {Promise<Array>} Array of { date, meals }
+ */
+async function getMealHistory({ from, to, today, location = null }) {
+  const locationFilter = location && location !== 'all' ? 'AND mensa_location = ?' : '';
+  const dateParams = location && location !== 'all' ? [from, to, location] : [from, to];
+  const liveDates = (await allAsync(
+    `SELECT DISTINCT date FROM meals WHERE date BETWEEN ? AND ? AND removed_at IS NULL ${locationFilter} ORDER BY date`,
+    dateParams
+  )).map(row => row.date);
+
+  const [liveMeals, archivedRows] = await Promise.all([
+    queryMealsWithStats({ dates: liveDates, location }),
+    queryArchivedMeals({ from, to, location })
+  ]);
+
+  const merged = mergeArchivedMeals(liveMeals, archivedRows);
+  const dates = [...new Set(merged.map(meal => meal.date))].sort();
+
+  return dates.map(date => ({
+    date,
+    meals: merged
+      .filter(meal => meal.date === date)
+      .map(meal => ({ ...meal, archived: date < today }))
+  }));
+}
+
+/**
+ * Every recorded serving of a dish, live or archived, oldest first
+ * @param {number} dishId
+ * @returns {Promise<Array>} Merged meals
+ */
+async function getDishServings(dishId) {
+  const [liveMeals, archivedRows] = await Promise.all([
+    queryMealsWithStats({ dishId }),
+    allAsync('SELECT * FROM meal_archive WHERE dish_id = ?', [dishId])
+  ]);
+
+  return mergeArchivedMeals(liveMeals, archivedRows)
+    .sort((a, b) => a.date.localeCompare(b.date) || a.mensa_location.localeCompare(b.mensa_location));
+}
+
+module.exports = {
+  archiveMealsBefore,
+  queryArchivedMeals,
+  getMealHistory,
+  getDishServings
+};
@@ -0,0 +1,163 @@
+const { allAsync } = require('../dbAsync');
+const { simplifyNotes } = require('./mensaParser');
+const { decodeAllergens, decodeAdditives } = require('./allergenCodes');
+const { attachRatings } = require('./mealRatings');
+const { attachValueScores } = require('./valueScore');
+const { wilsonLowerBound } = require('./ranking');
+
+/**
+ * Shape a raw meals row (with aggregate columns) into the API representation
+ * @param {Object} row
+ * @returns {Object}
+ */
+function normalizeMealRow(row) {
+  const normalizedString = row.notes ? String(row.notes).replace(/[|·]/g, ',') : '';
+  const rawNotes = normalizedString
+    ? normalizedString.split(/\s*,\s*/).map(part => part.trim()).filter(Boolean)
+    : [];
+  const filteredNotes = simplifyNotes(rawNotes);
+
+  // Parse photo thumbnails
+  const photoCount = Number(row.photo_count || 0);
+  const photoThumbnails = row.photo_thumbnails
+    ? row.photo_thumbnails.split('||').map(path => `/uploads/${path}`)
+    : [];
+
+  return {
+    ...row,
+    notes: filteredNotes.length > 0 ? filteredNotes.join(', ') : '',
+    upvotes: Number(row.upvotes || 0),
+    downvotes: Number(row.downvotes || 0),
+    score: wilsonLowerBound(row.upvotes, row.downvotes),
+    big_portions: Number(row.big_portions || 0),
+    small_portions: Number(row.small_portions || 0),
+    comment_count: Number(row.comment_count || 0),
+    allergens: decodeAllergens(row.allergens),
+    additives: decodeAdditives(row.additives),
+    photos: {
+      count: photoCount,
+      thumbnails: photoThumbnails
+    }
+  };
+}
+
+/**
+ * Load stored meals for the given dates (or every serving of one dish) with
+ * vote, portion, comment and photo counts, rating summaries and value scores
+ * @param {Object} options
+ * @param {string[]} [options.dates] - Dates in YYYY-MM-DD format
+ * @param {string|null} [options.location] - Mensa location ID, or null for all locations
+ * @param {number|null} [options.dishId] - Only meals linked to this dish
+ * @returns {Promise<Array>} Normalized meals
+ */
+async function queryMealsWithStats({ dates = [], location = null, dishId = null } = {}) {
+  const hasDates = Array.isArray(dates) && dates.length > 0;
+  if (!hasDates && !dishId) {
+    return [];
+  }
+
+  const conditions = ['m.removed_at IS NULL'];
+  const params = [];
+
+  if (hasDates) {
+    conditions.push(`m.date IN (${dates.map(() => '?').join(', ')})`);
+    params.push(...dates);
+  }
+
+  if (dishId) {
+    conditions.push('m.dish_id = ?');
+    params.push(dishId);
+  }
+
+  if (location && location !== 'all') {
+    conditions.push('m.mensa_location = ?');
+    params.push(location);
+  }
+
+  const query = `
+    SELECT
+      m.*,
+      COALESCE(v.upvotes, 0) as upvotes,
+      COALESCE(v.downvotes, 0) as downvotes,
+      COALESCE(p.big_portions, 0) as big_portions,
+      COALESCE(p.small_portions, 0) as small_portions,
+      COALESCE(c.comment_count, 0) as comment_count,
+      COALESCE(ph.photo_count, 0) as photo_count,
+      ph.photo_thumbnails
+    FROM meals m
+    LEFT JOIN (
+      SELECT
+        meal_id,
+        SUM(CASE WHEN vote_type = 'up' THEN 1 ELSE 0 END) as upvotes,
+        SUM(CASE WHEN vote_type = 'down' THEN 1 ELSE 0 END) as downvotes
+      FROM votes
+      GROUP BY meal_id
+    ) v ON m.id = v.meal_id
+    LEFT JOIN (
+      SELECT
+        meal_id,
+        SUM(CASE WHEN portion_size = 'big' THEN 1 ELSE 0 END) as big_portions,
+        SUM(CASE WHEN portion_size = 'small' THEN 1 ELSE 0 END) as small_portions
+      FROM portion_votes
+      GROUP BY meal_id
+    ) p ON m.id = p.meal_id
+    LEFT JOIN (
+      SELECT
+        target_id as meal_id,
+        COUNT(*) as comment_count
+      FROM comment_entries
+      WHERE target_type = 'meal'
+      GROUP BY target_id
+    ) c ON m.id = c.meal_id
+    LEFT JOIN (
+      SELECT
+        meal_id,
+        COUNT(*) as photo_count,
+        GROUP_CONCAT(photo_path, '||') as photo_thumbnails
+      FROM (
+        SELECT
+          fp.meal_id,
+          fp.photo_path,
+          ROW_NUMBER() OVER (PARTITION BY fp.meal_id ORDER BY fp.created_at DESC) as rn
+        FROM food_photos fp
+        WHERE DATE(fp.upload_date) = DATE('now')
+      ) ranked
+      WHERE rn <= 3
+      GROUP BY meal_id
+    ) ph ON m.id = ph.meal_id
+    WHERE ${conditions.join(' AND ')}
+    ORDER BY m.date, m.mensa_location, m.category, m.name
+  `;
+
+  const rows = await allAsync(query, params);
+  return attachValueScores(await attachRatings(rows.map(normalizeMealRow)));
+}
+
+/**
+ * List stored menu dates on or after a given date
+ * @param {string} fromDate - Date in YYYY-MM-DD format
+ * @param {string|null} [location] - Mensa location ID, or null for all locations
+ * @returns {Promise<string[]>} Sorted dates
+ */
+async function getStoredDatesFrom(fromDate, location = null) {
+  const params = [fromDate];
+  let locationFilter = '';
+
+  if (location && location !== 'all') {
+    locationFilter = 'AND mensa_location = ?';
+    params.push(location);
+  }
+
+  const rows = await allAsync(
+    `SELECT DISTINCT date FROM meals WHERE date >= ? AND removed_at IS NULL ${locationFilter} ORDER BY date`,
+    params
+  );
+
+  return rows.map(row => row.date);
+}
+
+module.exports = {
+  normalizeMealRow,
+  queryMealsWithStats,
+  getStoredDatesFrom
+};
@@ -0,0 +1,188 @@
+const { runAsync, allAsync } = require('../dbAsync');
+
+// Each criterion is an optional 1-5 score; taste is the star rating shown first
+const RATING_CRITERIA = ['taste', 'value', 'temperature'];
+const MIN_SCORE = 1;
+const MAX_SCORE = 5;
+
+/**
+ * Validate a rating from a request body
+ * @param {Object} input - e.g. { taste: 4, value: 2 } or { temperature: null } to clear one score
+ * @returns {{rating: Object|null, error: string|null}} Rating with only the criteria that were sent
+ */
+function validateRating(input) {
+  if (!input || typeof input !== 'object' || Array.isArray(input)) {
+    return { rating: null, error: 'Rating must be an object like { "taste": 4 }' };
+  }
+
+  const unknown = Object.keys(input).filter(key => !RATING_CRITERIA.includes(key));
+  if (unknown.length > 0) {
+    return { rating: null, error: `Unknown rating criteria: ${unknown.join(', ')}` };
+  }
+
+  const rating = {};
+
+  for (const criterion of RATING_CRITERIA) {
+    const value = input[criterion];
+
+    if (value === undefined) {
+      continue;
+    }
+
+    if (value === null) {
+      rating[criterion] = null;
+      continue;
+    }
+
+    if (!Number.isInteger(value) || value < MIN_SCORE || value > MAX_SCORE) {
+      return { rating: null, error: `"${criterion}" must be a whole number from ${MIN_SCORE} to ${MAX_SCORE}` };
+    }
+
+    rating[criterion] = value;
+  }
+
+  if (Object.keys(rating).length === 0) {
+    return { rating: null, error: `Rate at least one of: ${RATING_CRITERIA.join(', ')}` };
+  }
+
+  return { rating, error: null };
+}
+
+/**
+ * Store one identity's rating for a meal, merged into the scores it already gave.
+ * Criteria missing from `rating` keep their stored score, null clears one;
+ * a rating left without any score is removed.
+ * @param {number} mealId
+ * @param {string} identifier - `user:<id>` or hashed IP, as used for votes
+ * @param {string|null} userId
+ * @param {Object} rating - Output of validateRating
+ * @returns {Promise<void>}
+ */
+async function saveRating(mealId, identifier, userId, rating) {
+  const updates = RATING_CRITERIA
+    .filter(criterion => rating[criterion] !== undefined)
+    .map(criterion => `${criterion} = excluded.${criterion},`);
+
+  await runAsync(
+    `INSERT INTO meal_ratings (meal_id, ip_address, user_id, taste, value, temperature)
+       VALUES (?, ?, ?, ?, ?, ?)
+       ON CONFLICT(meal_id, ip_address) DO UPDATE SET
+         user_id = excluded.user_id,
+         ${updates.join(' ')}
+         timestamp = CURRENT_TIMESTAMP`,
+    [mealId, identifier, userId, ...RATING_CRITERIA.map(criterion => rating[criterion] ?? null)]
+  );
+
+  await runAsync(
+    `DELETE FROM meal_ratings
+       WHERE meal_id = ? AND ip_address = ? AND taste IS NULL AND value IS NULL AND temperature IS NULL`,
+    [mealId, identifier]
+  );
+}
+
+async function deleteRating(mealId, identifier) {
+  const result = await runAsync('DELETE FROM meal_ratings WHERE meal_id = ? AND ip_address = ?', [mealId, identifier]);
+  return result.changes > 0;
+}
+
+async function getUserRating(mealId, identifier) {
+  const rows = await allAsync(
+    'SELECT taste, value, temperature FROM meal_ratings WHERE meal_id = ? AND ip_address = ?',
+    [mealId, identifier]
+  );
+
+  return rows[0] || null;
+}
+
+function emptySummary() {
+  return {
+    count: 0,
+    ...Object.fromEntries(RATING_CRITERIA.map(criterion => [criterion, {
+      average: null,
+      count: 0,
+      distribution: [0, 0, 0, 0, 0]
+    }]))
+  };
+}
+
+/**
+ * Per-meal rating averages and 1-5 distributions
+ * @param {number[]} mealIds
+ * @returns {Promise<Map<number, Object>>} mealId -> { count, taste, value, temperature }
+ */
+async function getRatingSummaries(mealIds = []) {
+  const summaries = new Map();
+  const ids = [...new Set(mealIds.filter(Boolean))];
+
+  if (ids.length === 0) {
+    return summaries;
+  }
+
+  const placeholders = ids.map(() => '?').join(', ');
+
+  // One row per meal, criterion and score
+  const rows = await allAsync(
+    `SELECT meal_id, 'taste' AS criterion, taste AS score, COUNT(*) AS total
+       FROM meal_ratings WHERE meal_id IN (${placeholders}) AND taste IS NOT NULL GROUP BY meal_id, taste
+     UNION ALL
+     SELECT meal_id, 'value', value, COUNT(*)
+       FROM meal_ratings WHERE meal_id IN (${placeholders}) AND value IS NOT NULL GROUP BY meal_id, value
+     UNION ALL
+     SELECT meal_id, 'temperature', temperature, COUNT(*)
+       FROM meal_ratings WHERE meal_id IN (${placeholders}) AND temperature IS NOT NULL GROUP BY meal_id, temperature`,
+    [...ids, ...ids, ...ids]
+  );
+
+  const counts = await allAsync(
+    `SELECT meal_id, COUNT(*) AS total FROM meal_ratings WHERE meal_id IN (${placeholders}) GROUP BY meal_id`,
+    ids
+  );
+
+  counts.forEach(row => {
+    summaries.set(row.meal_id, { ...emptySummary(), count: row.total });
+  });
+
+  rows.forEach(row => {
+    const criterion = summaries.get(row.meal_id)[row.criterion];
+    criterion.distribution[row.score - 1] = row.total;
+    criterion.count += row.total;
+  });
+
+  summaries.forEach(summary => {
+    RATING_CRITERIA.forEach(name => {
+      const criterion = summary[name];
+      if (criterion.count > 0) {
+        const sum = criterion.distribution.reduce((total, amount, index) => total + amount * (index + 1), 0);
+        criterion.average = Math.round((sum / criterion.count) * 10) / 10;
+      }
+    });
+  });
+
+  return summaries;
+}
+
+/**
+ * Attach a `ratings` summary to each meal
+ * @param {Array} meals - Meals with an `id`
+ * @returns {Promise<Array>}
+ */
+async function attachRatings(meals) {
+  const summaries = await getRatingSummaries(meals.map(meal => meal.id));
+  return meals.map(meal => ({ ...meal, ratings: summaries.get(meal.id) || emptySummary() }));
+}
+
+async function getRatingSummary(mealId) {
+  const summaries = await getRatingSummaries([mealId]);
+  return summaries.get(Number(mealId)) || emptySummary();
+}
+
+module.exports = {
+  RATING_CRITERIA,
+  validateRating,
+  saveRating,
+  deleteRating,
+  getUserRating,
+  getRatingSummaries,
+  getRatingSummary,
+  attachRatings
+};
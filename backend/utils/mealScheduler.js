@@ -1,33 +1,89 @@
 const cron = require('node-cron');
-const { getAllTodaysMeals, getBerlinDate, isBerlinWeekend } = require('./mensaParser');
+const { getAllTodaysMeals, getUpcomingMeals, getBerlinDate } = require('./mensaParser');
+const { getLocationIds } = require('./locationRegistry');
+const { getLocationSchedule, getDayStatus } = require('./openingHours');
 const { upsertMeals } = require('./mealStorage');
+const { backfillMealDishes } = require('./dishes');
+const { notifyFavoriteDishes } = require('./favorites');
+const { sendDeferredPushes } = require('./notifications');
 
 const MEAL_REFRESH_SCHEDULE = '5 0 * * *'; // 00:05 every day to give the feed time to update
+// Every 15 minutes from 10:00 to 14:45 on weekdays, while the kitchen may still swap dishes
+const MENU_RECHECK_SCHEDULE = '*/15 10-14 * * 1-5';
+// Favourite alerts from the nightly refresh or a restart are pushed from 10:00, never at night
+const FAVORITE_PUSH_SCHEDULE = '*/15 10-19 * * *';
 
-async function refreshMealsForToday() {
-  const today = getBerlinDate();
+async function isAnyLocationOpen(date) {
+  const schedules = await Promise.all(getLocationIds().map(getLocationSchedule));
+  return schedules.some(schedule => getDayStatus(schedule, date).open);
+}
 
-  if (isBerlinWeekend()) {
-    console.log(`[Meal Scheduler] ${today} is a weekend day. Skipping meal refresh.`);
+async function storeTodaysMeals(today) {
+  if (!(await isAnyLocationOpen(today))) {
+    console.log(`[Meal Scheduler] All locations are closed on ${today}. Skipping meal refresh.`);
     return;
   }
 
-  try {
-    console.log(`[Meal Scheduler] Refreshing meals for ${today}...`);
-    const meals = await getAllTodaysMeals();
+  console.log(`[Meal Scheduler] Refreshing meals for ${today}...`);
+  const meals = await getAllTodaysMeals();
+
+  if (!meals || meals.length === 0) {
+    console.warn(`[Meal Scheduler] No meals fetched for ${today}.`);
+    return;
+  }
+
+  await upsertMeals(meals);
+  console.log(`[Meal Scheduler] Stored ${meals.length} meals for ${today}.`);
+}
+
+// Store the rest of the published week too, so favourites are found before the day they are served.
+// Only the in-app alerts are created here; their pushes wait for FAVORITE_PUSH_SCHEDULE.
+async function checkUpcomingFavorites(today) {
+  const upcoming = (await Promise.all(getLocationIds().map(getUpcomingMeals))).flat();
+
+  if (upcoming.length > 0) {
+    await upsertMeals(upcoming);
+  }
+
+  const created = await notifyFavoriteDishes(today, null, { deferPush: true });
+  if (created > 0) {
+    console.log(`[Meal Scheduler] Created ${created} favourite dish alerts.`);
+  }
+}
 
-    if (!meals || meals.length === 0) {
-      console.warn(`[Meal Scheduler] No meals fetched for ${today}.`);
-      return;
+async function pushFavoriteAlerts() {
+  try {
+    const pushed = await sendDeferredPushes();
+    if (pushed > 0) {
+      console.log(`[Meal Scheduler] Pushed ${pushed} favourite dish alerts.`);
     }
+  } catch (error) {
+    console.error('[Meal Scheduler] Failed to push favourite dish alerts:', error);
+  }
+}
+
+async function refreshMealsForToday() {
+  const today = getBerlinDate();
 
-    await upsertMeals(meals);
-    console.log(`[Meal Scheduler] Stored ${meals.length} meals for ${today}.`);
+  try {
+    await storeTodaysMeals(today);
+    await checkUpcomingFavorites(today);
   } catch (error) {
     console.error(`[Meal Scheduler] Failed to refresh meals for ${today}:`, error);
   }
 }
 
+// Re-polls only need today's menu; the week and favourite alerts are handled by the nightly refresh
+async function recheckTodaysMenu() {
+  const today = getBerlinDate();
+
+  try {
+    await storeTodaysMeals(today);
+  } catch (error) {
+    console.error(`[Meal Scheduler] Failed to re-check the menu for ${today}:`, error);
+  }
+}
+
 function initMealScheduler() {
   cron.schedule(MEAL_REFRESH_SCHEDULE, () => {
     refreshMealsForToday().catch(err => {
@@ -38,10 +94,41 @@ function initMealScheduler() {
     timezone: 'Europe/Berlin'
   });
 
-  console.log('[Meal Scheduler] Daily meal refresh scheduled for 00:05 Europe/Berlin.');
-  refreshMealsForToday().catch(err => {
-    console.error('[Meal Scheduler] Initial refresh failed:', err);
+  // Re-poll during opening hours; upsertMeals logs added, removed and re-priced meals
+  cron.schedule(MENU_RECHECK_SCHEDULE, () => {
+    recheckTodaysMenu().catch(err => {
+      console.error('[Meal Scheduler] Unhandled error during menu re-check:', err);
+    });
+  }, {
+    scheduled: true,
+    timezone: 'Europe/Berlin'
   });
+
+  cron.schedule(FAVORITE_PUSH_SCHEDULE, () => {
+    pushFavoriteAlerts();
+  }, {
+    scheduled: true,
+    timezone: 'Europe/Berlin'
+  });
+
+  console.log('[Meal Scheduler] Daily meal refresh scheduled for 00:05 Europe/Berlin.');
+  console.log('[Meal Scheduler] Menu re-checks scheduled every 15 minutes, 10:00-14:45 on weekdays.');
+  console.log('[Meal Scheduler] Favourite alert pushes scheduled every 15 minutes, 10:00-19:45.');
+
+  backfillMealDishes()
+    .then(count => {
+      if (count > 0) {
+        console.log(`[Meal Scheduler] Linked ${count} stored meals to dishes.`);
+      }
+    })
+    .catch(err => {
+      console.error('[Meal Scheduler] Dish backfill failed:', err);
+    })
+    .finally(() => {
+      refreshMealsForToday().catch(err => {
+        console.error('[Meal Scheduler] Initial refresh failed:', err);
+      });
+    });
 }
 
 module.exports = {
@@ -1,16 +1,12 @@
-const db = require('../database');
-
-function runAsync(sql, params = []) {
-  return new Promise((resolve, reject) => {
-    db.run(sql, params, function callback(err) {
-      if (err) {
-        reject(err);
-      } else {
-        resolve(this);
-      }
-    });
-  });
-}
+const { runAsync } = require('../dbAsync');
+const { assignDishesToMeals } = require('./dishes');
+const { getLocation } = require('./locationRegistry');
+const { snapshotMenus, recordMenuChanges } = require('./menuChanges');
+const { emitWebhookEvent } = require('./webhooks');
+const { getPublicUrl } = require('./publicUrl');
+
+// Upserts run one at a time so overlapping refreshes don't log the same change twice
+let upsertQueue = Promise.resolve();
 
 function normalizeString(value) {
   if (value === null || value === undefined) {
@@ -79,7 +75,7 @@ async function cleanupEmptyMeals(emptyMeals = []) {
 
     const priceEmptyCondition = "COALESCE(TRIM(price_student), '') = '' AND COALESCE(TRIM(price_employee), '') = '' AND COALESCE(TRIM(price_other), '') = ''";
 
-    const deleteClauses = [
+    const removeClauses = [
       `( (name IS NULL OR TRIM(name) = '')
          AND (notes IS NULL OR TRIM(notes) = '')
          AND ${priceEmptyCondition} )`
@@ -87,41 +83,43 @@ async function cleanupEmptyMeals(emptyMeals = []) {
 
     if (externalIds.size > 0) {
       const placeholders = Array.from(externalIds).map(() => '?').join(', ');
-      deleteClauses.push(`external_id IN (${placeholders})`);
+      removeClauses.push(`external_id IN (${placeholders})`);
       params.push(...externalIds);
     }
 
     const sql = `
-      DELETE FROM meals
+      UPDATE meals SET removed_at = CURRENT_TIMESTAMP
       WHERE ${baseConditions.join(' AND ')}
-        AND (${deleteClauses.join(' OR ')})
+        AND removed_at IS NULL
+        AND (${removeClauses.join(' OR ')})
     `;
 
     await runAsync(sql, params);
   }
 }
 
-async function cleanupPhilturmGemuesebar(meals) {
-  const philturmDates = [...new Set(
+async function cleanupCollapsedCategories(meals) {
+  // Hide individual meals left over from categories that are now collapsed into one placeholder
+  const locationDates = [...new Set(
     meals
-      .filter(meal => meal.mensa_location === 'philturm')
-      .map(meal => meal.date)
-      .filter(Boolean)
+      .filter(meal => meal.date && getLocation(meal.mensa_location)?.collapseCategories.length)
+      .map(meal => `${meal.mensa_location}|${meal.date}`)
   )];
 
-  if (philturmDates.length === 0) {
-    return;
-  }
+  for (const locationDate of locationDates) {
+    const [location, date] = locationDate.split('|');
 
-  for (const date of philturmDates) {
-    await runAsync(
-      `DELETE FROM meals
-         WHERE mensa_location = 'philturm'
-         AND date = ?
-         AND category LIKE '%Gemüsebar%'
-         AND external_id != ?`,
-      [date, `philturm_${date}_Gemuesebar`]
-    );
+    for (const rule of getLocation(location).collapseCategories) {
+      await runAsync(
+        `UPDATE meals SET removed_at = CURRENT_TIMESTAMP
+           WHERE mensa_location = ?
+           AND date = ?
+           AND removed_at IS NULL
+           AND category LIKE ?
+           AND external_id != ?`,
+        [location, date, `%${rule.match}%`, `${location}_${date}_${rule.idSuffix}`]
+      );
+    }
   }
 }
 
@@ -150,12 +148,13 @@ async function cleanupPastabar(meals) {
       continue;
     }
 
-    // Delete old Pastabar entries that are not in the current meal list
+    // Hide old Pastabar entries that are not in the current meal list
     const placeholders = externalIdsToKeep.map(() => '?').join(', ');
     await runAsync(
-      `DELETE FROM meals
+      `UPDATE meals SET removed_at = CURRENT_TIMESTAMP
          WHERE mensa_location = ?
          AND date = ?
+         AND removed_at IS NULL
          AND category LIKE '%Pasta%'
          AND external_id NOT IN (${placeholders})`,
       [location, date, ...externalIdsToKeep]
@@ -163,12 +162,39 @@ async function cleanupPastabar(meals) {
   }
 }
 
-async function upsertMeals(meals = []) {
-  if (!Array.isArray(meals) || meals.length === 0) {
-    return;
+async function hideDroppedMeals(meals) {
+  // A day the feed delivered is complete: stored meals it no longer lists were taken off the menu
+  const incoming = new Map();
+
+  meals
+    .filter(meal => meal.mensa_location && meal.date && meal.external_id)
+    .forEach(meal => {
+      const key = `${meal.mensa_location}|${meal.date}`;
+      if (!incoming.has(key)) {
+        incoming.set(key, []);
+      }
+      incoming.get(key).push(meal.external_id);
+    });
+
+  for (const [locationDate, externalIds] of incoming.entries()) {
+    const [location, date] = locationDate.split('|');
+    const placeholders = externalIds.map(() => '?').join(', ');
+
+    await runAsync(
+      `UPDATE meals SET removed_at = CURRENT_TIMESTAMP
+         WHERE mensa_location = ?
+         AND date = ?
+         AND removed_at IS NULL
+         AND external_id NOT IN (${placeholders})`,
+      [location, date, ...externalIds]
+    );
   }
+}
+
+async function storeMeals(meals) {
+  const before = await snapshotMenus(meals);
 
-  await cleanupPhilturmGemuesebar(meals);
+  await cleanupCollapsedCategories(meals);
   await cleanupPastabar(meals);
 
   const emptyMeals = meals.filter(isMealEmpty);
@@ -176,14 +202,10 @@ async function upsertMeals(meals = []) {
 
   await cleanupEmptyMeals(emptyMeals);
 
-  if (validMeals.length === 0) {
-    return;
-  }
-
   for (const meal of validMeals) {
     await runAsync(
-      `INSERT INTO meals (external_id, name, category, date, mensa_location, price_student, price_employee, price_other, notes)
-         VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+      `INSERT INTO meals (external_id, name, category, date, mensa_location, price_student, price_employee, price_other, notes, allergens, additives)
+         VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
          ON CONFLICT(external_id) DO UPDATE SET
            name = excluded.name,
            category = excluded.category,
@@ -192,7 +214,10 @@ async function upsertMeals(meals = []) {
            price_student = excluded.price_student,
            price_employee = excluded.price_employee,
            price_other = excluded.price_other,
-           notes = excluded.notes`,
+           notes = excluded.notes,
+           allergens = excluded.allergens,
+           additives = excluded.additives,
+           removed_at = NULL`,
       [
         meal.external_id,
         meal.name,
@@ -202,10 +227,84 @@ async function upsertMeals(meals = []) {
         meal.price_student,
         meal.price_employee,
         meal.price_other,
-        meal.notes
+        meal.notes,
+        meal.allergens || '',
+        meal.additives || ''
       ]
     );
   }
+
+  await hideDroppedMeals(validMeals);
+  await assignDishesToMeals(validMeals);
+
+  const after = await snapshotMenus(meals);
+  const changes = await recordMenuChanges(before, after, validMeals);
+  if (changes.length > 0) {
+    console.log(`[Meal Storage] Recorded ${changes.length} menu change(s).`);
+  }
+
+  emitMenuWebhooks(before, after, changes);
+}
+
+function describeMenu(key) {
+  const [location, date] = key.split('|');
+
+  return {
+    location,
+    location_name: getLocation(location)?.name || location,
+    date,
+    url: `${getPublicUrl()}/?location=${encodeURIComponent(location)}&date=${date}`
+  };
+}
+
+// menu.published for days that had no stored meals before this upsert, menu.changed for the rest
+function emitMenuWebhooks(before, after, changes) {
+  const events = [];
+
+  for (const [key, previous] of before.entries()) {
+    const current = after.get(key) || new Map();
+
+    if (previous.size === 0 && current.size > 0) {
+      events.push(['menu.published', {
+        ...describeMenu(key),
+        meals: [...current.values()].map(row => ({
+          id: row.id,
+          name: row.name,
+          category: row.category,
+          prices: { student: row.price_student, employee: row.price_employee, other: row.price_other }
+        }))
+      }]);
+    }
+  }
+
+  const changedKeys = [...new Set(changes.map(change => `${change.mensa_location}|${change.date}`))];
+  changedKeys.forEach((key) => {
+    const menu = describeMenu(key);
+    events.push(['menu.changed', {
+      ...menu,
+      changes: changes.filter(change => change.mensa_location === menu.location && change.date === menu.date)
+    }]);
+  });
+
+  events.forEach(([event, data]) => {
+    emitWebhookEvent(event, data).catch(err => console.error(`[Meal Storage] Failed to emit ${event} webhook:`, err));
+  });
+}
+
+/**
+ * Store feed meals, log differences to the previously stored menu and fire
+ * the menu.published / menu.changed webhooks
+ * @param {Array} meals - Meals as returned by the Mensa parser
+ * @returns {Promise<void>}
+ */
+function upsertMeals(meals = []) {
+  if (!Array.isArray(meals) || meals.length === 0) {
+    return Promise.resolve();
+  }
+
+  const run = upsertQueue.then(() => storeMeals(meals));
+  upsertQueue = run.catch(() => {});
+  return run;
 }
 
 module.exports = {
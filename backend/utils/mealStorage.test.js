@@ -0,0 +1,81 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'meal-storage-test-'));
+const locationsFile = path.join(tmpDir, 'locations.json');
+fs.writeFileSync(locationsFile, JSON.stringify([
+  { id: 'mensa', name: 'Test Mensa', feedUrl: 'http://127.0.0.1:9/feed.xml', default: true }
+]));
+
+process.env.MENSA_DB_PATH = ':memory:';
+process.env.MENSA_LOCATIONS_FILE = locationsFile;
+
+const db = require('../database');
+const { upsertMeals } = require('./mealStorage');
+const { queryMealsWithStats } = require('./mealQueries');
+const { getMenuChanges } = require('./menuChanges');
+
+const DATE = '2026-10-19';
+
+function meal(name, date = DATE) {
+  return {
+    external_id: `mensa_${date}_${name.replace(/\s+/g, '_')}`,
+    name,
+    category: 'Hauptgericht',
+    date,
+    mensa_location: 'mensa',
+    price_student: '3.20',
+    price_employee: '4.50',
+    price_other: '5.80',
+    notes: ''
+  };
+}
+
+function query(sql, params = []) {
+  return new Promise((resolve, reject) => {
+    db.all(sql, params, (err, rows) => (err ? reject(err) : resolve(rows)));
+  });
+}
+
+async function servedNames(date = DATE) {
+  const meals = await queryMealsWithStats({ dates: [date], location: 'mensa' });
+  return meals.map(row => row.name).sort();
+}
+
+before(async () => {
+  await db.ready;
+});
+
+after(async () => {
+  await new Promise(resolve => db.close(resolve));
+  fs.rmSync(tmpDir, { recursive: true, force: true });
+});
+
+test('hides a meal the feed drops and shows it again once it is back', async () => {
+  await upsertMeals([meal('Currywurst'), meal('Linsen-Dal'), meal('Labskaus', '2026-10-20')]);
+  assert.deepEqual(await servedNames(), ['Currywurst', 'Linsen-Dal']);
+
+  await upsertMeals([meal('Currywurst')]);
+
+  assert.deepEqual(await servedNames(), ['Currywurst']);
+  assert.deepEqual(await servedNames('2026-10-20'), ['Labskaus']);
+
+  const [dropped] = await query("SELECT id, removed_at FROM meals WHERE name = 'Linsen-Dal'");
+  assert.notEqual(dropped.removed_at, null);
+
+  await upsertMeals([meal('Currywurst'), meal('Linsen-Dal')]);
+
+  const [restored] = await query("SELECT id, removed_at FROM meals WHERE name = 'Linsen-Dal'");
+  assert.equal(restored.id, dropped.id);
+  assert.equal(restored.removed_at, null);
+  assert.deepEqual(await servedNames(), ['Currywurst', 'Linsen-Dal']);
+
+  const changes = await getMenuChanges({ date: DATE, location: 'mensa' });
+  assert.deepEqual(changes.map(change => [change.type, change.name]), [
+    ['removed', 'Linsen-Dal'],
+    ['added', 'Linsen-Dal']
+  ]);
+});
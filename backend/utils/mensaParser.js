@@ -1,15 +1,13 @@
-const https = require('https');
 const xml2js = require('xml2js');
+const { getLocations, getLocation, getLocationIds } = require('./locationRegistry');
+const { fetchWithCache, getFeedState } = require('./feedCache');
+const { extractCodes, decodeAllergens } = require('./allergenCodes');
 
-// Available Mensa locations in Hamburg
-const MENSA_LOCATIONS = {
-  studierendenhaus: 'Schweinemensa',
-  blattwerk: 'Blattwerk (Vegetarisch)',
-  philturm: 'Philturm'
-};
+// Location ID -> display name, derived from config/locations.json
+const MENSA_LOCATIONS = Object.fromEntries(
+  getLocations().map(location => [location.id, location.name])
+);
 
-const BASE_URL = 'https://cvzi.github.io/mensahd/feed';
-const META_URL = 'https://cvzi.github.io/mensahd/meta';
 const TIMEZONE = 'Europe/Berlin';
 const NOTE_LABELS = [
   {
@@ -62,8 +60,9 @@ const NOTE_LABELS = [
   }
 ];
 
-// GIW/GlW marks meals containing gluten (wheat) in the original Mensa titles
-const GLUTEN_CODE_REGEX = /\bG[IL]W\b/i;
+// Placeholder "meals" the feed uses to announce a closed day, e.g. "Heute geschlossen"
+const CLOSURE_NOTICE_REGEX = /\b(geschlossen|feiertag|betriebsruhe|betriebsferien|closed)\b/i;
+
 const WEIGHT_PRICE_VALUE = 1.2;
 const PRICE_TOLERANCE = 0.001;
 const WEIGHT_PRICE_SUFFIX_REGEX = /(\b(pro|\/)\s*kg\b|\/\s*100g\b)/i;
@@ -76,48 +75,160 @@ function getBerlinDate(date = new Date()) {
   return `${year}-${month}-${day}`;
 }
 
-function isBerlinWeekend(date = new Date()) {
-  const berlinDate = new Date(date.toLocaleString('en-US', { timeZone: TIMEZONE }));
-  const day = berlinDate.getDay();
-  return day === 0 || day === 6;
+function addDays(dateString, days) {
+  const [year, month, day] = String(dateString).split('-').map(Number);
+  const shifted = new Date(Date.UTC(year, month - 1, day + days));
+  return shifted.toISOString().split('T')[0];
+}
+
+function isValidDateString(value) {
+  if (typeof value !== 'string' || !/^\d{4}-\d{2}-\d{2}$/.test(value)) {
+    return false;
+  }
+
+  const [year, month, day] = value.split('-').map(Number);
+  const parsed = new Date(Date.UTC(year, month - 1, day));
+  return parsed.getUTCFullYear() === year &&
+    parsed.getUTCMonth() === month - 1 &&
+    parsed.getUTCDate() === day;
+}
+
+const XML_PARSER_OPTIONS = {
+  explicitArray: false,
+  mergeAttrs: true,
+  normalize: true,
+  trim: true,
+  normalizeTags: true,  // Convert tags to lowercase
+  tagNameProcessors: [xml2js.processors.stripPrefix]  // Remove namespace prefixes
+};
+
+function parseOpenMensaXml(xml) {
+  return new Promise((resolve, reject) => {
+    xml2js.parseString(xml, XML_PARSER_OPTIONS, (err, result) => {
+      if (err) {
+        reject(err);
+      } else if (!result || !result.openmensa) {
+        reject(new Error('Response is not an OpenMensa document'));
+      } else {
+        resolve(result);
+      }
+    });
+  });
 }
 
 /**
- * Fetch and parse XML meal data from cvzi/mensahd
- * @param {string} location - Mensa location ID (e.g., 'studierendenhaus')
+ * Fetch the location's configured feed through the feed cache
+ * @param {string} location - Mensa location ID from the registry
+ * @returns {Promise<{data: Object, stale: boolean, fetchedAt: number}>}
+ */
+async function fetchMensaFeed(location) {
+  const entry = getLocation(location);
+  if (!entry) {
+    throw new Error(`Unknown Mensa location: ${location}`);
+  }
+
+  return fetchWithCache(entry.feedUrl, `feed_${location}`, parseOpenMensaXml);
+}
+
+/**
+ * Fetch and parse XML meal data from the location's configured feed
+ * @param {string} location - Mensa location ID from the registry
  * @returns {Promise<Object>} Parsed meal data
  */
 async function fetchMensaData(location) {
-  return new Promise((resolve, reject) => {
-    const url = `${BASE_URL}/hamburg_${location}.xml`;
+  const { data } = await fetchMensaFeed(location);
+  return data;
+}
 
-    https.get(url, (res) => {
-      let data = '';
+/**
+ * Fetch the location's OpenMensa meta document (opening times) through the feed cache
+ * @param {string} location - Mensa location ID from the registry
+ * @returns {Promise<Object|null>} Parsed meta data, or null if the location has no metaUrl
+ */
+async function fetchMensaMeta(location) {
+  const entry = getLocation(location);
+  if (!entry || !entry.metaUrl) {
+    return null;
+  }
 
-      res.on('data', (chunk) => {
-        data += chunk;
-      });
+  const { data } = await fetchWithCache(entry.metaUrl, `meta_${location}`, parseOpenMensaXml);
+  return data;
+}
 
-      res.on('end', () => {
-        xml2js.parseString(data, {
-          explicitArray: false,
-          mergeAttrs: true,
-          normalize: true,
-          trim: true,
-          normalizeTags: true,  // Convert tags to lowercase
-          tagNameProcessors: [xml2js.processors.stripPrefix]  // Remove namespace prefixes
-        }, (err, result) => {
-          if (err) {
-            reject(err);
-          } else {
-            resolve(result);
-          }
-        });
-      });
-    }).on('error', (err) => {
-      reject(err);
-    });
-  });
+/**
+ * Whether the last feed fetch for a location had to fall back to cached (or no) data
+ * @param {string} location - Mensa location ID
+ * @returns {{stale: boolean, fetchedAt: number|null}}
+ */
+function getFeedStatus(location) {
+  const state = getFeedState(`feed_${location}`);
+  return {
+    stale: !!state?.stale,
+    fetchedAt: state?.fetchedAt || null
+  };
+}
+
+/**
+ * List the day entries contained in a parsed feed
+ * @param {Object} parsedData - Parsed XML data
+ * @returns {Array} Array of day objects (each with a `date` field)
+ */
+function getFeedDays(parsedData) {
+  const days = parsedData?.openmensa?.canteen?.day;
+
+  if (!days) {
+    return [];
+  }
+
+  return Array.isArray(days) ? days : [days];
+}
+
+function toArray(value) {
+  if (!value) {
+    return [];
+  }
+
+  return Array.isArray(value) ? value : [value];
+}
+
+/**
+ * Why a feed day is closed: an explicit <closed/> element, or categories that
+ * only contain closure notices ("Feiertag - Mensa geschlossen")
+ * @param {Object} day - Day entry from the parsed feed
+ * @returns {{reason: string|null}|null} Null when the day is open
+ */
+function getDayClosure(day) {
+  if (!day) {
+    return null;
+  }
+
+  if (Object.prototype.hasOwnProperty.call(day, 'closed')) {
+    return { reason: null };
+  }
+
+  const names = toArray(day.category)
+    .flatMap(category => toArray(category.meal))
+    .map(meal => (typeof meal.name === 'string' ? meal.name : ''))
+    .filter(Boolean);
+
+  if (names.length > 0 && names.every(name => CLOSURE_NOTICE_REGEX.test(name))) {
+    return { reason: cleanMealName(names[0]) };
+  }
+
+  return null;
+}
+
+/**
+ * Closed days announced in a parsed feed
+ * @param {Object} parsedData - Parsed XML data
+ * @returns {Array<{date: string, reason: string|null}>} Ordered by date
+ */
+function getFeedClosures(parsedData) {
+  return getFeedDays(parsedData)
+    .map(day => ({ date: day.date, closure: getDayClosure(day) }))
+    .filter(entry => typeof entry.date === 'string' && entry.closure)
+    .map(entry => ({ date: entry.date, reason: entry.closure.reason }))
+    .sort((a, b) => a.date.localeCompare(b.date));
 }
 
 /**
@@ -135,23 +246,10 @@ function extractMealsForDate(parsedData, date, location) {
       return [];
     }
 
-    const canteen = parsedData.openmensa.canteen;
-    let days = canteen.day;
-
-    // If no days, return empty
-    if (!days) {
-      return [];
-    }
-
-    // Handle single day vs array of days
-    if (!Array.isArray(days)) {
-      days = [days];
-    }
-
     // Find the day matching our date
-    const targetDay = days.find(day => day.date === date);
+    const targetDay = getFeedDays(parsedData).find(day => day.date === date);
 
-    if (!targetDay) {
+    if (!targetDay || !targetDay.category || getDayClosure(targetDay)) {
       return [];
     }
 
@@ -165,21 +263,28 @@ function extractMealsForDate(parsedData, date, location) {
 
     // Don't filter categories anymore - keep all
 
+    const collapseRules = getLocation(location)?.collapseCategories || [];
+
     categories.forEach(category => {
-      // Special handling for Philturm Gemüsebar - replace all meals with single placeholder
-      if (location === 'philturm' && category.name && category.name.toLowerCase().includes('gemüsebar')) {
+      // Categories with a collapse rule (e.g. Philturm Gemüsebar) become a single placeholder meal
+      const categoryName = category.name ? category.name.toLowerCase() : '';
+      const collapseRule = collapseRules.find(rule => categoryName.includes(rule.match.toLowerCase()));
+
+      if (collapseRule) {
         meals.push({
-          name: 'Gemüsebar',
+          name: collapseRule.name,
           category: category.name,
           date: date,
           mensa_location: location,
-          price_student: '0.85',
-          price_employee: '0.85',
-          price_other: '0.85',
-          notes: 'Vegetarisch',
-          external_id: `${location}_${date}_Gemuesebar`
+          price_student: collapseRule.price,
+          price_employee: collapseRule.price,
+          price_other: collapseRule.price,
+          notes: collapseRule.notes,
+          allergens: '',
+          additives: '',
+          external_id: `${location}_${date}_${collapseRule.idSuffix}`
         });
-        return; // Skip processing individual Gemüsebar meals
+        return; // Skip processing the individual meals of a collapsed category
       }
 
       let categoryMeals = category.meal;
@@ -206,9 +311,11 @@ function extractMealsForDate(parsedData, date, location) {
         const originalName = typeof meal.name === 'string' ? meal.name : '';
         const cleanedName = cleanMealName(originalName);
         const finalNotes = [...filteredNotes];
+        const codes = extractCodes(originalName);
+        const containsGluten = decodeAllergens(codes.allergens).some(allergen => allergen.group === 'gluten');
 
-        // Treat meals without the GIW/GlW allergen code in the original name as gluten-free
-        if (originalName && !GLUTEN_CODE_REGEX.test(originalName) && !finalNotes.includes('Glutenfrei')) {
+        // Treat meals without any gluten grain code (GlW, GlR, ...) in the original name as gluten-free
+        if (originalName && !containsGluten && !finalNotes.includes('Glutenfrei')) {
           finalNotes.push('Glutenfrei');
         }
 
@@ -221,6 +328,8 @@ function extractMealsForDate(parsedData, date, location) {
           price_employee: priceEmployee,
           price_other: priceOther,
           notes: finalNotes.length > 0 ? finalNotes.join(', ') : '',
+          allergens: codes.allergens.join(','),
+          additives: codes.additives.join(','),
           external_id: `${location}_${date}_${meal.name.replace(/\s+/g, '_')}`
         });
       });
@@ -234,36 +343,82 @@ function extractMealsForDate(parsedData, date, location) {
 }
 
 /**
- * Get today's meals for a specific location (Berlin timezone)
+ * Extract meals for every day in the feed on or after a given date
+ * @param {Object} parsedData - Parsed XML data
+ * @param {string} location - Mensa location ID
+ * @param {string} fromDate - Date in YYYY-MM-DD format
+ * @returns {Array} Array of meal objects, ordered by date
+ */
+function extractUpcomingMeals(parsedData, location, fromDate) {
+  const dates = getFeedDays(parsedData)
+    .map(day => day.date)
+    .filter(date => typeof date === 'string' && date >= fromDate)
+    .sort();
+
+  return [...new Set(dates)].flatMap(date => extractMealsForDate(parsedData, date, location));
+}
+
+/**
+ * Get the meals for a specific location and date
  * @param {string} location - Mensa location ID
+ * @param {string} date - Date in YYYY-MM-DD format
  * @returns {Promise<Array>} Array of meals
  */
-async function getTodaysMeals(location) {
-  if (isBerlinWeekend()) {
+async function getMealsForDate(location, date) {
+  try {
+    const data = await fetchMensaData(location);
+
+    // Debug: log the structure we received
+    if (!data || !data.openmensa) {
+      console.log(`Unexpected data structure from ${location}:`, JSON.stringify(data).substring(0, 200));
+      return [];
+    }
+
+    return extractMealsForDate(data, date, location);
+  } catch (error) {
+    console.error(`Error fetching meals for ${location}:`, error);
     return [];
   }
+}
 
-  const today = getBerlinDate(); // YYYY-MM-DD format
+/**
+ * Get today's meals for a specific location (Berlin timezone)
+ * @param {string} location - Mensa location ID
+ * @returns {Promise<Array>} Array of meals
+ */
+async function getTodaysMeals(location) {
+  return getMealsForDate(location, getBerlinDate());
+}
 
+/**
+ * Get all meals the feed lists from today onwards for a specific location
+ * @param {string} location - Mensa location ID
+ * @returns {Promise<Array>} Array of meals across the upcoming days
+ */
+async function getUpcomingMeals(location) {
   try {
     const data = await fetchMensaData(location);
 
-    // Debug: log the structure we received
     if (!data || !data.openmensa) {
       console.log(`Unexpected data structure from ${location}:`, JSON.stringify(data).substring(0, 200));
       return [];
     }
 
-    // Try today first
-    let meals = extractMealsForDate(data, today, location);
-
-    return meals;
+    return extractUpcomingMeals(data, location, getBerlinDate());
   } catch (error) {
-    console.error(`Error fetching meals for ${location}:`, error);
+    console.error(`Error fetching upcoming meals for ${location}:`, error);
     return [];
   }
 }
 
+/**
+ * Dietary tags that simplifyNotes can produce, in display order
+ * @returns {string[]}
+ */
+function getNoteLabels() {
+  return NOTE_LABELS.map(({ label }) => label);
+}
+
 /**
  * Reduce raw OpenMensa notes to a curated set of dietary tags
  * @param {string[]} notes
@@ -348,72 +503,41 @@ function normalizeWeightPrice(value) {
 }
 
 /**
- * Fetch opening times from meta file
- * @param {string} location - Mensa location ID
- * @returns {Promise<string>} Opening times string
+ * How many grams a weight-based price refers to
+ * @param {string|null} value - Stored price, e.g. "1.20 /100G" or "12,00 pro kg"
+ * @returns {number|null} 100 or 1000, or null for a per-portion price
  */
-async function fetchOpeningTimes(location) {
-  return new Promise((resolve, reject) => {
-    const url = `${META_URL}/hamburg_${location}.xml`;
+function getWeightPriceGrams(value) {
+  const match = String(value ?? '').match(WEIGHT_PRICE_SUFFIX_REGEX);
 
-    https.get(url, (res) => {
-      let data = '';
+  if (!match) {
+    return null;
+  }
 
-      res.on('data', (chunk) => {
-        data += chunk;
-      });
+  return /kg/i.test(match[0]) ? 1000 : 100;
+}
 
-      res.on('end', () => {
-        xml2js.parseString(data, {
-          explicitArray: false,
-          mergeAttrs: true,
-          normalize: true,
-          trim: true,
-          normalizeTags: true,
-          tagNameProcessors: [xml2js.processors.stripPrefix]
-        }, (err, result) => {
-          if (err) {
-            reject(err);
-            return;
-          }
-
-          try {
-            const times = result?.openmensa?.canteen?.times;
-            if (!times || times.type !== 'opening') {
-              resolve('');
-              return;
-            }
-
-            // Extract Monday-Friday times
-            const days = ['monday', 'tuesday', 'wednesday', 'thursday', 'friday'];
-            const openTimes = days
-              .map(day => times[day])
-              .filter(time => time && time.open);
-
-            if (openTimes.length === 0) {
-              resolve('');
-              return;
-            }
-
-            // Check if all weekdays have same hours
-            const firstOpen = openTimes[0].open;
-            const allSame = openTimes.every(t => t.open === firstOpen);
-
-            if (allSame) {
-              resolve(`OPENING TIMES Mo - Fr ${firstOpen} Uhr`);
-            } else {
-              resolve('OPENING TIMES vary by day');
-            }
-          } catch (error) {
-            console.error(`Error parsing opening times for ${location}:`, error);
-            resolve('');
-          }
-        });
-      });
-    }).on('error', (err) => {
-      reject(err);
-    });
-  });
+/**
+ * Student price for plain-text output (emails, calendar feeds), e.g. "3.20 €" or "1.20 € /100g"
+ * @param {string|null} value - Stored price
+ * @returns {string|null} Null when there is no price
+ */
+function formatPrice(value) {
+  if (value === null || value === undefined || String(value).trim() === '') {
+    return null;
+  }
+
+  const raw = String(value).trim();
+  const numeric = Number.parseFloat(raw.replace(',', '.'));
+
+  if (!Number.isFinite(numeric)) {
+    return raw;
+  }
+
+  // Same rule as the frontend: unmarked prices up to 1 € are per 100 g
+  const grams = getWeightPriceGrams(raw) || (numeric <= 1 ? 100 : null);
+  const suffix = grams === 1000 ? ' /kg' : grams === 100 ? ' /100g' : '';
+  return `${numeric.toFixed(2)} €${suffix}`;
 }
 
 /**
@@ -421,33 +545,35 @@ async function fetchOpeningTimes(location) {
  * @returns {Promise<Array>} Array of all today's meals across locations
  */
 async function getAllTodaysMeals() {
-  if (isBerlinWeekend()) {
-    return [];
-  }
-
-  const locations = Object.keys(MENSA_LOCATIONS);
-  const allMeals = [];
-
-  for (const location of locations) {
-    try {
-      const meals = await getTodaysMeals(location);
-      allMeals.push(...meals);
-    } catch (error) {
+  const results = await Promise.all(getLocationIds().map(location =>
+    getTodaysMeals(location).catch(error => {
       console.error(`Failed to fetch meals for ${location}:`, error);
-    }
-  }
+      return [];
+    })
+  ));
 
-  return allMeals;
+  return results.flat();
 }
 
 module.exports = {
   MENSA_LOCATIONS,
   fetchMensaData,
+  fetchMensaFeed,
+  fetchMensaMeta,
+  getFeedStatus,
   getTodaysMeals,
+  getMealsForDate,
+  getUpcomingMeals,
   getAllTodaysMeals,
   extractMealsForDate,
+  extractUpcomingMeals,
+  getFeedClosures,
   simplifyNotes,
-  fetchOpeningTimes,
+  getNoteLabels,
+  cleanMealName,
+  getWeightPriceGrams,
+  formatPrice,
   getBerlinDate,
-  isBerlinWeekend
+  isValidDateString,
+  addDays
 };
@@ -0,0 +1,228 @@
+const { runAsync, allAsync } = require('../dbAsync');
+
+const PRICE_FIELDS = ['price_student', 'price_employee', 'price_other'];
+
+function normalizePrice(value) {
+  return value === null || value === undefined ? '' : String(value).trim();
+}
+
+function pickPrices(prices) {
+  return {
+    student: prices.price_student ?? null,
+    employee: prices.price_employee ?? null,
+    other: prices.price_other ?? null
+  };
+}
+
+function getMenuKeys(meals) {
+  return [...new Set(
+    meals
+      .filter(meal => meal && meal.mensa_location && meal.date)
+      .map(meal => `${meal.mensa_location}|${meal.date}`)
+  )];
+}
+
+/**
+ * Stored meals for every location/date the given meals belong to, with the
+ * votes they carry so a removal can report what was attached to it
+ * @param {Array} meals - Incoming feed meals
+ * @returns {Promise<Map<string, Map<string, Object>>>} "location|date" -> external_id -> row
+ */
+async function snapshotMenus(meals) {
+  const snapshot = new Map();
+
+  for (const key of getMenuKeys(meals)) {
+    const [location, date] = key.split('|');
+    const rows = await allAsync(
+      `SELECT
+         m.id, m.external_id, m.name, m.category, m.dish_id,
+         m.price_student, m.price_employee, m.price_other,
+         (SELECT COUNT(*) FROM votes v WHERE v.meal_id = m.id AND v.vote_type = 'up') AS upvotes,
+         (SELECT COUNT(*) FROM votes v WHERE v.meal_id = m.id AND v.vote_type = 'down') AS downvotes
+       FROM meals m
+       WHERE m.mensa_location = ? AND m.date = ? AND m.removed_at IS NULL`,
+      [location, date]
+    );
+
+    snapshot.set(key, new Map(rows.map(row => [row.external_id, row])));
+  }
+
+  return snapshot;
+}
+
+// Most recent change per meal, so a meal missing from several polls is only reported once
+async function getLastChangeTypes(location, date) {
+  const rows = await allAsync(
+    `SELECT external_id, change_type
+       FROM menu_changes
+       WHERE id IN (
+         SELECT MAX(id) FROM menu_changes
+         WHERE mensa_location = ? AND date = ?
+         GROUP BY external_id
+       )`,
+    [location, date]
+  );
+
+  return new Map(rows.map(row => [row.external_id, row.change_type]));
+}
+
+function pricesDiffer(before, after) {
+  return PRICE_FIELDS.some(field => normalizePrice(before[field]) !== normalizePrice(after[field]));
+}
+
+function insertChange(location, date, type, row, oldPrices = {}, newPrices = {}) {
+  return runAsync(
+    `INSERT INTO menu_changes (
+       mensa_location, date, change_type, external_id, meal_id, dish_id, name, category,
+       old_price_student, old_price_employee, old_price_other,
+       new_price_student, new_price_employee, new_price_other,
+       upvotes, downvotes
+     ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+    [
+      location,
+      date,
+      type,
+      row.external_id,
+      row.id || null,
+      row.dish_id || null,
+      row.name,
+      row.category || null,
+      oldPrices.price_student ?? null,
+      oldPrices.price_employee ?? null,
+      oldPrices.price_other ?? null,
+      newPrices.price_student ?? null,
+      newPrices.price_employee ?? null,
+      newPrices.price_other ?? null,
+      row.upvotes || 0,
+      row.downvotes || 0
+    ]
+  );
+}
+
+/**
+ * Compare the menus stored before an upsert with the feed that was just
+ * stored and log added, removed and re-priced meals. A location/date that had
+ * no stored meals yet is a first load, not a change, and is skipped.
+ * @param {Map} before - Result of snapshotMenus taken before the upsert
+ * @param {Map} after - Result of snapshotMenus taken after the upsert
+ * @param {Array} meals - The (non-empty) meals the feed delivered
+ * @returns {Promise<Array>} The changes recorded, shaped like getMenuChanges entries
+ */
+async function recordMenuChanges(before, after, meals) {
+  const recorded = [];
+
+  const record = async (location, date, type, row, oldPrices = {}, newPrices = {}) => {
+    await insertChange(location, date, type, row, oldPrices, newPrices);
+    recorded.push({
+      type,
+      mensa_location: location,
+      date,
+      external_id: row.external_id,
+      meal_id: row.id || null,
+      dish_id: row.dish_id || null,
+      name: row.name,
+      category: row.category || null,
+      old_prices: type === 'added' ? null : pickPrices(oldPrices),
+      new_prices: type === 'removed' ? null : pickPrices(newPrices),
+      upvotes: row.upvotes || 0,
+      downvotes: row.downvotes || 0
+    });
+  };
+
+  for (const [key, previous] of before.entries()) {
+    const [location, date] = key.split('|');
+    const current = after.get(key) || new Map();
+    const incomingIds = new Set(
+      meals
+        .filter(meal => meal.mensa_location === location && meal.date === date)
+        .map(meal => meal.external_id)
+    );
+
+    // Nothing usable in the feed for this day says nothing about what the kitchen changed
+    if (previous.size === 0 || incomingIds.size === 0) {
+      continue;
+    }
+
+    const lastChanges = await getLastChangeTypes(location, date);
+
+    for (const externalId of incomingIds) {
+      const stored = current.get(externalId);
+      if (!stored) {
+        continue;
+      }
+
+      const old = previous.get(externalId);
+
+      if (!old || lastChanges.get(externalId) === 'removed') {
+        await record(location, date, 'added', stored, {}, stored);
+      } else if (pricesDiffer(old, stored)) {
+        await record(location, date, 'price_changed', stored, old, stored);
+      }
+    }
+
+    for (const [externalId, old] of previous.entries()) {
+      if (incomingIds.has(externalId) || lastChanges.get(externalId) === 'removed') {
+        continue;
+      }
+
+      await record(location, date, 'removed', old, old, {});
+    }
+  }
+
+  return recorded;
+}
+
+function formatPrices(row, prefix) {
+  return {
+    student: row[`${prefix}_price_student`],
+    employee: row[`${prefix}_price_employee`],
+    other: row[`${prefix}_price_other`]
+  };
+}
+
+/**
+ * Load recorded menu changes
+ * @param {Object} options
+ * @param {string} options.date - Menu date (YYYY-MM-DD)
+ * @param {string|null} [options.location] - Mensa location ID, or null for all locations
+ * @returns {Promise<Array>} Changes, oldest first
+ */
+async function getMenuChanges({ date, location = null }) {
+  const params = [date];
+  let locationFilter = '';
+
+  if (location) {
+    locationFilter = 'AND mensa_location = ?';
+    params.push(location);
+  }
+
+  const rows = await allAsync(
+    `SELECT * FROM menu_changes
+       WHERE date = ? ${locationFilter}
+       ORDER BY detected_at ASC, id ASC`,
+    params
+  );
+
+  return rows.map(row => ({
+    id: row.id,
+    type: row.change_type,
+    mensa_location: row.mensa_location,
+    date: row.date,
+    external_id: row.external_id,
+    meal_id: row.meal_id,
+    dish_id: row.dish_id,
+    name: row.name,
+    category: row.category,
+    old_prices: row.change_type === 'added' ? null : formatPrices(row, 'old'),
+    new_prices: row.change_type === 'removed' ? null : formatPrices(row, 'new'),
+    upvotes: row.upvotes,
+    downvotes: row.downvotes,
+    detected_at: row.detected_at
+  }));
+}
+
+module.exports = {
+  snapshotMenus,
+  recordMenuChanges,
+  getMenuChanges
+};
@@ -0,0 +1,105 @@
+const { getMealsForDate, getUpcomingMeals } = require('./mensaParser');
+const { upsertMeals } = require('./mealStorage');
+const { queryMealsWithStats, getStoredDatesFrom } = require('./mealQueries');
+const { getLocationSchedule, getDayStatus, isWeekendDate } = require('./openingHours');
+const { getLocationIds, getPublicLocations } = require('./locationRegistry');
+
+/**
+ * Location IDs behind a resolved ?location= value
+ * @param {string} resolvedLocation - Location ID or "all"
+ * @returns {string[]}
+ */
+function getLocationKeys(resolvedLocation) {
+  return resolvedLocation === 'all' ? getLocationIds() : [resolvedLocation];
+}
+
+// Fetch every location in parallel; each location falls back to its cached feed on its own
+async function fetchForLocations(locationKeys, fetchLocation) {
+  const results = await Promise.all(locationKeys.map(fetchLocation));
+  return results.flat();
+}
+
+/**
+ * Fetch, store and load one day's meals with their stats
+ * @returns {Promise<{meals: Array, date: string}>} Meals for the date the feed actually served
+ */
+async function loadMealsForDate(locationKeys, resolvedLocation, targetDate) {
+  // Fetch fresh meal data from Mensa source
+  const meals = await fetchForLocations(locationKeys, loc => getMealsForDate(loc, targetDate));
+
+  if (meals.length > 0) {
+    await upsertMeals(meals);
+  }
+
+  // Get meals with vote counts from database (use actual meal date, not today)
+  const distinctDates = [...new Set(meals.map(meal => meal.date))].filter(Boolean);
+  const fallbackDates = distinctDates.length > 0 ? distinctDates : [targetDate];
+
+  const normalizedMeals = await queryMealsWithStats({
+    dates: fallbackDates,
+    location: resolvedLocation
+  });
+
+  return { meals: normalizedMeals, date: fallbackDates[0] || targetDate };
+}
+
+/**
+ * Fetch, store and load every upcoming day in the feed
+ * @returns {Promise<{dates: string[], meals: Array}>} Stored dates from today onwards and their meals
+ */
+async function loadUpcomingMeals(locationKeys, resolvedLocation, today) {
+  const meals = await fetchForLocations(locationKeys, getUpcomingMeals);
+
+  if (meals.length > 0) {
+    await upsertMeals(meals);
+  }
+
+  // Fall back to whatever was stored earlier when the feed is unavailable
+  const dates = meals.length > 0
+    ? [...new Set(meals.map(meal => meal.date))].filter(Boolean).sort()
+    : await getStoredDatesFrom(today, resolvedLocation);
+
+  const storedMeals = await queryMealsWithStats({ dates, location: resolvedLocation });
+  return { dates, meals: storedMeals };
+}
+
+function getPublicLocationName(locationId) {
+  const entry = getPublicLocations().find(location => location.id === locationId);
+  return entry ? entry.name : locationId;
+}
+
+/**
+ * Closure details when none of the requested locations is open on a date
+ * @returns {Promise<{message: string, closures: Array}|null>} Null if at least one location is open
+ */
+async function getClosedMessage(locationKeys, date, today) {
+  const schedules = await Promise.all(locationKeys.map(getLocationSchedule));
+  const days = schedules.map(schedule => ({ location: schedule.location, ...getDayStatus(schedule, date) }));
+
+  if (days.some(day => day.open)) {
+    return null;
+  }
+
+  const closures = days.map(({ location, reason }) => ({ location, reason }));
+
+  if (days.every(day => !day.closure) && isWeekendDate(date)) {
+    return { message: 'Enjoy your weekend :)', closures };
+  }
+
+  const when = date === today ? 'today' : `on ${date}`;
+  const reasons = [...new Set(days.map(day => day.reason).filter(Boolean))];
+  const subject = locationKeys.length === 1 ? getPublicLocationName(locationKeys[0]) : 'All Mensas';
+  const verb = locationKeys.length === 1 ? 'is' : 'are';
+
+  return {
+    message: `${subject} ${verb} closed ${when}${reasons.length > 0 ? `: ${reasons.join(', ')}` : ''}`,
+    closures
+  };
+}
+
+module.exports = {
+  getLocationKeys,
+  loadMealsForDate,
+  loadUpcomingMeals,
+  getClosedMessage
+};
@@ -0,0 +1,166 @@
+const { runAsync, allAsync } = require('../dbAsync');
+const { sendPushToUser } = require('./pushService');
+
+const DEFAULT_LIST_LIMIT = 50;
+// Notification types that are also sent as Web Push, and the topic a subscriber opts into
+const PUSH_TOPIC_BY_TYPE = {
+  favorite_on_menu: 'favorites',
+  streak_expiring: 'streaks',
+  comment_reply: 'replies'
+};
+const REPLY_PREVIEW_LENGTH = 80;
+
+/**
+ * Create an in-app notification unless one with the same dedupe key exists.
+ * New notifications of a push type are also pushed to the user's browsers,
+ * right away or, with `deferPush`, by the next sendDeferredPushes run.
+ * @param {Object} notification
+ * @param {string} notification.userId
+ * @param {string} notification.type - e.g. 'favorite_on_menu'
+ * @param {string} notification.title
+ * @param {string} [notification.body]
+ * @param {string} [notification.url] - Page to open from the notification
+ * @param {string} notification.dedupeKey - Same key for the same event, per user
+ * @param {boolean} [notification.deferPush] - Keep the push for later, e.g. for alerts created at night
+ * @returns {Promise<boolean>} True if a new notification was created
+ */
+async function createNotification({ userId, type, title, body = null, url = null, dedupeKey, deferPush = false }) {
+  const topic = PUSH_TOPIC_BY_TYPE[type];
+  const result = await runAsync(
+    `INSERT OR IGNORE INTO notifications (user_id, type, title, body, url, dedupe_key, push_pending)
+     VALUES (?, ?, ?, ?, ?, ?, ?)`,
+    [userId, type, title, body, url, dedupeKey, topic && deferPush ? 1 : 0]
+  );
+
+  const created = result.changes > 0;
+
+  if (created && topic && !deferPush) {
+    // Push is best effort; the in-app notification is already stored
+    sendPushToUser(userId, { topic, title, body, url, tag: dedupeKey }).catch(error => {
+      console.error('[Push] Failed to send notification:', error);
+    });
+  }
+
+  return created;
+}
+
+/**
+ * Push the notifications created with `deferPush`. Ones the user has already
+ * read in the app are dropped instead of pushed.
+ * @returns {Promise<number>} Number of notifications pushed
+ */
+async function sendDeferredPushes() {
+  const rows = await allAsync(
+    `SELECT id, user_id, type, title, body, url, dedupe_key, read_at
+       FROM notifications
+      WHERE push_pending = 1
+      ORDER BY id`
+  );
+
+  let pushed = 0;
+
+  for (const row of rows) {
+    // Claim the row first, so overlapping runs never push it twice
+    const claimed = await runAsync('UPDATE notifications SET push_pending = 0 WHERE id = ? AND push_pending = 1', [row.id]);
+
+    if (claimed.changes === 0 || row.read_at !== null) {
+      continue;
+    }
+
+    try {
+      await sendPushToUser(row.user_id, {
+        topic: PUSH_TOPIC_BY_TYPE[row.type],
+        title: row.title,
+        body: row.body,
+        url: row.url,
+        tag: row.dedupe_key
+      });
+      pushed += 1;
+    } catch (error) {
+      console.error('[Push] Failed to send deferred notification:', error);
+    }
+  }
+
+  return pushed;
+}
+
+/**
+ * Tell a comment's author that someone replied
+ * @param {Object} reply
+ * @param {string|null} reply.recipientId - user_id of the parent comment
+ * @param {string|null} reply.authorId - user_id of the reply, if logged in
+ * @param {string} reply.authorName
+ * @param {string} reply.text
+ * @param {string} reply.url - Page with the thread
+ * @param {string} reply.dedupeKey - Unique per reply, e.g. "reply:comment:42"
+ * @returns {Promise<boolean>} True if a notification was created
+ */
+async function notifyCommentReply({ recipientId, authorId, authorName, text, url, dedupeKey }) {
+  // Guests cannot be notified, and replying to yourself is not news
+  if (!recipientId || recipientId === authorId) {
+    return false;
+  }
+
+  const preview = text.length > REPLY_PREVIEW_LENGTH ? `${text.slice(0, REPLY_PREVIEW_LENGTH - 1)}…` : text;
+
+  return createNotification({
+    userId: recipientId,
+    type: 'comment_reply',
+    title: `${authorName} replied to your comment`,
+    body: preview,
+    url,
+    dedupeKey
+  });
+}
+
+/**
+ * Newest notifications for a user
+ * @param {string} userId
+ * @param {Object} [options]
+ * @param {boolean} [options.unreadOnly]
+ * @param {number} [options.limit]
+ * @returns {Promise<{notifications: Array, unread: number}>}
+ */
+async function listNotifications(userId, { unreadOnly = false, limit = DEFAULT_LIST_LIMIT } = {}) {
+  const [notifications, counts] = await Promise.all([
+    allAsync(
+      `SELECT id, type, title, body, url, read_at, created_at
+         FROM notifications
+        WHERE user_id = ? ${unreadOnly ? 'AND read_at IS NULL' : ''}
+        ORDER BY created_at DESC, id DESC
+        LIMIT ?`,
+      [userId, limit]
+    ),
+    allAsync('SELECT COUNT(*) AS unread FROM notifications WHERE user_id = ? AND read_at IS NULL', [userId])
+  ]);
+
+  return {
+    notifications: notifications.map(row => ({ ...row, read: row.read_at !== null })),
+    unread: counts[0] ? counts[0].unread : 0
+  };
+}
+
+/**
+ * Mark some or all of a user's notifications as read
+ * @param {string} userId
+ * @param {number[]|null} [ids] - Null marks everything read
+ * @returns {Promise<number>} Number of notifications updated
+ */
+async function markNotificationsRead(userId, ids = null) {
+  const idFilter = Array.isArray(ids) ? `AND id IN (${ids.map(() => '?').join(', ') || 'NULL'})` : '';
+  const result = await runAsync(
+    `UPDATE notifications SET read_at = CURRENT_TIMESTAMP
+      WHERE user_id = ? AND read_at IS NULL ${idFilter}`,
+    [userId, ...(Array.isArray(ids) ? ids : [])]
+  );
+
+  return result.changes;
+}
+
+module.exports = {
+  createNotification,
+  sendDeferredPushes,
+  notifyCommentReply,
+  listNotifications,
+  markNotificationsRead
+};
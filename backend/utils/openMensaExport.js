@@ -0,0 +1,200 @@
+const xml2js = require('xml2js');
+const { fetchMensaMeta, getBerlinDate, addDays, getWeightPriceGrams } = require('./mensaParser');
+const { getLocation } = require('./locationRegistry');
+const { getLocationSchedule } = require('./openingHours');
+const { queryMealsWithStats, getStoredDatesFrom } = require('./mealQueries');
+
+const OPENMENSA_NAMESPACE = 'http://openmensa.org/open-mensa-v2';
+const OPENMENSA_ROOT_ATTRIBUTES = {
+  version: '2.1',
+  xmlns: OPENMENSA_NAMESPACE,
+  'xmlns:xsi': 'http://www.w3.org/2001/XMLSchema-instance',
+  'xsi:schemaLocation': `${OPENMENSA_NAMESPACE} http://openmensa.org/open-mensa-v2.xsd`
+};
+const FEED_VERSION = '1.0';
+// Past days stay in the export so community ratings gathered after lunch reach OpenMensa too
+const EXPORT_PAST_DAYS = 7;
+// The schema limits names and notes to 250 characters
+const MAX_TEXT_LENGTH = 250;
+const PRICE_ROLES = [
+  ['student', 'price_student'],
+  ['employee', 'price_employee'],
+  ['other', 'price_other']
+];
+// OpenMensa polls the full feed on weekdays during the morning and lunch
+const FEED_SCHEDULE = { dayOfMonth: '*', dayOfWeek: '1-5', hour: '8-14', minute: '30', retry: '30 3' };
+
+const builder = new xml2js.Builder({ xmldec: { version: '1.0', encoding: 'UTF-8' } });
+
+function truncate(text) {
+  const value = String(text);
+  return value.length > MAX_TEXT_LENGTH ? `${value.slice(0, MAX_TEXT_LENGTH - 1)}…` : value;
+}
+
+// OpenMensa prices are plain decimals; "1.20 /100G" becomes 1.20 plus a note
+function toOpenMensaPrice(value) {
+  const numeric = Number.parseFloat(String(value ?? '').replace(',', '.'));
+  return Number.isFinite(numeric) ? numeric.toFixed(2) : null;
+}
+
+function buildMealNotes(meal, baseUrl) {
+  const notes = [
+    ...(meal.notes ? meal.notes.split(',').map(note => note.trim()).filter(Boolean) : []),
+    ...meal.allergens.map(allergen => allergen.label),
+    ...meal.additives.map(additive => additive.label)
+  ];
+
+  const grams = getWeightPriceGrams(meal.price_student);
+  if (grams) {
+    notes.push(grams === 1000 ? 'Preis pro kg' : 'Preis pro 100 g');
+  }
+
+  // Community data from Pottkieker
+  if (meal.ratings.taste.average !== null) {
+    const { average, count } = meal.ratings.taste;
+    notes.push(`Pottkieker rating ${average.toFixed(1)}/5 (${count} ${count === 1 ? 'rating' : 'ratings'})`);
+  }
+  if (meal.upvotes + meal.downvotes > 0) {
+    notes.push(`Pottkieker votes ${meal.upvotes} up, ${meal.downvotes} down`);
+  }
+  if (meal.photos.count > 0) {
+    notes.push(`Pottkieker photo ${baseUrl}${meal.photos.thumbnails[0]}`);
+  }
+
+  return notes.map(truncate);
+}
+
+function buildMeal(meal, baseUrl) {
+  const prices = PRICE_ROLES
+    .map(([role, field]) => ({ role, price: toOpenMensaPrice(meal[field]) }))
+    .filter(entry => entry.price !== null)
+    .map(entry => ({ _: entry.price, $: { role: entry.role } }));
+
+  return {
+    name: truncate(meal.name),
+    note: buildMealNotes(meal, baseUrl),
+    price: prices
+  };
+}
+
+function buildDay(date, meals, baseUrl) {
+  const categories = [];
+
+  meals.forEach((meal) => {
+    const name = truncate(meal.category || 'Sonstiges');
+    let category = categories.find(entry => entry.$.name === name);
+
+    if (!category) {
+      category = { $: { name }, meal: [] };
+      categories.push(category);
+    }
+
+    category.meal.push(buildMeal(meal, baseUrl));
+  });
+
+  return { $: { date }, category: categories };
+}
+
+/**
+ * Stored meals of a location as an OpenMensa v2 feed, enriched with community notes
+ * @param {string} location - Location ID
+ * @param {string} baseUrl - Absolute site URL for photo links
+ * @param {string} [today] - Date in YYYY-MM-DD format
+ * @returns {Promise<string>} OpenMensa XML
+ */
+async function buildOpenMensaFeed(location, baseUrl, today = getBerlinDate()) {
+  const from = addDays(today, -EXPORT_PAST_DAYS);
+  const [dates, schedule] = await Promise.all([
+    getStoredDatesFrom(from, location),
+    getLocationSchedule(location)
+  ]);
+  const meals = await queryMealsWithStats({ dates, location });
+
+  const days = dates
+    .map(date => buildDay(date, meals.filter(meal => meal.date === date), baseUrl))
+    .filter(day => day.category.length > 0);
+
+  // Announced closures without stored meals are exported as closed days
+  schedule.closures
+    .filter(closure => closure.date >= from && !days.some(day => day.$.date === closure.date))
+    .forEach(closure => days.push({ $: { date: closure.date }, closed: '' }));
+
+  days.sort((a, b) => a.$.date.localeCompare(b.$.date));
+
+  return builder.buildObject({
+    openmensa: {
+      $: OPENMENSA_ROOT_ATTRIBUTES,
+      version: FEED_VERSION,
+      canteen: { day: days }
+    }
+  });
+}
+
+function buildTimes(weekly) {
+  return {
+    $: { type: 'opening' },
+    ...Object.fromEntries(weekly.map(day => [
+      day.day,
+      day.closed
+        ? { $: { closed: 'true' } }
+        : { $: { open: day.ranges.map(range => `${range.open}-${range.close}`).join(',') } }
+    ]))
+  };
+}
+
+/**
+ * OpenMensa v2 meta document pointing at the Pottkieker feed for a location.
+ * Address and contact details are copied from the upstream meta document when there is one.
+ * @param {string} location - Location ID
+ * @param {string} baseUrl - Absolute site URL
+ * @returns {Promise<string>} OpenMensa XML
+ */
+async function buildOpenMensaMeta(location, baseUrl) {
+  const [upstream, schedule] = await Promise.all([
+    fetchMensaMeta(location).catch((error) => {
+      console.error(`Failed to load upstream meta for ${location}:`, error.message);
+      return null;
+    }),
+    getLocationSchedule(location)
+  ]);
+  const source = upstream?.openmensa?.canteen || {};
+
+  const canteen = { name: truncate(source.name || getLocation(location)?.name || location) };
+
+  ['address', 'city', 'phone', 'email'].forEach((field) => {
+    if (typeof source[field] === 'string' && source[field]) {
+      canteen[field] = source[field];
+    }
+  });
+
+  if (source.location?.latitude && source.location?.longitude) {
+    canteen.location = { $: { latitude: source.location.latitude, longitude: source.location.longitude } };
+  }
+
+  canteen.availability = 'public';
+
+  // Default hours are a guess, so only publish times the upstream meta document listed
+  if (schedule.source === 'meta') {
+    canteen.times = buildTimes(schedule.weekly);
+  }
+
+  canteen.feed = {
+    $: { name: 'full', priority: '0' },
+    schedule: { $: FEED_SCHEDULE },
+    url: `${baseUrl}/openmensa/${encodeURIComponent(location)}.xml`,
+    source: `${baseUrl}/?location=${encodeURIComponent(location)}`
+  };
+
+  return builder.buildObject({
+    openmensa: {
+      $: OPENMENSA_ROOT_ATTRIBUTES,
+      version: FEED_VERSION,
+      canteen
+    }
+  });
+}
+
+module.exports = {
+  buildOpenMensaFeed,
+  buildOpenMensaMeta
+};
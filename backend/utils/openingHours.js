@@ -0,0 +1,306 @@
+const {
+  fetchMensaMeta,
+  fetchMensaData,
+  getFeedClosures,
+  getBerlinDate,
+  addDays
+} = require('./mensaParser');
+const { getLocation } = require('./locationRegistry');
+
+const TIMEZONE = 'Europe/Berlin';
+const WEEKDAYS = [
+  { day: 'monday', label: 'Mo' },
+  { day: 'tuesday', label: 'Di' },
+  { day: 'wednesday', label: 'Mi' },
+  { day: 'thursday', label: 'Do' },
+  { day: 'friday', label: 'Fr' },
+  { day: 'saturday', label: 'Sa' },
+  { day: 'sunday', label: 'So' }
+];
+const CLOSING_SOON_MINUTES = 30;
+// How far ahead to look for the next opening day
+const NEXT_OPEN_SEARCH_DAYS = 14;
+const TIME_RANGE_REGEX = /^(\d{1,2})[:.](\d{2})\s*-\s*(\d{1,2})[:.](\d{2})$/;
+
+function padTime(hours, minutes) {
+  return `${String(hours).padStart(2, '0')}:${String(minutes).padStart(2, '0')}`;
+}
+
+function toMinutes(time) {
+  const [hours, minutes] = time.split(':').map(Number);
+  return hours * 60 + minutes;
+}
+
+// "11:00-14:30" or "11.00 - 14.30, 17:00-19:00" -> [{ open, close }]
+function parseTimeRanges(value) {
+  return String(value || '')
+    .split(',')
+    .map(part => part.trim().match(TIME_RANGE_REGEX))
+    .filter(Boolean)
+    .map(([, openH, openM, closeH, closeM]) => ({
+      open: padTime(openH, openM),
+      close: padTime(closeH, closeM)
+    }));
+}
+
+// Used when a location has no meta document: weekdays open at unknown times, weekends closed
+function getDefaultWeeklyHours() {
+  return WEEKDAYS.map(({ day, label }, index) => ({
+    day,
+    label,
+    closed: index >= 5,
+    ranges: []
+  }));
+}
+
+/**
+ * Read the per-weekday opening times from a parsed OpenMensa meta document
+ * @param {Object|null} metaData - Parsed meta XML
+ * @returns {Array|null} Seven entries, Monday first, or null if the document has no opening times
+ */
+function parseWeeklyHours(metaData) {
+  const times = metaData?.openmensa?.canteen?.times;
+
+  if (!times || times.type !== 'opening') {
+    return null;
+  }
+
+  return WEEKDAYS.map(({ day, label }) => {
+    const entry = times[day] || {};
+    const ranges = parseTimeRanges(entry.open);
+
+    return {
+      day,
+      label,
+      closed: entry.closed === 'true' || ranges.length === 0,
+      ranges
+    };
+  });
+}
+
+/**
+ * Weekly hours plus announced closures for a location. Missing or unreachable
+ * upstream data falls back to the Monday-Friday default instead of failing.
+ * @param {string} location - Mensa location ID
+ * @returns {Promise<{location: string, weekly: Array, closures: Array, source: string}>}
+ */
+async function getLocationSchedule(location) {
+  const [metaData, feedData] = await Promise.all([
+    fetchMensaMeta(location).catch(error => {
+      console.error(`Failed to load opening times for ${location}:`, error.message);
+      return null;
+    }),
+    fetchMensaData(location).catch(error => {
+      console.error(`Failed to load closures for ${location}:`, error.message);
+      return null;
+    })
+  ]);
+
+  const weekly = parseWeeklyHours(metaData);
+
+  return {
+    location,
+    weekly: weekly || getDefaultWeeklyHours(),
+    closures: feedData ? getFeedClosures(feedData) : [],
+    source: weekly ? 'meta' : 'default'
+  };
+}
+
+// 0 = Monday ... 6 = Sunday
+function getWeekdayIndex(dateString) {
+  const [year, month, day] = String(dateString).split('-').map(Number);
+  return (new Date(Date.UTC(year, month - 1, day)).getUTCDay() + 6) % 7;
+}
+
+function isWeekendDate(dateString) {
+  return getWeekdayIndex(dateString) >= 5;
+}
+
+/**
+ * Whether a location is open on a date and why not
+ * @param {Object} schedule - Result of getLocationSchedule
+ * @param {string} date - Date in YYYY-MM-DD format
+ * @returns {{date: string, open: boolean, ranges: Array, closure: boolean, reason: string|null}}
+ */
+function getDayStatus(schedule, date) {
+  const closure = schedule.closures.find(entry => entry.date === date);
+
+  if (closure) {
+    return { date, open: false, ranges: [], closure: true, reason: closure.reason };
+  }
+
+  const weekday = schedule.weekly[getWeekdayIndex(date)];
+
+  return {
+    date,
+    open: !weekday.closed,
+    ranges: weekday.closed ? [] : weekday.ranges,
+    closure: false,
+    reason: null
+  };
+}
+
+function findNextOpenDay(schedule, fromDate) {
+  for (let offset = 1; offset <= NEXT_OPEN_SEARCH_DAYS; offset += 1) {
+    const status = getDayStatus(schedule, addDays(fromDate, offset));
+    if (status.open) {
+      return { date: status.date, open: status.ranges[0]?.open || null };
+    }
+  }
+
+  return null;
+}
+
+function getBerlinMinutes(now) {
+  const parts = new Intl.DateTimeFormat('en-GB', {
+    timeZone: TIMEZONE,
+    hour: '2-digit',
+    minute: '2-digit',
+    hourCycle: 'h23'
+  }).formatToParts(now);
+
+  const hours = Number(parts.find(part => part.type === 'hour').value);
+  const minutes = Number(parts.find(part => part.type === 'minute').value);
+  return hours * 60 + minutes;
+}
+
+/**
+ * "Open now / closes in 20 min / closed today" for a location
+ * @param {Object} schedule - Result of getLocationSchedule
+ * @param {Date} [now]
+ * @returns {Object} { state, label, reason, opens_at, closes_at, minutes_until_close, next_open }
+ * where state is one of open, closing_soon, opens_later, closed_for_day, closed_today, unknown
+ */
+function getOpenStatus(schedule, now = new Date()) {
+  const today = getBerlinDate(now);
+  const day = getDayStatus(schedule, today);
+  const status = {
+    state: 'unknown',
+    label: '',
+    reason: day.reason,
+    opens_at: null,
+    closes_at: null,
+    minutes_until_close: null,
+    next_open: null
+  };
+
+  if (!day.open) {
+    return {
+      ...status,
+      state: 'closed_today',
+      label: day.reason ? `Closed today: ${day.reason}` : 'Closed today',
+      next_open: findNextOpenDay(schedule, today)
+    };
+  }
+
+  if (day.ranges.length === 0) {
+    return status;
+  }
+
+  const minutesNow = getBerlinMinutes(now);
+  const current = day.ranges.find(range => toMinutes(range.open) <= minutesNow && minutesNow < toMinutes(range.close));
+
+  if (current) {
+    const minutesLeft = toMinutes(current.close) - minutesNow;
+    const closingSoon = minutesLeft <= CLOSING_SOON_MINUTES;
+
+    return {
+      ...status,
+      state: closingSoon ? 'closing_soon' : 'open',
+      label: closingSoon ? `Closes in ${minutesLeft} min` : `Open now until ${current.close}`,
+      opens_at: current.open,
+      closes_at: current.close,
+      minutes_until_close: minutesLeft
+    };
+  }
+
+  const later = day.ranges.find(range => toMinutes(range.open) > minutesNow);
+
+  if (later) {
+    return {
+      ...status,
+      state: 'opens_later',
+      label: `Opens at ${later.open}`,
+      opens_at: later.open,
+      closes_at: later.close
+    };
+  }
+
+  return {
+    ...status,
+    state: 'closed_for_day',
+    label: 'Closed for today',
+    next_open: findNextOpenDay(schedule, today)
+  };
+}
+
+/**
+ * Short summary of the weekly hours, e.g. "OPENING TIMES Mo - Fr 11:00-14:30 Uhr"
+ * @param {Array} weekly - Weekly hours from parseWeeklyHours
+ * @returns {string} Empty when no times are known
+ */
+function formatOpeningTimes(weekly) {
+  const openDays = weekly.filter(day => !day.closed && day.ranges.length > 0);
+
+  if (openDays.length === 0) {
+    return '';
+  }
+
+  const formatRanges = day => day.ranges.map(range => `${range.open}-${range.close}`).join(', ');
+  const first = formatRanges(openDays[0]);
+
+  if (openDays.every(day => formatRanges(day) === first)) {
+    const indexes = openDays.map(day => weekly.indexOf(day));
+    const contiguous = indexes.every((index, position) => index === indexes[0] + position);
+    const label = contiguous && openDays.length > 1
+      ? `${openDays[0].label} - ${openDays[openDays.length - 1].label}`
+      : openDays.map(day => day.label).join(', ');
+    return `OPENING TIMES ${label} ${first} Uhr`;
+  }
+
+  return 'OPENING TIMES vary by day';
+}
+
+/**
+ * Fetch the opening times summary for a location
+ * @param {string} location - Mensa location ID
+ * @returns {Promise<string>} Opening times string
+ */
+async function fetchOpeningTimes(location) {
+  if (!getLocation(location)?.metaUrl) {
+    return '';
+  }
+
+  const weekly = parseWeeklyHours(await fetchMensaMeta(location));
+  return weekly ? formatOpeningTimes(weekly) : '';
+}
+
+/**
+ * Full opening hours view for the API
+ * @param {string} location - Mensa location ID
+ * @param {Date} [now]
+ * @returns {Promise<Object>} { location, name, weekly, closures, status, summary, source }
+ */
+async function getOpeningHours(location, now = new Date()) {
+  const schedule = await getLocationSchedule(location);
+  const today = getBerlinDate(now);
+
+  return {
+    location,
+    name: getLocation(location)?.name || location,
+    weekly: schedule.weekly,
+    closures: schedule.closures.filter(entry => entry.date >= today),
+    status: getOpenStatus(schedule, now),
+    summary: schedule.source === 'meta' ? formatOpeningTimes(schedule.weekly) : '',
+    source: schedule.source
+  };
+}
+
+module.exports = {
+  getLocationSchedule,
+  getDayStatus,
+  getOpenStatus,
+  getOpeningHours,
+  fetchOpeningTimes,
+  isWeekendDate
+};
@@ -3,6 +3,8 @@ const fs = require('fs');
 const path = require('path');
 const db = require('../database');
 const { getBerlinDate } = require('./mensaParser');
+const { archiveMealsBefore } = require('./mealArchive');
+const { pruneOrphanedComments } = require('./commentService');
 
 const UPLOAD_ROOT = path.join(__dirname, '../uploads');
 
@@ -14,7 +16,8 @@ function getTodayDate() {
 }
 
 /**
- * Delete old photos and their related data from the database and disk
+ * Delete old photos and their related data from the database and disk.
+ * Files of photos the archive kept as a serving's top photo stay on disk.
  */
 function cleanupOldPhotos() {
   const today = getTodayDate();
@@ -23,7 +26,10 @@ function cleanupOldPhotos() {
 
   // Get all old photos that need to be deleted
   db.all(
-    'SELECT id, photo_path FROM food_photos WHERE upload_date < ?',
+    `SELECT fp.id, fp.photo_path,
+            EXISTS (SELECT 1 FROM meal_archive a WHERE a.top_photo_path = fp.photo_path) AS archived
+       FROM food_photos fp
+      WHERE fp.upload_date < ?`,
     [today],
     (err, photos) => {
       if (err) {
@@ -40,7 +46,7 @@ function cleanupOldPhotos() {
 
       // Delete physical files from disk
       photos.forEach(photo => {
-        if (photo.photo_path) {
+        if (photo.photo_path && !photo.archived) {
           const absolutePath = path.join(UPLOAD_ROOT, photo.photo_path);
           fs.unlink(absolutePath, (err) => {
             if (err && err.code !== 'ENOENT') {
@@ -75,7 +81,7 @@ function cleanupOldComments() {
   console.log(`[Comment Cleanup] Starting cleanup for comments before ${today}`);
 
   db.run(
-    'DELETE FROM comments WHERE timestamp < ?',
+    "DELETE FROM comment_entries WHERE target_type = 'meal' AND created_at < ?",
     [today],
     function (err) {
       if (err) {
@@ -87,10 +93,33 @@ function cleanupOldComments() {
       } else {
         console.log('[Comment Cleanup] No old comments to delete');
       }
+
+      // Photo comments go with their photos; replies go with their parents
+      pruneOrphanedComments()
+        .then((removed) => {
+          if (removed > 0) {
+            console.log(`[Comment Cleanup] Deleted ${removed} comments left without their meal, photo or parent`);
+          }
+        })
+        .catch(pruneErr => console.error('[Comment Cleanup] Error deleting orphaned comments:', pruneErr));
     }
   );
 }
 
+/**
+ * Snapshot past meals and their totals into the archive before cleanup removes photos and comments
+ */
+async function archivePastMeals() {
+  const today = getTodayDate();
+
+  try {
+    const archived = await archiveMealsBefore(today);
+    console.log(`[Meal Archive] Archived ${archived} meals dated before ${today}`);
+  } catch (err) {
+    console.error('[Meal Archive] Error archiving past meals:', err);
+  }
+}
+
 /**
  * Initialize the cleanup scheduler
  * Runs every day at midnight (Europe/Berlin timezone for Hamburg)
@@ -100,8 +129,10 @@ function initPhotoCleanupScheduler() {
   // Using Europe/Berlin timezone for Hamburg
   cron.schedule('0 0 * * *', () => {
     console.log('[Cleanup] Running scheduled cleanup at midnight');
-    cleanupOldPhotos();
-    cleanupOldComments();
+    archivePastMeals().finally(() => {
+      cleanupOldPhotos();
+      cleanupOldComments();
+    });
   }, {
     scheduled: true,
     timezone: 'Europe/Berlin'
@@ -112,6 +143,7 @@ function initPhotoCleanupScheduler() {
 
 module.exports = {
   initPhotoCleanupScheduler,
+  archivePastMeals,
   cleanupOldPhotos,
   cleanupOldComments
 };
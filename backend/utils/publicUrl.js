@@ -0,0 +1,12 @@
+// Where the site is reachable from outside; links that leave the request (mails, chats, feeds, webhooks) use this
+const DEFAULT_PUBLIC_URL = 'https://pottkieker.life';
+
+/**
+ * Site origin from `PUBLIC_URL`, never from the request's Host header
+ * @returns {string} Origin without a trailing slash
+ */
+function getPublicUrl() {
+  return (process.env.PUBLIC_URL || DEFAULT_PUBLIC_URL).replace(/\/+$/, '');
+}
+
+module.exports = { getPublicUrl };
@@ -0,0 +1,218 @@
+const http = require('http');
+const https = require('https');
+const webpush = require('web-push');
+const { runAsync, allAsync } = require('../dbAsync');
+
+// What a subscription can opt into; matches the notification types that push
+const PUSH_TOPICS = ['favorites', 'streaks', 'replies'];
+// Alerts about today's menu are useless tomorrow
+const PUSH_TTL_SECONDS = 12 * 60 * 60;
+const PUSH_TIMEOUT_MS = 10000;
+// Subscriptions that keep failing (without being reported gone) are dropped
+const MAX_FAILURES = 5;
+
+const vapidDetails = {
+  subject: process.env.VAPID_SUBJECT || 'mailto:admin@pottkieker.life',
+  publicKey: process.env.VAPID_PUBLIC_KEY || '',
+  privateKey: process.env.VAPID_PRIVATE_KEY || ''
+};
+
+if (!vapidDetails.publicKey || !vapidDetails.privateKey) {
+  console.warn('VAPID keys not found in .env. Web Push will be disabled.');
+}
+
+// Sends through the push service named in the subscription endpoint (HTTPS only)
+function webPushTransport(subscription, payload, options) {
+  return webpush.sendNotification(subscription, payload, options);
+}
+
+// Same encrypted, VAPID-signed request over plain http(s), so tests can point subscriptions at a local fake endpoint
+function httpTransport(subscription, payload, options) {
+  const details = webpush.generateRequestDetails(subscription, payload, options);
+  const url = new URL(details.endpoint);
+  const client = url.protocol === 'http:' ? http : https;
+
+  return new Promise((resolve, reject) => {
+    const request = client.request(url, {
+      method: details.method,
+      headers: details.headers,
+      timeout: PUSH_TIMEOUT_MS
+    }, (response) => {
+      response.resume();
+      response.on('end', () => {
+        if (response.statusCode >= 200 && response.statusCode < 300) {
+          resolve({ statusCode: response.statusCode });
+        } else {
+          const error = new Error(`Push endpoint responded with ${response.statusCode}`);
+          error.statusCode = response.statusCode;
+          reject(error);
+        }
+      });
+    });
+
+    request.on('timeout', () => request.destroy(new Error('Push request timed out')));
+    request.on('error', reject);
+    request.end(details.body);
+  });
+}
+
+const TRANSPORTS = {
+  webpush: webPushTransport,
+  http: httpTransport
+};
+
+let transport = TRANSPORTS[process.env.PUSH_TRANSPORT] || webPushTransport;
+
+/**
+ * Replace how push messages are delivered
+ * @param {string|Function} nameOrFn - 'webpush', 'http' or (subscription, payload, options) => Promise
+ */
+function setPushTransport(nameOrFn) {
+  const next = typeof nameOrFn === 'function' ? nameOrFn : TRANSPORTS[nameOrFn];
+
+  if (!next) {
+    throw new Error(`Unknown push transport: ${nameOrFn}`);
+  }
+
+  transport = next;
+}
+
+function isPushEnabled() {
+  return Boolean(vapidDetails.publicKey && vapidDetails.privateKey);
+}
+
+function getPublicKey() {
+  return isPushEnabled() ? vapidDetails.publicKey : null;
+}
+
+/**
+ * Parse the topics a subscriber opts into
+ * @param {string[]|string|undefined} topics - Defaults to every topic
+ * @returns {{topics: string[], unknown: string[]}}
+ */
+function parseTopics(topics) {
+  if (topics === undefined || topics === null) {
+    return { topics: [...PUSH_TOPICS], unknown: [] };
+  }
+
+  const list = (Array.isArray(topics) ? topics : String(topics).split(','))
+    .map(topic => String(topic).trim())
+    .filter(Boolean);
+
+  return {
+    topics: PUSH_TOPICS.filter(topic => list.includes(topic)),
+    unknown: list.filter(topic => !PUSH_TOPICS.includes(topic))
+  };
+}
+
+/**
+ * Validate a PushSubscription as serialized by the browser
+ * @param {Object} subscription - { endpoint, keys: { p256dh, auth } }
+ * @returns {string|null} Error message, or null when valid
+ */
+function validateSubscription(subscription) {
+  if (!subscription || typeof subscription.endpoint !== 'string' || !/^https?:\/\//.test(subscription.endpoint)) {
+    return 'subscription.endpoint must be a URL';
+  }
+
+  // Browsers only hand out https endpoints; plain http is for a local fake endpoint behind PUSH_TRANSPORT=http
+  if (subscription.endpoint.startsWith('http://') && transport !== httpTransport) {
+    return 'subscription.endpoint must be an https URL';
+  }
+
+  if (!subscription.keys || typeof subscription.keys.p256dh !== 'string' || typeof subscription.keys.auth !== 'string') {
+    return 'subscription.keys.p256dh and subscription.keys.auth are required';
+  }
+
+  return null;
+}
+
+/**
+ * Store a browser subscription for a user, or update the user's own one.
+ * An endpoint stored for another user is never taken over; its owner has to unsubscribe first.
+ * @returns {Promise<void>}
+ * @throws {Error} With statusCode 409 if the endpoint belongs to another user
+ */
+async function saveSubscription(userId, subscription, topics, userAgent = null) {
+  const result = await runAsync(
+    `INSERT INTO push_subscriptions (user_id, endpoint, p256dh, auth, topics, user_agent)
+     VALUES (?, ?, ?, ?, ?, ?)
+     ON CONFLICT(endpoint) DO UPDATE SET
+       p256dh = excluded.p256dh,
+       auth = excluded.auth,
+       topics = excluded.topics,
+       user_agent = excluded.user_agent,
+       failure_count = 0
+     WHERE push_subscriptions.user_id = excluded.user_id`,
+    [userId, subscription.endpoint, subscription.keys.p256dh, subscription.keys.auth, topics.join(','), userAgent]
+  );
+
+  if (result.changes === 0) {
+    const error = new Error('This push subscription belongs to another account');
+    error.statusCode = 409;
+    throw error;
+  }
+}
+
+async function removeSubscription(userId, endpoint) {
+  const result = await runAsync('DELETE FROM push_subscriptions WHERE user_id = ? AND endpoint = ?', [userId, endpoint]);
+  return result.changes > 0;
+}
+
+async function sendToSubscription(row, payload) {
+  const subscription = { endpoint: row.endpoint, keys: { p256dh: row.p256dh, auth: row.auth } };
+
+  try {
+    await transport(subscription, payload, { vapidDetails, TTL: PUSH_TTL_SECONDS });
+    await runAsync(
+      'UPDATE push_subscriptions SET failure_count = 0, last_success_at = CURRENT_TIMESTAMP WHERE id = ?',
+      [row.id]
+    );
+    return true;
+  } catch (error) {
+    // 404/410: the browser unsubscribed or the subscription expired
+    if (error.statusCode === 404 || error.statusCode === 410 || row.failure_count + 1 >= MAX_FAILURES) {
+      await runAsync('DELETE FROM push_subscriptions WHERE id = ?', [row.id]);
+    } else {
+      await runAsync('UPDATE push_subscriptions SET failure_count = failure_count + 1 WHERE id = ?', [row.id]);
+    }
+    console.error(`[Push] Delivery to subscription ${row.id} failed:`, error.statusCode || error.message);
+    return false;
+  }
+}
+
+/**
+ * Push a message to every browser of a user that opted into the topic
+ * @param {string} userId
+ * @param {Object} message
+ * @param {string} message.topic - One of PUSH_TOPICS
+ * @param {string} message.title
+ * @param {string} [message.body]
+ * @param {string} [message.url] - Opened when the notification is clicked
+ * @param {string} [message.tag] - Replaces an earlier notification with the same tag
+ * @returns {Promise<number>} Number of browsers reached
+ */
+async function sendPushToUser(userId, { topic, title, body = '', url = '/', tag = undefined }) {
+  if (!isPushEnabled()) {
+    return 0;
+  }
+
+  const rows = await allAsync('SELECT * FROM push_subscriptions WHERE user_id = ?', [userId]);
+  const subscribed = rows.filter(row => row.topics.split(',').includes(topic));
+  const payload = JSON.stringify({ title, body, url, tag });
+
+  const results = await Promise.all(subscribed.map(row => sendToSubscription(row, payload)));
+  return results.filter(Boolean).length;
+}
+
+module.exports = {
+  PUSH_TOPICS,
+  isPushEnabled,
+  getPublicKey,
+  setPushTransport,
+  parseTopics,
+  validateSubscription,
+  saveSubscription,
+  removeSubscription,
+  sendPushToUser
+};
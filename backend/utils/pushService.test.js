@@ -0,0 +1,187 @@
+const { test, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const http = require('http');
+const webpush = require('web-push');
+
+const vapidKeys = webpush.generateVAPIDKeys();
+process.env.MENSA_DB_PATH = ':memory:';
+process.env.VAPID_PUBLIC_KEY = vapidKeys.publicKey;
+process.env.VAPID_PRIVATE_KEY = vapidKeys.privateKey;
+process.env.PUSH_TRANSPORT = 'http';
+
+const db = require('../database');
+const { setPushTransport, validateSubscription, saveSubscription, sendPushToUser } = require('./pushService');
+const { createNotification, sendDeferredPushes } = require('./notifications');
+const { sendStreakReminders } = require('./streakReminders');
+
+function query(sql, params = []) {
+  return new Promise((resolve, reject) => {
+    db.all(sql, params, (err, rows) => (err ? reject(err) : resolve(rows)));
+  });
+}
+
+// Fake push service: the path picks the status code, e.g. /push/410/abc answers 410 Gone
+let received = [];
+let server;
+let baseUrl;
+
+before(async () => {
+  await db.ready;
+  server = http.createServer((req, res) => {
+    req.resume();
+    req.on('end', () => {
+      received.push({ url: req.url, headers: req.headers });
+      res.writeHead(Number(req.url.split('/')[2]) || 201);
+      res.end();
+    });
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(async () => {
+  await new Promise(resolve => server.close(resolve));
+  await new Promise(resolve => db.close(resolve));
+});
+
+beforeEach(async () => {
+  received = [];
+  await query('DELETE FROM push_subscriptions');
+  await query('DELETE FROM notifications');
+  await query('DELETE FROM user_streaks');
+});
+
+function browserSubscription(pathname) {
+  const ecdh = crypto.createECDH('prime256v1');
+  ecdh.generateKeys();
+
+  return {
+    endpoint: `${baseUrl}${pathname}`,
+    keys: {
+      p256dh: ecdh.getPublicKey().toString('base64url'),
+      auth: crypto.randomBytes(16).toString('base64url')
+    }
+  };
+}
+
+// Pushes from createNotification are not awaited by the caller
+async function waitForPushes(count) {
+  for (let attempt = 0; attempt < 100 && received.length < count; attempt += 1) {
+    await new Promise(resolve => setTimeout(resolve, 20));
+  }
+  return received;
+}
+
+test('rejects plain http endpoints unless the http transport is selected', () => {
+  const subscription = browserSubscription('/push/201/a');
+  assert.equal(validateSubscription(subscription), null);
+
+  setPushTransport('webpush');
+  try {
+    assert.equal(validateSubscription(subscription), 'subscription.endpoint must be an https URL');
+    assert.equal(validateSubscription({ ...subscription, endpoint: 'https://push.example.com/a' }), null);
+  } finally {
+    setPushTransport('http');
+  }
+});
+
+test('never hands a stored endpoint over to another user', async () => {
+  const subscription = browserSubscription('/push/201/shared');
+  await saveSubscription('owner', subscription, ['replies']);
+  await saveSubscription('owner', subscription, ['streaks']);
+
+  await assert.rejects(saveSubscription('intruder', subscription, ['replies']), { statusCode: 409 });
+
+  const rows = await query('SELECT user_id, topics FROM push_subscriptions');
+  assert.deepEqual(rows.map(row => ({ ...row })), [{ user_id: 'owner', topics: 'streaks' }]);
+});
+
+test('pushes a notification once per dedupe key', async () => {
+  await saveSubscription('user-a', browserSubscription('/push/201/a'), ['replies']);
+
+  const notification = {
+    userId: 'user-a',
+    type: 'comment_reply',
+    title: 'Bob replied to your comment',
+    dedupeKey: 'reply:comment:1'
+  };
+
+  assert.equal(await createNotification(notification), true);
+  assert.equal(await createNotification(notification), false);
+
+  const pushes = await waitForPushes(1);
+  await new Promise(resolve => setTimeout(resolve, 100));
+  assert.equal(pushes.length, 1);
+  assert.equal(pushes[0].headers['content-encoding'], 'aes128gcm');
+  assert.match(pushes[0].headers.authorization, /^vapid t=/);
+});
+
+test('deferred notifications are pushed by the next daytime run, unless already read', async () => {
+  await saveSubscription('user-a', browserSubscription('/push/201/a'), ['favorites']);
+
+  const alert = dish => ({
+    userId: 'user-a',
+    type: 'favorite_on_menu',
+    title: `${dish} is on the menu`,
+    dedupeKey: `favorite:${dish}`,
+    deferPush: true
+  });
+
+  assert.equal(await createNotification(alert('Currywurst')), true);
+  assert.equal(await createNotification(alert('Labskaus')), true);
+  await query("UPDATE notifications SET read_at = CURRENT_TIMESTAMP WHERE dedupe_key = 'favorite:Labskaus'");
+
+  await new Promise(resolve => setTimeout(resolve, 100));
+  assert.equal(received.length, 0);
+
+  assert.equal(await sendDeferredPushes(), 1);
+  assert.equal(await sendDeferredPushes(), 0);
+  assert.equal(received.length, 1);
+
+  const rows = await query('SELECT push_pending FROM notifications');
+  assert.deepEqual(rows.map(row => row.push_pending), [0, 0]);
+});
+
+test('skips subscriptions that did not opt into the topic', async () => {
+  await saveSubscription('user-a', browserSubscription('/push/201/a'), ['favorites']);
+
+  assert.equal(await sendPushToUser('user-a', { topic: 'replies', title: 'Hi' }), 0);
+  assert.equal(received.length, 0);
+});
+
+test('removes subscriptions the push service reports as gone', async () => {
+  await saveSubscription('user-a', browserSubscription('/push/410/gone'), ['streaks']);
+  await saveSubscription('user-a', browserSubscription('/push/500/flaky'), ['streaks']);
+  await saveSubscription('user-a', browserSubscription('/push/201/ok'), ['streaks']);
+
+  assert.equal(await sendPushToUser('user-a', { topic: 'streaks', title: 'Hi' }), 1);
+
+  const rows = await query('SELECT endpoint, failure_count FROM push_subscriptions ORDER BY endpoint');
+  assert.deepEqual(rows.map(row => [new URL(row.endpoint).pathname, row.failure_count]), [
+    ['/push/201/ok', 0],
+    ['/push/500/flaky', 1]
+  ]);
+});
+
+test('reminds only users whose streak ends today', async () => {
+  // 2026-10-19 is a Monday, so Friday's post keeps the streak alive until tonight
+  await query(
+    `INSERT INTO user_streaks (user_id, current_streak, longest_streak, last_post_date) VALUES
+       ('due', 3, 3, '2026-10-16'),
+       ('posted-today', 4, 4, '2026-10-19'),
+       ('broken', 2, 2, '2026-10-15'),
+       ('no-streak', 0, 5, '2026-10-16')`
+  );
+  await saveSubscription('due', browserSubscription('/push/201/due'), ['streaks']);
+
+  assert.equal(await sendStreakReminders('2026-10-19'), 1);
+  assert.equal(await sendStreakReminders('2026-10-19'), 0);
+  assert.equal(await sendStreakReminders('2026-10-18'), 0);
+
+  const notifications = await query('SELECT user_id, title, dedupe_key FROM notifications');
+  assert.deepEqual(notifications, [
+    { user_id: 'due', title: 'Your 3-day streak ends today', dedupe_key: 'streak:2026-10-19' }
+  ]);
+  assert.equal((await waitForPushes(1)).length, 1);
+});
@@ -0,0 +1,74 @@
+// 95% confidence for the Wilson interval
+const WILSON_Z = 1.96;
+// Hot score decay: votes / (age in hours + 2) ^ gravity, as popularised by Hacker News
+const HOT_GRAVITY = 1.8;
+const HOT_AGE_OFFSET_HOURS = 2;
+
+/**
+ * Lower bound of the Wilson score interval for the share of upvotes.
+ * One upvote and no downvotes (~0.21) ranks below 40 up / 5 down (~0.77).
+ * @param {number} upvotes
+ * @param {number} downvotes
+ * @returns {number} Score between 0 and 1, 0 without votes
+ */
+function wilsonLowerBound(upvotes, downvotes) {
+  const positive = Number(upvotes) || 0;
+  const total = positive + (Number(downvotes) || 0);
+
+  if (total === 0) {
+    return 0;
+  }
+
+  const phat = positive / total;
+  const z2 = WILSON_Z * WILSON_Z;
+  const score = (phat + z2 / (2 * total) - WILSON_Z * Math.sqrt((phat * (1 - phat) + z2 / (4 * total)) / total)) /
+    (1 + z2 / total);
+
+  return roundScore(score);
+}
+
+// SQLite CURRENT_TIMESTAMP values are UTC without a zone marker
+function parseSqliteTimestamp(value) {
+  if (value instanceof Date) {
+    return value;
+  }
+
+  const text = String(value || '');
+  return new Date(/[zZ]|[+-]\d{2}:?\d{2}$/.test(text) ? text : `${text.replace(' ', 'T')}Z`);
+}
+
+/**
+ * Time-decayed popularity, so fresh photos with a few likes can beat old ones with many
+ * @param {number} votes
+ * @param {string|Date} createdAt - SQLite timestamp (UTC) or Date
+ * @param {Date} [now]
+ * @returns {number}
+ */
+function hotScore(votes, createdAt, now = new Date()) {
+  const created = parseSqliteTimestamp(createdAt);
+  const ageHours = Number.isNaN(created.getTime())
+    ? 0
+    : Math.max(0, (now.getTime() - created.getTime()) / 3600000);
+
+  return roundScore((Number(votes) || 0) / Math.pow(ageHours + HOT_AGE_OFFSET_HOURS, HOT_GRAVITY));
+}
+
+function roundScore(value) {
+  return Math.round(value * 10000) / 10000;
+}
+
+/**
+ * Sort items by their `score`, highest first; stable for equal scores
+ * @param {Array} items - Items with a numeric `score`
+ * @returns {Array} New sorted array
+ */
+function sortByScore(items) {
+  return [...items].sort((a, b) => (b.score || 0) - (a.score || 0));
+}
+
+module.exports = {
+  parseSqliteTimestamp,
+  wilsonLowerBound,
+  hotScore,
+  sortByScore
+};
@@ -0,0 +1,265 @@
+const { allAsync } = require('../dbAsync');
+const { simplifyNotes } = require('./mensaParser');
+const { normalizeDishName } = require('./dishes');
+
+// Signal per interaction: a photo like says less than an explicit vote
+const VOTE_SIGNAL = { up: 1, down: -1 };
+const PHOTO_LIKE_SIGNAL = 0.5;
+// How much each source contributes to the final score
+const WEIGHTS = {
+  dish: 1,
+  similar: 0.6,
+  tags: 0.5,
+  neighbours: 0.8
+};
+// Dish names sharing at least this share of words count as similar ("Currywurst mit Pommes" / "Currywurst mit Reis")
+const SIMILAR_NAME_OVERLAP = 0.5;
+const SIMILAR_MIN_TOKEN_LENGTH = 4;
+// Ignore tags the user has only voted on once or twice
+const MIN_TAG_VOTES = 3;
+const MAX_NEIGHBOURS = 20;
+// Only the users sharing the most dishes are compared, so one request never loads every voter's history
+const MAX_NEIGHBOUR_CANDIDATES = 200;
+const MAX_REASONS = 3;
+
+function splitNotes(notes) {
+  const raw = notes ? String(notes).replace(/[|·]/g, ',').split(/\s*,\s*/).filter(Boolean) : [];
+  return simplifyNotes(raw);
+}
+
+function getNameTokens(name) {
+  return new Set(normalizeDishName(name).split(' ').filter(token => token.length >= SIMILAR_MIN_TOKEN_LENGTH));
+}
+
+function nameOverlap(tokensA, tokensB) {
+  if (tokensA.size === 0 || tokensB.size === 0) {
+    return 0;
+  }
+
+  const shared = [...tokensA].filter(token => tokensB.has(token)).length;
+  return shared / Math.min(tokensA.size, tokensB.size);
+}
+
+// Squash a running sum into -1..1 so ten upvotes do not drown every other signal
+function squash(value) {
+  return Math.tanh(value / 2);
+}
+
+/**
+ * Every meal a user voted on or liked a photo of, one signal per meal
+ * @param {string[]} userIds
+ * @returns {Promise<Array<{user_id, meal_id, dish_id, name, notes, signal}>>}
+ */
+async function loadInteractions(userIds) {
+  if (userIds.length === 0) {
+    return [];
+  }
+
+  const placeholders = userIds.map(() => '?').join(', ');
+  const rows = await allAsync(
+    `SELECT v.user_id, m.id AS meal_id, m.dish_id, m.name, m.notes, v.vote_type AS kind
+       FROM votes v
+       JOIN meals m ON m.id = v.meal_id
+      WHERE v.user_id IN (${placeholders})
+     UNION ALL
+     SELECT pv.user_id, m.id, m.dish_id, m.name, m.notes, 'photo'
+       FROM photo_votes pv
+       JOIN food_photos fp ON fp.id = pv.photo_id
+       JOIN meals m ON m.id = fp.meal_id
+      WHERE pv.user_id IN (${placeholders})`,
+    [...userIds, ...userIds]
+  );
+
+  // A vote on the meal wins over liking one of its photos
+  const byUserMeal = new Map();
+  rows.forEach(row => {
+    const key = `${row.user_id}|${row.meal_id}`;
+    const signal = row.kind === 'photo' ? PHOTO_LIKE_SIGNAL : VOTE_SIGNAL[row.kind];
+    const existing = byUserMeal.get(key);
+
+    if (!existing || (existing.kind === 'photo' && row.kind !== 'photo')) {
+      byUserMeal.set(key, { ...row, signal });
+    }
+  });
+
+  return [...byUserMeal.values()];
+}
+
+// Dish key for grouping: the canonical dish, or the meal itself when it was never linked
+function dishKey(row) {
+  return row.dish_id ? `dish:${row.dish_id}` : `meal:${row.meal_id}`;
+}
+
+function buildTasteProfile(interactions) {
+  const dishes = new Map();
+  const tags = new Map();
+
+  interactions.forEach(row => {
+    const key = dishKey(row);
+    const dish = dishes.get(key) || { name: row.name, tokens: getNameTokens(row.name), signal: 0 };
+    dish.signal += row.signal;
+    dishes.set(key, dish);
+
+    splitNotes(row.notes).forEach(tag => {
+      const entry = tags.get(tag) || { sum: 0, count: 0 };
+      entry.sum += row.signal;
+      entry.count += 1;
+      tags.set(tag, entry);
+    });
+  });
+
+  return { dishes, tags };
+}
+
+/**
+ * Users who voted on the same dishes, weighted by how often they agreed.
+ * Candidates are the users with the most dishes in common, capped before their votes are loaded.
+ * @param {string} userId
+ * @param {Map} ownDishes - Dish key -> { signal } for the current user
+ * @returns {Promise<Map<string, {similarity: number, dishes: Map<string, number>}>>}
+ */
+async function findNeighbours(userId, ownDishes) {
+  const ownKeys = [...ownDishes.keys()];
+  const dishIds = ownKeys.filter(key => key.startsWith('dish:')).map(key => Number(key.slice(5)));
+
+  if (dishIds.length === 0) {
+    return new Map();
+  }
+
+  const candidates = await allAsync(
+    `SELECT v.user_id, COUNT(DISTINCT m.dish_id) AS overlap
+       FROM votes v
+       JOIN meals m ON m.id = v.meal_id
+      WHERE m.dish_id IN (${dishIds.map(() => '?').join(', ')})
+        AND v.user_id IS NOT NULL
+        AND v.user_id != ?
+      GROUP BY v.user_id
+      ORDER BY overlap DESC, v.user_id
+      LIMIT ?`,
+    [...dishIds, userId, MAX_NEIGHBOUR_CANDIDATES]
+  );
+
+  const interactions = await loadInteractions(candidates.map(row => row.user_id));
+  const byUser = new Map();
+
+  interactions.forEach(row => {
+    const dishes = byUser.get(row.user_id) || new Map();
+    dishes.set(dishKey(row), (dishes.get(dishKey(row)) || 0) + row.signal);
+    byUser.set(row.user_id, dishes);
+  });
+
+  // Cosine similarity over the squashed dish signals
+  const ownNorm = Math.sqrt([...ownDishes.values()].reduce((sum, dish) => sum + squash(dish.signal) ** 2, 0));
+  const scored = [...byUser.entries()].map(([otherId, dishes]) => {
+    let dot = 0;
+    ownDishes.forEach((dish, key) => {
+      if (dishes.has(key)) {
+        dot += squash(dish.signal) * squash(dishes.get(key));
+      }
+    });
+    const otherNorm = Math.sqrt([...dishes.values()].reduce((sum, signal) => sum + squash(signal) ** 2, 0));
+    const similarity = ownNorm > 0 && otherNorm > 0 ? dot / (ownNorm * otherNorm) : 0;
+    return [otherId, { similarity, dishes }];
+  });
+
+  return new Map(
+    scored
+      .filter(([, entry]) => entry.similarity > 0)
+      .sort((a, b) => b[1].similarity - a[1].similarity)
+      .slice(0, MAX_NEIGHBOURS)
+  );
+}
+
+function scoreMeal(meal, profile, neighbours) {
+  const key = dishKey({ dish_id: meal.dish_id, meal_id: meal.id });
+  const reasons = [];
+  const parts = {};
+
+  // Same dish voted on before
+  const ownDish = profile.dishes.get(key);
+  parts.dish = ownDish ? squash(ownDish.signal) : 0;
+  if (parts.dish > 0) {
+    reasons.push('You liked this dish before');
+  } else if (parts.dish < 0) {
+    reasons.push('You voted this dish down before');
+  }
+
+  // Similar dish names, strongest match wins
+  const tokens = getNameTokens(meal.name);
+  let similar = null;
+  profile.dishes.forEach((dish, dishKeyValue) => {
+    if (dishKeyValue === key) {
+      return;
+    }
+    const overlap = nameOverlap(tokens, dish.tokens);
+    if (overlap >= SIMILAR_NAME_OVERLAP) {
+      const value = overlap * squash(dish.signal);
+      if (!similar || Math.abs(value) > Math.abs(similar.value)) {
+        similar = { value, name: dish.name };
+      }
+    }
+  });
+  parts.similar = similar ? similar.value : 0;
+  if (similar && similar.value > 0) {
+    reasons.push(`Similar to ${similar.name}`);
+  }
+
+  // Tags the user tends to vote up or down
+  const tagScores = splitNotes(meal.notes)
+    .map(tag => [tag, profile.tags.get(tag)])
+    .filter(([, entry]) => entry && entry.count >= MIN_TAG_VOTES)
+    .map(([tag, entry]) => [tag, entry.sum / entry.count]);
+  parts.tags = tagScores.length > 0
+    ? tagScores.reduce((sum, [, value]) => sum + value, 0) / tagScores.length
+    : 0;
+  const likedTag = tagScores.filter(([, value]) => value > 0).sort((a, b) => b[1] - a[1])[0];
+  if (likedTag) {
+    reasons.push(`You often like ${likedTag[0]} meals`);
+  }
+
+  // What users with similar taste thought of this dish
+  let weighted = 0;
+  let totalSimilarity = 0;
+  neighbours.forEach(({ similarity, dishes }) => {
+    if (dishes.has(key)) {
+      weighted += similarity * squash(dishes.get(key));
+      totalSimilarity += similarity;
+    }
+  });
+  parts.neighbours = totalSimilarity > 0 ? weighted / totalSimilarity : 0;
+  if (parts.neighbours > 0) {
+    reasons.push('Liked by people with similar taste');
+  }
+
+  const score = Object.keys(WEIGHTS).reduce((sum, name) => sum + WEIGHTS[name] * parts[name], 0);
+
+  return {
+    score: Math.round(score * 1000) / 1000,
+    reasons: reasons.slice(0, MAX_REASONS)
+  };
+}
+
+/**
+ * Rank meals for one user from their past up/down votes and photo likes on
+ * the same or similar dishes, the tags they tend to like and what users with
+ * similar votes liked
+ * @param {string} userId
+ * @param {Array} meals - Normalized meals (e.g. today's)
+ * @returns {Promise<{meals: Array, based_on: number}>} Meals with a `recommendation`
+ * ({ score, reasons }), best first; based_on is the number of meals the user interacted with
+ */
+async function recommendMeals(userId, meals) {
+  const interactions = await loadInteractions([userId]);
+  const profile = buildTasteProfile(interactions);
+  const neighbours = await findNeighbours(userId, profile.dishes);
+
+  const ranked = meals
+    .map(meal => ({ ...meal, recommendation: scoreMeal(meal, profile, neighbours) }))
+    .sort((a, b) => b.recommendation.score - a.recommendation.score);
+
+  return { meals: ranked, based_on: interactions.length };
+}
+
+module.exports = {
+  recommendMeals
+};
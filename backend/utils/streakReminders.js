@@ -0,0 +1,74 @@
+const cron = require('node-cron');
+const { allAsync } = require('../dbAsync');
+const { getBerlinDate, addDays } = require('./mensaParser');
+const { isWeekendDate } = require('./openingHours');
+const { createNotification } = require('./notifications');
+
+// 13:00 on weekdays, while there is still time to post a lunch photo
+const STREAK_REMINDER_SCHEDULE = '0 13 * * 1-5';
+
+// Streaks skip weekends, so Monday continues Friday's streak
+function previousStreakDate(date) {
+  let previous = addDays(date, -1);
+  while (isWeekendDate(previous)) {
+    previous = addDays(previous, -1);
+  }
+  return previous;
+}
+
+/**
+ * Remind users whose streak ends tonight unless they post today
+ * @param {string} [today] - Date in YYYY-MM-DD format
+ * @returns {Promise<number>} Number of reminders created
+ */
+async function sendStreakReminders(today = getBerlinDate()) {
+  if (isWeekendDate(today)) {
+    return 0;
+  }
+
+  const rows = await allAsync(
+    'SELECT user_id, current_streak FROM user_streaks WHERE current_streak > 0 AND last_post_date = ?',
+    [previousStreakDate(today)]
+  );
+
+  let created = 0;
+
+  for (const row of rows) {
+    const isNew = await createNotification({
+      userId: row.user_id,
+      type: 'streak_expiring',
+      title: `Your ${row.current_streak}-day streak ends today`,
+      body: 'Post a photo of your lunch to keep it going.',
+      url: '/feed.html',
+      dedupeKey: `streak:${today}`
+    });
+
+    if (isNew) {
+      created += 1;
+    }
+  }
+
+  return created;
+}
+
+function initStreakReminderScheduler() {
+  cron.schedule(STREAK_REMINDER_SCHEDULE, () => {
+    sendStreakReminders()
+      .then(count => {
+        console.log(`[Streak Reminders] Sent ${count} streak reminders.`);
+      })
+      .catch(err => {
+        console.error('[Streak Reminders] Failed to send reminders:', err);
+      });
+  }, {
+    scheduled: true,
+    timezone: 'Europe/Berlin'
+  });
+
+  console.log('[Streak Reminders] Scheduled for 13:00 on weekdays (Europe/Berlin).');
+}
+
+module.exports = {
+  initStreakReminderScheduler,
+  sendStreakReminders
+};
@@ -0,0 +1,198 @@
+const { runAsync, allAsync } = require('../dbAsync');
+const { getWeightPriceGrams } = require('./mensaParser');
+
+// A meal at this student price with neutral feedback scores 50
+const REFERENCE_PRICE = 3.5;
+const BASE_SCORE = 50;
+// Max +/- share the big/small portion votes can move the score
+const PORTION_WEIGHT = 0.3;
+// Pseudo-votes so a single portion or up/down vote does not swing the score
+const PORTION_PRIOR = 2;
+const VOTE_PRIOR = 1;
+// Unmarked prices up to this are per 100g too (salad and vegetable bars), as in the frontend
+const MAX_UNMARKED_WEIGHT_PRICE = 1;
+const MIN_SERVED_GRAMS = 50;
+const MAX_SERVED_GRAMS = 2000;
+
+function median(values) {
+  const sorted = [...values].sort((a, b) => a - b);
+  const middle = Math.floor(sorted.length / 2);
+
+  return sorted.length % 2 === 1
+    ? sorted[middle]
+    : Math.round((sorted[middle - 1] + sorted[middle]) / 2);
+}
+
+function parsePrice(value) {
+  const numeric = parseFloat(String(value ?? '').replace(',', '.'));
+  return Number.isFinite(numeric) && numeric > 0 ? numeric : null;
+}
+
+/**
+ * Validate a served weight from a request body
+ * @param {*} grams
+ * @returns {{grams: number|null, error: string|null}}
+ */
+function validateServedWeight(grams) {
+  if (!Number.isInteger(grams) || grams < MIN_SERVED_GRAMS || grams > MAX_SERVED_GRAMS) {
+    return { grams: null, error: `grams must be a whole number from ${MIN_SERVED_GRAMS} to ${MAX_SERVED_GRAMS}` };
+  }
+
+  return { grams, error: null };
+}
+
+/**
+ * Store (or replace) one identity's served weight for a meal
+ * @param {Object} meal - Meal row with `id` and `dish_id`
+ * @param {string} identifier - `user:<id>` or hashed IP, as used for votes
+ * @param {string|null} userId
+ * @param {number} grams
+ * @returns {Promise<void>}
+ */
+async function saveServedWeight(meal, identifier, userId, grams) {
+  await runAsync(
+    `INSERT INTO served_weights (meal_id, dish_id, grams, ip_address, user_id)
+       VALUES (?, ?, ?, ?, ?)
+       ON CONFLICT(meal_id, ip_address) DO UPDATE SET
+         dish_id = excluded.dish_id,
+         grams = excluded.grams,
+         user_id = excluded.user_id,
+         timestamp = CURRENT_TIMESTAMP`,
+    [meal.id, meal.dish_id || null, grams, identifier, userId]
+  );
+}
+
+async function deleteServedWeight(mealId, identifier) {
+  const result = await runAsync('DELETE FROM served_weights WHERE meal_id = ? AND ip_address = ?', [mealId, identifier]);
+  return result.changes > 0;
+}
+
+/**
+ * Typical (median) served weight per meal. Reports for every serving of the
+ * same dish count, so a dish keeps its weight from one week to the next.
+ * @param {Array} meals - Meals with `id` and `dish_id`
+ * @returns {Promise<Map<number, {grams: number, reports: number}>>} mealId -> typical weight
+ */
+async function getTypicalWeights(meals) {
+  const weights = new Map();
+  const mealIds = [...new Set(meals.map(meal => meal.id).filter(Boolean))];
+  const dishIds = [...new Set(meals.map(meal => meal.dish_id).filter(Boolean))];
+
+  if (mealIds.length === 0) {
+    return weights;
+  }
+
+  const dishFilter = dishIds.length > 0 ? `OR dish_id IN (${dishIds.map(() => '?').join(', ')})` : '';
+  const rows = await allAsync(
+    `SELECT meal_id, dish_id, grams FROM served_weights
+     WHERE meal_id IN (${mealIds.map(() => '?').join(', ')}) ${dishFilter}`,
+    [...mealIds, ...dishIds]
+  );
+
+  const byMeal = new Map();
+  const byDish = new Map();
+  rows.forEach(row => {
+    const key = row.dish_id ? byDish : byMeal;
+    const id = row.dish_id || row.meal_id;
+    if (!key.has(id)) {
+      key.set(id, []);
+    }
+    key.get(id).push(row.grams);
+  });
+
+  meals.forEach(meal => {
+    const reports = (meal.dish_id && byDish.get(meal.dish_id)) || byMeal.get(meal.id) || [];
+    if (reports.length > 0) {
+      weights.set(meal.id, { grams: median(reports), reports: reports.length });
+    }
+  });
+
+  return weights;
+}
+
+/**
+ * Value for money: student price weighed against portion feedback and rating.
+ * Per-100g prices are scaled to the typical served weight; without weight
+ * reports such meals have no score.
+ * @param {Object} meal - Normalized meal with votes, portions and `ratings`
+ * @param {{grams: number}|null} typicalWeight
+ * @returns {{value_score: number|null, value_price: number|null}}
+ */
+function computeValueScore(meal, typicalWeight = null) {
+  const price = parsePrice(meal.price_student);
+  const weightGrams = getWeightPriceGrams(meal.price_student)
+    || (price !== null && price <= MAX_UNMARKED_WEIGHT_PRICE ? 100 : null);
+
+  if (price === null || (weightGrams && !typicalWeight)) {
+    return { value_score: null, value_price: null };
+  }
+
+  const effectivePrice = weightGrams ? price * (typicalWeight.grams / weightGrams) : price;
+
+  // Weighed meals are priced by the amount served, so big/small votes only count for fixed prices
+  const big = meal.big_portions || 0;
+  const small = meal.small_portions || 0;
+  const portionFactor = weightGrams
+    ? 1
+    : 1 + PORTION_WEIGHT * ((big - small) / (big + small + PORTION_PRIOR));
+
+  // Smoothed share of upvotes (0.5 without votes), blended with the 1-5 value rating when there is one
+  const up = meal.upvotes || 0;
+  const down = meal.downvotes || 0;
+  let quality = (up + VOTE_PRIOR) / (up + down + 2 * VOTE_PRIOR);
+  const valueRating = meal.ratings?.value?.average;
+  if (valueRating) {
+    quality = (quality + (valueRating - 1) / 4) / 2;
+  }
+  const ratingFactor = 0.5 + quality;
+
+  return {
+    value_score: Math.round(BASE_SCORE * (REFERENCE_PRICE / effectivePrice) * portionFactor * ratingFactor),
+    value_price: Math.round(effectivePrice * 100) / 100
+  };
+}
+
+/**
+ * Attach `value_score`, `value_price` and `served_weight` to each meal
+ * @param {Array} meals - Normalized meals
+ * @returns {Promise<Array>}
+ */
+async function attachValueScores(meals) {
+  const weights = await getTypicalWeights(meals);
+
+  return meals.map(meal => {
+    const typicalWeight = weights.get(meal.id) || null;
+    return {
+      ...meal,
+      ...computeValueScore(meal, typicalWeight),
+      served_weight: typicalWeight
+    };
+  });
+}
+
+/**
+ * Sort meals by `value_score`, best first; meals without a score go last
+ * @param {Array} meals
+ * @returns {Array} New sorted array
+ */
+function sortByValue(meals) {
+  return [...meals].sort((a, b) => {
+    if (a.value_score === null || a.value_score === undefined) {
+      return b.value_score === null || b.value_score === undefined ? 0 : 1;
+    }
+    if (b.value_score === null || b.value_score === undefined) {
+      return -1;
+    }
+    return b.value_score - a.value_score;
+  });
+}
+
+module.exports = {
+  validateServedWeight,
+  saveServedWeight,
+  deleteServedWeight,
+  getTypicalWeights,
+  computeValueScore,
+  attachValueScores,
+  sortByValue
+};
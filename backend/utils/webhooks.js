@@ -0,0 +1,528 @@
+const http = require('http');
+const https = require('https');
+const crypto = require('crypto');
+const cron = require('node-cron');
+const { runAsync, getAsync, allAsync } = require('../dbAsync');
+const { getPublicUrl } = require('./publicUrl');
+
+// What a webhook can subscribe to; `ping` is only sent by the admin test button
+const WEBHOOK_EVENTS = ['menu.published', 'menu.changed', 'photo.created', 'comment.created'];
+// Bounds the whole request, so a receiver that trickles its answer can't hold a delivery open
+const WEBHOOK_TIMEOUT_MS = Number(process.env.WEBHOOK_TIMEOUT_MS) || 10000;
+// Minutes to wait after a failed attempt; a delivery is given up after the last one
+const RETRY_DELAYS_MINUTES = [1, 5, 30, 120, 720];
+const MAX_ATTEMPTS = RETRY_DELAYS_MINUTES.length + 1;
+// A claimed delivery is hidden from the retry job this long; only a crash mid-request outlives it
+const IN_FLIGHT_MINUTES = 5;
+const MAX_ERROR_LENGTH = 500;
+const DELIVERY_RETENTION_DAYS = 30;
+const RETRY_SCHEDULE = '* * * * *';
+const CLEANUP_SCHEDULE = '45 3 * * *';
+
+// Retries run one batch at a time so a slow receiver can't get the same delivery twice
+let processing = false;
+
+// Same format as SQLite's CURRENT_TIMESTAMP so stored times compare as strings
+function toSqlTimestamp(date) {
+  return date.toISOString().slice(0, 19).replace('T', ' ');
+}
+
+function addMinutes(date, minutes) {
+  return new Date(date.getTime() + minutes * 60 * 1000);
+}
+
+function generateSecret() {
+  return crypto.randomBytes(32).toString('hex');
+}
+
+/**
+ * Signature receivers recompute to check a delivery came from us
+ * @param {string} secret - The webhook's secret
+ * @param {string} timestamp - Value of the X-Pottkieker-Timestamp header
+ * @param {string} body - Raw request body
+ * @returns {string} Value of the X-Pottkieker-Signature header
+ */
+function signPayload(secret, timestamp, body) {
+  const digest = crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+  return `sha256=${digest}`;
+}
+
+/**
+ * Parse the events a webhook subscribes to
+ * @param {string[]|string|undefined} events - Defaults to every event
+ * @returns {{events: string[], unknown: string[]}}
+ */
+function parseWebhookEvents(events) {
+  if (events === undefined || events === null) {
+    return { events: [...WEBHOOK_EVENTS], unknown: [] };
+  }
+
+  const list = (Array.isArray(events) ? events : String(events).split(','))
+    .map(event => String(event).trim())
+    .filter(Boolean);
+
+  return {
+    events: WEBHOOK_EVENTS.filter(event => list.includes(event)),
+    unknown: list.filter(event => !WEBHOOK_EVENTS.includes(event))
+  };
+}
+
+/**
+ * @param {string} url
+ * @returns {string|null} Error message, or null when valid
+ */
+function validateWebhookUrl(url) {
+  if (typeof url !== 'string' || url.length > 2000) {
+    return 'url must be an http(s) URL';
+  }
+
+  try {
+    const parsed = new URL(url);
+    return parsed.protocol === 'http:' || parsed.protocol === 'https:' ? null : 'url must be an http(s) URL';
+  } catch (error) {
+    return 'url must be an http(s) URL';
+  }
+}
+
+function formatWebhook(row, { includeSecret = false } = {}) {
+  const webhook = {
+    id: row.id,
+    url: row.url,
+    events: row.events.split(',').filter(Boolean),
+    description: row.description || '',
+    active: !!row.active,
+    created_at: row.created_at,
+    updated_at: row.updated_at,
+    last_delivery: row.last_delivery_status
+      ? { status: row.last_delivery_status, event: row.last_delivery_event, at: row.last_delivery_at }
+      : null
+  };
+
+  if (includeSecret) {
+    webhook.secret = row.secret;
+  }
+
+  return webhook;
+}
+
+function formatDelivery(row) {
+  return {
+    id: row.id,
+    webhook_id: row.webhook_id,
+    event: row.event,
+    status: row.status,
+    attempts: row.attempts,
+    response_status: row.response_status,
+    error: row.error,
+    next_attempt_at: row.status === 'pending' ? row.next_attempt_at : null,
+    created_at: row.created_at,
+    delivered_at: row.delivered_at,
+    payload: JSON.parse(row.payload)
+  };
+}
+
+const WEBHOOK_SELECT = `
+  SELECT w.*,
+         (SELECT d.status FROM webhook_deliveries d WHERE d.webhook_id = w.id ORDER BY d.id DESC LIMIT 1) AS last_delivery_status,
+         (SELECT d.event FROM webhook_deliveries d WHERE d.webhook_id = w.id ORDER BY d.id DESC LIMIT 1) AS last_delivery_event,
+         (SELECT d.created_at FROM webhook_deliveries d WHERE d.webhook_id = w.id ORDER BY d.id DESC LIMIT 1) AS last_delivery_at
+    FROM webhooks w`;
+
+async function listWebhooks() {
+  const rows = await allAsync(`${WEBHOOK_SELECT} ORDER BY w.id ASC`);
+  return rows.map(row => formatWebhook(row));
+}
+
+async function getWebhook(id) {
+  const row = await getAsync(`${WEBHOOK_SELECT} WHERE w.id = ?`, [id]);
+  return row ? formatWebhook(row) : null;
+}
+
+/**
+ * Register a webhook; the secret is only ever returned here and when rotated
+ * @param {Object} webhook
+ * @param {string} webhook.url
+ * @param {string[]} webhook.events - Parsed with parseWebhookEvents
+ * @param {string} [webhook.description]
+ * @param {string} [webhook.secret] - Generated when missing
+ * @returns {Promise<Object>} The webhook including its secret
+ */
+async function createWebhook({ url, events, description = '', secret = null }) {
+  const result = await runAsync(
+    'INSERT INTO webhooks (url, secret, events, description) VALUES (?, ?, ?, ?)',
+    [url, secret || generateSecret(), events.join(','), description]
+  );
+  const row = await getAsync('SELECT * FROM webhooks WHERE id = ?', [result.lastID]);
+  return formatWebhook(row, { includeSecret: true });
+}
+
+/**
+ * Change a webhook's settings
+ * @param {number} id
+ * @param {Object} changes - Any of url, events, description, active; rotateSecret replaces the secret
+ * @returns {Promise<Object|null>} The updated webhook (with the new secret when rotated), or null if not found
+ */
+async function updateWebhook(id, { url, events, description, active, rotateSecret = false }) {
+  const fields = [];
+  const params = [];
+
+  if (url !== undefined) {
+    fields.push('url = ?');
+    params.push(url);
+  }
+  if (events !== undefined) {
+    fields.push('events = ?');
+    params.push(events.join(','));
+  }
+  if (description !== undefined) {
+    fields.push('description = ?');
+    params.push(description);
+  }
+  if (active !== undefined) {
+    fields.push('active = ?');
+    params.push(active ? 1 : 0);
+  }
+  if (rotateSecret) {
+    fields.push('secret = ?');
+    params.push(generateSecret());
+  }
+
+  fields.push('updated_at = CURRENT_TIMESTAMP');
+  const result = await runAsync(`UPDATE webhooks SET ${fields.join(', ')} WHERE id = ?`, [...params, id]);
+
+  if (result.changes === 0) {
+    return null;
+  }
+
+  const row = await getAsync(`${WEBHOOK_SELECT} WHERE w.id = ?`, [id]);
+  return formatWebhook(row, { includeSecret: rotateSecret });
+}
+
+async function deleteWebhook(id) {
+  const result = await runAsync('DELETE FROM webhooks WHERE id = ?', [id]);
+  await runAsync('DELETE FROM webhook_deliveries WHERE webhook_id = ?', [id]);
+  return result.changes > 0;
+}
+
+/**
+ * Delivery log of a webhook, newest first
+ * @param {number} webhookId
+ * @param {number} [limit]
+ * @returns {Promise<Array>}
+ */
+async function getDeliveries(webhookId, limit = 50) {
+  const rows = await allAsync(
+    'SELECT * FROM webhook_deliveries WHERE webhook_id = ? ORDER BY id DESC LIMIT ?',
+    [webhookId, limit]
+  );
+  return rows.map(formatDelivery);
+}
+
+function postJson(url, headers, body) {
+  const target = new URL(url);
+  const client = target.protocol === 'http:' ? http : https;
+
+  return new Promise((resolve, reject) => {
+    const fail = (error) => {
+      clearTimeout(deadline);
+      reject(error);
+    };
+
+    const request = client.request(target, {
+      method: 'POST',
+      headers: {
+        ...headers,
+        'Content-Type': 'application/json',
+        'Content-Length': Buffer.byteLength(body),
+        'User-Agent': 'Pottkieker-Webhooks/1.0'
+      }
+    }, (response) => {
+      let text = '';
+      response.setEncoding('utf8');
+      response.on('data', (chunk) => {
+        if (text.length < MAX_ERROR_LENGTH) {
+          text += chunk;
+        }
+      });
+      response.on('end', () => {
+        clearTimeout(deadline);
+        resolve({ statusCode: response.statusCode, body: text });
+      });
+      response.on('error', fail);
+    });
+
+    const deadline = setTimeout(() => {
+      const error = new Error(`Webhook request timed out after ${WEBHOOK_TIMEOUT_MS}ms`);
+      fail(error);
+      request.destroy(error);
+    }, WEBHOOK_TIMEOUT_MS);
+
+    request.on('error', fail);
+    request.end(body);
+  });
+}
+
+/**
+ * Mark a pending delivery as in flight by moving its next attempt past the request deadline.
+ * Only one caller wins, so the retry job and a first attempt never send the same row together.
+ * @param {Object} delivery - webhook_deliveries row as last read
+ * @param {Date} now
+ * @returns {Promise<boolean>} False if the row was claimed, finished or rescheduled meanwhile
+ */
+async function claimDelivery(delivery, now) {
+  const result = await runAsync(
+    `UPDATE webhook_deliveries SET next_attempt_at = ?
+      WHERE id = ? AND status = 'pending' AND next_attempt_at = ?`,
+    [toSqlTimestamp(addMinutes(now, IN_FLIGHT_MINUTES)), delivery.id, delivery.next_attempt_at]
+  );
+  return result.changes > 0;
+}
+
+// Send a claimed delivery once and record the outcome; failures are rescheduled until MAX_ATTEMPTS
+async function sendDelivery(delivery, webhook, now) {
+  const timestamp = String(Math.floor(now.getTime() / 1000));
+  const attempts = delivery.attempts + 1;
+  let statusCode = null;
+  let error = null;
+
+  try {
+    const response = await postJson(webhook.url, {
+      'X-Pottkieker-Event': delivery.event,
+      'X-Pottkieker-Delivery': String(delivery.id),
+      'X-Pottkieker-Timestamp': timestamp,
+      'X-Pottkieker-Signature': signPayload(webhook.secret, timestamp, delivery.payload)
+    }, delivery.payload);
+
+    statusCode = response.statusCode;
+    if (statusCode < 200 || statusCode >= 300) {
+      error = `HTTP ${statusCode}${response.body ? `: ${response.body}` : ''}`;
+    }
+  } catch (requestError) {
+    error = requestError.message;
+  }
+
+  if (!error) {
+    await runAsync(
+      `UPDATE webhook_deliveries
+          SET status = 'delivered', attempts = ?, response_status = ?, error = NULL, delivered_at = CURRENT_TIMESTAMP
+        WHERE id = ?`,
+      [attempts, statusCode, delivery.id]
+    );
+    return true;
+  }
+
+  const retryDelay = RETRY_DELAYS_MINUTES[attempts - 1];
+  await runAsync(
+    `UPDATE webhook_deliveries
+        SET status = ?, attempts = ?, response_status = ?, error = ?, next_attempt_at = ?
+      WHERE id = ?`,
+    [
+      retryDelay === undefined ? 'failed' : 'pending',
+      attempts,
+      statusCode,
+      error.slice(0, MAX_ERROR_LENGTH),
+      retryDelay === undefined ? delivery.next_attempt_at : toSqlTimestamp(addMinutes(now, retryDelay)),
+      delivery.id
+    ]
+  );
+  console.error(`[Webhooks] Delivery ${delivery.id} to webhook ${webhook.id} failed (attempt ${attempts}/${MAX_ATTEMPTS}):`, error);
+  return false;
+}
+
+/**
+ * Claim a delivery and send it once
+ * @param {Object} delivery - webhook_deliveries row
+ * @param {Object} webhook - webhooks row
+ * @param {Date} [now]
+ * @returns {Promise<boolean>} Whether the receiver accepted it; false if another run had claimed it
+ */
+async function attemptDelivery(delivery, webhook, now = new Date()) {
+  if (!(await claimDelivery(delivery, now))) {
+    return false;
+  }
+
+  return sendDelivery(delivery, webhook, now);
+}
+
+// New rows start out in flight, since the first attempt follows right away
+async function createDelivery(webhook, event, payload, now = new Date()) {
+  const result = await runAsync(
+    'INSERT INTO webhook_deliveries (webhook_id, event, payload, next_attempt_at) VALUES (?, ?, ?, ?)',
+    [webhook.id, event, payload, toSqlTimestamp(addMinutes(now, IN_FLIGHT_MINUTES))]
+  );
+  return getAsync('SELECT * FROM webhook_deliveries WHERE id = ?', [result.lastID]);
+}
+
+function buildPayload(event, data, now = new Date()) {
+  return JSON.stringify({
+    id: crypto.randomUUID(),
+    event,
+    created_at: now.toISOString(),
+    data
+  });
+}
+
+/**
+ * Send an event to every active webhook subscribed to it. Receivers that fail
+ * are retried in the background, so callers only need to log rejections.
+ * @param {string} event - One of WEBHOOK_EVENTS
+ * @param {Object} data - Event specific payload
+ * @returns {Promise<number>} Number of webhooks that accepted the first attempt
+ */
+async function emitWebhookEvent(event, data) {
+  const webhooks = await allAsync('SELECT * FROM webhooks WHERE active = 1');
+  const subscribed = webhooks.filter(webhook => webhook.events.split(',').includes(event));
+
+  if (subscribed.length === 0) {
+    return 0;
+  }
+
+  const payload = buildPayload(event, data);
+  const results = await Promise.all(subscribed.map(async (webhook) => {
+    const delivery = await createDelivery(webhook, event, payload);
+    return attemptDelivery(delivery, webhook);
+  }));
+
+  return results.filter(Boolean).length;
+}
+
+/**
+ * Send a `ping` event to one webhook so admins can check the receiver and its signature check
+ * @param {number} webhookId
+ * @returns {Promise<Object|null>} The logged delivery, or null if the webhook does not exist
+ */
+async function sendTestEvent(webhookId) {
+  const webhook = await getAsync('SELECT * FROM webhooks WHERE id = ?', [webhookId]);
+
+  if (!webhook) {
+    return null;
+  }
+
+  const payload = buildPayload('ping', {
+    webhook_id: webhook.id,
+    events: webhook.events.split(',').filter(Boolean),
+    site: getPublicUrl()
+  });
+  const delivery = await createDelivery(webhook, 'ping', payload);
+  await attemptDelivery(delivery, webhook);
+
+  return formatDelivery(await getAsync('SELECT * FROM webhook_deliveries WHERE id = ?', [delivery.id]));
+}
+
+/**
+ * Send a logged delivery again as a new delivery with the same payload
+ * @param {number} deliveryId
+ * @returns {Promise<Object|null>} The new delivery, or null if the original or its webhook is gone
+ */
+async function redeliver(deliveryId) {
+  const original = await getAsync('SELECT * FROM webhook_deliveries WHERE id = ?', [deliveryId]);
+  const webhook = original ? await getAsync('SELECT * FROM webhooks WHERE id = ?', [original.webhook_id]) : null;
+
+  if (!webhook) {
+    return null;
+  }
+
+  const delivery = await createDelivery(webhook, original.event, original.payload);
+  await attemptDelivery(delivery, webhook);
+
+  return formatDelivery(await getAsync('SELECT * FROM webhook_deliveries WHERE id = ?', [delivery.id]));
+}
+
+/**
+ * Retry pending deliveries whose backoff has passed. Deliveries of deactivated
+ * webhooks stay pending until the webhook is switched back on.
+ * @param {Date} [now]
+ * @returns {Promise<number>} Number of deliveries attempted
+ */
+async function processDueDeliveries(now = new Date()) {
+  if (processing) {
+    return 0;
+  }
+
+  processing = true;
+
+  try {
+    const due = await allAsync(
+      `SELECT d.*, w.url AS webhook_url, w.secret AS webhook_secret
+         FROM webhook_deliveries d
+         INNER JOIN webhooks w ON w.id = d.webhook_id
+        WHERE d.status = 'pending' AND d.next_attempt_at <= ? AND w.active = 1
+        ORDER BY d.next_attempt_at ASC, d.id ASC`,
+      [toSqlTimestamp(now)]
+    );
+
+    let attempted = 0;
+
+    for (const delivery of due) {
+      if (await claimDelivery(delivery, now)) {
+        attempted += 1;
+        await sendDelivery(delivery, { id: delivery.webhook_id, url: delivery.webhook_url, secret: delivery.webhook_secret }, now);
+      }
+    }
+
+    return attempted;
+  } finally {
+    processing = false;
+  }
+}
+
+async function pruneDeliveries(now = new Date()) {
+  const cutoff = toSqlTimestamp(new Date(now.getTime() - DELIVERY_RETENTION_DAYS * 24 * 60 * 60 * 1000));
+  const result = await runAsync(
+    "DELETE FROM webhook_deliveries WHERE status != 'pending' AND created_at < ?",
+    [cutoff]
+  );
+  return result.changes;
+}
+
+function initWebhookScheduler() {
+  cron.schedule(RETRY_SCHEDULE, () => {
+    processDueDeliveries()
+      .then(count => {
+        if (count > 0) {
+          console.log(`[Webhooks] Retried ${count} deliveries.`);
+        }
+      })
+      .catch(err => {
+        console.error('[Webhooks] Failed to retry deliveries:', err);
+      });
+  }, {
+    scheduled: true,
+    timezone: 'Europe/Berlin'
+  });
+
+  cron.schedule(CLEANUP_SCHEDULE, () => {
+    pruneDeliveries()
+      .then(count => {
+        console.log(`[Webhooks] Pruned ${count} old deliveries.`);
+      })
+      .catch(err => {
+        console.error('[Webhooks] Failed to prune deliveries:', err);
+      });
+  }, {
+    scheduled: true,
+    timezone: 'Europe/Berlin'
+  });
+
+  console.log('[Webhooks] Retrying failed deliveries every minute.');
+}
+
+module.exports = {
+  WEBHOOK_EVENTS,
+  MAX_ATTEMPTS,
+  signPayload,
+  parseWebhookEvents,
+  validateWebhookUrl,
+  listWebhooks,
+  getWebhook,
+  createWebhook,
+  updateWebhook,
+  deleteWebhook,
+  getDeliveries,
+  emitWebhookEvent,
+  sendTestEvent,
+  redeliver,
+  processDueDeliveries,
+  pruneDeliveries,
+  initWebhookScheduler
+};
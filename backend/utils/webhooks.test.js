@@ -0,0 +1,194 @@
+const { test, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const http = require('http');
+
+process.env.MENSA_DB_PATH = ':memory:';
+process.env.WEBHOOK_TIMEOUT_MS = '300';
+
+const db = require('../database');
+const {
+  MAX_ATTEMPTS,
+  createWebhook,
+  emitWebhookEvent,
+  processDueDeliveries,
+  pruneDeliveries
+} = require('./webhooks');
+
+// Local receiver; `status` decides how it answers, `delayMs` how long it waits first,
+// and `trickle` keeps the response open by sending a byte every 50ms
+let received = [];
+let status = 200;
+let delayMs = 0;
+let trickle = false;
+let server;
+let baseUrl;
+
+before(async () => {
+  await db.ready;
+  server = http.createServer((req, res) => {
+    let body = '';
+    req.setEncoding('utf8');
+    req.on('data', (chunk) => {
+      body += chunk;
+    });
+    req.on('end', () => {
+      received.push({ url: req.url, headers: req.headers, body });
+      res.writeHead(status);
+
+      if (trickle) {
+        const timer = setInterval(() => res.write('.'), 50);
+        res.on('close', () => clearInterval(timer));
+        return;
+      }
+
+      setTimeout(() => res.end(status >= 300 ? 'receiver down' : 'ok'), delayMs);
+    });
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(async () => {
+  server.closeAllConnections();
+  await new Promise(resolve => server.close(resolve));
+  await new Promise(resolve => db.close(resolve));
+});
+
+beforeEach(async () => {
+  received = [];
+  status = 200;
+  delayMs = 0;
+  trickle = false;
+  await query('DELETE FROM webhook_deliveries');
+  await query('DELETE FROM webhooks');
+});
+
+function query(sql, params = []) {
+  return new Promise((resolve, reject) => {
+    db.all(sql, params, (err, rows) => (err ? reject(err) : resolve(rows)));
+  });
+}
+
+// Stored timestamps are UTC in SQLite's "YYYY-MM-DD HH:MM:SS" format
+function parseSqlTimestamp(value) {
+  return new Date(`${value.replace(' ', 'T')}Z`);
+}
+
+test('signs each delivery with an HMAC of "<timestamp>.<body>"', async () => {
+  const webhook = await createWebhook({ url: `${baseUrl}/hook`, events: ['photo.created'] });
+  await createWebhook({ url: `${baseUrl}/other`, events: ['menu.changed'] });
+
+  assert.equal(await emitWebhookEvent('photo.created', { photo: { id: 7 } }), 1);
+  assert.equal(received.length, 1);
+
+  const [{ url, headers, body }] = received;
+  const payload = JSON.parse(body);
+  const expected = crypto.createHmac('sha256', webhook.secret).update(`${headers['x-pottkieker-timestamp']}.${body}`).digest('hex');
+
+  assert.equal(url, '/hook');
+  assert.equal(headers['x-pottkieker-event'], 'photo.created');
+  assert.equal(headers['x-pottkieker-signature'], `sha256=${expected}`);
+  assert.ok(Math.abs(Number(headers['x-pottkieker-timestamp']) - Date.now() / 1000) < 60);
+  assert.equal(payload.event, 'photo.created');
+  assert.deepEqual(payload.data, { photo: { id: 7 } });
+
+  const [delivery] = await query('SELECT id, status, attempts FROM webhook_deliveries');
+  assert.equal(headers['x-pottkieker-delivery'], String(delivery.id));
+  assert.equal(delivery.status, 'delivered');
+  assert.equal(delivery.attempts, 1);
+});
+
+test('retries a failing receiver after 1, 5, 30, 120 and 720 minutes, then gives up', async () => {
+  await createWebhook({ url: `${baseUrl}/hook`, events: ['menu.changed'] });
+  status = 500;
+
+  assert.equal(await emitWebhookEvent('menu.changed', { date: '2026-10-19' }), 0);
+
+  const gaps = [];
+  let [delivery] = await query('SELECT * FROM webhook_deliveries');
+  let lastAttempt = new Date();
+
+  assert.equal(await processDueDeliveries(lastAttempt), 0);
+
+  while (delivery.status === 'pending') {
+    const due = parseSqlTimestamp(delivery.next_attempt_at);
+    gaps.push(Math.round((due - lastAttempt) / 60000));
+
+    assert.equal(await processDueDeliveries(new Date(due.getTime() - 1000)), 0);
+    assert.equal(await processDueDeliveries(due), 1);
+
+    lastAttempt = due;
+    [delivery] = await query('SELECT * FROM webhook_deliveries');
+  }
+
+  assert.deepEqual(gaps, [1, 5, 30, 120, 720]);
+  assert.equal(delivery.status, 'failed');
+  assert.equal(delivery.attempts, MAX_ATTEMPTS);
+  assert.equal(delivery.error, 'HTTP 500: receiver down');
+  assert.equal(received.length, MAX_ATTEMPTS);
+  assert.equal(await processDueDeliveries(new Date(lastAttempt.getTime() + 24 * 60 * 60 * 1000)), 0);
+});
+
+test('marks a retried delivery as delivered once the receiver recovers', async () => {
+  await createWebhook({ url: `${baseUrl}/hook`, events: ['comment.created'] });
+  status = 503;
+  await emitWebhookEvent('comment.created', { comment: { id: 1 } });
+
+  status = 204;
+  const [pending] = await query('SELECT next_attempt_at FROM webhook_deliveries');
+  await processDueDeliveries(parseSqlTimestamp(pending.next_attempt_at));
+
+  const [delivery] = await query('SELECT status, attempts, response_status, error FROM webhook_deliveries');
+  assert.deepEqual({ ...delivery }, { status: 'delivered', attempts: 2, response_status: 204, error: null });
+  assert.equal(received[0].headers['x-pottkieker-delivery'], received[1].headers['x-pottkieker-delivery']);
+});
+
+test('gives up on a receiver that keeps trickling past the deadline', async () => {
+  await createWebhook({ url: `${baseUrl}/hook`, events: ['menu.changed'] });
+  trickle = true;
+
+  const startedAt = Date.now();
+  assert.equal(await emitWebhookEvent('menu.changed', { date: '2026-10-19' }), 0);
+  assert.ok(Date.now() - startedAt < 2000);
+
+  const [delivery] = await query('SELECT status, attempts, error FROM webhook_deliveries');
+  assert.deepEqual({ ...delivery }, { status: 'pending', attempts: 1, error: 'Webhook request timed out after 300ms' });
+});
+
+test('the retry job leaves a delivery alone while its first attempt is in flight', async () => {
+  await createWebhook({ url: `${baseUrl}/hook`, events: ['menu.changed'] });
+  status = 500;
+  delayMs = 150;
+
+  const first = emitWebhookEvent('menu.changed', { date: '2026-10-19' });
+  await new Promise(resolve => setTimeout(resolve, 50));
+
+  // Even a clock far past the first retry must not send the row a second time mid-request
+  assert.equal(await processDueDeliveries(new Date(Date.now() + 4 * 60 * 1000)), 0);
+  assert.equal(await first, 0);
+  assert.equal(received.length, 1);
+
+  const [delivery] = await query('SELECT attempts FROM webhook_deliveries');
+  assert.equal(delivery.attempts, 1);
+});
+
+test('prunes finished deliveries older than 30 days but keeps pending ones', async () => {
+  const webhook = await createWebhook({ url: `${baseUrl}/hook`, events: ['menu.changed'] });
+  await query(
+    `INSERT INTO webhook_deliveries (webhook_id, event, payload, status, created_at) VALUES
+       (?, 'menu.changed', '{}', 'delivered', '2026-09-01 10:00:00'),
+       (?, 'menu.changed', '{}', 'failed', '2026-09-01 10:00:00'),
+       (?, 'menu.changed', '{}', 'pending', '2026-09-01 10:00:00'),
+       (?, 'menu.changed', '{}', 'delivered', '2026-10-01 10:00:00')`,
+    [webhook.id, webhook.id, webhook.id, webhook.id]
+  );
+
+  assert.equal(await pruneDeliveries(new Date('2026-10-19T12:00:00Z')), 2);
+
+  const rows = await query('SELECT status, created_at FROM webhook_deliveries ORDER BY id');
+  assert.deepEqual(rows.map(row => [row.status, row.created_at]), [
+    ['pending', '2026-09-01 10:00:00'],
+    ['delivered', '2026-10-01 10:00:00']
+  ]);
+});
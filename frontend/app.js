@@ -1,17 +1,14 @@
 const API_BASE = '/api';
-const LOCATION_LABELS = {
-    studierendenhaus: 'Schweinemensa',
-    blattwerk: 'Blattwerk',
-    philturm: 'Philturm'
-};
 const ALL_LOCATIONS_KEY = 'all';
 const OPENING_TIMES_DEFAULT = 'OPENING TIMES vary by location';
 
 let currentLocation = 'all';
-let currentSort = 'upvotes';
+let currentDate = ''; // Empty means today
+let currentSort = 'score';
 let currentMeals = [];
 let emptyMealsMessage = 'No meals available for today.';
 let selectedTags = new Set(); // Track multiple selected tag filters
+let dietaryProfileOff = false; // Skip the saved dietary profile for this page view
 
 // DOM Elements
 const locationSelect = document.getElementById('location-select');
@@ -20,8 +17,17 @@ const mealsContainer = document.getElementById('meals-container');
 const loadingEl = document.getElementById('loading');
 const errorEl = document.getElementById('error');
 const sortSelect = document.getElementById('sort-select');
+const datePicker = document.getElementById('date-picker');
 const openingTimesEl = document.getElementById('opening-times');
+const calendarLinkEl = document.getElementById('calendar-link');
 const subtitleEl = document.querySelector('.subtitle');
+const staleNoticeEl = document.getElementById('stale-notice');
+const filterNoticeEl = document.getElementById('filter-notice');
+const changesNoticeEl = document.getElementById('changes-notice');
+const forYouEl = document.getElementById('for-you');
+const FOR_YOU_LIMIT = 3;
+let forYouDate = null; // Menu date the "For you" highlight refers to
+let favoriteDishIds = new Set(); // Dishes the logged-in user starred
 
 // Auth Helper
 async function fetchWithAuth(url, options = {}) {
@@ -76,13 +82,47 @@ function syncAllCommentForms() {
 }
 
 document.addEventListener('auth:changed', syncAllCommentForms);
+document.addEventListener('auth:changed', (e) => {
+    loadFavorites(e.detail?.user || null);
+});
+// The dietary profile depends on who is logged in, so reload when the user changes
+let lastAuthUserId;
+document.addEventListener('auth:changed', (e) => {
+    const userId = e.detail?.user?.id || null;
+    if (lastAuthUserId !== undefined && lastAuthUserId !== userId) {
+        loadMeals();
+    } else if (lastAuthUserId === undefined && userId) {
+        // The session can resolve after the first menu load
+        updateForYou(forYouDate);
+    }
+    lastAuthUserId = userId;
+});
+document.addEventListener('dietary-profile:changed', () => {
+    dietaryProfileOff = false;
+    loadMeals();
+});
 
 // Initialize
-document.addEventListener('DOMContentLoaded', () => {
+document.addEventListener('DOMContentLoaded', async () => {
+    await window.mensaLocations.load();
+    window.mensaLocations.fillSelect(locationSelect);
+
+    // Links from notifications open a specific location and day
+    const linkParams = new URLSearchParams(window.location.search);
+    const linkedLocation = linkParams.get('location');
+    const linkedDate = linkParams.get('date');
+    if (locationSelect && linkedLocation && [...locationSelect.options].some(option => option.value === linkedLocation)) {
+        locationSelect.value = linkedLocation;
+    }
+    if (linkedDate && /^\d{4}-\d{2}-\d{2}$/.test(linkedDate) && linkedDate !== getBerlinToday()) {
+        currentDate = linkedDate;
+    }
+
     if (locationSelect) {
         currentLocation = locationSelect.value;
     }
     updateOpeningTimes(currentLocation);
+    updateCalendarLink(currentLocation);
     loadMeals();
 
     if (locationSelect) {
@@ -90,6 +130,15 @@ document.addEventListener('DOMContentLoaded', () => {
             currentLocation = e.target.value;
             selectedTags.clear(); // Clear tag filters when changing location
             updateOpeningTimes(currentLocation);
+            updateCalendarLink(currentLocation);
+            loadMeals();
+        });
+    }
+
+    if (datePicker) {
+        datePicker.value = currentDate || getBerlinToday();
+        datePicker.addEventListener('change', (e) => {
+            currentDate = e.target.value === getBerlinToday() ? '' : e.target.value;
             loadMeals();
         });
     }
@@ -110,6 +159,15 @@ document.addEventListener('DOMContentLoaded', () => {
 
 });
 
+function getBerlinToday() {
+    // en-CA formats dates as YYYY-MM-DD
+    return new Date().toLocaleDateString('en-CA', { timeZone: 'Europe/Berlin' });
+}
+
+function isArchiveDate(dateString) {
+    return !!dateString && dateString < getBerlinToday();
+}
+
 function updateSubtitleWithDate(dateString) {
     if (!subtitleEl) return;
 
@@ -117,61 +175,295 @@ function updateSubtitleWithDate(dateString) {
         const date = new Date(dateString + 'T12:00:00'); // Add time to avoid timezone issues
         const options = { weekday: 'long', year: 'numeric', month: 'long', day: 'numeric' };
         const formatted = date.toLocaleDateString('en-US', options);
-        subtitleEl.textContent = `Rate meals for ${formatted}`;
+        subtitleEl.textContent = isArchiveDate(dateString)
+            ? `Archive for ${formatted}`
+            : `Rate meals for ${formatted}`;
     } catch (error) {
         console.error('Error formatting date:', error);
         subtitleEl.textContent = 'Rate today\'s meals';
     }
 }
 
+function formatClosureDate(dateString) {
+    const date = new Date(`${dateString}T12:00:00`);
+    return date.toLocaleDateString('de-DE', { weekday: 'short', day: '2-digit', month: '2-digit' });
+}
+
+function describeOpeningHours(entry) {
+    const parts = [entry.summary || OPENING_TIMES_DEFAULT];
+
+    if (entry.status && entry.status.label) {
+        parts.push(entry.status.label);
+    }
+
+    const upcoming = (entry.closures || []).map(closure => formatClosureDate(closure.date));
+    if (upcoming.length > 0) {
+        parts.push(`Closed ${upcoming.join(', ')}`);
+    }
+
+    return parts.join(' · ');
+}
+
+// webcal:// makes the browser hand the feed to the calendar app as a subscription
+function updateCalendarLink(location) {
+    if (!calendarLinkEl) return;
+    calendarLinkEl.href = `webcal://${window.location.host}${API_BASE}/meals/calendar.ics?location=${encodeURIComponent(location)}`;
+}
+
 async function updateOpeningTimes(location) {
     if (!openingTimesEl) return;
 
-    if (location === ALL_LOCATIONS_KEY) {
-        openingTimesEl.textContent = '';
-        openingTimesEl.style.display = 'none';
+    openingTimesEl.style.display = 'block';
+
+    try {
+        const response = await fetchWithAuth(`${API_BASE}/meals/opening-hours?location=${location}`);
+        if (!response.ok) {
+            throw new Error(`HTTP error! status: ${response.status}`);
+        }
+
+        const data = await response.json();
+        const entries = data.locations || [];
+
+        if (location === ALL_LOCATIONS_KEY) {
+            // One status per location; the full hours are shown when a single location is selected
+            const statuses = entries
+                .filter(entry => entry.status && entry.status.label)
+                .map(entry => `${getLocationLabel(entry.location)}: ${entry.status.label}`);
+            openingTimesEl.textContent = statuses.join(' · ');
+            openingTimesEl.style.display = statuses.length > 0 ? 'block' : 'none';
+        } else {
+            openingTimesEl.textContent = entries[0] ? describeOpeningHours(entries[0]) : OPENING_TIMES_DEFAULT;
+        }
+    } catch (error) {
+        console.error('Error fetching opening times:', error);
+        if (location === ALL_LOCATIONS_KEY) {
+            openingTimesEl.textContent = '';
+            openingTimesEl.style.display = 'none';
+        } else {
+            openingTimesEl.textContent = OPENING_TIMES_DEFAULT;
+        }
+    }
+}
+
+function getProfileParam() {
+    return dietaryProfileOff ? '&profile=off' : '';
+}
+
+// Tell the user when their saved dietary profile hid meals, with a way to see everything
+function updateFilterNotice(filters) {
+    if (!filterNoticeEl) return;
+
+    if (dietaryProfileOff) {
+        filterNoticeEl.innerHTML = `[ DIETARY PROFILE OFF ] <button type="button" class="filter-notice-btn" data-profile="on">Apply profile</button>`;
+        filterNoticeEl.style.display = 'block';
+    } else if (filters && filters.source === 'profile') {
+        const parts = [
+            ...filters.include.map(token => escapeHtml(token)),
+            ...filters.exclude.map(token => `no ${escapeHtml(token)}`)
+        ];
+        filterNoticeEl.innerHTML = `[ DIETARY PROFILE ] ${parts.join(' · ')} — ${filters.hidden} hidden <button type="button" class="filter-notice-btn" data-profile="off">Show all</button>`;
+        filterNoticeEl.style.display = 'block';
+    } else {
+        filterNoticeEl.innerHTML = '';
+        filterNoticeEl.style.display = 'none';
         return;
     }
 
-    openingTimesEl.style.display = 'block';
+    filterNoticeEl.querySelector('.filter-notice-btn').addEventListener('click', (e) => {
+        dietaryProfileOff = e.currentTarget.dataset.profile === 'off';
+        loadMeals();
+    });
+}
+
+function describeMenuChange(change) {
+    const name = escapeHtml(change.name);
+
+    if (change.type === 'added') {
+        return `+ ${name}`;
+    }
+
+    if (change.type === 'removed') {
+        const votes = change.upvotes + change.downvotes;
+        return `− ${name}${votes > 0 ? ` (${votes} vote${votes > 1 ? 's' : ''})` : ''}`;
+    }
+
+    const oldPrice = getPriceInfo(change.old_prices.student).display || '?';
+    const newPrice = getPriceInfo(change.new_prices.student).display || '?';
+    return `${name}: ${escapeHtml(oldPrice)} → ${escapeHtml(newPrice)}`;
+}
+
+// Tell the user when the kitchen swapped or re-priced dishes after the menu was published
+async function updateChangesNotice(date) {
+    if (!changesNoticeEl) return;
+
+    changesNoticeEl.style.display = 'none';
+
+    if (!date) return;
 
     try {
-        const response = await fetchWithAuth(`${API_BASE}/meals/opening-times/${location}`);
-        if (response.ok) {
-            const data = await response.json();
-            if (data.openingTimes) {
-                openingTimesEl.textContent = data.openingTimes;
-            } else {
-                openingTimesEl.textContent = OPENING_TIMES_DEFAULT;
+        const response = await fetch(`${API_BASE}/meals/changes?location=${currentLocation}&date=${date}`);
+        if (!response.ok) return;
+
+        const data = await response.json();
+        if (!data.changes || data.changes.length === 0) return;
+
+        changesNoticeEl.innerHTML = `[ MENU UPDATED ] ${data.changes.map(describeMenuChange).join(' · ')}`;
+        changesNoticeEl.style.display = 'block';
+    } catch (error) {
+        console.error('Error fetching menu changes:', error);
+    }
+}
+
+async function loadFavorites(user) {
+    favoriteDishIds = new Set();
+
+    if (user) {
+        try {
+            const response = await fetchWithAuth(`${API_BASE}/user/favorites`);
+            if (response.ok) {
+                const data = await response.json();
+                favoriteDishIds = new Set((data.favorites || []).map(favorite => favorite.dish_id));
             }
+        } catch (error) {
+            console.error('Error loading favorites:', error);
+        }
+    }
+
+    document.querySelectorAll('.favorite-btn').forEach(updateFavoriteButton);
+}
+
+function updateFavoriteButton(btn) {
+    const isFavorite = favoriteDishIds.has(Number(btn.dataset.dishId));
+    btn.classList.toggle('active', isFavorite);
+    btn.textContent = isFavorite ? '★' : '☆';
+    btn.title = isFavorite ? 'Remove from favourites' : 'Star this dish to get an alert when it is on the menu';
+    btn.style.display = window.auth?.getUser?.() ? '' : 'none';
+}
+
+async function handleFavoriteToggle(e) {
+    const btn = e.currentTarget;
+    const dishId = Number(btn.dataset.dishId);
+    const isFavorite = favoriteDishIds.has(dishId);
+
+    try {
+        const response = await fetchWithAuth(`${API_BASE}/user/favorites/${dishId}`, {
+            method: isFavorite ? 'DELETE' : 'PUT'
+        });
+        if (!response.ok) throw new Error('Failed to update favourite');
+
+        if (isFavorite) {
+            favoriteDishIds.delete(dishId);
         } else {
-            openingTimesEl.textContent = OPENING_TIMES_DEFAULT;
+            favoriteDishIds.add(dishId);
         }
+        document.querySelectorAll(`.favorite-btn[data-dish-id="${dishId}"]`).forEach(updateFavoriteButton);
+        document.dispatchEvent(new CustomEvent('notifications:changed'));
     } catch (error) {
-        console.error('Error fetching opening times:', error);
-        openingTimesEl.textContent = OPENING_TIMES_DEFAULT;
+        console.error('Error updating favourite:', error);
+        showError('Failed to update favourite. Please try again.');
+    }
+}
+
+// "For you" highlight: the logged-in user's best recommendations for the shown day
+async function updateForYou(date) {
+    if (!forYouEl) return;
+
+    forYouEl.style.display = 'none';
+    forYouDate = date;
+
+    if (!date || !window.auth?.getUser?.()) return;
+
+    try {
+        const response = await fetchWithAuth(
+            `${API_BASE}/meals/recommended?location=${currentLocation}&date=${date}&limit=${FOR_YOU_LIMIT}${getProfileParam()}`
+        );
+        if (!response.ok) return;
+
+        const data = await response.json();
+        const picks = (data.meals || []).filter(meal => meal.recommendation.score > 0);
+        if (picks.length === 0) return;
+
+        forYouEl.innerHTML = `
+            <div class="for-you-label">[ FOR YOU ]</div>
+            ${picks.map(meal => `
+                <button type="button" class="for-you-item" data-meal-id="${meal.id}">
+                    <span class="for-you-name">${escapeHtml(meal.name)}</span>
+                    <span class="for-you-reason">${escapeHtml(meal.recommendation.reasons.join(' · '))}</span>
+                </button>
+            `).join('')}
+        `;
+        forYouEl.querySelectorAll('.for-you-item').forEach(item => {
+            item.addEventListener('click', () => {
+                document.querySelector(`.meal-card[data-meal-id="${item.dataset.mealId}"]`)
+                    ?.scrollIntoView({ behavior: 'smooth', block: 'center' });
+            });
+        });
+        forYouEl.style.display = 'block';
+    } catch (error) {
+        console.error('Error fetching recommendations:', error);
     }
 }
 
+// Load archived meals for a past date
+async function loadHistory() {
+    const response = await fetchWithAuth(
+        `${API_BASE}/meals/history?location=${currentLocation}&from=${currentDate}&to=${currentDate}${getProfileParam()}`
+    );
+
+    if (!response.ok) {
+        throw new Error(`HTTP error! status: ${response.status}`);
+    }
+
+    const data = await response.json();
+    updateFilterNotice(data.filters);
+    const day = (data.days || []).find(entry => entry.date === currentDate);
+    updateSubtitleWithDate(currentDate);
+    displayMeals(day ? day.meals : [], 'No archived meals for this date.');
+}
+
 // Load meals from API
 async function loadMeals() {
     showLoading();
     hideError();
 
+    if (isArchiveDate(currentDate)) {
+        if (staleNoticeEl) {
+            staleNoticeEl.style.display = 'none';
+        }
+        updateChangesNotice(currentDate);
+        updateForYou(null);
+
+        try {
+            await loadHistory();
+        } catch (error) {
+            console.error('Error loading meal history:', error);
+            showError('Failed to load meal history. Please try again.');
+        }
+        hideLoading();
+        return;
+    }
+
     try {
-        const response = await fetchWithAuth(`${API_BASE}/meals/today?location=${currentLocation}`);
+        const dateParam = currentDate ? `&date=${currentDate}` : '';
+        const response = await fetchWithAuth(`${API_BASE}/meals/today?location=${currentLocation}${dateParam}${getProfileParam()}`);
 
         if (!response.ok) {
             throw new Error(`HTTP error! status: ${response.status}`);
         }
 
         const data = await response.json();
+        if (staleNoticeEl) {
+            staleNoticeEl.style.display = data.stale ? 'block' : 'none';
+        }
+        updateFilterNotice(data.filters);
+
         if (data && typeof data.location === 'string') {
             currentLocation = data.location;
             if (locationSelect) {
                 locationSelect.value = currentLocation;
             }
             updateOpeningTimes(currentLocation);
+            updateCalendarLink(currentLocation);
         }
 
         if (data.message) {
@@ -185,6 +477,8 @@ async function loadMeals() {
         }
 
         displayMeals(data.meals, data.message);
+        updateChangesNotice(data.message ? null : data.date);
+        updateForYou(data.message ? null : data.date);
         hideLoading();
     } catch (error) {
         console.error('Error loading meals:', error);
@@ -251,6 +545,7 @@ function createMealCard(meal) {
     const priceInfo = getPriceInfo(meal.price_student);
     const showLocation = currentLocation === ALL_LOCATIONS_KEY;
     const locationLabel = showLocation ? getLocationLabel(meal.mensa_location) : '';
+    const isArchived = !!meal.archived;
 
     // Show category for specific types (like Nudelbar, Gemüsebar, etc.)
     const categoryPrefixes = ['nudelbar', 'gemüsebar', 'pastabar', 'salatbar', 'pottkieker'];
@@ -280,46 +575,255 @@ function createMealCard(meal) {
         </div>
     ` : '';
 
+    // Past days are read-only: show the archived totals instead of the comment thread
+    const commentsHTML = isArchived ? `
+            <div class="meal-archive-stats">
+                [ ARCHIVED ] 💬 ${meal.comment_count || 0} · 📸 ${photoCount} · big ${meal.big_portions || 0} / small ${meal.small_portions || 0}
+            </div>
+    ` : `
+            <button class="toggle-comments-btn" data-meal-id="${meal.id}">
+                💬 Show Comments (${meal.comment_count || 0})
+            </button>
+            <div class="comments-section" id="comments-${meal.id}" style="display: none;">
+                <div class="comments-header">[ COMMENTS ]</div>
+                <div class="comments-list" data-comment-target="meal:${meal.id}">
+                    <div class="loading">Loading comments...</div>
+                </div>
+                <form class="comment-form" data-comment-target="meal:${meal.id}">
+                    <input type="text" name="author_name" placeholder="Your name" required maxlength="50">
+                    <textarea name="comment_text" placeholder="Your comment (max 500 chars)" required maxlength="500"></textarea>
+                    <div class="comment-user-helper"></div>
+                    <button type="submit">Post Comment</button>
+                </form>
+            </div>
+    `;
+
     return `
-        <div class="meal-card" data-meal-id="${meal.id}" data-location="${meal.mensa_location || ''}">
+        <div class="meal-card ${isArchived ? 'archived' : ''}" data-meal-id="${meal.id}" data-location="${meal.mensa_location || ''}">
             <div class="meal-header">
                 <div class="meal-info">
                     ${showLocation && locationLabel ? `<div class="meal-location" data-location="${meal.mensa_location || ''}">${escapeHtml(locationLabel)}</div>` : ''}
-                    <div class="meal-name">${escapeHtml(displayName)}</div>
+                    ${meal.dish_id
+                        ? `<div class="meal-name-row">
+                            <a class="meal-name meal-dish-link" href="dish.html?id=${meal.dish_id}" title="Dish history">${escapeHtml(displayName)}</a>
+                            <button type="button" class="favorite-btn" data-dish-id="${meal.dish_id}">☆</button>
+                        </div>`
+                        : `<div class="meal-name">${escapeHtml(displayName)}</div>`}
                     ${meal.notes ? `<div class="meal-notes">${escapeHtml(meal.notes)}</div>` : ''}
+                    ${createAllergenHTML(meal)}
+                    ${createRatingHTML(meal, isArchived)}
                     ${priceInfo.display ? `<div class="meal-price">${escapeHtml(priceInfo.display)}</div>` : ''}
+                    ${createValueHTML(meal, priceInfo, isArchived)}
                 </div>
                 <div class="vote-section">
                     <div class="vote-item">
-                        <button class="vote-btn upvote-btn" data-meal-id="${meal.id}" data-vote="up">↑</button>
+                        <button class="vote-btn upvote-btn" data-meal-id="${meal.id}" data-vote="up" ${isArchived ? 'disabled' : ''}>↑</button>
                         <span class="vote-count vote-count-up">${upvotes}</span>
                     </div>
                     <div class="vote-item">
-                        <button class="vote-btn downvote-btn" data-meal-id="${meal.id}" data-vote="down">↓</button>
+                        <button class="vote-btn downvote-btn" data-meal-id="${meal.id}" data-vote="down" ${isArchived ? 'disabled' : ''}>↓</button>
                         <span class="vote-count vote-count-down">${downvotes}</span>
                     </div>
                 </div>
             </div>
             ${photoGalleryHTML}
-            <button class="toggle-comments-btn" data-meal-id="${meal.id}">
-                💬 Show Comments (${meal.comment_count || 0})
-            </button>
-            <div class="comments-section" id="comments-${meal.id}" style="display: none;">
-                <div class="comments-header">[ COMMENTS ]</div>
-                <div class="comments-list" id="comments-list-${meal.id}">
-                    <div class="loading">Loading comments...</div>
+            ${commentsHTML}
+        </div>
+    `;
+}
+
+// Decoded allergen/additive codes, labels with the raw code as tooltip
+function createAllergenHTML(meal) {
+    const rows = [
+        ['ALLERGENS', meal.allergens],
+        ['ADDITIVES', meal.additives]
+    ].filter(([, entries]) => Array.isArray(entries) && entries.length > 0);
+
+    if (rows.length === 0) {
+        return '';
+    }
+
+    return `
+        <div class="meal-allergens">
+            ${rows.map(([label, entries]) => `
+                <div class="meal-allergen-row">
+                    <span class="meal-allergen-label">[ ${label} ]</span>
+                    ${entries.map(entry => `<span class="meal-allergen" title="${escapeHtml(entry.code)}">${escapeHtml(entry.label)}</span>`).join('')}
                 </div>
-                <form class="comment-form" data-meal-id="${meal.id}">
-                    <input type="text" name="author_name" placeholder="Your name" required maxlength="50">
-                    <textarea name="comment_text" placeholder="Your comment (max 500 chars)" required maxlength="500"></textarea>
-                    <div class="comment-user-helper"></div>
-                    <button type="submit">Post Comment</button>
+            `).join('')}
+        </div>
+    `;
+}
+
+const RATING_CRITERIA = [
+    { key: 'taste', label: 'TASTE' },
+    { key: 'value', label: 'VALUE' },
+    { key: 'temperature', label: 'TEMP' }
+];
+
+function formatRatingSummary(ratings) {
+    if (!ratings || !ratings.count) {
+        return 'No ratings yet';
+    }
+
+    return RATING_CRITERIA
+        .filter(({ key }) => ratings[key] && ratings[key].average !== null)
+        .map(({ key, label }) => key === 'taste'
+            ? `★ ${ratings[key].average.toFixed(1)}`
+            : `${label} ${ratings[key].average.toFixed(1)}`)
+        .concat(`(${ratings.count})`)
+        .join(' · ');
+}
+
+// "5★ 3 · 4★ 1 ..." per criterion, shown as tooltip
+function formatRatingDistribution(ratings) {
+    if (!ratings || !ratings.count) {
+        return '';
+    }
+
+    return RATING_CRITERIA
+        .filter(({ key }) => ratings[key] && ratings[key].count > 0)
+        .map(({ key, label }) => `${label}: ${ratings[key].distribution
+            .map((count, index) => `${index + 1}★ ${count}`)
+            .reverse()
+            .join(', ')}`)
+        .join('\n');
+}
+
+// Optional detailed rating next to the quick up/down vote
+function createRatingHTML(meal, isArchived) {
+    const summary = `<div class="meal-rating-summary" title="${escapeHtml(formatRatingDistribution(meal.ratings))}">${escapeHtml(formatRatingSummary(meal.ratings))}</div>`;
+
+    if (isArchived) {
+        return `<div class="meal-ratings">${summary}</div>`;
+    }
+
+    return `
+        <div class="meal-ratings">
+            ${summary}
+            <button type="button" class="rate-toggle-btn" data-meal-id="${meal.id}">[ RATE ]</button>
+            <form class="rating-form" data-meal-id="${meal.id}" style="display: none;">
+                ${RATING_CRITERIA.map(({ key, label }) => `
+                    <div class="rating-row">
+                        <span class="rating-label">${label}</span>
+                        <span class="rating-stars" data-criterion="${key}">
+                            ${[1, 2, 3, 4, 5].map(score => `<button type="button" class="rating-star" data-score="${score}" aria-label="${label} ${score}">★</button>`).join('')}
+                        </span>
+                    </div>
+                `).join('')}
+                <button type="submit" class="rating-submit-btn">Save rating</button>
+            </form>
+        </div>
+    `;
+}
+
+// Value score, plus a served-weight report for per-100g meals (their score needs a typical weight)
+function createValueHTML(meal, priceInfo, isArchived) {
+    const hasScore = meal.value_score !== null && meal.value_score !== undefined;
+    const weight = meal.served_weight;
+    const weightText = weight
+        ? `≈ €${Number(meal.value_price).toFixed(2)} for ${weight.grams} g (${weight.reports} report${weight.reports === 1 ? '' : 's'})`
+        : 'No served weight reported yet';
+
+    if (!hasScore && !priceInfo.isWeightPrice) {
+        return '';
+    }
+
+    return `
+        <div class="meal-value">
+            ${hasScore ? `<span class="meal-value-score" title="Price weighed against portion size and rating">[ VALUE ${meal.value_score} ]</span>` : ''}
+            ${priceInfo.isWeightPrice ? `<span class="meal-served-weight">${escapeHtml(weightText)}</span>` : ''}
+            ${priceInfo.isWeightPrice && !isArchived ? `
+                <form class="served-weight-form" data-meal-id="${meal.id}">
+                    <input type="number" name="grams" min="50" max="2000" step="1" placeholder="g" required>
+                    <button type="submit" class="served-weight-btn">[ MY PLATE ]</button>
                 </form>
-            </div>
+            ` : ''}
         </div>
     `;
 }
 
+async function handleServedWeightSubmit(e) {
+    e.preventDefault();
+    const form = e.currentTarget;
+    const grams = Number(form.elements.grams.value);
+
+    try {
+        const response = await fetchWithAuth(`${API_BASE}/portions/${form.dataset.mealId}/weight`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ grams })
+        });
+        if (!response.ok) throw new Error('Failed to report weight');
+
+        // The typical weight feeds the value score, so reload to pick up the new numbers
+        await loadMeals();
+    } catch (error) {
+        console.error('Error reporting served weight:', error);
+        showError('Failed to save the weight. Enter whole grams between 50 and 2000.');
+    }
+}
+
+function handleRateToggle(e) {
+    const form = e.currentTarget.closest('.meal-ratings').querySelector('.rating-form');
+    form.style.display = form.style.display === 'none' ? 'block' : 'none';
+}
+
+function handleRatingStarClick(e) {
+    const star = e.currentTarget;
+    const group = star.closest('.rating-stars');
+    const score = Number(star.dataset.score);
+    // Clicking the selected score again clears that criterion
+    const nextScore = Number(group.dataset.score) === score ? 0 : score;
+
+    group.dataset.score = nextScore;
+    group.querySelectorAll('.rating-star').forEach(btn => {
+        btn.classList.toggle('active', Number(btn.dataset.score) <= nextScore);
+    });
+}
+
+async function handleRatingSubmit(e) {
+    e.preventDefault();
+    const form = e.currentTarget;
+    const mealId = form.dataset.mealId;
+    const rating = {};
+
+    form.querySelectorAll('.rating-stars').forEach(group => {
+        const score = Number(group.dataset.score || 0);
+        if (score > 0) {
+            rating[group.dataset.criterion] = score;
+        }
+    });
+
+    if (Object.keys(rating).length === 0) {
+        showError('Pick at least one score before saving.');
+        return;
+    }
+
+    try {
+        const response = await fetchWithAuth(`${API_BASE}/votes/${mealId}`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ rating })
+        });
+        if (!response.ok) throw new Error('Failed to rate');
+        const data = await response.json();
+
+        const summaryEl = form.closest('.meal-ratings').querySelector('.meal-rating-summary');
+        summaryEl.textContent = formatRatingSummary(data.ratings);
+        summaryEl.title = formatRatingDistribution(data.ratings);
+        form.style.display = 'none';
+
+        const mealIndex = currentMeals.findIndex(m => String(m.id) === String(mealId));
+        if (mealIndex !== -1) {
+            currentMeals[mealIndex] = { ...currentMeals[mealIndex], ratings: data.ratings };
+        }
+    } catch (error) {
+        console.error('Error rating meal:', error);
+        showError('Failed to save rating. Please try again.');
+    }
+}
+
 // Attach event listeners to dynamically created elements
 function attachEventListeners() {
     // Vote buttons
@@ -327,6 +831,26 @@ function attachEventListeners() {
         btn.addEventListener('click', handleVote);
     });
 
+    // Detailed ratings
+    document.querySelectorAll('.rate-toggle-btn').forEach(btn => {
+        btn.addEventListener('click', handleRateToggle);
+    });
+    document.querySelectorAll('.rating-star').forEach(btn => {
+        btn.addEventListener('click', handleRatingStarClick);
+    });
+    document.querySelectorAll('.rating-form').forEach(form => {
+        form.addEventListener('submit', handleRatingSubmit);
+    });
+    document.querySelectorAll('.served-weight-form').forEach(form => {
+        form.addEventListener('submit', handleServedWeightSubmit);
+    });
+
+    // Favourite stars
+    document.querySelectorAll('.favorite-btn').forEach(btn => {
+        updateFavoriteButton(btn);
+        btn.addEventListener('click', handleFavoriteToggle);
+    });
+
     // Toggle comments
     document.querySelectorAll('.toggle-comments-btn').forEach(btn => {
         btn.addEventListener('click', handleToggleComments);
@@ -334,7 +858,7 @@ function attachEventListeners() {
 
     // Comment forms
     document.querySelectorAll('.comment-form').forEach(form => {
-        form.addEventListener('submit', handleCommentSubmit);
+        form.addEventListener('submit', commentThreads.submit);
     });
 
     syncAllCommentForms();
@@ -367,6 +891,7 @@ async function handleVote(e) {
                 const counts = await countsResponse.json();
                 data.upvotes = counts.upvotes;
                 data.downvotes = counts.downvotes;
+                data.score = counts.score;
             }
         } else {
             // Cast / toggle vote. Backend toggles off if same type exists
@@ -411,10 +936,11 @@ async function handleVote(e) {
             currentMeals[mealIndex] = {
                 ...currentMeals[mealIndex],
                 upvotes: data.upvotes || 0,
-                downvotes: data.downvotes || 0
+                downvotes: data.downvotes || 0,
+                score: data.score || 0
             };
 
-            if (currentSort === 'upvotes') {
+            if (currentSort === 'score') {
                 renderMeals();
             }
         }
@@ -439,324 +965,29 @@ async function handleToggleComments(e) {
         commentsSection.style.display = 'block';
         btn.innerHTML = `💬 Hide Comments (${count})`;
         applyCommentIdentityToForm(commentsSection.querySelector('.comment-form'));
-        await loadComments(mealId);
+        await commentThreads.load('meal', mealId);
     } else {
         commentsSection.style.display = 'none';
         btn.innerHTML = `💬 Show Comments (${count})`;
     }
 }
 
-// Load comments for a meal
-async function loadComments(mealId) {
-    const commentsList = document.getElementById(`comments-list-${mealId}`);
-    commentsList.innerHTML = '<div class="loading">Loading comments...</div>';
-
-    try {
-        const response = await fetchWithAuth(`${API_BASE}/comments/${mealId}`);
-
-        if (!response.ok) {
-            throw new Error('Failed to load comments');
-        }
-
-        const data = await response.json();
-        displayComments(mealId, data.comments);
-        syncAllCommentForms();
-
-    } catch (error) {
-        console.error('Error loading comments:', error);
-        commentsList.innerHTML = '<p>Failed to load comments.</p>';
-    }
-}
-
-// Organize comments into hierarchy (recursive nesting)
-function organizeComments(comments) {
-    // Create a map for quick lookup
-    const commentMap = new Map();
-    comments.forEach(comment => {
-        commentMap.set(comment.id, { ...comment, replies: [] });
-    });
-
-    // Build the tree structure
-    const topLevel = [];
-    commentMap.forEach(comment => {
-        if (comment.parent_comment_id) {
-            const parent = commentMap.get(comment.parent_comment_id);
-            if (parent) {
-                parent.replies.push(comment);
-            }
-        } else {
-            topLevel.push(comment);
-        }
-    });
-
-    return topLevel;
-}
-
-// Recursive function to render a single comment and its replies
-function renderComment(comment, mealId) {
-    const isAdmin = !!comment.is_admin;
-    const isGuest = !!comment.is_guest && !isAdmin;
-    const authorLabel = `
-        <span class="comment-author ${isAdmin ? 'admin' : ''} ${isGuest ? 'guest' : ''}">
-            ${escapeHtml(comment.author_name)}${isAdmin ? ' (Admin)' : ''}${isGuest ? ' (Guest)' : ''}
-        </span>`;
-
-    return `
-        <div class="comment ${comment.parent_comment_id ? 'comment-reply' : ''}" data-comment-id="${comment.id}">
-            <div class="comment-header">
-                ${authorLabel}
-                <span class="comment-time">${formatTime(comment.timestamp)}</span>
-                ${comment.is_owner ? `<button class="delete-comment-btn" onclick="handleDeleteMealComment(${comment.id}, ${mealId})" title="Delete comment">×</button>` : ''}
-            </div>
-            <div class="comment-text">${escapeHtml(comment.comment_text)}</div>
-            <button class="reply-btn" onclick="handleShowReplyForm(${comment.id}, ${mealId})">Reply</button>
-            <div class="reply-form-container" id="reply-form-${comment.id}" style="display: none;">
-                <form class="comment-form reply-form" onsubmit="handleReplySubmit(event, ${comment.id}, ${mealId})">
-                    <input type="text" name="author_name" placeholder="Your name" maxlength="50" required>
-                    <textarea name="comment_text" placeholder="Your reply..." maxlength="500" required></textarea>
-                    <div class="comment-user-helper"></div>
-                    <div class="reply-form-actions">
-                        <button type="submit">Post Reply</button>
-                        <button type="button" onclick="handleCancelReply(${comment.id})">Cancel</button>
-                    </div>
-                </form>
-            </div>
-            ${comment.replies && comment.replies.length > 0 ? `
-                <div class="comment-replies">
-                    ${comment.replies.map(reply => renderComment(reply, mealId)).join('')}
-                </div>
-            ` : ''}
-        </div>
-    `;
-}
-
-// Display comments
-function displayComments(mealId, comments) {
-    const commentsList = document.getElementById(`comments-list-${mealId}`);
-
-    if (!comments || comments.length === 0) {
-        commentsList.innerHTML = '<p style="color: #999; font-size: 0.9em;">No comments yet. Be the first to comment!</p>';
-        return;
-    }
-
-    const organizedComments = organizeComments(comments);
-    const html = organizedComments.map(comment => renderComment(comment, mealId)).join('');
-    commentsList.innerHTML = html;
-}
-
-// Handle delete meal comment
-async function handleDeleteMealComment(commentId, mealId) {
-    if (!confirm('Are you sure you want to delete this comment?')) {
-        return;
-    }
-
-    try {
-        const response = await fetchWithAuth(`${API_BASE}/comments/${commentId}`, {
-            method: 'DELETE'
-        });
-
-        const data = await response.json();
-
-        if (!response.ok) {
-            throw new Error(data.error || 'Failed to delete comment');
-        }
-
-        // Remove comment from UI
-        const commentEl = document.querySelector(`[data-comment-id="${commentId}"]`);
-        if (commentEl) {
-            commentEl.remove();
-        }
-
-        // Update comment count in currentMeals array
-        const mealIndex = currentMeals.findIndex(m => String(m.id) === String(mealId));
-        if (mealIndex !== -1 && currentMeals[mealIndex].comment_count > 0) {
-            currentMeals[mealIndex].comment_count--;
-
-            // Update button text
-            const btn = document.querySelector(`.toggle-comments-btn[data-meal-id="${mealId}"]`);
-            const commentsSection = document.getElementById(`comments-${mealId}`);
-            if (btn) {
-                const count = currentMeals[mealIndex].comment_count;
-                const isHidden = commentsSection.style.display === 'none';
-                const text = isHidden ? 'Show Comments' : 'Hide Comments';
-                btn.innerHTML = `💬 ${text} (${count})`;
-            }
-        }
-
-        // Check if comments list is empty
-        const commentsList = document.getElementById(`comments-list-${mealId}`);
-        if (commentsList && commentsList.children.length === 0) {
-            commentsList.innerHTML = '<p style="color: #999; font-size: 0.9em;">No comments yet. Be the first to comment!</p>';
-        }
-
-    } catch (error) {
-        console.error('Error deleting comment:', error);
-        showError(error.message || 'Failed to delete comment. You can only delete your own comments.');
-    }
-}
-
-// Expose function to global scope for onclick
-window.handleDeleteMealComment = handleDeleteMealComment;
-
-// Show reply form
-function handleShowReplyForm(commentId, mealId) {
-    const replyFormContainer = document.getElementById(`reply-form-${commentId}`);
-    if (replyFormContainer) {
-        replyFormContainer.style.display = 'block';
-        // Focus on the name input
-        const nameInput = replyFormContainer.querySelector('[name="author_name"]');
-        if (nameInput) nameInput.focus();
-        applyCommentIdentityToForm(replyFormContainer.querySelector('form'));
-    }
-}
-
-// Cancel reply
-function handleCancelReply(commentId) {
-    const replyFormContainer = document.getElementById(`reply-form-${commentId}`);
-    if (replyFormContainer) {
-        replyFormContainer.style.display = 'none';
-        // Clear the form
-        const form = replyFormContainer.querySelector('form');
-        if (form) form.reset();
-    }
-}
-
-// Handle reply submission
-async function handleReplySubmit(e, parentCommentId, mealId) {
-    e.preventDefault();
-
-    const form = e.target;
-    const username = getCurrentUsername();
-    const nameInput = form.querySelector('[name="author_name"]');
-    const author_name = username || (nameInput?.value.trim() || '');
-    const comment_text = form.querySelector('[name="comment_text"]').value.trim();
-    if (!comment_text) {
-        showError('Comment cannot be empty.');
-        return;
-    }
-    if (!author_name) {
-        showError('Name is required for guest comments.');
-        return;
-    }
-
-    try {
-        const response = await fetchWithAuth(`${API_BASE}/comments/${mealId}`, {
-            method: 'POST',
-            headers: {
-                'Content-Type': 'application/json'
-            },
-            body: JSON.stringify({
-                author_name,
-                comment_text,
-                parent_comment_id: parentCommentId
-            })
-        });
-
-        let responseData = {};
-        try {
-            responseData = await response.json();
-        } catch (parseError) {
-            responseData = {};
-        }
-
-        if (!response.ok) {
-            throw new Error(responseData.error || 'Failed to post reply');
-        }
-
-        // Clear form and hide
-        form.reset();
-        handleCancelReply(parentCommentId);
-
-        // Update comment count (replies also count as comments)
-        const mealIndex = currentMeals.findIndex(m => String(m.id) === String(mealId));
-        if (mealIndex !== -1) {
-            currentMeals[mealIndex].comment_count = (currentMeals[mealIndex].comment_count || 0) + 1;
-
-            // Update button text
-            const btn = document.querySelector(`.toggle-comments-btn[data-meal-id="${mealId}"]`);
-            if (btn) {
-                const count = currentMeals[mealIndex].comment_count;
-                btn.innerHTML = `💬 Hide Comments (${count})`;
-            }
-        }
+// Keep the toggle button's count in step with posted and deleted comments
+function handleCommentCountChange(targetType, mealId, delta) {
+    const meal = currentMeals.find(m => String(m.id) === String(mealId));
+    if (targetType !== 'meal' || !meal) return;
 
-        // Reload comments
-        await loadComments(mealId);
+    meal.comment_count = Math.max(0, (meal.comment_count || 0) + delta);
 
-    } catch (error) {
-        console.error('Error posting reply:', error);
-        showError(error.message || 'Failed to post reply. Please try again.');
+    const btn = document.querySelector(`.toggle-comments-btn[data-meal-id="${mealId}"]`);
+    const commentsSection = document.getElementById(`comments-${mealId}`);
+    if (btn) {
+        const text = commentsSection?.style.display === 'none' ? 'Show Comments' : 'Hide Comments';
+        btn.innerHTML = `💬 ${text} (${meal.comment_count})`;
     }
 }
 
-// Expose functions to global scope
-window.handleShowReplyForm = handleShowReplyForm;
-window.handleCancelReply = handleCancelReply;
-window.handleReplySubmit = handleReplySubmit;
-
-// Handle comment submission
-async function handleCommentSubmit(e) {
-    e.preventDefault();
-
-    const form = e.target;
-    const mealId = form.dataset.mealId;
-    const username = getCurrentUsername();
-    const nameInput = form.querySelector('[name="author_name"]');
-    const author_name = username || (nameInput?.value.trim() || '');
-    const comment_text = form.querySelector('[name="comment_text"]').value.trim();
-    if (!comment_text) {
-        showError('Comment cannot be empty.');
-        return;
-    }
-    if (!author_name) {
-        showError('Name is required for guest comments.');
-        return;
-    }
-
-    try {
-        const response = await fetchWithAuth(`${API_BASE}/comments/${mealId}`, {
-            method: 'POST',
-            headers: {
-                'Content-Type': 'application/json'
-            },
-            body: JSON.stringify({ author_name, comment_text })
-        });
-
-        let responseData = {};
-        try {
-            responseData = await response.json();
-        } catch (parseError) {
-            responseData = {};
-        }
-
-        if (!response.ok) {
-            throw new Error(responseData.error || 'Failed to post comment');
-        }
-
-        // Clear form
-        form.reset();
-
-        // Update comment count in currentMeals array
-        const mealIndex = currentMeals.findIndex(m => String(m.id) === String(mealId));
-        if (mealIndex !== -1) {
-            currentMeals[mealIndex].comment_count = (currentMeals[mealIndex].comment_count || 0) + 1;
-
-            // Update button text
-            const btn = document.querySelector(`.toggle-comments-btn[data-meal-id="${mealId}"]`);
-            if (btn) {
-                const count = currentMeals[mealIndex].comment_count;
-                btn.innerHTML = `💬 Hide Comments (${count})`;
-            }
-        }
-
-        // Reload comments
-        await loadComments(mealId);
-
-    } catch (error) {
-        console.error('Error posting comment:', error);
-        showError(error.message || 'Failed to post comment. Please try again.');
-    }
-}
+commentThreads.configure({ onCountChange: handleCommentCountChange });
 
 // Utility functions
 function showLoading() {
@@ -787,11 +1018,7 @@ function escapeHtml(text) {
 }
 
 function getLocationLabel(locationId) {
-    if (!locationId) {
-        return 'Unknown Mensa';
-    }
-
-    return LOCATION_LABELS[locationId] || locationId;
+    return window.mensaLocations.getLabel(locationId);
 }
 
 function getPriceInfo(price) {
@@ -839,9 +1066,11 @@ function sortMeals(meals, sortOption) {
     switch (sortOption) {
         case 'price':
             return [...meals].sort(compareByPrice);
-        case 'upvotes':
+        case 'value':
+            return [...meals].sort(compareByValue);
+        case 'score':
         default:
-            return [...meals].sort(compareByUpvotes);
+            return [...meals].sort(compareByScore);
     }
 }
 
@@ -883,7 +1112,31 @@ function compareByPrice(a, b) {
     return a.name.localeCompare(b.name, 'de', { sensitivity: 'base' });
 }
 
-function compareByUpvotes(a, b) {
+// Server-computed value score; meals without one (e.g. unweighed per-100g) go last
+function compareByValue(a, b) {
+    const hasA = a.value_score !== null && a.value_score !== undefined;
+    const hasB = b.value_score !== null && b.value_score !== undefined;
+
+    if (hasA !== hasB) {
+        return hasA ? -1 : 1;
+    }
+
+    if (hasA && a.value_score !== b.value_score) {
+        return b.value_score - a.value_score;
+    }
+
+    return compareByScore(a, b);
+}
+
+// Server-computed Wilson score first, so 40 up / 5 down beats 1 up / 0 down
+function compareByScore(a, b) {
+    const scoreA = a.score || 0;
+    const scoreB = b.score || 0;
+
+    if (scoreA !== scoreB) {
+        return scoreB - scoreA;
+    }
+
     const netA = getNetVotes(a);
     const netB = getNetVotes(b);
 
@@ -135,6 +135,16 @@ function wireUserMenu(user) {
     const errorEl = document.getElementById('username-error');
     const mainView = document.getElementById('menu-main-view');
     const usernameView = document.getElementById('menu-username-view');
+    const dietProfileBtn = document.getElementById('diet-profile-btn');
+    const dietView = document.getElementById('menu-diet-view');
+    const dietSaveBtn = document.getElementById('diet-save-btn');
+    const dietBackBtn = document.getElementById('diet-back-btn');
+    const notificationsBtn = document.getElementById('notifications-btn');
+    const notificationsView = document.getElementById('menu-notifications-view');
+    const notificationsBackBtn = document.getElementById('notifications-back-btn');
+    const digestBtn = document.getElementById('digest-btn');
+    const digestView = document.getElementById('menu-digest-view');
+    const digestBackBtn = document.getElementById('digest-back-btn');
 
     if (usernameInput) {
         usernameInput.value = getDisplayNameFromUser(user) || '';
@@ -178,6 +188,64 @@ function wireUserMenu(user) {
         saveBtn.addEventListener('click', handleUsernameUpdate);
     }
 
+    if (dietProfileBtn) {
+        dietProfileBtn.addEventListener('click', () => {
+            mainView.style.display = 'none';
+            dietView.style.display = 'block';
+            loadDietaryProfileForm();
+        });
+    }
+
+    if (dietBackBtn) {
+        dietBackBtn.addEventListener('click', () => {
+            mainView.style.display = 'block';
+            dietView.style.display = 'none';
+        });
+    }
+
+    if (dietSaveBtn) {
+        dietSaveBtn.addEventListener('click', handleDietaryProfileSave);
+    }
+
+    if (digestBtn) {
+        digestBtn.addEventListener('click', () => {
+            mainView.style.display = 'none';
+            digestView.style.display = 'block';
+            loadDigestForm();
+        });
+    }
+
+    if (digestBackBtn) {
+        digestBackBtn.addEventListener('click', () => {
+            mainView.style.display = 'block';
+            digestView.style.display = 'none';
+        });
+    }
+
+    document.getElementById('digest-save-btn')?.addEventListener('click', handleDigestSave);
+    document.getElementById('digest-unsubscribe-btn')?.addEventListener('click', handleDigestUnsubscribe);
+
+    if (notificationsBtn) {
+        notificationsBtn.addEventListener('click', () => {
+            mainView.style.display = 'none';
+            notificationsView.style.display = 'block';
+            loadNotificationsList();
+            updatePushButton();
+        });
+    }
+
+    const pushToggleBtn = document.getElementById('push-toggle-btn');
+    if (pushToggleBtn) {
+        pushToggleBtn.addEventListener('click', handlePushToggle);
+    }
+
+    if (notificationsBackBtn) {
+        notificationsBackBtn.addEventListener('click', () => {
+            mainView.style.display = 'block';
+            notificationsView.style.display = 'none';
+        });
+    }
+
     if (!userMenuOutsideListenerBound) {
         document.addEventListener('click', (e) => {
             const profile = document.querySelector('.user-profile');
@@ -189,6 +257,7 @@ function wireUserMenu(user) {
     }
 
     fetchAndRenderStreak();
+    updateNotificationBadge();
 }
 
 // UI Updates
@@ -205,6 +274,9 @@ function updateAuthUI(user) {
                     <div id="user-menu" class="user-menu">
                         <div id="menu-main-view">
                             <button id="change-username-btn" class="auth-btn auth-btn-compact menu-option-btn">Change Username</button>
+                            <button id="notifications-btn" class="auth-btn auth-btn-compact menu-option-btn">Notifications <span id="notifications-count" class="notifications-count"></span></button>
+                            <button id="diet-profile-btn" class="auth-btn auth-btn-compact menu-option-btn">Dietary Profile</button>
+                            <button id="digest-btn" class="auth-btn auth-btn-compact menu-option-btn">Email Digest</button>
                             <button id="delete-account-btn" class="auth-btn auth-btn-compact menu-option-btn danger-btn">Delete Account</button>
                             <button id="logout-btn" class="auth-btn auth-btn-compact logout-btn">[ LOGOUT ]</button>
                         </div>
@@ -218,6 +290,36 @@ function updateAuthUI(user) {
                                 <button id="username-back-btn" class="auth-btn auth-btn-compact">Back</button>
                             </div>
                         </div>
+                        <div id="menu-notifications-view" style="display:none;">
+                            <div class="user-menu-section">
+                                <label class="user-menu-label">[ NOTIFICATIONS ]</label>
+                                <div class="user-menu-meta">Star a dish (☆) to hear when it is on the menu.</div>
+                                <div id="notifications-list" class="notifications-list"></div>
+                                <button id="push-toggle-btn" class="auth-btn auth-btn-compact" style="display:none;">[ PUSH: OFF ]</button>
+                                <button id="notifications-back-btn" class="auth-btn auth-btn-compact">Back</button>
+                            </div>
+                        </div>
+                        <div id="menu-diet-view" style="display:none;">
+                            <div class="user-menu-section">
+                                <label class="user-menu-label">[ DIETARY PROFILE ]</label>
+                                <div class="user-menu-meta">Applied to meal lists and the photo feed by default.</div>
+                                <div id="diet-profile-form" class="diet-profile-form"></div>
+                                <div id="diet-profile-error" class="user-menu-error"></div>
+                                <button id="diet-save-btn" class="auth-btn auth-btn-compact">Save</button>
+                                <button id="diet-back-btn" class="auth-btn auth-btn-compact">Back</button>
+                            </div>
+                        </div>
+                        <div id="menu-digest-view" style="display:none;">
+                            <div class="user-menu-section">
+                                <label class="user-menu-label">[ EMAIL DIGEST ]</label>
+                                <div class="user-menu-meta">Today's menu in your inbox at 10:30, with your dietary profile applied.</div>
+                                <div id="digest-form" class="diet-profile-form"></div>
+                                <div id="digest-error" class="user-menu-error"></div>
+                                <button id="digest-save-btn" class="auth-btn auth-btn-compact">Subscribe</button>
+                                <button id="digest-unsubscribe-btn" class="auth-btn auth-btn-compact" style="display:none;">Unsubscribe</button>
+                                <button id="digest-back-btn" class="auth-btn auth-btn-compact">Back</button>
+                            </div>
+                        </div>
                     </div>
                 </div>
             `;
@@ -538,6 +640,304 @@ async function handleUsernameUpdate() {
     updateAuthUI(currentUser);
 }
 
+// Notifications: unread count on the menu button, opening the list marks everything read
+async function updateNotificationBadge() {
+    const countEl = document.getElementById('notifications-count');
+    if (!countEl) return;
+
+    try {
+        const response = await authFetch('/api/user/notifications?unread=1');
+        if (!response.ok) return;
+        const { unread = 0 } = await response.json();
+        countEl.textContent = unread > 0 ? `[ ${unread} ]` : '';
+    } catch (err) {
+        console.error('Notification count error:', err);
+    }
+}
+
+async function loadNotificationsList() {
+    const listEl = document.getElementById('notifications-list');
+    if (!listEl) return;
+
+    listEl.innerHTML = '<div class="user-menu-meta">Loading...</div>';
+
+    try {
+        const response = await authFetch('/api/user/notifications');
+        if (!response.ok) throw new Error('Failed to load notifications');
+        const { notifications = [] } = await response.json();
+
+        listEl.innerHTML = notifications.length === 0
+            ? '<div class="user-menu-meta">No notifications yet.</div>'
+            : notifications.map(item => `
+                <a class="notification-item ${item.read ? '' : 'unread'}" href="${escapeAttr(item.url || '#')}">
+                    <span class="notification-title">${escapeHtml(item.title)}</span>
+                    ${item.body ? `<span class="notification-body">${escapeHtml(item.body)}</span>` : ''}
+                </a>
+            `).join('');
+
+        if (notifications.some(item => !item.read)) {
+            await authFetch('/api/user/notifications/read', {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({})
+            });
+            updateNotificationBadge();
+        }
+    } catch (err) {
+        console.error('Notifications error:', err);
+        listEl.innerHTML = '<div class="user-menu-error">[ ERROR: Could not load notifications ]</div>';
+    }
+}
+
+document.addEventListener('notifications:changed', updateNotificationBadge);
+
+// Web Push: the service worker shows alerts while the site is closed
+function isPushSupported() {
+    return 'serviceWorker' in navigator && 'PushManager' in window && 'Notification' in window;
+}
+
+function urlBase64ToUint8Array(base64) {
+    const padded = (base64 + '='.repeat((4 - (base64.length % 4)) % 4)).replace(/-/g, '+').replace(/_/g, '/');
+    const raw = atob(padded);
+    return Uint8Array.from([...raw].map(char => char.charCodeAt(0)));
+}
+
+async function getPushSubscription() {
+    const registration = await navigator.serviceWorker.register('/sw.js');
+    return registration.pushManager.getSubscription();
+}
+
+async function updatePushButton() {
+    const btn = document.getElementById('push-toggle-btn');
+    if (!btn || !isPushSupported()) return;
+
+    try {
+        const config = await (await fetch('/api/push/public-key')).json();
+        if (!config.enabled) return;
+
+        const subscription = await getPushSubscription();
+        btn.textContent = subscription ? '[ PUSH: ON ]' : '[ PUSH: OFF ]';
+        btn.dataset.enabled = subscription ? 'true' : 'false';
+        btn.style.display = '';
+    } catch (err) {
+        console.error('Push status error:', err);
+    }
+}
+
+async function handlePushToggle() {
+    const btn = document.getElementById('push-toggle-btn');
+
+    try {
+        const subscription = await getPushSubscription();
+
+        if (subscription) {
+            await authFetch('/api/push/unsubscribe', {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ endpoint: subscription.endpoint })
+            });
+            await subscription.unsubscribe();
+        } else {
+            if (await Notification.requestPermission() !== 'granted') {
+                btn.textContent = '[ PUSH: BLOCKED ]';
+                return;
+            }
+
+            const { publicKey } = await (await fetch('/api/push/public-key')).json();
+            const registration = await navigator.serviceWorker.ready;
+            const created = await registration.pushManager.subscribe({
+                userVisibleOnly: true,
+                applicationServerKey: urlBase64ToUint8Array(publicKey)
+            });
+            const response = await authFetch('/api/push/subscribe', {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ subscription: created.toJSON() })
+            });
+            if (!response.ok) {
+                await created.unsubscribe();
+                throw new Error('Failed to save subscription');
+            }
+        }
+    } catch (err) {
+        console.error('Push toggle error:', err);
+        btn.textContent = '[ PUSH: ERROR ]';
+        return;
+    }
+
+    updatePushButton();
+}
+
+// Dietary profile: "only show" takes dietary tags, "hide" also takes allergen groups
+async function loadDietaryProfileForm() {
+    const formEl = document.getElementById('diet-profile-form');
+    const errorEl = document.getElementById('diet-profile-error');
+    if (!formEl) return;
+
+    formEl.innerHTML = '<div class="user-menu-meta">Loading...</div>';
+    if (errorEl) errorEl.textContent = '';
+
+    try {
+        const [optionsResponse, profileResponse] = await Promise.all([
+            fetch('/api/meals/dietary-options'),
+            authFetch('/api/user/dietary-profile')
+        ]);
+
+        if (!optionsResponse.ok || !profileResponse.ok) {
+            throw new Error('Failed to load dietary profile');
+        }
+
+        const { options = [] } = await optionsResponse.json();
+        const profile = await profileResponse.json();
+        const tags = options.filter(option => option.type === 'tag');
+        const groups = options.filter(option => option.type === 'allergen_group');
+
+        const renderOptions = (list, entries, selected) => entries.map(option => `
+            <label class="diet-option" title="${escapeAttr(option.label)}">
+                <input type="checkbox" data-list="${list}" value="${escapeAttr(option.token)}" ${selected.includes(option.token) ? 'checked' : ''}>
+                ${escapeHtml(option.type === 'tag' ? option.token : option.token.toUpperCase())}
+            </label>
+        `).join('');
+
+        formEl.innerHTML = `
+            <div class="user-menu-label">[ ONLY SHOW ]</div>
+            <div class="diet-option-list">${renderOptions('include', tags, profile.include || [])}</div>
+            <div class="user-menu-label">[ HIDE ]</div>
+            <div class="diet-option-list">${renderOptions('exclude', [...tags, ...groups], profile.exclude || [])}</div>
+        `;
+    } catch (err) {
+        console.error('Dietary profile error:', err);
+        formEl.innerHTML = '';
+        if (errorEl) errorEl.textContent = '[ ERROR: Could not load dietary profile ]';
+    }
+}
+
+async function handleDietaryProfileSave() {
+    const formEl = document.getElementById('diet-profile-form');
+    const errorEl = document.getElementById('diet-profile-error');
+    if (!formEl) return;
+
+    const checked = list => [...formEl.querySelectorAll(`input[data-list="${list}"]:checked`)].map(input => input.value);
+
+    if (errorEl) errorEl.textContent = 'Saving...';
+
+    try {
+        const response = await authFetch('/api/user/dietary-profile', {
+            method: 'PUT',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ include: checked('include'), exclude: checked('exclude') })
+        });
+        const data = await response.json();
+
+        if (!response.ok) {
+            throw new Error(data.error || 'Failed to save dietary profile');
+        }
+
+        if (errorEl) errorEl.textContent = '';
+        document.getElementById('menu-main-view').style.display = 'block';
+        document.getElementById('menu-diet-view').style.display = 'none';
+        toggleUserMenu(false);
+        document.dispatchEvent(new CustomEvent('dietary-profile:changed', { detail: data }));
+    } catch (err) {
+        console.error('Dietary profile save error:', err);
+        if (errorEl) errorEl.textContent = `[ ERROR: ${err.message} ]`;
+    }
+}
+
+// Email digest: pick the locations whose menu is mailed at 10:30
+async function loadDigestForm() {
+    const formEl = document.getElementById('digest-form');
+    const errorEl = document.getElementById('digest-error');
+    const saveBtn = document.getElementById('digest-save-btn');
+    const unsubscribeBtn = document.getElementById('digest-unsubscribe-btn');
+    if (!formEl) return;
+
+    formEl.innerHTML = '<div class="user-menu-meta">Loading...</div>';
+    if (errorEl) errorEl.textContent = '';
+
+    try {
+        const [locationsResponse, digestResponse] = await Promise.all([
+            fetch('/api/meals/locations'),
+            authFetch('/api/digest')
+        ]);
+
+        if (!locationsResponse.ok || !digestResponse.ok) {
+            throw new Error('Failed to load email digest');
+        }
+
+        const { details = [] } = await locationsResponse.json();
+        const { enabled, subscription } = await digestResponse.json();
+        const selected = subscription ? subscription.locations : [];
+
+        if (!enabled && !subscription) {
+            formEl.innerHTML = '<div class="user-menu-meta">Email is not available right now.</div>';
+            saveBtn.style.display = 'none';
+            unsubscribeBtn.style.display = 'none';
+            return;
+        }
+
+        formEl.innerHTML = `
+            ${subscription ? `<div class="user-menu-meta">Sending to ${escapeHtml(subscription.email)}</div>` : ''}
+            <div class="diet-option-list">
+                ${details.map(location => `
+                    <label class="diet-option" title="${escapeAttr(location.name)}">
+                        <input type="checkbox" value="${escapeAttr(location.id)}" ${selected.includes(location.id) ? 'checked' : ''}>
+                        ${escapeHtml(location.shortName || location.name)}
+                    </label>
+                `).join('')}
+            </div>
+        `;
+        saveBtn.style.display = enabled ? '' : 'none';
+        saveBtn.textContent = subscription ? 'Save' : 'Subscribe';
+        unsubscribeBtn.style.display = subscription ? '' : 'none';
+    } catch (err) {
+        console.error('Email digest error:', err);
+        formEl.innerHTML = '';
+        if (errorEl) errorEl.textContent = '[ ERROR: Could not load email digest ]';
+    }
+}
+
+async function handleDigestSave() {
+    const formEl = document.getElementById('digest-form');
+    const errorEl = document.getElementById('digest-error');
+    if (!formEl) return;
+
+    const locations = [...formEl.querySelectorAll('input:checked')].map(input => input.value);
+
+    if (errorEl) errorEl.textContent = 'Saving...';
+
+    try {
+        const response = await authFetch('/api/digest', {
+            method: 'PUT',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ locations })
+        });
+        const data = await response.json();
+
+        if (!response.ok) {
+            throw new Error(data.error || 'Failed to subscribe');
+        }
+
+        loadDigestForm();
+    } catch (err) {
+        console.error('Email digest save error:', err);
+        if (errorEl) errorEl.textContent = `[ ERROR: ${err.message} ]`;
+    }
+}
+
+async function handleDigestUnsubscribe() {
+    const errorEl = document.getElementById('digest-error');
+
+    try {
+        const response = await authFetch('/api/digest', { method: 'DELETE' });
+        if (!response.ok) throw new Error('Failed to unsubscribe');
+        loadDigestForm();
+    } catch (err) {
+        console.error('Email digest unsubscribe error:', err);
+        if (errorEl) errorEl.textContent = `[ ERROR: ${err.message} ]`;
+    }
+}
+
 async function handleDeleteAccount() {
     const confirmed = confirm(
         'Are you sure you want to delete your account?\n\n' +
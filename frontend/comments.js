@@ -0,0 +1,317 @@
+/**
+ * Comment threads shared by the menu and the photo feed.
+ * Meals and photos are both comment targets of /api/comments, so one
+ * renderer handles both. Lists and forms name their target with
+ * data-comment-target="meal:12" / "photo:7".
+ *
+ * Relies on the page's fetchWithAuth, escapeHtml, formatTime, showError,
+ * getCurrentUsername and applyCommentIdentityToForm.
+ */
+
+const COMMENTS_API = '/api/comments';
+const COMMENTS_EMPTY_HTML = '<p class="comments-empty">No comments yet. Be the first to comment!</p>';
+
+let onCommentCountChange = null;
+
+/**
+ * @param {Object} options
+ * @param {Function} [options.onCountChange] - (targetType, targetId, delta) after posting or deleting
+ */
+function configureCommentThreads(options = {}) {
+    onCommentCountChange = options.onCountChange || null;
+}
+
+function getCommentTargetKey(targetType, targetId) {
+    return `${targetType}:${targetId}`;
+}
+
+function parseCommentTarget(key) {
+    const [targetType, targetId] = String(key || '').split(':');
+    return { targetType, targetId };
+}
+
+function notifyCommentCountChange(key, delta) {
+    if (!onCommentCountChange) return;
+    const { targetType, targetId } = parseCommentTarget(key);
+    onCommentCountChange(targetType, targetId, delta);
+}
+
+function getCommentList(key) {
+    return document.querySelector(`.comments-list[data-comment-target="${key}"]`);
+}
+
+// Owners may edit for a few minutes after posting (editable_until comes from the API)
+function canEditComment(comment) {
+    return !!comment.is_owner && !!comment.editable_until && new Date(comment.editable_until) > new Date();
+}
+
+// Organize comments into hierarchy (recursive nesting)
+function organizeComments(comments) {
+    const commentMap = new Map();
+    comments.forEach(comment => {
+        commentMap.set(comment.id, { ...comment, replies: [] });
+    });
+
+    const topLevel = [];
+    commentMap.forEach(comment => {
+        if (comment.parent_id) {
+            const parent = commentMap.get(comment.parent_id);
+            if (parent) {
+                parent.replies.push(comment);
+            }
+        } else {
+            topLevel.push(comment);
+        }
+    });
+
+    return topLevel;
+}
+
+// Recursive function to render a single comment and its replies
+function renderComment(comment) {
+    const key = getCommentTargetKey(comment.target_type, comment.target_id);
+    const isAdmin = !!comment.is_admin;
+    const isGuest = !!comment.is_guest && !isAdmin;
+    const authorLabel = `
+        <span class="comment-author ${isAdmin ? 'admin' : ''} ${isGuest ? 'guest' : ''}">
+            ${escapeHtml(comment.author_name)}${isAdmin ? ' (Admin)' : ''}${isGuest ? ' (Guest)' : ''}
+        </span>`;
+
+    return `
+        <div class="comment ${comment.parent_id ? 'comment-reply' : ''}" data-comment-id="${comment.id}" data-comment-target="${key}">
+            <div class="comment-header">
+                ${authorLabel}
+                <span class="comment-time">${formatTime(comment.created_at)}${comment.edited_at ? '<span class="comment-edited"> (edited)</span>' : ''}</span>
+                ${comment.is_owner ? '<button class="delete-comment-btn" onclick="commentThreads.remove(this)" title="Delete comment">×</button>' : ''}
+            </div>
+            <div class="comment-text">${escapeHtml(comment.comment_text)}</div>
+            <button class="reply-btn" onclick="commentThreads.showReplyForm(this)">Reply</button>
+            ${canEditComment(comment) ? '<button class="reply-btn edit-comment-btn" onclick="commentThreads.edit(this)">Edit</button>' : ''}
+            <div class="reply-form-container" style="display: none;">
+                <form class="comment-form reply-form" data-comment-target="${key}" data-parent-id="${comment.id}" onsubmit="commentThreads.submit(event)">
+                    <input type="text" name="author_name" placeholder="Your name" maxlength="50" required>
+                    <textarea name="comment_text" placeholder="Your reply..." maxlength="500" required></textarea>
+                    <div class="comment-user-helper"></div>
+                    <div class="reply-form-actions">
+                        <button type="submit">Post Reply</button>
+                        <button type="button" onclick="commentThreads.hideReplyForm(this)">Cancel</button>
+                    </div>
+                </form>
+            </div>
+            ${comment.replies && comment.replies.length > 0 ? `
+                <div class="comment-replies">
+                    ${comment.replies.map(renderComment).join('')}
+                </div>
+            ` : ''}
+        </div>
+    `;
+}
+
+// Load and render all comments of a meal or photo
+async function loadCommentThread(targetType, targetId) {
+    const key = getCommentTargetKey(targetType, targetId);
+    const commentsList = getCommentList(key);
+    if (!commentsList) return;
+
+    commentsList.innerHTML = '<div class="loading">Loading comments...</div>';
+
+    try {
+        const response = await fetchWithAuth(`${COMMENTS_API}/${targetType}/${targetId}`);
+        const data = await response.json();
+
+        if (!response.ok) {
+            throw new Error(data.error || 'Failed to load comments');
+        }
+
+        const comments = data.comments || [];
+        commentsList.innerHTML = comments.length > 0
+            ? organizeComments(comments).map(renderComment).join('')
+            : COMMENTS_EMPTY_HTML;
+
+        document.querySelectorAll(`.comment-form[data-comment-target="${key}"]`).forEach(applyCommentIdentityToForm);
+    } catch (error) {
+        console.error('Error loading comments:', error);
+        commentsList.innerHTML = '<p>Failed to load comments.</p>';
+    }
+}
+
+// Post a comment or reply from any form carrying data-comment-target
+async function handleCommentSubmit(e) {
+    e.preventDefault();
+
+    const form = e.target;
+    const key = form.dataset.commentTarget;
+    const { targetType, targetId } = parseCommentTarget(key);
+    const parentId = form.dataset.parentId ? Number(form.dataset.parentId) : null;
+    const nameInput = form.querySelector('[name="author_name"]');
+    const author_name = getCurrentUsername() || (nameInput?.value.trim() || '');
+    const comment_text = form.querySelector('[name="comment_text"]').value.trim();
+
+    if (!comment_text) {
+        showError('Comment cannot be empty.');
+        return;
+    }
+    if (!author_name) {
+        showError('Name is required for guest comments.');
+        return;
+    }
+
+    try {
+        const response = await fetchWithAuth(`${COMMENTS_API}/${targetType}/${targetId}`, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json'
+            },
+            body: JSON.stringify({ author_name, comment_text, parent_id: parentId })
+        });
+
+        let responseData = {};
+        try {
+            responseData = await response.json();
+        } catch (parseError) {
+            responseData = {};
+        }
+
+        if (!response.ok) {
+            throw new Error(responseData.error || (parentId ? 'Failed to post reply' : 'Failed to post comment'));
+        }
+
+        form.reset();
+        notifyCommentCountChange(key, 1);
+        await loadCommentThread(targetType, targetId);
+    } catch (error) {
+        console.error('Error posting comment:', error);
+        showError(error.message || 'Failed to post comment. Please try again.');
+    }
+}
+
+// Delete a comment; its replies go with it
+async function handleDeleteComment(button) {
+    const commentEl = button.closest('.comment');
+    if (!commentEl || !confirm('Are you sure you want to delete this comment?')) {
+        return;
+    }
+
+    const key = commentEl.dataset.commentTarget;
+
+    try {
+        const response = await fetchWithAuth(`${COMMENTS_API}/${commentEl.dataset.commentId}`, {
+            method: 'DELETE'
+        });
+
+        const data = await response.json();
+
+        if (!response.ok) {
+            throw new Error(data.error || 'Failed to delete comment');
+        }
+
+        const removed = data.deleted || 1 + commentEl.querySelectorAll('.comment').length;
+        const commentsList = commentEl.closest('.comments-list');
+        commentEl.remove();
+        notifyCommentCountChange(key, -removed);
+
+        if (commentsList && commentsList.children.length === 0) {
+            commentsList.innerHTML = COMMENTS_EMPTY_HTML;
+        }
+    } catch (error) {
+        console.error('Error deleting comment:', error);
+        showError(error.message || 'Failed to delete comment. You can only delete your own comments.');
+    }
+}
+
+// Swap a comment's text for an inline edit form
+function handleEditComment(button) {
+    const commentEl = button.closest('.comment');
+    const textEl = commentEl?.querySelector(':scope > .comment-text');
+    if (!textEl || commentEl.querySelector(':scope > .comment-edit-form')) return;
+
+    const form = document.createElement('form');
+    form.className = 'comment-form reply-form comment-edit-form';
+    form.innerHTML = `
+        <textarea name="comment_text" maxlength="500" required></textarea>
+        <div class="reply-form-actions">
+            <button type="submit">Save</button>
+            <button type="button" class="cancel-edit-btn">Cancel</button>
+        </div>`;
+    form.querySelector('textarea').value = textEl.textContent;
+    form.querySelector('.cancel-edit-btn').addEventListener('click', () => {
+        form.remove();
+        textEl.style.display = '';
+    });
+    form.addEventListener('submit', (e) => handleEditCommentSubmit(e, commentEl, textEl));
+
+    textEl.style.display = 'none';
+    textEl.after(form);
+    form.querySelector('textarea').focus();
+}
+
+// Save an edited comment
+async function handleEditCommentSubmit(e, commentEl, textEl) {
+    e.preventDefault();
+
+    const form = e.target;
+    const comment_text = form.querySelector('[name="comment_text"]').value.trim();
+    if (!comment_text) {
+        showError('Comment cannot be empty.');
+        return;
+    }
+
+    try {
+        const response = await fetchWithAuth(`${COMMENTS_API}/${commentEl.dataset.commentId}`, {
+            method: 'PATCH',
+            headers: {
+                'Content-Type': 'application/json'
+            },
+            body: JSON.stringify({ comment_text })
+        });
+
+        const data = await response.json();
+
+        if (!response.ok) {
+            throw new Error(data.error || 'Failed to edit comment');
+        }
+
+        textEl.textContent = data.comment.comment_text;
+        textEl.style.display = '';
+        form.remove();
+
+        const header = commentEl.querySelector(':scope > .comment-header');
+        if (data.comment.edited_at && header && !header.querySelector('.comment-edited')) {
+            header.querySelector('.comment-time').insertAdjacentHTML('beforeend', '<span class="comment-edited"> (edited)</span>');
+        }
+    } catch (error) {
+        console.error('Error editing comment:', error);
+        showError(error.message || 'Failed to edit comment.');
+    }
+}
+
+function handleShowReplyForm(button) {
+    const container = button.closest('.comment')?.querySelector(':scope > .reply-form-container');
+    if (!container) return;
+
+    container.style.display = 'block';
+    const form = container.querySelector('form');
+    applyCommentIdentityToForm(form);
+    const nameInput = form.querySelector('[name="author_name"]');
+    (nameInput && !nameInput.readOnly ? nameInput : form.querySelector('[name="comment_text"]')).focus();
+}
+
+function handleHideReplyForm(button) {
+    const container = button.closest('.reply-form-container');
+    if (!container) return;
+
+    container.style.display = 'none';
+    const form = container.querySelector('form');
+    if (form) form.reset();
+}
+
+window.commentThreads = {
+    configure: configureCommentThreads,
+    targetKey: getCommentTargetKey,
+    load: loadCommentThread,
+    submit: handleCommentSubmit,
+    remove: handleDeleteComment,
+    edit: handleEditComment,
+    showReplyForm: handleShowReplyForm,
+    hideReplyForm: handleHideReplyForm
+};
@@ -0,0 +1,191 @@
+const API_BASE = '/api';
+
+// DOM Elements
+const loadingDiv = document.getElementById('loading');
+const errorDiv = document.getElementById('error');
+const dishContainer = document.getElementById('dish-container');
+const subtitle = document.getElementById('dish-subtitle');
+const summaryDiv = document.getElementById('dish-summary');
+const priceTrendDiv = document.getElementById('dish-price-trend');
+const photosDiv = document.getElementById('dish-photos');
+const servingsBody = document.getElementById('dish-servings-body');
+
+// State
+let dishPhotos = [];
+
+async function fetchWithAuth(url, options = {}) {
+    const token = window.auth ? await window.auth.getToken() : null;
+    const headers = { ...options.headers };
+    if (token) {
+        headers['Authorization'] = `Bearer ${token}`;
+    }
+    return fetch(url, { ...options, headers });
+}
+
+document.addEventListener('DOMContentLoaded', async () => {
+    await window.mensaLocations.load();
+    loadDish();
+});
+
+async function loadDish() {
+    const dishId = new URLSearchParams(window.location.search).get('id');
+
+    if (!dishId) {
+        showError('No dish selected');
+        return;
+    }
+
+    try {
+        const response = await fetchWithAuth(`${API_BASE}/dishes/${encodeURIComponent(dishId)}`);
+        const data = await response.json();
+
+        if (!response.ok) {
+            throw new Error(data.error || 'Failed to load dish');
+        }
+
+        renderDish(data);
+    } catch (error) {
+        console.error('Error loading dish:', error);
+        showError(error.message || 'Failed to load dish');
+    }
+}
+
+function renderDish(data) {
+    const { dish, summary, servings = [], photos = [] } = data;
+
+    document.title = `${dish.display_name} | UHH Mensa Dish History`;
+    subtitle.textContent = `[ ${dish.display_name} ]`;
+
+    renderSummary(summary);
+    renderPriceTrend(servings);
+    renderPhotos(photos, dish.display_name);
+    renderServings(servings);
+
+    loadingDiv.style.display = 'none';
+    dishContainer.style.display = 'block';
+}
+
+function renderSummary(summary) {
+    const totalVotes = summary.upvotes + summary.downvotes;
+    const approval = totalVotes > 0 ? Math.round((summary.upvotes / totalVotes) * 100) : null;
+    const bigRatio = summary.big_portion_ratio === null ? null : Math.round(summary.big_portion_ratio * 100);
+    const locations = summary.locations.map(getLocationLabel).join(', ');
+
+    const stats = [
+        ['Served', `${summary.times_served}×`],
+        ['First / last', summary.first_served ? `${formatDate(summary.first_served)} – ${formatDate(summary.last_served)}` : '—'],
+        ['Mensa', locations || '—'],
+        ['Votes', `↑ ${summary.upvotes} / ↓ ${summary.downvotes}${approval === null ? '' : ` (${approval}%)`}`],
+        ['Portions', `big ${summary.big_portions} / small ${summary.small_portions}${bigRatio === null ? '' : ` (${bigRatio}% big)`}`]
+    ];
+
+    summaryDiv.innerHTML = stats.map(([label, value]) => `
+        <div class="dish-stat">
+            <div class="dish-stat-label">${escapeHtml(label)}</div>
+            <div class="dish-stat-value">${escapeHtml(value)}</div>
+        </div>
+    `).join('');
+}
+
+function renderPriceTrend(servings) {
+    const points = servings
+        .map(serving => ({ date: serving.date, price: parsePrice(serving.price_student) }))
+        .filter(point => point.price !== null);
+
+    if (points.length === 0) {
+        priceTrendDiv.innerHTML = '<div class="dish-empty">No prices recorded</div>';
+        return;
+    }
+
+    const maxPrice = Math.max(...points.map(point => point.price));
+
+    priceTrendDiv.innerHTML = points.map(point => `
+        <div class="dish-price-bar" title="${escapeHtml(formatDate(point.date))}: €${point.price.toFixed(2)}">
+            <div class="dish-price-value">€${point.price.toFixed(2)}</div>
+            <div class="dish-price-fill" style="height: ${Math.max(8, Math.round((point.price / maxPrice) * 100))}%"></div>
+            <div class="dish-price-date">${escapeHtml(formatDate(point.date))}</div>
+        </div>
+    `).join('');
+}
+
+function renderPhotos(photos, dishName) {
+    dishPhotos = photos.map(photo => ({
+        id: photo.id,
+        photo_url: photo.photo_url,
+        meal_name: dishName,
+        caption: photo.caption || '',
+        username: photo.author_name || 'Anonymous',
+        likes_count: photo.vote_count || 0,
+        user_has_liked: false
+    }));
+
+    if (dishPhotos.length === 0) {
+        photosDiv.innerHTML = '<div class="dish-empty">No photos yet</div>';
+        return;
+    }
+
+    photosDiv.innerHTML = dishPhotos.map((photo, index) => `
+        <img src="${photo.photo_url}" alt="Food photo" class="meal-photo-thumb" data-index="${index}">
+    `).join('');
+
+    photosDiv.querySelectorAll('.meal-photo-thumb').forEach(img => {
+        img.addEventListener('click', () => {
+            imageViewer.open(dishPhotos, Number(img.dataset.index));
+        });
+    });
+}
+
+function renderServings(servings) {
+    if (servings.length === 0) {
+        servingsBody.innerHTML = '<tr><td colspan="7" class="dish-empty">Not served yet</td></tr>';
+        return;
+    }
+
+    // Newest first, the price trend above already reads left to right
+    servingsBody.innerHTML = [...servings].reverse().map(serving => `
+        <tr>
+            <td>${escapeHtml(formatDate(serving.date))}</td>
+            <td>${escapeHtml(getLocationLabel(serving.mensa_location))}</td>
+            <td>${escapeHtml(formatPrice(serving.price_student))}</td>
+            <td>${escapeHtml(formatPrice(serving.price_employee))}</td>
+            <td class="dish-up">${serving.upvotes}</td>
+            <td class="dish-down">${serving.downvotes}</td>
+            <td>${serving.big_portions} / ${serving.small_portions}</td>
+        </tr>
+    `).join('');
+}
+
+function parsePrice(price) {
+    if (price === null || price === undefined) {
+        return null;
+    }
+
+    const numeric = parseFloat(String(price).replace(',', '.'));
+    return Number.isFinite(numeric) ? numeric : null;
+}
+
+function formatPrice(price) {
+    const numeric = parsePrice(price);
+    return numeric === null ? '—' : `€${numeric.toFixed(2)}`;
+}
+
+function formatDate(dateString) {
+    const [year, month, day] = dateString.split('-');
+    return `${day}.${month}.${year}`;
+}
+
+function getLocationLabel(locationId) {
+    return window.mensaLocations.getLabel(locationId);
+}
+
+function showError(message) {
+    loadingDiv.style.display = 'none';
+    errorDiv.textContent = message;
+    errorDiv.style.display = 'block';
+}
+
+function escapeHtml(text) {
+    const div = document.createElement('div');
+    div.textContent = text;
+    return div.innerHTML;
+}
@@ -0,0 +1,27 @@
+// Runs inside the /embed/menu iframe and tells widget.js how tall the menu is
+(function () {
+    if (window.parent === window) {
+        return;
+    }
+
+    let lastHeight = 0;
+
+    function reportHeight() {
+        const height = Math.ceil(document.documentElement.getBoundingClientRect().height);
+
+        if (height !== lastHeight) {
+            lastHeight = height;
+            window.parent.postMessage({ type: 'pottkieker:resize', height }, '*');
+        }
+    }
+
+    window.addEventListener('load', reportHeight);
+
+    if ('ResizeObserver' in window) {
+        new ResizeObserver(reportHeight).observe(document.documentElement);
+    } else {
+        window.addEventListener('resize', reportHeight);
+    }
+
+    reportHeight();
+})();
@@ -62,8 +62,8 @@ function applyUploadIdentity() {
 function applyCommentIdentityToForm(form) {
     if (!form) return;
     const username = getCurrentUsername();
-    const nameInput = form.querySelector('[name="author_name"], input[id^="comment-author-"]');
-    const submitBtn = form.querySelector('button[type="submit"], .comment-submit-btn');
+    const nameInput = form.querySelector('[name="author_name"]');
+    const submitBtn = form.querySelector('button[type="submit"]');
     const helper = form.querySelector('.comment-user-helper');
 
     if (nameInput) {
@@ -93,7 +93,13 @@ document.addEventListener('auth:changed', syncAllCommentForms);
 document.addEventListener('auth:changed', applyUploadIdentity);
 
 // Initialize
-document.addEventListener('DOMContentLoaded', () => {
+document.addEventListener('dietary-profile:changed', () => loadPhotos());
+
+document.addEventListener('DOMContentLoaded', async () => {
+    await window.mensaLocations.load();
+    window.mensaLocations.fillSelect(mensaFilter);
+    window.mensaLocations.fillSelect(uploadMensaSelect);
+
     loadPhotos();
     setupEventListeners();
     loadVotedPhotos();
@@ -377,13 +383,13 @@ function createPhotoCard(photo) {
             </div>
         </div>
         <div id="comments-${photo.id}" class="photo-comments" style="display: none;">
-            <div class="comment-form">
-                <input type="text" placeholder="Your name" id="comment-author-${photo.id}" maxlength="50">
-                <textarea placeholder="Add a comment..." id="comment-text-${photo.id}" maxlength="500"></textarea>
+            <form class="comment-form" data-comment-target="photo:${photo.id}" onsubmit="commentThreads.submit(event)">
+                <input type="text" name="author_name" placeholder="Your name" maxlength="50">
+                <textarea name="comment_text" placeholder="Add a comment..." maxlength="500"></textarea>
                 <div class="comment-user-helper"></div>
-                <button class="comment-submit-btn" onclick="handleAddComment(${photo.id})">Post Comment</button>
-            </div>
-            <div class="comments-list" id="comments-list-${photo.id}">
+                <button type="submit" class="comment-submit-btn">Post Comment</button>
+            </form>
+            <div class="comments-list" data-comment-target="photo:${photo.id}">
                 <div class="loading" style="font-size: 0.9em; color: var(--text-muted);">Loading comments...</div>
             </div>
         </div>
@@ -468,292 +474,26 @@ async function toggleComments(photoId) {
     if (isHidden) {
         commentsSection.style.display = 'block';
         applyCommentIdentityToForm(commentsSection.querySelector('.comment-form'));
-        loadComments(photoId);
+        commentThreads.load('photo', photoId);
     } else {
         commentsSection.style.display = 'none';
     }
 }
 
-// Load comments for a photo
-async function loadComments(photoId) {
-    const commentsList = document.getElementById(`comments-list-${photoId}`);
-
-    try {
-        const response = await fetchWithAuth(`/api/photos/${photoId}/comments`);
-        const data = await response.json();
-
-        if (!response.ok) {
-            throw new Error(data.error || 'Failed to load comments');
-        }
-
-        renderComments(photoId, data.comments || []);
-        syncAllCommentForms();
-    } catch (error) {
-        commentsList.innerHTML = `<p style="color: var(--danger); font-size: 0.9em;">${error.message}</p>`;
-    }
-}
-
-// Organize comments into hierarchy (recursive nesting)
-function organizePhotoComments(comments) {
-    // Create a map for quick lookup
-    const commentMap = new Map();
-    comments.forEach(comment => {
-        commentMap.set(comment.id, { ...comment, replies: [] });
-    });
-
-    // Build the tree structure
-    const topLevel = [];
-    commentMap.forEach(comment => {
-        if (comment.parent_comment_id) {
-            const parent = commentMap.get(comment.parent_comment_id);
-            if (parent) {
-                parent.replies.push(comment);
-            }
-        } else {
-            topLevel.push(comment);
-        }
-    });
-
-    return topLevel;
-}
-
-// Recursive function to render a single comment and its replies
-function renderPhotoComment(comment, photoId) {
-    const isAdmin = !!comment.is_admin;
-    const isGuest = !!comment.is_guest && !isAdmin;
-    const authorLabel = `
-        <span class="comment-author ${isAdmin ? 'admin' : ''} ${isGuest ? 'guest' : ''}">
-            ${escapeHtml(comment.author_name)}${isAdmin ? ' (Admin)' : ''}${isGuest ? ' (Guest)' : ''}
-        </span>`;
-
-    return `
-        <div class="comment ${comment.parent_comment_id ? 'comment-reply' : ''}" data-comment-id="${comment.id}">
-            <div class="comment-header">
-                ${authorLabel}
-                <span class="comment-time">${formatTime(comment.created_at)}</span>
-                ${comment.is_owner ? `<button class="delete-comment-btn" onclick="handleDeleteComment(${comment.id}, ${photoId})" title="Delete comment">×</button>` : ''}
-            </div>
-            <div class="comment-text">${escapeHtml(comment.comment_text)}</div>
-            <button class="reply-btn" onclick="handleShowPhotoReplyForm(${comment.id}, ${photoId})">Reply</button>
-            <div class="reply-form-container" id="photo-reply-form-${comment.id}" style="display: none;">
-                <form class="comment-form reply-form" onsubmit="handlePhotoReplySubmit(event, ${comment.id}, ${photoId})">
-                    <input type="text" name="author_name" placeholder="Your name" maxlength="50" required>
-                    <textarea name="comment_text" placeholder="Your reply..." maxlength="500" required></textarea>
-                    <div class="comment-user-helper"></div>
-                    <div class="reply-form-actions">
-                        <button type="submit">Post Reply</button>
-                        <button type="button" onclick="handleCancelPhotoReply(${comment.id})">Cancel</button>
-                    </div>
-                </form>
-            </div>
-            ${comment.replies && comment.replies.length > 0 ? `
-                <div class="comment-replies">
-                    ${comment.replies.map(reply => renderPhotoComment(reply, photoId)).join('')}
-                </div>
-            ` : ''}
-        </div>
-    `;
-}
-
-// Render comments
-function renderComments(photoId, comments) {
-    const commentsList = document.getElementById(`comments-list-${photoId}`);
-
-    if (comments.length === 0) {
-        commentsList.innerHTML = '<p style="color: var(--text-muted); font-size: 0.9em;">No comments yet. Be the first!</p>';
-        return;
-    }
-
-    const organizedComments = organizePhotoComments(comments);
-    const html = organizedComments.map(comment => renderPhotoComment(comment, photoId)).join('');
-    commentsList.innerHTML = html;
-}
-
-// Handle add comment
-async function handleAddComment(photoId) {
-    const username = getCurrentUsername();
-    const authorInput = document.getElementById(`comment-author-${photoId}`);
-    const textInput = document.getElementById(`comment-text-${photoId}`);
-    const comment_text = textInput.value.trim();
-    const author_name = username || authorInput.value.trim();
-
-    if (!comment_text) {
-        showError('Comment is required');
-        return;
-    }
-    if (!author_name) {
-        showError('Name is required for guest comments');
-        return;
-    }
-
-    try {
-        const response = await fetchWithAuth(`/api/photos/${photoId}/comments`, {
-            method: 'POST',
-            headers: {
-                'Content-Type': 'application/json'
-            },
-            body: JSON.stringify({ author_name, comment_text })
-        });
-
-        const data = await response.json();
-
-        if (!response.ok) {
-            throw new Error(data.error || 'Failed to add comment');
-        }
-
-        // Clear form
-        textInput.value = '';
-
-        // Reload comments
-        loadComments(photoId);
-
-        // Update comment count
-        const card = document.querySelector(`[data-photo-id="${photoId}"]`);
-        const photo = currentPhotos.find(p => p.id === photoId);
-        if (photo) {
-            photo.comment_count++;
-            const commentsBtn = card.querySelector('.comments-toggle-btn');
-            commentsBtn.innerHTML = `💬 ${photo.comment_count}`;
-        }
-    } catch (error) {
-        showError(error.message);
-    }
-}
-
-// Handle delete comment
-async function handleDeleteComment(commentId, photoId) {
-    if (!confirm('Are you sure you want to delete this comment?')) {
-        return;
-    }
-
-    try {
-        const response = await fetchWithAuth(`/api/photos/comments/${commentId}`, {
-            method: 'DELETE'
-        });
-
-        const data = await response.json();
-
-        if (!response.ok) {
-            throw new Error(data.error || 'Failed to delete comment');
-        }
-
-        // Remove comment from UI
-        const commentItem = document.querySelector(`[data-comment-id="${commentId}"]`);
-        if (commentItem) {
-            commentItem.remove();
-        }
-
-        // Update comment count
-        const card = document.querySelector(`[data-photo-id="${photoId}"]`);
-        const photo = currentPhotos.find(p => p.id === photoId);
-        if (photo && photo.comment_count > 0) {
-            photo.comment_count--;
-            const commentsBtn = card.querySelector('.comments-toggle-btn');
-            commentsBtn.innerHTML = `💬 ${photo.comment_count}`;
-        }
-
-        // Check if comments list is empty
-        const commentsList = document.getElementById(`comments-list-${photoId}`);
-        if (commentsList && commentsList.children.length === 0) {
-            commentsList.innerHTML = '<p style="color: var(--text-muted); font-size: 0.9em;">No comments yet. Be the first!</p>';
-        }
-
-        showMessage('Comment deleted successfully');
-    } catch (error) {
-        showError(error.message);
-    }
-}
-
-// Show reply form
-function handleShowPhotoReplyForm(commentId, photoId) {
-    const replyFormContainer = document.getElementById(`photo-reply-form-${commentId}`);
-    if (replyFormContainer) {
-        replyFormContainer.style.display = 'block';
-        // Focus on the name input
-        const nameInput = replyFormContainer.querySelector('[name="author_name"]');
-        if (nameInput) nameInput.focus();
-        applyCommentIdentityToForm(replyFormContainer.querySelector('form'));
-    }
-}
-
-// Cancel reply
-function handleCancelPhotoReply(commentId) {
-    const replyFormContainer = document.getElementById(`photo-reply-form-${commentId}`);
-    if (replyFormContainer) {
-        replyFormContainer.style.display = 'none';
-        // Clear the form
-        const form = replyFormContainer.querySelector('form');
-        if (form) form.reset();
-    }
-}
-
-// Handle reply submission
-async function handlePhotoReplySubmit(e, parentCommentId, photoId) {
-    e.preventDefault();
-
-    const form = e.target;
-    const username = getCurrentUsername();
-    const nameInput = form.querySelector('[name="author_name"]');
-    const author_name = username || (nameInput?.value.trim() || '');
-    const comment_text = form.querySelector('[name="comment_text"]').value.trim();
-    if (!comment_text) {
-        showError('Comment is required');
-        return;
-    }
-    if (!author_name) {
-        showError('Name is required for guest comments');
-        return;
-    }
-
-    try {
-        const response = await fetchWithAuth(`/api/photos/${photoId}/comments`, {
-            method: 'POST',
-            headers: {
-                'Content-Type': 'application/json'
-            },
-            body: JSON.stringify({
-                author_name,
-                comment_text,
-                parent_comment_id: parentCommentId
-            })
-        });
-
-        let responseData = {};
-        try {
-            responseData = await response.json();
-        } catch (parseError) {
-            responseData = {};
-        }
-
-        if (!response.ok) {
-            throw new Error(responseData.error || 'Failed to post reply');
-        }
-
-        // Clear form and hide
-        form.reset();
-        handleCancelPhotoReply(parentCommentId);
+// Keep the toggle button's count in step with posted and deleted comments
+function handleCommentCountChange(targetType, photoId, delta) {
+    const photo = currentPhotos.find(p => String(p.id) === String(photoId));
+    if (targetType !== 'photo' || !photo) return;
 
-        // Update comment count (replies also count as comments)
-        const card = document.querySelector(`[data-photo-id="${photoId}"]`);
-        const photo = currentPhotos.find(p => p.id === photoId);
-        if (photo) {
-            photo.comment_count++;
-            const commentsBtn = card.querySelector('.comments-toggle-btn');
-            commentsBtn.innerHTML = `💬 ${photo.comment_count}`;
-        }
-
-        // Reload comments
-        loadComments(photoId);
-
-    } catch (error) {
-        showError(error.message || 'Failed to post reply. Please try again.');
+    photo.comment_count = Math.max(0, photo.comment_count + delta);
+    const card = document.querySelector(`.photo-card[data-photo-id="${photoId}"]`);
+    const commentsBtn = card?.querySelector('.comments-toggle-btn');
+    if (commentsBtn) {
+        commentsBtn.innerHTML = `💬 ${photo.comment_count}`;
     }
 }
 
-// Expose functions to global scope for onclick handlers
-window.handleShowPhotoReplyForm = handleShowPhotoReplyForm;
-window.handleCancelPhotoReply = handleCancelPhotoReply;
-window.handlePhotoReplySubmit = handlePhotoReplySubmit;
+commentThreads.configure({ onCountChange: handleCommentCountChange });
 
 // Open photo in image viewer
 function openPhotoInViewer(photoId) {
@@ -830,12 +570,7 @@ async function handlePhotoLikeInViewer(photoId, currentLikedState) {
 
 // Helper functions
 function getMensaDisplayName(location) {
-    const names = {
-        'studierendenhaus': 'Schweinemensa',
-        'blattwerk': 'Blattwerk',
-        'philturm': 'Philturm'
-    };
-    return names[location] || location;
+    return window.mensaLocations.getLabel(location);
 }
 
 function formatTime(timestamp) {
@@ -916,6 +651,4 @@ function saveVotedPhotos() {
 window.handleVote = handleVote;
 window.handleDeletePhoto = handleDeletePhoto;
 window.toggleComments = toggleComments;
-window.handleAddComment = handleAddComment;
-window.handleDeleteComment = handleDeleteComment;
 window.openPhotoInViewer = openPhotoInViewer;
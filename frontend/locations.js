@@ -0,0 +1,73 @@
+/**
+ * Mensa location registry shared by all pages.
+ * Locations come from /api/meals/locations so new canteens only need a
+ * backend config change.
+ */
+
+let registeredLocations = [];
+let locationsPromise = null;
+
+// Fetch the registry once per page load
+function loadMensaLocations() {
+    if (!locationsPromise) {
+        locationsPromise = fetch('/api/meals/locations')
+            .then(response => {
+                if (!response.ok) {
+                    throw new Error(`HTTP error! status: ${response.status}`);
+                }
+                return response.json();
+            })
+            .then(data => {
+                registeredLocations = Array.isArray(data.details) ? data.details : [];
+                return registeredLocations;
+            })
+            .catch(error => {
+                console.error('Error loading Mensa locations:', error);
+                locationsPromise = null;
+                return registeredLocations;
+            });
+    }
+
+    return locationsPromise;
+}
+
+function getMensaLabel(locationId) {
+    if (!locationId) {
+        return 'Unknown Mensa';
+    }
+
+    const location = registeredLocations.find(entry => entry.id === locationId);
+    return location ? location.shortName : locationId;
+}
+
+/**
+ * Append one <option> per location to a select, after any static options
+ * (such as "All Locations" or a placeholder) already in the markup
+ * @param {HTMLSelectElement} select
+ * @param {string} [selectedId] - Value to keep selected after filling
+ */
+function fillMensaSelect(select, selectedId = select?.value) {
+    if (!select) return;
+
+    select.querySelectorAll('option[data-registry]').forEach(option => option.remove());
+
+    registeredLocations.forEach(location => {
+        const option = document.createElement('option');
+        option.value = location.id;
+        option.textContent = location.shortName;
+        option.dataset.registry = 'true';
+        select.appendChild(option);
+    });
+
+    if (selectedId && [...select.options].some(option => option.value === selectedId)) {
+        select.value = selectedId;
+    }
+}
+
+// Export for page scripts
+window.mensaLocations = {
+    load: loadMensaLocations,
+    getLabel: getMensaLabel,
+    fillSelect: fillMensaSelect,
+    getAll: () => registeredLocations
+};
@@ -0,0 +1,37 @@
+/**
+ * Service worker for Web Push notifications
+ * Payload: { title, body, url, tag } as sent by backend/utils/pushService.js
+ */
+
+self.addEventListener('push', (event) => {
+    let data = {};
+    try {
+        data = event.data ? event.data.json() : {};
+    } catch (err) {
+        data = { title: event.data ? event.data.text() : '' };
+    }
+
+    event.waitUntil(
+        self.registration.showNotification(data.title || 'Pottkieker', {
+            body: data.body || '',
+            tag: data.tag,
+            data: { url: data.url || '/' }
+        })
+    );
+});
+
+self.addEventListener('notificationclick', (event) => {
+    event.notification.close();
+    const url = new URL(event.notification.data?.url || '/', self.location.origin).href;
+
+    // Reuse an open tab of the site if there is one
+    event.waitUntil(
+        self.clients.matchAll({ type: 'window', includeUncontrolled: true }).then((clients) => {
+            const existing = clients.find(client => client.url.startsWith(self.location.origin));
+            if (existing) {
+                return existing.navigate(url).then(client => (client || existing).focus());
+            }
+            return self.clients.openWindow(url);
+        })
+    );
+});
@@ -0,0 +1,87 @@
+/**
+ * Pottkieker "today at the Mensa" widget
+ *
+ * <div data-pottkieker-menu data-location="philturm" data-theme="light"></div>
+ * <script src="https://pottkieker.life/embed/widget.js" async></script>
+ *
+ * Every element with data-pottkieker-menu gets an iframe of /embed/menu; without
+ * one, the widget is placed right after the script tag using the script's data-*
+ * attributes. Optional: data-include / data-exclude dietary filters (e.g. "Vegan").
+ * Only creates elements and sets CSSOM properties, so host pages need no
+ * 'unsafe-inline' - just script-src and frame-src for the Pottkieker origin.
+ */
+(function () {
+    const script = document.currentScript;
+
+    if (!script || !script.src) {
+        return;
+    }
+
+    const origin = new URL(script.src).origin;
+    const frames = [];
+    const OPTIONS = ['location', 'theme', 'include', 'exclude'];
+
+    function buildUrl(options) {
+        const url = new URL('/embed/menu', origin);
+
+        OPTIONS.forEach((option) => {
+            if (options[option]) {
+                url.searchParams.set(option, options[option]);
+            }
+        });
+
+        return url.toString();
+    }
+
+    function mount(container) {
+        if (container.dataset.pottkiekerMounted) {
+            return;
+        }
+
+        container.dataset.pottkiekerMounted = 'true';
+
+        const iframe = document.createElement('iframe');
+        iframe.src = buildUrl(container.dataset);
+        iframe.title = "Today's Mensa menu (pottkieker.life)";
+        iframe.loading = 'lazy';
+        iframe.referrerPolicy = 'no-referrer';
+        // allow-same-origin only grants the frame its own (Pottkieker) origin, never the host page's
+        iframe.setAttribute('sandbox', 'allow-scripts allow-same-origin allow-popups allow-popups-to-escape-sandbox');
+        iframe.style.width = '100%';
+        iframe.style.height = '320px';
+        iframe.style.border = '0';
+        iframe.style.display = 'block';
+
+        container.appendChild(iframe);
+        frames.push(iframe);
+    }
+
+    window.addEventListener('message', (event) => {
+        const data = event.data;
+
+        if (event.origin !== origin || !data || data.type !== 'pottkieker:resize' || typeof data.height !== 'number') {
+            return;
+        }
+
+        const iframe = frames.find(frame => frame.contentWindow === event.source);
+        if (iframe) {
+            iframe.style.height = `${Math.max(0, Math.min(data.height, 5000))}px`;
+        }
+    });
+
+    const containers = document.querySelectorAll('[data-pottkieker-menu]');
+
+    if (containers.length > 0) {
+        containers.forEach(mount);
+        return;
+    }
+
+    const container = document.createElement('div');
+    OPTIONS.forEach((option) => {
+        if (script.dataset[option]) {
+            container.dataset[option] = script.dataset[option];
+        }
+    });
+    script.parentNode.insertBefore(container, script.nextSibling);
+    mount(container);
+})();